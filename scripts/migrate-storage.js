@@ -0,0 +1,37 @@
+// One-shot migration of subscriptions.json into the configured storage backend.
+// Usage: STORAGE_BACKEND=sqlite node scripts/migrate-storage.js [path/to/subscriptions.json] [--force]
+require('dotenv').config();
+const { createStore, migrateFromJson } = require('../src/storage');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const jsonPath = args.find(arg => arg !== '--force') || 'subscriptions.json';
+    const backend = process.env.STORAGE_BACKEND || 'sqlite';
+
+    if (backend === 'json') {
+        console.error('❌ STORAGE_BACKEND is json, there is nothing to migrate to');
+        process.exitCode = 1;
+        return;
+    }
+
+    const store = createStore({ backend, path: process.env.STORAGE_PATH });
+    await store.open();
+    try {
+        if (!force && !(await store.isEmpty())) {
+            console.error('❌ The target store already has data, use --force to migrate anyway');
+            process.exitCode = 1;
+            return;
+        }
+
+        const count = await migrateFromJson(store, jsonPath);
+        console.log(`✅ Migrated ${count} entries from ${jsonPath} to the ${backend} store`);
+    } finally {
+        await store.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
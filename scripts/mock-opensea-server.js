@@ -0,0 +1,186 @@
+// Local stand-in for the OpenSea Stream API (Phoenix channels), used by the test suite and for
+// running the bot without an API key.
+// Usage: node scripts/mock-opensea-server.js [port] [--interval=<seconds>]
+// then start the bot with OPENSEA_STREAM_URL=ws://127.0.0.1:<port>/socket/websocket.
+// It replays the recorded events in scripts/fixtures/opensea into every joined collection.
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'opensea');
+
+// Load a recorded OpenSea message, e.g. loadFixture('item_sold')
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+// Phoenix server that confirms joins, leaves and heartbeats and publishes events to joined topics.
+// Emits connection, join, leave and heartbeat as the client talks to it.
+class MockOpenSeaServer extends EventEmitter {
+    constructor({ port = 0 } = {}) {
+        super();
+        this.port = port;
+        this.wss = null;
+        this.sockets = new Set();
+        this.topics = new Map(); // socket -> Set<topic>
+        this.rejectedTopics = new Set(); // topics whose phx_join is answered with an error
+        this.answerHeartbeats = true; // false simulates a connection that silently stopped responding
+        this.heartbeats = 0;
+        this.replays = 0;
+    }
+
+    // Start listening, resolves with the URL to point the OpenSea adapter at
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.port, host: '127.0.0.1' });
+            this.wss.once('error', reject);
+            this.wss.on('listening', () => {
+                this.port = this.wss.address().port;
+                resolve(this.url);
+            });
+            this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+        });
+    }
+
+    get url() {
+        return `ws://127.0.0.1:${this.port}/socket/websocket`;
+    }
+
+    handleConnection(socket, request) {
+        this.sockets.add(socket);
+        this.topics.set(socket, new Set());
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.topics.delete(socket);
+        });
+        socket.on('message', data => this.handleMessage(socket, JSON.parse(data)));
+        this.emit('connection', { url: request.url });
+    }
+
+    handleMessage(socket, message) {
+        const { topic, event, ref } = message;
+
+        if (event === 'heartbeat') {
+            this.heartbeats++;
+            if (this.answerHeartbeats) this.reply(socket, topic, ref, 'ok');
+            this.emit('heartbeat');
+        } else if (event === 'phx_join') {
+            if (this.rejectedTopics.has(topic)) {
+                this.reply(socket, topic, ref, 'error', { reason: 'unauthorized' });
+                return;
+            }
+            this.topics.get(socket)?.add(topic);
+            this.reply(socket, topic, ref, 'ok');
+            this.emit('join', topic);
+        } else if (event === 'phx_leave') {
+            this.topics.get(socket)?.delete(topic);
+            this.reply(socket, topic, ref, 'ok');
+            this.emit('leave', topic);
+        }
+    }
+
+    reply(socket, topic, ref, status, response = {}) {
+        socket.send(JSON.stringify({ topic, event: 'phx_reply', ref, payload: { status, response } }));
+    }
+
+    // Topics joined on any open connection
+    joinedTopics() {
+        const joined = new Set();
+        for (const topics of this.topics.values()) {
+            topics.forEach(topic => joined.add(topic));
+        }
+        return joined;
+    }
+
+    // Send a message to every connection that joined the collection, returns the number of receivers
+    publish(collectionSlug, message) {
+        const topic = `collection:${collectionSlug}`;
+        let receivers = 0;
+        for (const [socket, topics] of this.topics.entries()) {
+            if (topics.has(topic)) {
+                socket.send(JSON.stringify({ ...message, topic }));
+                receivers++;
+            }
+        }
+        return receivers;
+    }
+
+    // Replay a recorded event into a collection, `overrides` are merged into the inner payload.
+    // Every replay gets its own order and transaction hash so the bot doesn't drop it as a duplicate,
+    // pass `order_hash` (and `transaction`) in `overrides` to replay the same event again.
+    replay(fixtureName, collectionSlug, overrides = {}) {
+        const message = loadFixture(fixtureName);
+        const payload = message.payload.payload;
+        const replay = (++this.replays).toString(16).padStart(8, '0');
+        if (payload.order_hash) payload.order_hash = payload.order_hash.slice(0, -8) + replay;
+        if (payload.transaction?.hash) payload.transaction.hash = payload.transaction.hash.slice(0, -8) + replay;
+        Object.assign(payload, overrides, {
+            collection: { ...payload.collection, ...overrides.collection, slug: collectionSlug }
+        });
+        return this.publish(collectionSlug, message);
+    }
+
+    // Drop every connection as if the network went away
+    dropConnections() {
+        for (const socket of this.sockets) {
+            socket.terminate();
+        }
+    }
+
+    // Resolve with the arguments of the next `event` emitted for which `predicate` holds
+    waitFor(event, predicate = () => true, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.removeListener(event, handler);
+                reject(new Error(`Timed out waiting for ${event}`));
+            }, timeout);
+            const handler = (...args) => {
+                if (!predicate(...args)) return;
+                clearTimeout(timer);
+                this.removeListener(event, handler);
+                resolve(args[0]);
+            };
+            this.on(event, handler);
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this.wss) return resolve();
+            this.dropConnections();
+            this.wss.close(() => resolve());
+        });
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const port = Number(args.find(arg => !arg.startsWith('--'))) || 4000;
+    const interval = Number((args.find(arg => arg.startsWith('--interval=')) || '').split('=')[1]) || 15;
+    const fixtures = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+
+    const server = new MockOpenSeaServer({ port });
+    const url = await server.start();
+    console.log(`✅ Mock OpenSea stream listening on ${url}`);
+    server.on('join', topic => console.log(`📥 Joined ${topic}`));
+    server.on('leave', topic => console.log(`📤 Left ${topic}`));
+
+    // Replay a random recorded event into every joined collection
+    setInterval(() => {
+        for (const topic of server.joinedTopics()) {
+            const fixture = fixtures[Math.floor(Math.random() * fixtures.length)];
+            server.replay(fixture, topic.replace(/^collection:/, ''));
+            console.log(`📢 Replayed ${fixture} into ${topic}`);
+        }
+    }, interval * 1000);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Mock server failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockOpenSeaServer, loadFixture };
@@ -0,0 +1,211 @@
+const { EmbedBuilder } = require('discord.js');
+const { DELIVERY_MODES, SINK_TYPES, BRANDING } = require('./constants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('commands');
+
+const MINUTE = 60 * 1000;
+const EVENT_RATE_WINDOW = 5; // minutes the events per minute are averaged over
+const EVENT_COUNT_RETENTION = 60; // minutes of event counts kept
+
+// Bot owner operations: global stats, any user's subscriptions, stream reconnects, config reloads and announcements.
+// The owners are `ownerIds`, or the owner (or team members) of the Discord application when none are configured.
+// `loadConfig` returns fresh notifier options for reloads, see reloadConfig.
+function createAdmin(notifier, { ownerIds = [], loadConfig = null } = {}) {
+    const { client, streams } = notifier;
+    const { deliver } = notifier.queue;
+    const { userSubscriptions, activeCollections, channelFeeds, watchedWallets } = notifier.subscriptions;
+    const eventCounts = new Map(); // minute (ms since epoch / MINUTE) -> events received by the streams
+    const startedAt = Date.now();
+    let owners = ownerIds;
+    let applicationOwners = null;
+
+    // Check whether a user may use the admin commands
+    async function isOwner(userId) {
+        if (owners.length > 0) return owners.includes(userId);
+
+        if (!applicationOwners) {
+            try {
+                const { owner } = await client.application.fetch();
+                // A team owns the application when it has members
+                applicationOwners = owner?.members ? Array.from(owner.members.keys()) : [owner?.id].filter(Boolean);
+            } catch (error) {
+                log.error('Error fetching the application owner', { error });
+                return false;
+            }
+        }
+        return applicationOwners.includes(userId);
+    }
+
+    // Count an event received by a stream
+    function recordEvent(event, now = Date.now()) {
+        const minute = Math.floor(now / MINUTE);
+        eventCounts.set(minute, (eventCounts.get(minute) || 0) + 1);
+        for (const key of eventCounts.keys()) {
+            if (key <= minute - EVENT_COUNT_RETENTION) eventCounts.delete(key);
+        }
+    }
+
+    // Events received in the last `minutes` minutes, the current one included
+    function countEvents(minutes, now = Date.now()) {
+        const minute = Math.floor(now / MINUTE);
+        let count = 0;
+        for (const [key, value] of eventCounts) {
+            if (key > minute - minutes) count += value;
+        }
+        return count;
+    }
+
+    // Global counters of the bot
+    function getStats(now = Date.now()) {
+        const subscriptions = Array.from(userSubscriptions.values());
+        return {
+            users: subscriptions.length,
+            subscriptions: subscriptions.reduce((total, slugs) => total + slugs.length, 0),
+            collections: activeCollections.size,
+            channelFeeds: channelFeeds.size,
+            walletWatchers: watchedWallets.size,
+            eventsPerMinute: Math.round(countEvents(EVENT_RATE_WINDOW, now) / EVENT_RATE_WINDOW * 10) / 10,
+            eventsLastHour: countEvents(EVENT_COUNT_RETENTION, now),
+            deliveries: notifier.queue.getStats(),
+            duplicates: notifier.dedup.getStats().suppressed,
+            uptime: now - startedAt
+        };
+    }
+
+    function createStatsEmbed() {
+        const stats = getStats();
+        const { sent, retried, failed, pending, deadLetters, pausedUsers } = stats.deliveries;
+
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Admin Stats')
+            .addFields(
+                { name: '👥 Users', value: `${stats.users} with ${stats.subscriptions} subscriptions`, inline: true },
+                { name: '📚 Collections', value: stats.collections.toString(), inline: true },
+                { name: '📣 Channel Feeds', value: stats.channelFeeds.toString(), inline: true },
+                { name: '👀 Wallet Watchers', value: stats.walletWatchers.toString(), inline: true },
+                { name: '⚡ Events', value: `${stats.eventsPerMinute}/min (last ${EVENT_RATE_WINDOW} min)\n${stats.eventsLastHour} in the last hour`, inline: true },
+                { name: '🔁 Duplicates Dropped', value: stats.duplicates.toString(), inline: true },
+                { name: '📬 Deliveries', value: `${sent} sent • ${retried} retried • ${failed} failed • ${pending} queued\n${deadLetters} dead letters • ${pausedUsers} paused users` },
+                { name: '🌐 Streams', value: Array.from(streams.values()).map(stream => `${stream.isConnected() ? '✅ Connected' : '❌ Disconnected'} (${stream.name}, ${stream.collections.size} collections)`).join('\n') || 'None' },
+                { name: '⏱️ Up Since', value: `<t:${Math.floor(startedAt / 1000)}:R>` }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    // Create an embed with a user's subscriptions, delivery modes, destinations and watched wallets
+    function createUserEmbed(userId) {
+        const { getEventFilters, getDeliveryMode, getSubscriptionSinks, getMutedCollections, getWatchedWallets } = notifier.subscriptions;
+        const subscriptions = userSubscriptions.get(userId) || [];
+        const muted = getMutedCollections(userId);
+        const subscriptionList = subscriptions
+            .map(slug => {
+                const mode = DELIVERY_MODES[getDeliveryMode(userId, slug)];
+                const sinks = getSubscriptionSinks(userId, slug).map(sink => SINK_TYPES[sink].emoji).join('');
+                return `**${slug}**: ${getEventFilters(userId, slug).size} events • ${mode.emoji} ${mode.name} • ${sinks}${muted.includes(slug) ? ' • 🔇 muted' : ''}`;
+            })
+            .join('\n');
+        const paused = notifier.queue.pausedUsers.get(userId);
+
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('User Subscriptions')
+            .setDescription(`<@${userId}> (${userId})`)
+            .addFields(
+                { name: `Subscriptions (${subscriptions.length})`, value: subscriptionList.slice(0, 1024) || 'None' },
+                { name: 'Watched Wallets', value: getWatchedWallets(userId).join('\n') || 'None' },
+                { name: 'Deliveries', value: paused ? `⏸️ Paused since <t:${Math.floor(paused.since / 1000)}:R>` : 'Active' }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    // Reconnect one stream by source, or every stream. Returns the names of the reconnected streams.
+    function reconnectStreams(source = null) {
+        const targets = Array.from(streams.values()).filter(stream => !source || stream.source === source);
+        targets.forEach(stream => {
+            log.info('Reconnecting stream', { stream: stream.name });
+            stream.forceReconnect();
+        });
+        return targets.map(stream => stream.name);
+    }
+
+    // Leave and join one collection's topic, or every active collection's. Resolves the number of collections rejoined.
+    async function resubscribe(collectionKey = null) {
+        const collectionKeys = collectionKey ? [collectionKey] : Array.from(activeCollections.keys());
+        const results = await Promise.all(collectionKeys.map(key => notifier.subscriptions.rejoinCollection(key).catch(error => {
+            log.error('Error rejoining collection', { collection: key, error });
+            return null;
+        })));
+        return results.filter(result => result !== null).length;
+    }
+
+    // Load the config again and apply what can change at runtime: the global limits, the stream alert recipients and the
+    // owners. Everything else needs a restart. Returns the names of the applied settings, null without `loadConfig`.
+    async function reloadConfig() {
+        if (!loadConfig) return null;
+        const config = await loadConfig();
+        const applied = [];
+        if (config.limits) {
+            notifier.limits.setGlobalLimits(config.limits);
+            applied.push('limits');
+        }
+        if (config.streamAlerts) {
+            notifier.monitor.configure(config.streamAlerts);
+            applied.push('streamAlerts');
+        }
+        if (config.admin) {
+            owners = config.admin.ownerIds || [];
+            applied.push('admin');
+        }
+        log.info('Reloaded the config', { applied });
+        return applied;
+    }
+
+    // DM an announcement to every user with a subscription or a watched wallet, through the delivery queue.
+    // Returns the number of recipients, the DMs go out in the background.
+    function broadcast(message) {
+        const recipients = new Set([
+            ...userSubscriptions.keys(),
+            ...watchedWallets.keys()
+        ]);
+        const embed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('📢 Announcement')
+            .setDescription(message)
+            .setTimestamp()
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        const deliveries = Array.from(recipients).map(userId => deliver(`user:${userId}`, 'announcement', async () => {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [embed] });
+        }));
+        Promise.all(deliveries).then(results => {
+            log.info('Sent the announcement', { sent: results.filter(Boolean).length, recipients: results.length });
+        });
+        return recipients.size;
+    }
+
+    return {
+        isOwner,
+        recordEvent,
+        getStats,
+        createStatsEmbed,
+        createUserEmbed,
+        reconnectStreams,
+        resubscribe,
+        reloadConfig,
+        broadcast
+    };
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,144 @@
+const { VALID_EVENTS, EVENT_TYPES, ALERT_RULE_TYPES } = require('./constants');
+
+const DEFAULT_FLOOR_WINDOW = '24h';
+const MAX_FLOOR_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days of floor history are kept
+const WINDOW_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse a time window like 30m, 1h or 7d into milliseconds, null when invalid
+function parseWindow(window) {
+    const match = /^(\d+)([mhd])$/.exec(window);
+    return match ? Number(match[1]) * WINDOW_UNITS[match[2]] : null;
+}
+
+// Format a time window in milliseconds with its largest whole unit, e.g. 1h
+function formatWindow(ms) {
+    const [unit, size] = Object.entries(WINDOW_UNITS).reverse().find(([, size]) => ms % size === 0) || ['m', WINDOW_UNITS.m];
+    return `${Math.round(ms / size)}${unit}`;
+}
+
+// Parse an alert rule from user input, returns { rule } or { error }
+function parseAlertRule(type, value, event) {
+    type = (type || '').toLowerCase();
+    if (!ALERT_RULE_TYPES[type]) {
+        return { error: `Invalid rule type: ${type}. Valid types are: ${Object.keys(ALERT_RULE_TYPES).join(', ')}` };
+    }
+
+    if (!value) {
+        return { error: `Please provide a value. Usage: ${ALERT_RULE_TYPES[type].usage}` };
+    }
+
+    if (event && !VALID_EVENTS.includes(event)) {
+        return { error: `Invalid event type: ${event}. Valid events are: ${VALID_EVENTS.join(', ')}` };
+    }
+
+    if (type === 'floor_change') {
+        // Not matched against events: a floor move within the window sends its own alert
+        if (event) {
+            return { error: 'Floor change alerts are not about one event type, leave the event out.' };
+        }
+        const [percent, window = DEFAULT_FLOOR_WINDOW] = value.split('/').map(part => part.trim());
+        const number = Number(percent.replace(/%$/, ''));
+        const windowMs = parseWindow(window.toLowerCase());
+        if (!Number.isFinite(number) || number <= 0 || !windowMs || windowMs > MAX_FLOOR_WINDOW) {
+            return { error: `Invalid floor change: ${value}. Usage: ${ALERT_RULE_TYPES.floor_change.usage}, e.g. 10/1h (window in m, h or d, up to 7d, default ${DEFAULT_FLOOR_WINDOW}).` };
+        }
+        return { rule: { type, value: number, window: windowMs } };
+    }
+
+    const rule = { type };
+    if (event) rule.event = event;
+
+    if (type === 'trait') {
+        const separator = value.indexOf('=');
+        if (separator <= 0 || separator === value.length - 1) {
+            return { error: `Invalid trait. Usage: ${ALERT_RULE_TYPES.trait.usage} (e.g. Background=Gold)` };
+        }
+        rule.traitType = value.slice(0, separator).trim();
+        rule.value = value.slice(separator + 1).trim();
+        return { rule };
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        return { error: `Invalid value: ${value}. Please provide a positive number.` };
+    }
+    rule.value = number;
+    return { rule };
+}
+
+// Describe an alert rule for display
+function describeAlertRule(rule) {
+    let description;
+    switch (rule.type) {
+        case 'price_below':
+            description = `Price below ${rule.value}`;
+            break;
+        case 'price_above':
+            description = `Price above ${rule.value}`;
+            break;
+        case 'rank_below':
+            description = `Rarity rank below #${rule.value}`;
+            break;
+        case 'trait':
+            description = `Trait ${rule.traitType} = ${rule.value}`;
+            break;
+        case 'floor_change':
+            description = `Floor moves ${rule.value}% within ${formatWindow(rule.window)}`;
+            break;
+        default:
+            description = rule.type;
+    }
+    if (rule.event) {
+        description += ` (${EVENT_TYPES[rule.event].name} only)`;
+    }
+    return description;
+}
+
+// Get the price of an event in whole payment token units
+function getEventPrice(event) {
+    if (!event.price) return null;
+    return Number(event.price.amount) / Math.pow(10, event.price.decimals);
+}
+
+// Check an event against a subscription's alert rules.
+// Rules only apply to the event type they are scoped to (or to every event when unscoped),
+// all applicable rules must match, and an event missing the rule's data does not match.
+// Floor change rules don't filter events, see ./floors.js.
+function matchesAlertRules(rules, event) {
+    return rules
+        .filter(rule => rule.type !== 'floor_change')
+        .filter(rule => !rule.event || rule.event === event.type)
+        .every(rule => {
+            switch (rule.type) {
+                case 'price_below': {
+                    const price = getEventPrice(event);
+                    return price !== null && price < rule.value;
+                }
+                case 'price_above': {
+                    const price = getEventPrice(event);
+                    return price !== null && price > rule.value;
+                }
+                case 'rank_below': {
+                    const rank = event.item?.rarityRank;
+                    return typeof rank === 'number' && rank < rule.value;
+                }
+                case 'trait':
+                    return event.traits.some(trait =>
+                        String(trait.type).toLowerCase() === rule.traitType.toLowerCase() &&
+                        String(trait.value).toLowerCase() === rule.value.toLowerCase()
+                    );
+                default:
+                    return true;
+            }
+        });
+}
+
+module.exports = {
+    parseAlertRule,
+    describeAlertRule,
+    getEventPrice,
+    matchesAlertRules,
+    parseWindow,
+    formatWindow,
+    MAX_FLOOR_WINDOW
+};
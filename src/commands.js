@@ -0,0 +1,1893 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionsBitField, SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const { normalizeCollectionKey, normalizeAddress } = require('./streams');
+const { VALID_EVENTS, EVENT_TYPES, ALERT_RULE_TYPES, LIMIT_TYPES, EMBED_STYLES, SINK_TYPES, BRANDING } = require('./constants');
+const { parseAlertRule, describeAlertRule, parseWindow, formatWindow } = require('./alerts');
+const { checkLimitCount, parseLimit, describeLimit, mergeLimits } = require('./limits');
+const { EXPORT_FORMATS } = require('./history');
+const { parseTime, formatTime, isValidTimeZone } = require('./quiet');
+const { parseBrandingField, parseTemplate, createSampleEvent, BRANDING_FIELDS } = require('./customization');
+const { createEmbed, createSubscriptionEmbed, createSubscriptionConfirmEmbed, createSubscriptionConfirmRow, createEventFilterRow, createCollectionSelectRow, formatAddress } = require('./render');
+const { createLogger } = require('./logger');
+
+const log = createLogger('commands');
+
+const CONFIRMATION_TTL = 15 * 60 * 1000; // as long as Discord lets the buttons of a reply be used
+
+// Command reference shown in the help embeds
+const COMMAND_HELP = [
+    { name: '/subscribe <collection> [event]', value: 'Subscribe to a collection with an optional event filter' },
+    { name: '/unsubscribe <collection>', value: 'Unsubscribe from a collection' },
+    { name: '/subscriptions', value: 'View your current subscriptions' },
+    { name: '/events [collection]', value: 'View available event types and edit the event filters of a collection' },
+    { name: '/alert add <collection> <rule> <value> [event]', value: 'Only get notified when an event matches a rule (price_below, price_above, rank_below, trait), or get an alert when the floor moves (floor_change)' },
+    { name: '/alert list [collection] • /alert remove <collection> <number>', value: 'View or remove your alert rules' },
+    { name: '/watch add <address> • /watch remove <address> • /watch list', value: 'Get notified when a wallet buys, sells, lists, makes an offer or transfers in any collection the bot follows' },
+    { name: '/snooze <duration> • /mute <collection> • /unmute <collection>', value: 'Pause all notifications for a while (e.g. 2h, or off), or mute one collection without unsubscribing' },
+    { name: '/quiet set <start> <end> [timezone] [catchup] • /quiet off • /quiet show', value: 'Hold notifications during the same hours every day, optionally with a summary when they end' },
+    { name: '/history <collection> [event] [limit]', value: 'Browse the latest events of a collection' },
+    { name: '/export [format]', value: 'Download the notifications you received as CSV or JSON' },
+    { name: '/style [style]', value: 'Choose how your notifications look: full, compact (one line) or image only' },
+    { name: '/webhook set <url> • /webhook test • /webhook remove • /webhook show', value: 'Receive your notifications as signed JSON on your own endpoint (if enabled on this bot)' },
+    { name: '/destination <collection> <dm|webhook|both>', value: 'Choose where the notifications of a subscription go' },
+    { name: '/feed add <channel> <collection> [event] • /feed remove • /feed list', value: 'Post a collection\'s events in a server channel (administrators)' },
+    { name: '/branding show • /branding set [name] [footer] [icon] [color] • /branding reset [field]', value: 'Change the name, footer, icon and colour of this server\'s channel feed notifications (administrators)' },
+    { name: '/template show • /template set <event> <text> • /template reset [event] • /template preview <event> [text]', value: 'Write the text of this server\'s channel feed notifications per event type with placeholders like {token}, {price} and {buyer} (administrators)' },
+    { name: '/limits show [user] • /limits set <limit> <value> [role] [user] • /limits reset', value: 'View your limits, or raise them for the server, a role or a member (administrators)' },
+    { name: '/deliveries status • /deliveries resume <user>', value: 'View the delivery queue, paused members and failed deliveries of this server (administrators)' },
+    { name: '/admin stats • /admin user <user> • /admin remove <user> <collection> • /admin resubscribe • /admin reconnect • /admin reload • /admin broadcast <message>', value: 'Operate the bot: global stats, any user\'s subscriptions, stream reconnects, config reloads and announcements (bot owner)' },
+    { name: '/help', value: 'Show this help message' }
+];
+
+// Event type choices for slash command options
+const EVENT_CHOICES = VALID_EVENTS.map(event => ({ name: EVENT_TYPES[event].name, value: event }));
+
+// Embed style choices for slash command options
+const STYLE_CHOICES = Object.entries(EMBED_STYLES).map(([style, { name }]) => ({ name, value: style }));
+
+// Destination choices for slash command options, each maps to the sinks of a subscription
+const DESTINATIONS = {
+    dm: ['dm'],
+    webhook: ['webhook'],
+    both: ['dm', 'webhook']
+};
+const DESTINATION_CHOICES = [
+    { name: 'Discord DM', value: 'dm' },
+    { name: 'Webhook', value: 'webhook' },
+    { name: 'Discord DM and webhook', value: 'both' }
+];
+
+// Branding field choices for slash command options
+const BRANDING_CHOICES = Object.entries(BRANDING_FIELDS).map(([field, { label }]) => ({ name: label, value: field }));
+
+// Limit choices for slash command options
+const LIMIT_CHOICES = Object.entries(LIMIT_TYPES).map(([type, limitType]) => ({ name: limitType.name, value: type }));
+
+// Slash command definitions
+const SLASH_COMMANDS = [
+    new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Subscribe to an NFT collection')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug, e.g. boredapeyachtclub')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('event')
+            .setDescription('Only receive this event type (pick more afterwards)')
+            .addChoices(...EVENT_CHOICES)),
+    new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Unsubscribe from an NFT collection')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug')
+            .setRequired(true)
+            .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('subscriptions')
+        .setDescription('View your current subscriptions'),
+    new SlashCommandBuilder()
+        .setName('events')
+        .setDescription('View available event types and edit the event filters of a collection')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection whose event filters you want to edit')
+            .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('alert')
+        .setDescription('Manage price, rarity and trait alert rules')
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Add an alert rule to a subscription')
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('rule')
+                .setDescription('Rule type')
+                .setRequired(true)
+                .addChoices(...Object.entries(ALERT_RULE_TYPES).map(([value, type]) => ({ name: type.name, value }))))
+            .addStringOption(option => option
+                .setName('value')
+                .setDescription('Amount, rank, trait or floor change (e.g. 0.5, 100, Background=Gold or 10/24h)')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('event')
+                .setDescription('Only apply the rule to this event type')
+                .addChoices(...EVENT_CHOICES)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List your alert rules')
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug')
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove an alert rule')
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addIntegerOption(option => option
+                .setName('number')
+                .setDescription('Rule number from /alert list')
+                .setRequired(true)
+                .setMinValue(1))),
+    new SlashCommandBuilder()
+        .setName('watch')
+        .setDescription('Follow the activity of a wallet')
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Watch a wallet')
+            .addStringOption(option => option
+                .setName('address')
+                .setDescription('Wallet address, e.g. 0x1234...')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Stop watching a wallet')
+            .addStringOption(option => option
+                .setName('address')
+                .setDescription('Wallet address')
+                .setRequired(true)
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the wallets you watch')),
+    new SlashCommandBuilder()
+        .setName('snooze')
+        .setDescription('Pause your notifications for a while')
+        .addStringOption(option => option
+            .setName('duration')
+            .setDescription('e.g. 30m, 2h or 1d (up to 7d), or off to end the snooze')
+            .setRequired(true)),
+    new SlashCommandBuilder()
+        .setName('mute')
+        .setDescription('Mute a collection without unsubscribing')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug')
+            .setRequired(true)
+            .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('unmute')
+        .setDescription('Unmute a collection')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug')
+            .setRequired(true)
+            .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('quiet')
+        .setDescription('Manage your daily quiet hours')
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Hold notifications during the same hours every day')
+            .addStringOption(option => option
+                .setName('start')
+                .setDescription('Start time, e.g. 22:00')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('end')
+                .setDescription('End time, e.g. 07:00')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('timezone')
+                .setDescription('Your time zone, e.g. Europe/Berlin (default UTC)'))
+            .addBooleanOption(option => option
+                .setName('catchup')
+                .setDescription('Get a summary of what was held when the quiet hours end')))
+        .addSubcommand(subcommand => subcommand
+            .setName('off')
+            .setDescription('Remove your quiet hours'))
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show your quiet hours, snooze and muted collections')),
+    new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Browse the latest events of a collection')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('event')
+            .setDescription('Only show this event type')
+            .addChoices(...EVENT_CHOICES))
+        .addIntegerOption(option => option
+            .setName('limit')
+            .setDescription('How many of the latest events to browse (default 10)')
+            .setMinValue(1)
+            .setMaxValue(100)),
+    new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Download the notifications you received')
+        .addStringOption(option => option
+            .setName('format')
+            .setDescription('File format (default CSV)')
+            .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })),
+    new SlashCommandBuilder()
+        .setName('style')
+        .setDescription('Choose how your notifications look')
+        .addStringOption(option => option
+            .setName('style')
+            .setDescription('Notification style (shows your current style if omitted)')
+            .addChoices(...STYLE_CHOICES)),
+    new SlashCommandBuilder()
+        .setName('webhook')
+        .setDescription('Receive your notifications on your own webhook')
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Set your webhook URL, creates a new signing secret')
+            .addStringOption(option => option
+                .setName('url')
+                .setDescription('Endpoint URL, e.g. https://example.com/nft-webhook')
+                .setRequired(true)
+                .setMaxLength(512)))
+        .addSubcommand(subcommand => subcommand
+            .setName('test')
+            .setDescription('Send a sample notification to your webhook'))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove your webhook, its subscriptions get DMs again'))
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show your webhook')),
+    new SlashCommandBuilder()
+        .setName('destination')
+        .setDescription('Choose where the notifications of a subscription go, digests and floor alerts stay in DMs')
+        .addStringOption(option => option
+            .setName('collection')
+            .setDescription('Collection slug')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addStringOption(option => option
+            .setName('destination')
+            .setDescription('Where the notifications go')
+            .setRequired(true)
+            .addChoices(...DESTINATION_CHOICES)),
+    new SlashCommandBuilder()
+        .setName('feed')
+        .setDescription('Manage collection feeds posted in server channels')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Post a collection\'s events in a channel')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to post in')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addStringOption(option => option
+                .setName('event')
+                .setDescription('Only post this event type (all events if omitted)')
+                .addChoices(...EVENT_CHOICES)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Stop posting a collection in a channel')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel of the feed')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug')
+                .setRequired(true)
+                .setAutocomplete(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the channel feeds of this server')),
+    new SlashCommandBuilder()
+        .setName('branding')
+        .setDescription('Manage the branding of this server\'s channel feed notifications')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the branding and templates of this server'))
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Override the default branding')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Bot name shown in the footer')
+                .setMaxLength(BRANDING_FIELDS.name.maxLength))
+            .addStringOption(option => option
+                .setName('footer')
+                .setDescription('Footer text')
+                .setMaxLength(BRANDING_FIELDS.footer.maxLength))
+            .addStringOption(option => option
+                .setName('icon')
+                .setDescription('Footer icon, an https:// image URL')
+                .setMaxLength(BRANDING_FIELDS.icon.maxLength))
+            .addStringOption(option => option
+                .setName('color')
+                .setDescription('Embed colour, e.g. #7289da (replaces the event colours)')
+                .setMaxLength(BRANDING_FIELDS.color.maxLength)))
+        .addSubcommand(subcommand => subcommand
+            .setName('reset')
+            .setDescription('Go back to the default branding')
+            .addStringOption(option => option
+                .setName('field')
+                .setDescription('Field to reset (all if omitted)')
+                .addChoices(...BRANDING_CHOICES))),
+    new SlashCommandBuilder()
+        .setName('template')
+        .setDescription('Manage the text of this server\'s channel feed notifications')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show the templates and placeholders'))
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Set the template of an event type')
+            .addStringOption(option => option
+                .setName('event')
+                .setDescription('Event type')
+                .setRequired(true)
+                .addChoices(...EVENT_CHOICES))
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('e.g. {token} sold for {price} to {buyer}')
+                .setRequired(true)
+                .setMaxLength(1000)))
+        .addSubcommand(subcommand => subcommand
+            .setName('reset')
+            .setDescription('Go back to the default layout')
+            .addStringOption(option => option
+                .setName('event')
+                .setDescription('Event type (all if omitted)')
+                .addChoices(...EVENT_CHOICES)))
+        .addSubcommand(subcommand => subcommand
+            .setName('preview')
+            .setDescription('Preview a template with a sample event')
+            .addStringOption(option => option
+                .setName('event')
+                .setDescription('Event type')
+                .setRequired(true)
+                .addChoices(...EVENT_CHOICES))
+            .addStringOption(option => option
+                .setName('text')
+                .setDescription('Template to preview (the saved one if omitted)')
+                .setMaxLength(1000))),
+    new SlashCommandBuilder()
+        .setName('limits')
+        .setDescription('View or change subscription limits')
+        .addSubcommand(subcommand => subcommand
+            .setName('show')
+            .setDescription('Show your limits, or a member\'s (administrators)')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Member to show the limits of')))
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Raise a limit for the server, a role or a member (administrators)')
+            .addStringOption(option => option
+                .setName('limit')
+                .setDescription('Limit to set')
+                .setRequired(true)
+                .addChoices(...LIMIT_CHOICES))
+            .addStringOption(option => option
+                .setName('value')
+                .setDescription('A number, or comma separated modes for delivery modes (instant, hourly, daily)')
+                .setRequired(true))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Only for members with this role'))
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Only for this member')))
+        .addSubcommand(subcommand => subcommand
+            .setName('reset')
+            .setDescription('Remove limit overrides of the server, a role or a member (administrators)')
+            .addStringOption(option => option
+                .setName('limit')
+                .setDescription('Limit to reset (all if omitted)')
+                .addChoices(...LIMIT_CHOICES))
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('Reset the overrides of this role'))
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Reset the overrides of this member'))),
+    new SlashCommandBuilder()
+        .setName('deliveries')
+        .setDescription('View the delivery status of this server')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .setDMPermission(false)
+        .addSubcommand(subcommand => subcommand
+            .setName('status')
+            .setDescription('Show the delivery queue, paused members and failed deliveries'))
+        .addSubcommand(subcommand => subcommand
+            .setName('resume')
+            .setDescription('Resume deliveries to a paused member')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('Paused member')
+                .setRequired(true))),
+    new SlashCommandBuilder()
+        .setName('admin')
+        .setDescription('Operate the bot (bot owner only)')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .addSubcommand(subcommand => subcommand
+            .setName('stats')
+            .setDescription('Show users, collections, event rates and delivery failures'))
+        .addSubcommand(subcommand => subcommand
+            .setName('user')
+            .setDescription('List a user\'s subscriptions')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('User to list the subscriptions of')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove a user\'s subscription')
+            .addUserOption(option => option
+                .setName('user')
+                .setDescription('User to remove the subscription of')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug, or all')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('resubscribe')
+            .setDescription('Leave and join collection topics again')
+            .addStringOption(option => option
+                .setName('collection')
+                .setDescription('Collection slug (all active collections if omitted)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('reconnect')
+            .setDescription('Reconnect the streams right away')
+            .addStringOption(option => option
+                .setName('source')
+                .setDescription('Stream source, e.g. opensea (all streams if omitted)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('reload')
+            .setDescription('Reload the limits, stream alert and owner settings'))
+        .addSubcommand(subcommand => subcommand
+            .setName('broadcast')
+            .setDescription('DM an announcement to every subscriber')
+            .addStringOption(option => option
+                .setName('message')
+                .setDescription('Announcement text')
+                .setRequired(true)
+                .setMaxLength(4000))),
+    new SlashCommandBuilder()
+        .setName('help')
+        .setDescription('Show the help message'),
+    new SlashCommandBuilder()
+        .setName('setup')
+        .setDescription('Open the NFT Notifier setup panel')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+        .setDMPermission(false)
+];
+
+// Describe quiet hours, e.g. 22:00-07:00 Europe/Berlin with catch-up
+function describeQuietHours(quietHours) {
+    if (!quietHours) return 'Not set';
+    const hours = `${formatTime(quietHours.start)}-${formatTime(quietHours.end)} ${quietHours.timeZone}`;
+    return `${hours}${quietHours.catchUp ? ' with catch-up' : ''}${quietHours.enabled ? '' : ' (off)'}`;
+}
+
+// Describe the sinks of a subscription, e.g. 💬 Discord DM + 🪝 Webhook
+function describeSinks(sinks) {
+    return sinks.map(sink => `${SINK_TYPES[sink].emoji} ${SINK_TYPES[sink].name}`).join(' + ');
+}
+
+// Explain a collection lookup miss (see ./metadata/index.js), with the similar collections the user may have meant
+function describeMissingCollection(collectionSlug, { provider, suggestions }) {
+    const hint = suggestions.length > 0
+        ? `Did you mean ${suggestions.map(suggestion => `\`${suggestion}\``).join(', ')}?`
+        : 'Check the slug in the collection\'s URL, e.g. opensea.io/collection/azuki.';
+    return `❓ ${provider} has no collection named \`${collectionSlug}\`. ${hint}`;
+}
+
+// Split a `<@id>` or `<@&id>` mention into { userId } or { roleId }, empty when it isn't a mention
+function parseMention(mention) {
+    const match = /^<@(&|!)?(\d+)>$/.exec(mention || '');
+    if (!match) return {};
+    return match[1] === '&' ? { roleId: match[2] } : { userId: match[2] };
+}
+
+// Command context for prefix commands
+function createMessageContext(message) {
+    return {
+        userId: message.author.id,
+        member: message.member,
+        guild: message.guild,
+        reply: (payload) => message.reply(payload),
+        send: (payload) => message.channel.send(payload)
+    };
+}
+
+// Command context for slash commands, the reply has already been deferred
+function createInteractionContext(interaction) {
+    return {
+        userId: interaction.user.id,
+        member: interaction.member,
+        guild: interaction.guild,
+        reply: (payload) => interaction.editReply(payload),
+        send: (payload) => interaction.editReply(payload)
+    };
+}
+
+// Command handlers shared by the slash and prefix commands, each takes a command context
+// `ctx = { userId, member, guild, reply, send }` so both kinds of command reply the same way.
+function createCommands(notifier) {
+    const { client, streams, config: { commandPrefix, slashCommandsGuildId } } = notifier;
+    const { userSubscriptions, activeCollections, channelFeeds, getEventFilters, getAlertRules, setAlertRules, getSubscriptionSinks, setSubscriptionSinks, getMutedCollections, setCollectionMuted, getWatchedWallets, addWatchedWallet, removeWatchedWallet, addUserSubscription, removeUserSubscription, isValidCollectionSlug } = notifier.subscriptions;
+    const { addChannelFeed, removeChannelFeed, createChannelFeedsEmbed } = notifier.feeds;
+    const { globalLimits, getLimits, checkLimit, setLimitOverride, checkOverride, clearLimitOverride, createLimitsEmbed } = notifier.limits;
+    const { deadLetters, pausedUsers, resumeUser, getStats } = notifier.queue;
+    const { getQuietSettings, getSnoozedUntil, snooze, endSnooze, setQuietHours, clearQuietHours } = notifier.quiet;
+    const { retention: historyRetention, maxEvents: maxHistoryEvents, getHistory, exportAlerts } = notifier.history;
+    const { getBranding, setBranding, getTemplate, getTemplates, setTemplate, getEmbedStyle, setEmbedStyle, createCustomizationEmbed } = notifier.customization;
+    const webhook = notifier.sinks.get('webhook');
+    const { isOwner, createStatsEmbed, createUserEmbed, reconnectStreams, resubscribe, reloadConfig, broadcast } = notifier.admin;
+    const { lookupCollection } = notifier.metadata;
+    // Subscriptions to unverified collections waiting for the user to confirm them, by `userId:collectionSlug`
+    const pendingSubscriptions = new Map();
+
+    // Register the slash commands, scoped to one guild when `slashCommandsGuildId` is set (instant updates while testing)
+    async function registerSlashCommands() {
+        try {
+            const commands = SLASH_COMMANDS.map(command => command.toJSON());
+            if (slashCommandsGuildId) {
+                await client.application.commands.set(commands, slashCommandsGuildId);
+            } else {
+                await client.application.commands.set(commands);
+            }
+            log.info('Registered slash commands', { count: commands.length, guildId: slashCommandsGuildId });
+        } catch (error) {
+            log.error('Error registering slash commands', { error });
+        }
+    }
+
+    // Get collection slug suggestions for autocomplete, the user's own collections first
+    function getCollectionSuggestions(userId, query, ownOnly = false) {
+        const own = userSubscriptions.get(userId) || [];
+        const candidates = ownOnly ? own : [...new Set([...own, ...activeCollections.keys()])];
+        const search = (query || '').toLowerCase();
+
+        return candidates
+            .filter(slug => slug.includes(search))
+            .slice(0, 25)
+            .map(slug => ({ name: slug, value: slug }));
+    }
+
+    // Get watched wallet suggestions for autocomplete
+    function getWalletSuggestions(userId, query) {
+        const search = (query || '').toLowerCase();
+        return getWatchedWallets(userId)
+            .filter(address => address.includes(search))
+            .slice(0, 25)
+            .map(address => ({ name: address, value: address }));
+    }
+
+    // Create an embed listing a user's alert rules for the given collections
+    function createAlertRulesEmbed(userId, collectionSlugs) {
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Your Alert Rules')
+            .setDescription('Events are only sent when they match every rule that applies to them.')
+            .addFields(
+                collectionSlugs.map(slug => {
+                    const rules = getAlertRules(userId, slug);
+                    return {
+                        name: slug,
+                        value: rules.length > 0
+                            ? rules.map((rule, index) => `${index + 1}. ${describeAlertRule(rule)}`).join('\n')
+                            : 'No alert rules (all events matching your filters)'
+                    };
+                })
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    async function subscribeCommand(ctx, { collectionSlug, events }) {
+        if (!collectionSlug) {
+            return ctx.reply('Please provide a collection slug. Usage: /subscribe <collection> [event]\nAvailable events: ' + VALID_EVENTS.join(', '));
+        }
+
+        if (!isValidCollectionSlug(collectionSlug)) {
+            return ctx.reply(`Invalid collection slug. Collection slugs can only contain lowercase letters, numbers, and hyphens, optionally prefixed with a source (${Array.from(streams.keys()).join(', ')}), e.g. opensea:azuki.`);
+        }
+
+        // Parse event filters
+        const userEvents = new Set();
+        if (events.length > 0) {
+            for (const event of events) {
+                if (VALID_EVENTS.includes(event)) {
+                    userEvents.add(event);
+                } else {
+                    return ctx.reply(`Invalid event type: ${event}. Valid events are: ${VALID_EVENTS.join(', ')}`);
+                }
+            }
+        } else {
+            // If no events specified, subscribe to all events
+            VALID_EVENTS.forEach(event => userEvents.add(event));
+        }
+
+        // A misspelled slug would be followed without ever getting an event
+        const userId = ctx.userId;
+        const lookup = await lookupCollection(collectionSlug);
+        if (lookup.missing) {
+            return ctx.reply(describeMissingCollection(collectionSlug, lookup));
+        }
+
+        if (lookup.collection && !lookup.collection.verified) {
+            const checkError = await checkSubscription(userId, collectionSlug);
+            return ctx.reply(checkError || requestSubscriptionConfirmation(userId, collectionSlug, lookup.collection, userEvents));
+        }
+
+        const { joined, error } = await subscribeUser(userId, collectionSlug, userEvents);
+        if (error) {
+            return ctx.reply(error);
+        }
+        return ctx.reply({
+            embeds: [createSubscriptionEmbed(collectionSlug, { collection: lookup.collection, joined })],
+            components: [createEventFilterRow(collectionSlug, userEvents)]
+        });
+    }
+
+    // Check whether a user can subscribe to one more collection against their resolved limits, null when they can and
+    // the message to reply with when they can't
+    function checkSubscriptionLimit(userId, collectionSlug, limits) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        const limitError = checkLimitCount(limits, 'collections', subscriptions.length);
+        if (limitError) return limitError;
+        if (subscriptions.includes(collectionSlug)) return 'You are already subscribed to this collection.';
+        return null;
+    }
+
+    // Check whether a user can subscribe to one more collection, resolves null when they can and the message to reply
+    // with when they can't
+    async function checkSubscription(userId, collectionSlug) {
+        return checkSubscriptionLimit(userId, collectionSlug, await getLimits(userId));
+    }
+
+    // Subscribe a user to a collection that was looked up, resolves `{ joined }` (see addUserSubscription) or
+    // `{ error }` with the message to reply with
+    async function subscribeUser(userId, collectionSlug, events) {
+        // The limits are resolved first, nothing is awaited between counting the subscriptions and adding one so
+        // subscribes running in parallel can't both take the last free slot
+        const checkError = checkSubscriptionLimit(userId, collectionSlug, await getLimits(userId));
+        if (checkError) return { error: checkError };
+
+        try {
+            log.info('Subscribing user to collection', { userId, collection: collectionSlug, events: Array.from(events) });
+            return { joined: await addUserSubscription(userId, collectionSlug, events) };
+        } catch (error) {
+            log.error('Error subscribing to collection', { userId, collection: collectionSlug, error });
+            return { error: 'Failed to subscribe to collection. Please try again later.' };
+        }
+    }
+
+    // Keep a subscription to an unverified collection until the user confirms it, resolves the reply asking them to
+    function requestSubscriptionConfirmation(userId, collectionSlug, collection, events) {
+        const now = Date.now();
+        for (const [key, pending] of pendingSubscriptions) {
+            if (pending.expiresAt <= now) pendingSubscriptions.delete(key);
+        }
+        pendingSubscriptions.set(`${userId}:${collectionSlug}`, { collection, events, expiresAt: now + CONFIRMATION_TTL });
+        return {
+            embeds: [createSubscriptionConfirmEmbed(collectionSlug, collection)],
+            components: [createSubscriptionConfirmRow(collectionSlug)]
+        };
+    }
+
+    // Take the subscription a user was asked to confirm, `{ collection, events }` or undefined once it was answered or expired
+    function takePendingSubscription(userId, collectionSlug) {
+        const key = `${userId}:${collectionSlug}`;
+        const pending = pendingSubscriptions.get(key);
+        pendingSubscriptions.delete(key);
+        return pending && pending.expiresAt > Date.now() ? pending : undefined;
+    }
+
+    async function unsubscribeCommand(ctx, { collectionSlug }) {
+        if (!collectionSlug) {
+            return ctx.reply('Please provide a collection slug. Usage: /unsubscribe <collection>');
+        }
+
+        if (!isValidCollectionSlug(collectionSlug)) {
+            return ctx.reply(`Invalid collection slug. Collection slugs can only contain lowercase letters, numbers, and hyphens, optionally prefixed with a source (${Array.from(streams.keys()).join(', ')}), e.g. opensea:azuki.`);
+        }
+
+        const userId = ctx.userId;
+        const subscriptions = userSubscriptions.get(userId) || [];
+
+        if (!subscriptions.includes(collectionSlug)) {
+            return ctx.reply('You are not subscribed to this collection.');
+        }
+
+        // Notifications stop right away, the stream topic is left once nobody else follows the collection
+        await removeUserSubscription(userId, collectionSlug);
+
+        const successEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Unsubscription Successful')
+            .setDescription(`You have been unsubscribed from ${collectionSlug}`)
+            .addFields({
+                name: 'Status',
+                value: '🔕 You will no longer receive notifications for this collection'
+            })
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        return ctx.reply({ embeds: [successEmbed] });
+    }
+
+    async function subscriptionsCommand(ctx) {
+        const subscriptions = userSubscriptions.get(ctx.userId) || [];
+
+        if (subscriptions.length === 0) {
+            return ctx.reply('You have no active subscriptions.');
+        }
+
+        const subscriptionsEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Your Subscriptions')
+            .setDescription(subscriptions.map(sub => `• ${sub}`).join('\n'))
+            .setThumbnail(BRANDING.icon)
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // Create action rows for collection management
+        const collectionRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('subs_add')
+                    .setLabel('Add Collection')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId('subs_remove')
+                    .setLabel('Remove Collection')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('subs_clear')
+                    .setLabel('Clear All')
+                    .setStyle(ButtonStyle.Danger)
+            );
+
+        return ctx.reply({ embeds: [subscriptionsEmbed], components: [collectionRow] });
+    }
+
+    async function eventsCommand(ctx, { collectionSlug }) {
+        const userId = ctx.userId;
+        const subscriptions = userSubscriptions.get(userId) || [];
+
+        // Edit the filters of a single collection directly
+        if (collectionSlug) {
+            if (!subscriptions.includes(collectionSlug)) {
+                return ctx.reply('You are not subscribed to this collection.');
+            }
+
+            return ctx.reply({
+                content: `Select the events you want to receive for **${collectionSlug}**:`,
+                components: [createEventFilterRow(collectionSlug, getEventFilters(userId, collectionSlug))]
+            });
+        }
+
+        const eventsEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Available Events')
+            .setDescription('Here are the events you can subscribe to:')
+            .setThumbnail(BRANDING.icon)
+            .addFields(
+                VALID_EVENTS.map(event => ({
+                    name: `${EVENT_TYPES[event].emoji} ${EVENT_TYPES[event].name}`,
+                    value: `\`${event}\``,
+                    inline: true
+                }))
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // Let the user pick which collection's filters to edit
+        const components = subscriptions.length > 0
+            ? [createCollectionSelectRow('events_collection', subscriptions, 'Select a collection to edit its event filters')]
+            : [];
+
+        return ctx.reply({ embeds: [eventsEmbed], components });
+    }
+
+    async function alertCommand(ctx, { subCommand, collectionSlug, ruleType, value, event, position }) {
+        const userId = ctx.userId;
+        const subscriptions = userSubscriptions.get(userId) || [];
+
+        if (subCommand === 'add') {
+            if (!collectionSlug || !ruleType) {
+                return ctx.reply(`Usage: /alert add <collection> <rule> <value> [event]\nAvailable rules: ${Object.values(ALERT_RULE_TYPES).map(type => type.usage).join(', ')}`);
+            }
+
+            if (!subscriptions.includes(collectionSlug)) {
+                return ctx.reply('You are not subscribed to this collection.');
+            }
+
+            const rules = getAlertRules(userId, collectionSlug);
+            const limitError = await checkLimit(userId, 'alert_rules', rules.length);
+            if (limitError) {
+                return ctx.reply(limitError);
+            }
+
+            const { rule, error } = parseAlertRule(ruleType, value, event);
+            if (error) {
+                return ctx.reply(error);
+            }
+
+            setAlertRules(userId, collectionSlug, [...rules, rule]);
+            return ctx.reply(`✅ Added alert rule for ${collectionSlug}: ${describeAlertRule(rule)}`);
+        }
+
+        if (subCommand === 'list') {
+            const slugs = collectionSlug ? [collectionSlug] : subscriptions;
+            if (collectionSlug && !subscriptions.includes(collectionSlug)) {
+                return ctx.reply('You are not subscribed to this collection.');
+            }
+
+            if (slugs.length === 0) {
+                return ctx.reply('You have no active subscriptions.');
+            }
+
+            return ctx.reply({ embeds: [createAlertRulesEmbed(userId, slugs)] });
+        }
+
+        if (subCommand === 'remove') {
+            if (!collectionSlug || !position) {
+                return ctx.reply('Usage: /alert remove <collection> <number> (see /alert list for rule numbers)');
+            }
+
+            const rules = getAlertRules(userId, collectionSlug);
+            if (position < 1 || position > rules.length) {
+                return ctx.reply(`No alert rule #${position} for ${collectionSlug}.`);
+            }
+
+            const [removed] = rules.splice(position - 1, 1);
+            setAlertRules(userId, collectionSlug, rules);
+            return ctx.reply(`✅ Removed alert rule for ${collectionSlug}: ${describeAlertRule(removed)}`);
+        }
+
+        return ctx.reply('Usage: /alert add <collection> <rule> <value> [event] | /alert list [collection] | /alert remove <collection> <number>');
+    }
+
+    async function watchCommand(ctx, { subCommand, address }) {
+        const userId = ctx.userId;
+        const wallets = getWatchedWallets(userId);
+
+        if (subCommand === 'add' || subCommand === 'remove') {
+            if (!address) {
+                return ctx.reply(`Usage: /watch ${subCommand} <address>`);
+            }
+
+            const wallet = normalizeAddress(address);
+            if (!wallet) {
+                return ctx.reply('Invalid wallet address. Addresses start with 0x followed by 40 hexadecimal characters.');
+            }
+
+            if (subCommand === 'remove') {
+                if (!removeWatchedWallet(userId, wallet)) {
+                    return ctx.reply('You are not watching this wallet.');
+                }
+                return ctx.reply(`✅ Stopped watching ${formatAddress(wallet)}.`);
+            }
+
+            if (wallets.includes(wallet)) {
+                return ctx.reply('You are already watching this wallet.');
+            }
+
+            const limitError = await checkLimit(userId, 'watched_wallets', wallets.length);
+            if (limitError) {
+                return ctx.reply(limitError);
+            }
+
+            addWatchedWallet(userId, wallet);
+
+            const watchEmbed = new EmbedBuilder()
+                .setColor(BRANDING.color)
+                .setTitle('Wallet Watch Added')
+                .setDescription(`You are now watching \`${wallet}\``)
+                .addFields(
+                    { name: 'Events', value: 'Sales, listings, offers and transfers where the wallet is the maker or taker' },
+                    { name: 'Collections', value: 'Every collection the bot follows through a user subscription or channel feed' }
+                )
+                .setFooter({
+                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                    iconURL: BRANDING.icon
+                });
+
+            return ctx.reply({ embeds: [watchEmbed] });
+        }
+
+        if (subCommand === 'list') {
+            if (wallets.length === 0) {
+                return ctx.reply('You are not watching any wallets.');
+            }
+
+            const walletsEmbed = new EmbedBuilder()
+                .setColor(BRANDING.color)
+                .setTitle('Your Watched Wallets')
+                .setDescription(wallets.map(wallet => `• \`${wallet}\``).join('\n'))
+                .setFooter({
+                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                    iconURL: BRANDING.icon
+                });
+
+            return ctx.reply({ embeds: [walletsEmbed] });
+        }
+
+        return ctx.reply('Usage: /watch add <address> | /watch remove <address> | /watch list');
+    }
+
+    // Create an embed with a user's do not disturb settings: snooze, quiet hours and muted collections
+    function createQuietEmbed(userId) {
+        const snoozedUntil = getSnoozedUntil(userId);
+        const { quietHours } = getQuietSettings(userId);
+        const muted = getMutedCollections(userId);
+
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Do Not Disturb')
+            .addFields(
+                { name: '😴 Snooze', value: snoozedUntil ? `Until <t:${Math.floor(snoozedUntil / 1000)}:f> (<t:${Math.floor(snoozedUntil / 1000)}:R>)` : 'Off' },
+                { name: '🌙 Quiet Hours', value: describeQuietHours(quietHours) },
+                { name: '🔇 Muted Collections', value: muted.join(', ') || 'None' }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    async function snoozeCommand(ctx, { duration }) {
+        if (!duration) {
+            return ctx.reply('Usage: /snooze <duration> (e.g. 30m, 2h or 1d) | /snooze off');
+        }
+
+        if (duration.toLowerCase() === 'off') {
+            return ctx.reply(endSnooze(ctx.userId) ? '🔔 Snooze ended, notifications are back on.' : 'You are not snoozed.');
+        }
+
+        const ms = parseWindow(duration.toLowerCase());
+        if (!ms) {
+            return ctx.reply(`Invalid duration: ${duration}. Use a number followed by m, h or d, e.g. 30m, 2h or 1d (up to 7d).`);
+        }
+
+        const until = Math.floor(snooze(ctx.userId, ms) / 1000);
+        return ctx.reply(`😴 Notifications snoozed until <t:${until}:f> (<t:${until}:R>). Use /snooze off to end it early.`);
+    }
+
+    async function muteCommand(ctx, { collectionSlug, muted }) {
+        const command = muted ? 'mute' : 'unmute';
+        if (!collectionSlug) {
+            return ctx.reply(`Please provide a collection slug. Usage: /${command} <collection>`);
+        }
+
+        if (!(userSubscriptions.get(ctx.userId) || []).includes(collectionSlug)) {
+            return ctx.reply('You are not subscribed to this collection.');
+        }
+
+        if (!setCollectionMuted(ctx.userId, collectionSlug, muted)) {
+            return ctx.reply(muted ? `${collectionSlug} is already muted.` : `${collectionSlug} is not muted.`);
+        }
+        return ctx.reply(muted
+            ? `🔇 Muted ${collectionSlug}. Your filters and alert rules are kept, use /unmute to get its notifications again.`
+            : `🔔 Unmuted ${collectionSlug}.`);
+    }
+
+    async function quietCommand(ctx, { subCommand, start, end, timeZone = 'UTC', catchUp = false }) {
+        if (subCommand === 'set') {
+            const startMinutes = parseTime(start);
+            const endMinutes = parseTime(end);
+            if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+                return ctx.reply('Usage: /quiet set <start> <end> [timezone] [catchup], with two different times like 22:00 and 07:00');
+            }
+            if (!isValidTimeZone(timeZone)) {
+                return ctx.reply(`Unknown time zone: ${timeZone}. Use a name like Europe/Berlin or America/New_York.`);
+            }
+
+            setQuietHours(ctx.userId, { start: startMinutes, end: endMinutes, timeZone, catchUp });
+            return ctx.reply(`🌙 Quiet hours set: ${describeQuietHours(getQuietSettings(ctx.userId).quietHours)}.`);
+        }
+
+        if (subCommand === 'off') {
+            if (!getQuietSettings(ctx.userId).quietHours) {
+                return ctx.reply('You have no quiet hours.');
+            }
+            await clearQuietHours(ctx.userId);
+            return ctx.reply('🔔 Quiet hours removed.');
+        }
+
+        if (subCommand === 'show') {
+            return ctx.reply({ embeds: [createQuietEmbed(ctx.userId)] });
+        }
+
+        return ctx.reply('Usage: /quiet set <start> <end> [timezone] [catchup] | /quiet off | /quiet show');
+    }
+
+    // Create a page of a collection's history: the event rendered like its notification, with previous and next buttons.
+    // The buttons carry the query as `history_page:<page>:<limit>:<event|all>:<collection>`.
+    function createHistoryPage({ collectionSlug, eventType, limit, page }) {
+        const entries = getHistory(collectionSlug, eventType, limit);
+        if (entries.length === 0) {
+            return { content: `No ${eventType ? `${EVENT_TYPES[eventType].name} ` : ''}events of ${collectionSlug} in the last ${formatWindow(historyRetention)}.`, embeds: [], components: [] };
+        }
+
+        page = Math.min(Math.max(page, 0), entries.length - 1);
+        const { time, event } = entries[page];
+        const { embed, components } = createEmbed(event);
+        embed.setTimestamp(time);
+
+        const query = `${limit}:${eventType || 'all'}:${collectionSlug}`;
+        const navRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`history_page:${page - 1}:${query}`)
+                    .setLabel('Newer')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('◀️')
+                    .setDisabled(page === 0),
+                new ButtonBuilder()
+                    .setCustomId('history_position')
+                    .setLabel(`${page + 1} / ${entries.length}`)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(true),
+                new ButtonBuilder()
+                    .setCustomId(`history_page:${page + 1}:${query}`)
+                    .setLabel('Older')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('▶️')
+                    .setDisabled(page === entries.length - 1)
+            );
+
+        return {
+            content: `📜 History of **${collectionSlug}**${eventType ? ` (${EVENT_TYPES[eventType].name})` : ''}`,
+            embeds: [embed],
+            components: [...components, navRow]
+        };
+    }
+
+    async function historyCommand(ctx, { collectionSlug, eventType, limit }) {
+        if (!collectionSlug) {
+            return ctx.reply('Please provide a collection slug. Usage: /history <collection> [event] [limit]');
+        }
+
+        if (eventType && !VALID_EVENTS.includes(eventType)) {
+            return ctx.reply(`Invalid event type: ${eventType}. Available events: ${VALID_EVENTS.join(', ')}`);
+        }
+
+        limit = limit === undefined ? 10 : Number(limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxHistoryEvents) {
+            return ctx.reply(`Invalid limit. Please provide a number from 1 to ${maxHistoryEvents}.`);
+        }
+
+        return ctx.reply(createHistoryPage({ collectionSlug, eventType, limit, page: 0 }));
+    }
+
+    async function exportCommand(ctx, { format = 'csv' }) {
+        format = format.toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return ctx.reply(`Invalid format: ${format}. Usage: /export [${EXPORT_FORMATS.join('|')}]`);
+        }
+
+        const data = exportAlerts(ctx.userId, format);
+        if (!data) {
+            return ctx.reply(`You have not received any notifications in the last ${formatWindow(historyRetention)}.`);
+        }
+
+        return ctx.reply({
+            content: `📤 The notifications you received in the last ${formatWindow(historyRetention)}`,
+            files: [new AttachmentBuilder(Buffer.from(data), { name: `notifications.${format}` })]
+        });
+    }
+
+    async function styleCommand(ctx, { style }) {
+        const styleList = Object.entries(EMBED_STYLES)
+            .map(([value, { emoji, name, description }]) => `${emoji} **${name}** (${value}): ${description}`)
+            .join('\n');
+
+        if (!style) {
+            const current = EMBED_STYLES[getEmbedStyle(ctx.userId)];
+            return ctx.reply(`Your notifications use the ${current.emoji} **${current.name}** style. Available styles:\n${styleList}`);
+        }
+
+        style = style.toLowerCase();
+        if (!EMBED_STYLES[style]) {
+            return ctx.reply(`Invalid style: ${style}. Available styles:\n${styleList}`);
+        }
+
+        setEmbedStyle(ctx.userId, style);
+        return ctx.reply(`✅ Your notifications now use the ${EMBED_STYLES[style].emoji} **${EMBED_STYLES[style].name}** style.`);
+    }
+
+    async function webhookCommand(ctx, { subCommand, url }) {
+        if (!webhook.enabled) {
+            return ctx.reply('Webhooks are not enabled on this bot.');
+        }
+
+        if (subCommand === 'set') {
+            if (!url) {
+                return ctx.reply('Usage: /webhook set <url>');
+            }
+            const { secret, error } = await webhook.setEndpoint(ctx.userId, url);
+            if (error) {
+                return ctx.reply(error);
+            }
+            return ctx.reply([
+                `✅ Your webhook is set to ${url.trim()}. Link it to a subscription with /destination.`,
+                `🔑 Signing secret: \`${secret}\``,
+                'Every request carries an `X-Webhook-Timestamp` and an `X-Webhook-Signature: sha256=<hex>` header, the HMAC-SHA256 of `<timestamp>.<body>` with this secret. Keep it private, setting the webhook again creates a new one.'
+            ].join('\n'));
+        }
+
+        if (subCommand === 'test') {
+            const { status, error } = await webhook.sendTest(ctx.userId);
+            return ctx.reply(error ? `❌ Test failed: ${error}` : `✅ Sent a sample sale, your endpoint answered ${status}.`);
+        }
+
+        if (subCommand === 'remove') {
+            if (!webhook.removeEndpoint(ctx.userId)) {
+                return ctx.reply('You have not set up a webhook.');
+            }
+            return ctx.reply('✅ Removed your webhook, its subscriptions get DMs again.');
+        }
+
+        const endpoint = webhook.getEndpoint(ctx.userId);
+        if (!endpoint) {
+            return ctx.reply('You have not set up a webhook. Set one with /webhook set <url>.');
+        }
+        const linked = (userSubscriptions.get(ctx.userId) || []).filter(slug => getSubscriptionSinks(ctx.userId, slug).includes('webhook'));
+        return ctx.reply(`🪝 Your webhook: ${endpoint.url} (set <t:${Math.floor(endpoint.createdAt / 1000)}:R>)\nLinked subscriptions: ${linked.join(', ') || 'None, link one with /destination'}`);
+    }
+
+    async function destinationCommand(ctx, { collectionSlug, destination }) {
+        const sinks = DESTINATIONS[(destination || '').toLowerCase()];
+        if (!collectionSlug || !sinks) {
+            return ctx.reply(`Usage: /destination <collection> <${Object.keys(DESTINATIONS).join('|')}>`);
+        }
+        if (!(userSubscriptions.get(ctx.userId) || []).includes(collectionSlug)) {
+            return ctx.reply('You are not subscribed to this collection.');
+        }
+        if (sinks.includes('webhook') && !webhook.isAvailable(ctx.userId)) {
+            return ctx.reply(webhook.enabled ? 'Set up a webhook with /webhook set <url> first.' : 'Webhooks are not enabled on this bot.');
+        }
+
+        setSubscriptionSinks(ctx.userId, collectionSlug, sinks);
+        const dmOnly = sinks.includes('webhook') ? '\nDigests, quiet hours catch-ups and floor alerts are still sent as DMs.' : '';
+        return ctx.reply(`✅ ${collectionSlug} notifications now go to: ${describeSinks(sinks)}${dmOnly}`);
+    }
+
+    async function feedCommand(ctx, { subCommand, channelId, collectionSlug, events }) {
+        if (!ctx.guild) {
+            return ctx.reply('Channel feeds can only be managed from a server.');
+        }
+
+        if (!ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return ctx.reply('You need administrator permissions to use this command.');
+        }
+
+        if (subCommand === 'add') {
+            if (!channelId || !collectionSlug) {
+                return ctx.reply('Usage: /feed add <channel> <collection> [event]');
+            }
+
+            const { channel, joined, error } = await addChannelFeed(ctx.guild, channelId, ctx.userId, collectionSlug, events);
+            if (error) {
+                return ctx.reply(error);
+            }
+
+            const feedEmbed = new EmbedBuilder()
+                .setColor(BRANDING.color)
+                .setTitle('Channel Feed Added')
+                .setDescription(`${channel} will now receive **${collectionSlug}** notifications`)
+                .addFields(
+                    { name: 'Events', value: events.length > 0 ? events.map(e => EVENT_TYPES[e].name).join(', ') : 'All Events' },
+                    { name: 'Status', value: joined ? '✅ Active and receiving notifications' : '⏳ Will start when the stream connection is established' }
+                )
+                .setFooter({
+                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                    iconURL: BRANDING.icon
+                });
+
+            return ctx.reply({ embeds: [feedEmbed] });
+        }
+
+        if (subCommand === 'remove') {
+            if (!channelId || !collectionSlug) {
+                return ctx.reply('Usage: /feed remove <channel> <collection>');
+            }
+
+            if (channelFeeds.get(channelId)?.guildId !== ctx.guild.id || !removeChannelFeed(channelId, collectionSlug)) {
+                return ctx.reply(`<#${channelId}> has no feed for ${collectionSlug}.`);
+            }
+
+            return ctx.reply(`✅ Removed the ${collectionSlug} feed from <#${channelId}>.`);
+        }
+
+        if (subCommand === 'list') {
+            return ctx.reply({ embeds: [createChannelFeedsEmbed(ctx.guild.id)] });
+        }
+
+        return ctx.reply('Usage: /feed add <channel> <collection> [event] | /feed remove <channel> <collection> | /feed list');
+    }
+
+    // Render a sample event of a type in a server's branding, with `template` or the server's template of the type
+    function createPreviewEmbed(guildId, eventType, template = getTemplate(guildId, eventType)) {
+        return createEmbed(createSampleEvent(eventType), { branding: getBranding(guildId), template }).embed;
+    }
+
+    async function brandingCommand(ctx, { subCommand, changes = {}, field }) {
+        if (!ctx.guild) {
+            return ctx.reply('Branding can only be managed from a server.');
+        }
+
+        if (!ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return ctx.reply('You need administrator permissions to use this command.');
+        }
+
+        const branding = getBranding(ctx.guild.id);
+
+        if (subCommand === 'set') {
+            const fields = Object.keys(changes).filter(name => changes[name] !== undefined);
+            if (fields.length === 0) {
+                return ctx.reply('Usage: /branding set [name] [footer] [icon] [color], e.g. /branding set color #e67e22');
+            }
+
+            const updated = { ...branding };
+            for (const name of fields) {
+                const { value, error } = parseBrandingField(name, changes[name]);
+                if (error) {
+                    return ctx.reply(error);
+                }
+                updated[name] = value;
+            }
+
+            setBranding(ctx.guild.id, updated, ctx.userId);
+            return ctx.reply({
+                content: '✅ Branding updated. This is how the channel feed notifications of this server look now:',
+                embeds: [createPreviewEmbed(ctx.guild.id, 'item_sold')]
+            });
+        }
+
+        if (subCommand === 'reset') {
+            if (field && !BRANDING_FIELDS[field]) {
+                return ctx.reply(`Unknown branding field: ${field}. Fields are: ${Object.keys(BRANDING_FIELDS).join(', ')}`);
+            }
+            if (field ? !branding[field] : Object.keys(branding).length === 0) {
+                return ctx.reply('This server already uses the default branding.');
+            }
+
+            const kept = { ...branding };
+            delete kept[field];
+            setBranding(ctx.guild.id, field ? kept : {}, ctx.userId);
+            return ctx.reply(`✅ Reset the ${field ? `${BRANDING_FIELDS[field].label.toLowerCase()} of the ` : ''}branding to the default.`);
+        }
+
+        if (subCommand === 'show') {
+            return ctx.reply({ embeds: [createCustomizationEmbed(ctx.guild.id)] });
+        }
+
+        return ctx.reply('Usage: /branding show | /branding set [name] [footer] [icon] [color] | /branding reset [field]');
+    }
+
+    async function templateCommand(ctx, { subCommand, eventType, template }) {
+        if (!ctx.guild) {
+            return ctx.reply('Templates can only be managed from a server.');
+        }
+
+        if (!ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return ctx.reply('You need administrator permissions to use this command.');
+        }
+
+        if (eventType && !VALID_EVENTS.includes(eventType)) {
+            return ctx.reply(`Invalid event type: ${eventType}. Available events: ${VALID_EVENTS.join(', ')}`);
+        }
+
+        if (subCommand === 'set' || subCommand === 'preview') {
+            if (!eventType || (subCommand === 'set' && !template)) {
+                return ctx.reply(`Usage: /template ${subCommand} <event> ${subCommand === 'set' ? '<text>' : '[text]'}, e.g. /template ${subCommand} item_sold {token} sold for {price} to {buyer}`);
+            }
+
+            const parsed = template ? parseTemplate(template) : { template: getTemplate(ctx.guild.id, eventType) };
+            if (parsed.error) {
+                return ctx.reply(parsed.error);
+            }
+
+            if (subCommand === 'set') {
+                setTemplate(ctx.guild.id, eventType, parsed.template);
+            }
+            return ctx.reply({
+                content: subCommand === 'set'
+                    ? `✅ Template of ${EVENT_TYPES[eventType].name} events saved. Preview:`
+                    : `👀 Preview of ${EVENT_TYPES[eventType].name} events${parsed.template ? '' : ' (default layout)'}:`,
+                embeds: [createPreviewEmbed(ctx.guild.id, eventType, parsed.template)]
+            });
+        }
+
+        if (subCommand === 'reset') {
+            const types = eventType ? [eventType] : Object.keys(getTemplates(ctx.guild.id));
+            if (!types.some(type => getTemplate(ctx.guild.id, type))) {
+                return ctx.reply(eventType ? `${EVENT_TYPES[eventType].name} events already use the default layout.` : 'This server has no templates.');
+            }
+
+            types.forEach(type => setTemplate(ctx.guild.id, type, null));
+            return ctx.reply(`✅ ${eventType ? `${EVENT_TYPES[eventType].name} events use` : 'Every event uses'} the default layout again.`);
+        }
+
+        if (subCommand === 'show') {
+            return ctx.reply({ embeds: [createCustomizationEmbed(ctx.guild.id)] });
+        }
+
+        return ctx.reply('Usage: /template show | /template set <event> <text> | /template reset [event] | /template preview <event> [text]');
+    }
+
+    async function limitsCommand(ctx, { subCommand, limitType, value, roleId, targetUserId }) {
+        const isAdmin = Boolean(ctx.guild && ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator));
+
+        if (subCommand === 'show') {
+            const userId = targetUserId || ctx.userId;
+            if (userId !== ctx.userId && !isAdmin) {
+                return ctx.reply('You need administrator permissions to view the limits of other members.');
+            }
+            return ctx.reply({ embeds: [createLimitsEmbed(ctx.guild?.id, userId, await getLimits(userId))] });
+        }
+
+        if (subCommand === 'set' || subCommand === 'reset') {
+            if (!ctx.guild) {
+                return ctx.reply('Limits can only be managed from a server.');
+            }
+
+            if (!isAdmin) {
+                return ctx.reply('You need administrator permissions to use this command.');
+            }
+
+            if (roleId && targetUserId) {
+                return ctx.reply('Pick either a role or a member, not both.');
+            }
+
+            const target = { guildId: ctx.guild.id, roleId, userId: targetUserId, updatedBy: ctx.userId };
+            const scope = roleId ? `<@&${roleId}>` : (targetUserId ? `<@${targetUserId}>` : 'this server');
+
+            if (subCommand === 'reset') {
+                if (limitType && !LIMIT_TYPES[limitType]) {
+                    return ctx.reply(`Unknown limit: ${limitType}. Available limits: ${Object.keys(LIMIT_TYPES).join(', ')}`);
+                }
+
+                if (limitType) {
+                    setLimitOverride(target, limitType, undefined);
+                } else {
+                    clearLimitOverride(target);
+                }
+                return ctx.reply(`✅ Reset ${limitType ? LIMIT_TYPES[limitType].name : 'the limits'} of ${scope} to the global limits.`);
+            }
+
+            if (!limitType || value === undefined) {
+                return ctx.reply(`Usage: /limits set <limit> <value> [role] [user]\nAvailable limits: ${Object.values(LIMIT_TYPES).map(type => type.usage).join(', ')}`);
+            }
+
+            const { value: limit, error } = parseLimit(limitType, value);
+            if (error) {
+                return ctx.reply(error);
+            }
+
+            // Anyone can add the bot to a server of their own, only the bot owners can go past the operator's maximum
+            const byOwner = await isOwner(ctx.userId);
+            const overrideError = checkOverride(limitType, limit, byOwner);
+            if (overrideError) {
+                return ctx.reply(overrideError);
+            }
+
+            setLimitOverride({ ...target, byOwner }, limitType, limit);
+
+            // Overrides only raise the limits, say so when this one has no effect
+            const raised = mergeLimits(globalLimits, { [limitType]: limit })[limitType];
+            const note = JSON.stringify(raised) === JSON.stringify(globalLimits[limitType])
+                ? ` The global limit (${describeLimit(limitType, globalLimits[limitType])}) already allows this, so it still applies.`
+                : '';
+            return ctx.reply(`✅ ${LIMIT_TYPES[limitType].name} for ${scope}: ${describeLimit(limitType, limit)}.${note}`);
+        }
+
+        return ctx.reply('Usage: /limits show [user] | /limits set <limit> <value> [role] [user] | /limits reset [limit] [role] [user]');
+    }
+
+    // Create an embed with the delivery queue and the paused members and failed deliveries of a server
+    async function createDeliveriesEmbed(guild) {
+        const isMember = async userId => Boolean(await guild.members.fetch(userId).catch(() => null));
+        const stats = getStats();
+
+        const paused = [];
+        for (const [userId, pause] of pausedUsers.entries()) {
+            if (await isMember(userId)) {
+                paused.push(`<@${userId}> since <t:${Math.floor(pause.since / 1000)}:R> (${pause.error})`);
+            }
+        }
+
+        // The latest failures of this server's channel feeds and members
+        const failures = [];
+        const members = new Map(); // userId -> member of this server
+        for (const letter of Array.from(deadLetters.values()).reverse()) {
+            if (failures.length >= 10) break;
+            const [type, id] = letter.target.split(':');
+            if (type === 'channel' && channelFeeds.get(id)?.guildId !== guild.id) continue;
+            if (type === 'user') {
+                if (!members.has(id)) members.set(id, await isMember(id));
+                if (!members.get(id)) continue;
+            }
+            failures.push(`<t:${Math.floor(letter.failedAt / 1000)}:R> ${type === 'user' ? `<@${id}>` : `<#${id}>`} ${letter.label}: ${letter.error}`);
+        }
+
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Delivery Status')
+            .addFields(
+                { name: 'Queue', value: `${stats.pending} waiting • ${stats.active} sending • ${stats.retrying} retrying`, inline: true },
+                { name: 'Since Start', value: `${stats.sent} sent • ${stats.retried} retries • ${stats.failed} failed • ${stats.skipped} skipped`, inline: true },
+                { name: 'Paused Members', value: paused.slice(0, 20).join('\n') || 'None' },
+                { name: 'Recent Failures', value: failures.join('\n').slice(0, 1024) || 'None' }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    async function deliveriesCommand(ctx, { subCommand, targetUserId }) {
+        if (!ctx.guild) {
+            return ctx.reply('Delivery status can only be viewed from a server.');
+        }
+
+        if (!ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return ctx.reply('You need administrator permissions to use this command.');
+        }
+
+        if (subCommand === 'status') {
+            return ctx.reply({ embeds: [await createDeliveriesEmbed(ctx.guild)] });
+        }
+
+        if (subCommand === 'resume') {
+            if (!targetUserId) {
+                return ctx.reply('Usage: /deliveries resume <user>');
+            }
+
+            if (!pausedUsers.has(targetUserId) || !await ctx.guild.members.fetch(targetUserId).catch(() => null)) {
+                return ctx.reply(`<@${targetUserId}> is not paused.`);
+            }
+
+            resumeUser(targetUserId);
+            return ctx.reply(`▶️ Resumed deliveries to <@${targetUserId}>. They are paused again if their DMs keep failing.`);
+        }
+
+        return ctx.reply('Usage: /deliveries status | /deliveries resume <user>');
+    }
+
+    async function adminCommand(ctx, { subCommand, targetUserId, collectionSlug, source, message }) {
+        if (!await isOwner(ctx.userId)) {
+            return ctx.reply('This command is only available to the bot owner.');
+        }
+
+        if (subCommand === 'stats') {
+            return ctx.reply({ embeds: [createStatsEmbed()] });
+        }
+
+        if (subCommand === 'user') {
+            if (!targetUserId) {
+                return ctx.reply('Usage: /admin user <user>');
+            }
+            return ctx.reply({ embeds: [createUserEmbed(targetUserId)] });
+        }
+
+        if (subCommand === 'remove') {
+            if (!targetUserId || !collectionSlug) {
+                return ctx.reply('Usage: /admin remove <user> <collection|all>');
+            }
+
+            const subscriptions = userSubscriptions.get(targetUserId) || [];
+            if (collectionSlug === 'all') {
+                if (subscriptions.length === 0) {
+                    return ctx.reply(`<@${targetUserId}> has no subscriptions.`);
+                }
+                await notifier.subscriptions.clearUserSubscriptions(targetUserId);
+                log.info('Admin removed every subscription of a user', { userId: ctx.userId, targetUserId });
+                return ctx.reply(`✅ Removed ${subscriptions.length} subscriptions of <@${targetUserId}>.`);
+            }
+
+            if (!subscriptions.includes(collectionSlug)) {
+                return ctx.reply(`<@${targetUserId}> is not subscribed to ${collectionSlug}.`);
+            }
+            await removeUserSubscription(targetUserId, collectionSlug);
+            log.info('Admin removed a subscription', { userId: ctx.userId, targetUserId, collection: collectionSlug });
+            return ctx.reply(`✅ Removed the ${collectionSlug} subscription of <@${targetUserId}>.`);
+        }
+
+        if (subCommand === 'resubscribe') {
+            if (collectionSlug && !activeCollections.has(collectionSlug)) {
+                return ctx.reply(`Nobody is subscribed to ${collectionSlug}.`);
+            }
+            const count = await resubscribe(collectionSlug);
+            return ctx.reply(`🔄 Rejoined ${count} collection${count === 1 ? '' : 's'}.`);
+        }
+
+        if (subCommand === 'reconnect') {
+            if (source && !streams.has(source)) {
+                return ctx.reply(`Unknown stream source: ${source}. Sources are: ${Array.from(streams.keys()).join(', ')}`);
+            }
+            const names = reconnectStreams(source);
+            return ctx.reply(`🔄 Reconnecting ${names.join(', ')}.`);
+        }
+
+        if (subCommand === 'reload') {
+            const applied = await reloadConfig();
+            if (!applied) {
+                return ctx.reply('Config reloads are not set up, pass loadConfig to createNotifier.');
+            }
+            return ctx.reply(`🔄 Config reloaded: ${applied.join(', ') || 'nothing to apply'}. Other settings need a restart.`);
+        }
+
+        if (subCommand === 'broadcast') {
+            if (!message) {
+                return ctx.reply('Usage: /admin broadcast <message>');
+            }
+            const recipients = broadcast(message);
+            log.info('Admin sent an announcement', { userId: ctx.userId, recipients });
+            return ctx.reply(`📢 Sending the announcement to ${recipients} user${recipients === 1 ? '' : 's'}.`);
+        }
+
+        return ctx.reply('Usage: /admin stats | /admin user <user> | /admin remove <user> <collection|all> | /admin resubscribe [collection] | /admin reconnect [source] | /admin reload | /admin broadcast <message>');
+    }
+
+    async function helpCommand(ctx) {
+        const helpEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle(`${BRANDING.name} NFT Notifier`)
+            .setDescription('A powerful NFT notification bot by TBD Intern')
+            .setThumbnail(BRANDING.icon)
+            .addFields(
+                { name: 'Available Commands', value: 'Here are all the commands you can use:' },
+                ...COMMAND_HELP
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // Create action rows for buttons
+        const mainRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('help_commands')
+                    .setLabel('Commands')
+                    .setStyle(ButtonStyle.Primary),
+                new ButtonBuilder()
+                    .setCustomId('help_status')
+                    .setLabel('Status')
+                    .setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder()
+                    .setCustomId('help_settings')
+                    .setLabel('Settings')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        return ctx.reply({ embeds: [helpEmbed], components: [mainRow] });
+    }
+
+    async function setupCommand(ctx) {
+        // Check if user has admin permissions
+        if (!ctx.member?.permissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return ctx.reply('You need administrator permissions to use this command.');
+        }
+
+        const setupEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle(`${BRANDING.name} NFT Notifier`)
+            .setDescription('Welcome to the NFT Notifier! Use the buttons below to manage your subscriptions and notifications.')
+            .addFields(
+                { name: '📊 Collection Management', value: 'Add, remove, or view your NFT collections' },
+                { name: '🔔 Event Filters', value: 'Customize which events you want to be notified about and add price, rarity or trait alert rules' },
+                { name: '📣 Channel Feeds', value: 'Post a collection\'s sales and listings in a server channel' },
+                { name: '🎨 Branding & Templates', value: 'Change the look and text of this server\'s channel feed notifications, with a live preview' },
+                { name: '❓ Help & Support', value: 'Get started and find answers to common questions' }
+            )
+            .setThumbnail(BRANDING.icon)
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // Create action rows for buttons
+        const mainRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('setup_collections')
+                    .setLabel('Manage Collections')
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji('📊'),
+                new ButtonBuilder()
+                    .setCustomId('setup_events')
+                    .setLabel('Event Filters')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🔔'),
+                new ButtonBuilder()
+                    .setCustomId('setup_feeds')
+                    .setLabel('Channel Feeds')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('📣'),
+                new ButtonBuilder()
+                    .setCustomId('setup_branding')
+                    .setLabel('Branding')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🎨'),
+                new ButtonBuilder()
+                    .setCustomId('setup_help')
+                    .setLabel('Help')
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('❓')
+            );
+
+        return ctx.send({
+            embeds: [setupEmbed],
+            components: [mainRow]
+        });
+    }
+
+    // Legacy prefix commands, kept during the move to slash commands
+    // Handle a prefix command message, never rejecting: it runs as a client event listener, where a rejection would end
+    // the process
+    async function handleMessage(message) {
+        try {
+            await dispatchMessage(message);
+        } catch (error) {
+            log.error('Error handling prefix command', { userId: message.author?.id, error });
+            await message.reply('❌ Something went wrong, please try again later.').catch(() => {});
+        }
+    }
+
+    async function dispatchMessage(message) {
+        if (message.author.bot) return;
+        if (!message.content.startsWith(commandPrefix)) return;
+
+        const args = message.content.slice(commandPrefix.length).trim().split(/ +/);
+        const command = args.shift().toLowerCase();
+        const ctx = createMessageContext(message);
+
+        // Using the bot again resumes deliveries paused after repeated closed DMs
+        resumeUser(ctx.userId);
+
+        switch (command) {
+            case 'subscribe':
+                return subscribeCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]), events: args.slice(1) });
+            case 'unsubscribe':
+                return unsubscribeCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]) });
+            case 'subscriptions':
+                return subscriptionsCommand(ctx);
+            case 'events':
+                return eventsCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]) });
+            case 'alert':
+                return alertCommand(ctx, {
+                    subCommand: (args[0] || '').toLowerCase(),
+                    collectionSlug: normalizeCollectionKey(args[1]),
+                    ruleType: args[2],
+                    value: args[3],
+                    event: args[4],
+                    position: parseInt(args[2], 10)
+                });
+            case 'watch': {
+                // `!watch <address>` adds a wallet, `!watch` lists them
+                const subCommand = (args[0] || 'list').toLowerCase();
+                return ['add', 'remove', 'list'].includes(subCommand)
+                    ? watchCommand(ctx, { subCommand, address: args[1] })
+                    : watchCommand(ctx, { subCommand: 'add', address: args[0] });
+            }
+            case 'unwatch':
+                return watchCommand(ctx, { subCommand: 'remove', address: args[0] });
+            case 'snooze':
+                return snoozeCommand(ctx, { duration: args[0] });
+            case 'mute':
+            case 'unmute':
+                return muteCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]), muted: command === 'mute' });
+            case 'quiet': {
+                // `!quiet <start> <end> [timezone] [catchup]`, `!quiet off`, `!quiet` shows the settings
+                const subCommand = (args[0] || 'show').toLowerCase();
+                if (subCommand === 'off' || subCommand === 'show') {
+                    return quietCommand(ctx, { subCommand });
+                }
+                const options = args.slice(subCommand === 'set' ? 1 : 0);
+                const catchUp = options[options.length - 1]?.toLowerCase() === 'catchup';
+                return quietCommand(ctx, {
+                    subCommand: 'set',
+                    start: options[0],
+                    end: options[1],
+                    timeZone: (catchUp ? options.slice(2, -1) : options.slice(2))[0],
+                    catchUp
+                });
+            }
+            case 'history': {
+                // `!history <collection> [event] [limit]`, the event can be left out
+                const [eventType, limit] = /^\d+$/.test(args[1] || '') ? [undefined, args[1]] : [args[1], args[2]];
+                return historyCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]), eventType: eventType?.toLowerCase(), limit });
+            }
+            case 'export':
+                return exportCommand(ctx, { format: args[0] });
+            case 'style':
+                return styleCommand(ctx, { style: args[0] });
+            case 'webhook': {
+                // Replies go to DMs so the URL and signing secret don't end up in the channel, and a URL posted in a
+                // server channel is deleted
+                const subCommand = (args[0] || 'show').toLowerCase();
+                if (message.guild && args[1]) {
+                    await message.delete().catch(error => {
+                        log.warn('Could not delete a webhook command message', { userId: ctx.userId, error: error.message });
+                        return message.reply('⚠️ I could not delete your message, delete it yourself as it shows your webhook URL.');
+                    });
+                }
+                // A new endpoint is only kept if its secret reached the user
+                const previous = webhook.getEndpoint(ctx.userId);
+                const dmCtx = {
+                    ...ctx,
+                    reply: async (payload) => {
+                        try {
+                            await message.author.send(payload);
+                        } catch (error) {
+                            log.debug('Could not DM a webhook command reply', { userId: ctx.userId, error: error.message });
+                            if (subCommand === 'set') {
+                                if (previous) {
+                                    webhook.endpoints.set(ctx.userId, previous);
+                                } else {
+                                    webhook.removeEndpoint(ctx.userId);
+                                }
+                            }
+                            return message.reply('❌ I could not DM you, allow DMs from server members and try again. Your webhook was not changed.');
+                        }
+                        if (message.guild) await message.reply('📬 Check your DMs.');
+                    }
+                };
+                return webhookCommand(dmCtx, { subCommand, url: args[1] });
+            }
+            case 'destination':
+                return destinationCommand(ctx, { collectionSlug: normalizeCollectionKey(args[0]), destination: args[1] });
+            case 'feed':
+                return feedCommand(ctx, {
+                    subCommand: (args[0] || '').toLowerCase(),
+                    channelId: (args[1] || '').replace(/^<#(\d+)>$/, '$1'),
+                    collectionSlug: normalizeCollectionKey(args[2]),
+                    events: args.slice(3)
+                });
+            case 'branding': {
+                // `!branding set <field> <value>` sets one field at a time, `!branding reset [field]`, `!branding` shows it
+                const subCommand = (args[0] || 'show').toLowerCase();
+                const field = (args[1] || '').toLowerCase() || undefined;
+                return brandingCommand(ctx, {
+                    subCommand,
+                    changes: subCommand === 'set' && field ? { [field]: args.slice(2).join(' ') } : {},
+                    field
+                });
+            }
+            case 'template':
+                // `!template set <event> <text>`, `!template preview <event> [text]`, `!template reset [event]`, `!template` shows them
+                return templateCommand(ctx, {
+                    subCommand: (args[0] || 'show').toLowerCase(),
+                    eventType: (args[1] || '').toLowerCase() || undefined,
+                    template: args.slice(2).join(' ') || undefined
+                });
+            case 'limits': {
+                // `!limits set <limit> <value> [@role|@member]`, `!limits reset [limit] [@role|@member]`, `!limits show [@member]`
+                const subCommand = (args[0] || 'show').toLowerCase();
+                const { roleId, userId } = parseMention(args[args.length - 1]);
+                const options = args.slice(1, roleId || userId ? -1 : undefined);
+                return limitsCommand(ctx, { subCommand, limitType: options[0], value: options[1], roleId, targetUserId: userId });
+            }
+            case 'deliveries':
+                return deliveriesCommand(ctx, {
+                    subCommand: (args[0] || 'status').toLowerCase(),
+                    targetUserId: parseMention(args[1]).userId
+                });
+            case 'admin': {
+                // `!admin user <@user|id>`, `!admin remove <@user|id> <collection|all>`, `!admin broadcast <message>`, ...
+                const subCommand = (args[0] || '').toLowerCase();
+                const targetUserId = parseMention(args[1]).userId || (/^\d+$/.test(args[1] || '') ? args[1] : undefined);
+                return adminCommand(ctx, {
+                    subCommand,
+                    targetUserId,
+                    collectionSlug: subCommand === 'remove' ? normalizeCollectionKey(args[2]) : normalizeCollectionKey(args[1]),
+                    source: args[1]?.toLowerCase(),
+                    // The announcement keeps its line breaks
+                    message: subCommand === 'broadcast' ? message.content.slice(commandPrefix.length).trim().replace(/^\S+\s+\S+\s*/, '') || undefined : undefined
+                });
+            }
+            case 'help':
+                return helpCommand(ctx);
+            case 'setup':
+                return setupCommand(ctx);
+        }
+    }
+
+    return {
+        registerSlashCommands,
+        handleMessage,
+        getCollectionSuggestions,
+        getWalletSuggestions,
+        createAlertRulesEmbed,
+        subscribeCommand,
+        checkSubscription,
+        subscribeUser,
+        requestSubscriptionConfirmation,
+        takePendingSubscription,
+        unsubscribeCommand,
+        subscriptionsCommand,
+        eventsCommand,
+        alertCommand,
+        watchCommand,
+        createQuietEmbed,
+        snoozeCommand,
+        muteCommand,
+        quietCommand,
+        createHistoryPage,
+        historyCommand,
+        exportCommand,
+        styleCommand,
+        webhookCommand,
+        destinationCommand,
+        feedCommand,
+        createPreviewEmbed,
+        brandingCommand,
+        templateCommand,
+        limitsCommand,
+        deliveriesCommand,
+        adminCommand,
+        helpCommand,
+        setupCommand
+    };
+}
+
+module.exports = {
+    createCommands,
+    describeQuietHours,
+    describeSinks,
+    describeMissingCollection,
+    createMessageContext,
+    createInteractionContext,
+    SLASH_COMMANDS,
+    COMMAND_HELP
+};
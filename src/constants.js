@@ -0,0 +1,111 @@
+// Valid event types
+const VALID_EVENTS = [
+    'item_listed',
+    'item_sold',
+    'item_transferred',
+    'item_received_offer',
+    'item_received_bid',
+    'item_metadata_updated',
+    'item_cancelled'
+];
+
+// Event type constants with emojis and colors
+const EVENT_TYPES = {
+    item_listed: { emoji: '🆕', color: '#3498db', name: 'New Listing' },
+    item_sold: { emoji: '💰', color: '#2ecc71', name: 'Item Sold' },
+    item_transferred: { emoji: '🔄', color: '#9b59b6', name: 'Transfer' },
+    item_received_offer: { emoji: '💎', color: '#f1c40f', name: 'New Offer' },
+    item_received_bid: { emoji: '🎯', color: '#e67e22', name: 'New Bid' },
+    item_metadata_updated: { emoji: '📝', color: '#34495e', name: 'Metadata Update' },
+    item_cancelled: { emoji: '❌', color: '#e74c3c', name: 'Listing Cancelled' }
+};
+
+// Alert rule types that can be attached to a subscription
+const ALERT_RULE_TYPES = {
+    price_below: { name: 'Price below', usage: 'price_below <amount>' },
+    price_above: { name: 'Price above', usage: 'price_above <amount>' },
+    rank_below: { name: 'Rarity rank below', usage: 'rank_below <rank>' },
+    trait: { name: 'Has trait', usage: 'trait <type>=<value>' },
+    floor_change: { name: 'Floor moves by', usage: 'floor_change <percent>[/<window>]' }
+};
+
+// Permissions the bot needs in a channel to post a feed
+const FEED_PERMISSIONS = {
+    ViewChannel: 'View Channel',
+    SendMessages: 'Send Messages',
+    EmbedLinks: 'Embed Links'
+};
+
+// Events a watched wallet is matched against, as maker or taker
+const WALLET_EVENTS = ['item_sold', 'item_listed', 'item_received_offer', 'item_received_bid', 'item_transferred'];
+
+// How a subscription's events are delivered, digests are sent at the end of every `interval` (UTC)
+const DELIVERY_MODES = {
+    instant: { name: 'Instant', emoji: '⚡', description: 'A DM for every event' },
+    hourly: { name: 'Hourly Digest', emoji: '🕐', description: 'One summary at the end of every hour', interval: 60 * 60 * 1000 },
+    daily: { name: 'Daily Digest', emoji: '📅', description: 'One summary at the end of every day', interval: 24 * 60 * 60 * 1000 }
+};
+
+// How a user's notifications are laid out, see createEmbed in ./render.js
+const EMBED_STYLES = {
+    full: { name: 'Full', emoji: '🖼️', description: 'Token, prices, accounts, image and buttons' },
+    compact: { name: 'Compact', emoji: '📏', description: 'A single line per event' },
+    image: { name: 'Image Only', emoji: '🎨', description: 'The token image with its name' }
+};
+
+// Notification sinks (see ./sinks), users link `dm` and `webhook` to their subscriptions, `channel` delivers the
+// channel feeds
+const SINK_TYPES = {
+    dm: { name: 'Discord DM', emoji: '💬', description: 'A direct message from the bot' },
+    channel: { name: 'Discord Channel', emoji: '📣', description: 'A message in a channel feed' },
+    webhook: { name: 'Webhook', emoji: '🪝', description: 'Signed JSON to your own endpoint' }
+};
+const SUBSCRIPTION_SINKS = ['dm', 'webhook'];
+
+// Placeholders of the per-server event templates (see ./customization.js)
+const TEMPLATE_PLACEHOLDERS = {
+    collection: 'Collection name',
+    event: 'Event name, e.g. Item Sold',
+    token: 'Token name',
+    token_id: 'Token ID',
+    price: 'Price with its currency',
+    usd: 'Price in USD',
+    floor: 'Collection floor price',
+    seller: 'Seller, offerer or sender',
+    buyer: 'Buyer or recipient',
+    url: 'Token link'
+};
+
+// Per-user limits (see ./limits.js), the defaults apply unless the notifier's `limits` option or a server, role or
+// user override changes them. `unit` names what is counted in the limit reached message.
+const LIMIT_TYPES = {
+    collections: { name: 'Collections', usage: 'collections <number>', unit: 'subscriptions', default: 3 },
+    alert_rules: { name: 'Alert Rules', usage: 'alert_rules <number>', unit: 'alert rules for this collection', default: 5 },
+    watched_wallets: { name: 'Watched Wallets', usage: 'watched_wallets <number>', unit: 'watched wallets', default: 5 },
+    delivery_modes: { name: 'Delivery Modes', usage: 'delivery_modes <mode>[,<mode>...]', default: Object.keys(DELIVERY_MODES) }
+};
+
+// Branding used in every embed footer
+const BRANDING = {
+    name: 'Horus',
+    author: 'TBD Intern',
+    color: '#7289DA', // Discord's brand color
+    footer: 'Powered by TBD',
+    icon: 'https://i.imgur.com/6J2SUrn.png', // Horus logo
+    website: 'https://tbd.website' // Replace with actual website
+};
+
+module.exports = {
+    VALID_EVENTS,
+    EVENT_TYPES,
+    ALERT_RULE_TYPES,
+    FEED_PERMISSIONS,
+    LIMIT_TYPES,
+    WALLET_EVENTS,
+    DELIVERY_MODES,
+    EMBED_STYLES,
+    SINK_TYPES,
+    SUBSCRIPTION_SINKS,
+    TEMPLATE_PLACEHOLDERS,
+    BRANDING
+};
@@ -0,0 +1,224 @@
+const { EmbedBuilder } = require('discord.js');
+const { PersistentMap } = require('./storage');
+const { createEvent } = require('./streams');
+const { VALID_EVENTS, EVENT_TYPES, EMBED_STYLES, TEMPLATE_PLACEHOLDERS, BRANDING } = require('./constants');
+
+const MAX_TEMPLATE_LENGTH = 1000;
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+
+// Branding fields a server can override, `maxLength` keeps them within Discord's embed limits
+const BRANDING_FIELDS = {
+    name: { label: 'Name', maxLength: 64 },
+    footer: { label: 'Footer', maxLength: 128 },
+    icon: { label: 'Icon URL', maxLength: 512 },
+    color: { label: 'Colour', maxLength: 7 }
+};
+
+// Parse a branding field from user input, returns { value } or { error }
+function parseBrandingField(field, value) {
+    const brandingField = BRANDING_FIELDS[field];
+    if (!brandingField) {
+        return { error: `Unknown branding field: ${field}. Fields are: ${Object.keys(BRANDING_FIELDS).join(', ')}` };
+    }
+
+    value = (value || '').trim();
+    if (!value || value.length > brandingField.maxLength) {
+        return { error: `Invalid ${brandingField.label.toLowerCase()}, it must be 1 to ${brandingField.maxLength} characters long.` };
+    }
+    if (field === 'icon' && !/^https:\/\/\S+$/.test(value)) {
+        return { error: 'Invalid icon URL, it must be an https:// link to an image.' };
+    }
+    if (field === 'color') {
+        if (!/^#?[0-9a-f]{6}$/i.test(value)) {
+            return { error: `Invalid colour: ${value}. Use a hex colour like #7289da.` };
+        }
+        value = `#${value.replace('#', '').toLowerCase()}`;
+    }
+    return { value };
+}
+
+// Check an event template: only known placeholders and no stray braces, returns { template } or { error }
+function parseTemplate(template) {
+    template = (template || '').trim();
+    if (!template || template.length > MAX_TEMPLATE_LENGTH) {
+        return { error: `Invalid template, it must be 1 to ${MAX_TEMPLATE_LENGTH} characters long.` };
+    }
+
+    const unknown = [];
+    const rest = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (!TEMPLATE_PLACEHOLDERS[name]) unknown.push(placeholder);
+        return '';
+    });
+    if (unknown.length > 0) {
+        return { error: `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Available placeholders: ${describePlaceholders()}` };
+    }
+    if (/[{}]/.test(rest)) {
+        return { error: `Invalid template, a { or } doesn't belong to a placeholder. Available placeholders: ${describePlaceholders()}` };
+    }
+    return { template };
+}
+
+function describePlaceholders() {
+    return Object.keys(TEMPLATE_PLACEHOLDERS).map(name => `{${name}}`).join(', ');
+}
+
+// A made-up event of a type, for template previews
+function createSampleEvent(type) {
+    return createEvent({
+        source: 'opensea',
+        type,
+        collection: { slug: 'azuki', name: 'Azuki', url: 'https://opensea.io/collection/azuki', verified: true, floorPrice: 8.2, chain: 'ethereum' },
+        item: {
+            name: 'Azuki #1234',
+            tokenId: '1234',
+            contract: '0xed5af388653567af2f388e6224dc7c4b3241c544',
+            imageUrl: 'https://i.seadn.io/gcs/files/azuki-1234.png',
+            url: 'https://opensea.io/assets/ethereum/0xed5af388653567af2f388e6224dc7c4b3241c544/1234'
+        },
+        price: type === 'item_transferred' ? null : { amount: '8500000000000000000', symbol: type === 'item_listed' ? 'ETH' : 'WETH', usdPrice: 2530.12 },
+        maker: { address: '0x8a9d3c6e3a5b7c1f2e4d6b8a0c2e4f6a8b0d2c4e', url: 'https://opensea.io/0x8a9d3c6e3a5b7c1f2e4d6b8a0c2e4f6a8b0d2c4e' },
+        taker: { address: '0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d', url: 'https://opensea.io/0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d' },
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Notification customization: server administrators can override the branding (name, footer, icon, colour) of their
+// channel feed notifications and replace their text with a template per event type, users pick the layout of their
+// own notifications (see EMBED_STYLES).
+function createCustomization(notifier) {
+    const { store } = notifier;
+    const guildBranding = new PersistentMap(store, 'guildBranding', {
+        deserialize: deserializeBranding
+    }); // guildId -> { name, footer, icon, color, updatedBy }, only the overridden fields
+    const eventTemplates = new PersistentMap(store, 'eventTemplates', {
+        deserialize: deserializeTemplates
+    }); // guildId -> { eventType: template }
+    const embedStyles = new PersistentMap(store, 'embedStyles', {
+        deserialize: style => (EMBED_STYLES[style] && style !== 'full' ? style : null)
+    }); // userId -> style, full when not set
+
+    function deserializeBranding(branding) {
+        if (!branding || typeof branding !== 'object') return null;
+        const overrides = {};
+        for (const field of Object.keys(BRANDING_FIELDS)) {
+            if (branding[field] !== undefined && !parseBrandingField(field, branding[field]).error) {
+                overrides[field] = parseBrandingField(field, branding[field]).value;
+            }
+        }
+        return Object.keys(overrides).length > 0 ? { ...overrides, updatedBy: branding.updatedBy || null } : null;
+    }
+
+    function deserializeTemplates(templates) {
+        if (!templates || typeof templates !== 'object') return null;
+        const valid = Object.entries(templates).filter(([type, template]) => VALID_EVENTS.includes(type) && !parseTemplate(template).error);
+        return valid.length > 0 ? Object.fromEntries(valid) : null;
+    }
+
+    async function load() {
+        await guildBranding.load();
+        await eventTemplates.load();
+        await embedStyles.load();
+    }
+
+    // The branding overrides of a server ({ name, footer, icon, color }, only the overridden fields)
+    function getBranding(guildId) {
+        const { updatedBy, ...overrides } = guildBranding.get(guildId) || {};
+        return overrides;
+    }
+
+    // Replace the branding overrides of a server, an empty `overrides` resets it to the default branding
+    function setBranding(guildId, overrides, updatedBy) {
+        if (Object.keys(overrides).length === 0) {
+            guildBranding.delete(guildId);
+        } else {
+            guildBranding.set(guildId, { ...overrides, updatedBy });
+        }
+    }
+
+    // Get a server's template of an event type, null when it uses the default layout
+    function getTemplate(guildId, eventType) {
+        return eventTemplates.get(guildId)?.[eventType] || null;
+    }
+
+    function getTemplates(guildId) {
+        return eventTemplates.get(guildId) || {};
+    }
+
+    // Set a server's template of an event type, null removes it
+    function setTemplate(guildId, eventType, template) {
+        const templates = { ...getTemplates(guildId) };
+        if (template) {
+            templates[eventType] = template;
+        } else {
+            delete templates[eventType];
+        }
+
+        if (Object.keys(templates).length === 0) {
+            eventTemplates.delete(guildId);
+        } else {
+            eventTemplates.set(guildId, templates);
+        }
+    }
+
+    function getEmbedStyle(userId) {
+        return embedStyles.get(userId) || 'full';
+    }
+
+    function setEmbedStyle(userId, style) {
+        if (style === 'full') {
+            embedStyles.delete(userId);
+        } else {
+            embedStyles.set(userId, style);
+        }
+    }
+
+    // Create an embed with a server's branding and templates, itself in the server's branding
+    function createCustomizationEmbed(guildId) {
+        const branding = getBranding(guildId);
+        const templates = getTemplates(guildId);
+        const brandingSummary = Object.entries(BRANDING_FIELDS)
+            .map(([field, { label }]) => `**${label}:** ${branding[field] || `${BRANDING[field]} (default)`}`)
+            .join('\n');
+        const templateSummary = VALID_EVENTS
+            .filter(type => templates[type])
+            .map(type => `${EVENT_TYPES[type].emoji} **${EVENT_TYPES[type].name}:** ${templates[type]}`)
+            .join('\n');
+
+        return new EmbedBuilder()
+            .setColor(branding.color || BRANDING.color)
+            .setTitle('Branding & Templates')
+            .setDescription('The branding and templates apply to the channel feed notifications of this server.')
+            .addFields(
+                { name: 'Branding', value: brandingSummary },
+                { name: 'Templates', value: templateSummary.slice(0, 1024) || 'None, every event uses the default layout' },
+                { name: 'Placeholders', value: Object.entries(TEMPLATE_PLACEHOLDERS).map(([name, description]) => `\`{${name}}\` ${description}`).join('\n') }
+            )
+            .setFooter({
+                text: `${branding.footer || BRANDING.footer} • ${branding.name || BRANDING.name}`,
+                iconURL: branding.icon || BRANDING.icon
+            });
+    }
+
+    return {
+        guildBranding,
+        eventTemplates,
+        embedStyles,
+        load,
+        getBranding,
+        setBranding,
+        getTemplate,
+        getTemplates,
+        setTemplate,
+        getEmbedStyle,
+        setEmbedStyle,
+        createCustomizationEmbed
+    };
+}
+
+module.exports = {
+    createCustomization,
+    parseBrandingField,
+    parseTemplate,
+    createSampleEvent,
+    BRANDING_FIELDS
+};
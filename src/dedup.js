@@ -0,0 +1,74 @@
+const { PersistentMap } = require('./storage');
+
+const DEDUP_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_SEEN_EVENTS = 5000;
+const SAVE_INTERVAL = 60 * 1000; // 1 minute, every event changes the cache
+
+// The identity of an event: type, chain, contract, token id and order or transaction hash.
+// Null for events without either hash, those can't be told apart from a legitimately repeated event.
+function getEventKey(event) {
+    const hash = event.orderHash || event.transactionHash;
+    if (!hash) return null;
+    const { chain, contract, tokenId } = event.item || {};
+    return [event.type, chain || '', contract || event.collection.key, tokenId || '', hash.toLowerCase()].join(':');
+}
+
+// Event de-duplication: a stream that reconnects and rejoins its topics can send an event again. Every event key
+// seen within `window` is remembered (at most `maxEntries`, oldest dropped first) and kept in the store, so
+// duplicates are also caught across a restart. The store is written every `saveInterval` and by `save()` when the bot
+// stops.
+function createDedupCache(notifier, { window = DEDUP_WINDOW, maxEntries = MAX_SEEN_EVENTS, saveInterval = SAVE_INTERVAL } = {}) {
+    const seenEvents = new PersistentMap(notifier.store, 'seenEvents', { saveInterval }); // event key -> time first seen, oldest first
+    let suppressed = 0;
+
+    async function load() {
+        await seenEvents.load();
+
+        // Keep the newest entries still within the window, re-inserted oldest first: stores don't keep the insertion
+        // order (SQLite returns the entries by key)
+        const now = Date.now();
+        const kept = Array.from(seenEvents.entries())
+            .filter(([, time]) => time > now - window)
+            .sort(([, a], [, b]) => a - b)
+            .slice(-maxEntries);
+        seenEvents.clear();
+        kept.forEach(([key, time]) => seenEvents.set(key, time));
+    }
+
+    // Check an event against the cache, remembering it when it is new
+    function isDuplicate(event, now = Date.now()) {
+        const key = getEventKey(event);
+        if (!key) return false;
+
+        const seen = seenEvents.get(key);
+        if (seen !== undefined && seen > now - window) {
+            suppressed++;
+            return true;
+        }
+
+        // Re-inserted, so the map stays ordered by time
+        if (seen !== undefined) seenEvents.delete(key);
+        seenEvents.set(key, now);
+
+        for (const [oldKey, time] of seenEvents.entries()) {
+            if (seenEvents.size <= maxEntries && time > now - window) break;
+            seenEvents.delete(oldKey);
+        }
+        return false;
+    }
+
+    // Duplicates dropped since the start and events currently remembered
+    function getStats() {
+        return { suppressed, tracked: seenEvents.size };
+    }
+
+    return {
+        seenEvents,
+        load,
+        save: () => seenEvents.save(),
+        isDuplicate,
+        getStats
+    };
+}
+
+module.exports = { createDedupCache, getEventKey };
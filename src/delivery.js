@@ -0,0 +1,183 @@
+const { matchesAlertRules } = require('./alerts');
+const { WALLET_EVENTS } = require('./constants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+// Delivery of stream events to the subscribed users (through the sinks of their subscriptions), the users watching one
+// of the event's wallets and channel feeds. Every message goes through the delivery queue (./queue.js).
+function createDelivery(notifier) {
+    const { deliver } = notifier.queue;
+    const { isDuplicate } = notifier.dedup;
+    const { recordEvent, recordAlert } = notifier.history;
+    const { userSubscriptions, channelFeeds, watchedWallets, getEventFilters, getAlertRules, getDeliveryMode, getSubscriptionSinks, isCollectionMuted } = notifier.subscriptions;
+    const { addToDigest } = notifier.digests;
+    const { getHoldReason, holdNotification } = notifier.quiet;
+    const { trackFloor, getFloorChange } = notifier.floors;
+    const { recordFiltered } = notifier.metrics;
+    const { sinks } = notifier;
+
+    // Deliver a normalized stream event to the subscribed users and channel feeds
+    function handleStreamEvent(event) {
+        const collectionKey = event.collection.key;
+
+        log.debug('Received event', {
+            collection: collectionKey,
+            event: event.type,
+            tokenId: event.item?.tokenId,
+            price: event.price?.amount
+        });
+
+        // Streams can send an event again after a reconnect, drop it before anything else sees it
+        if (isDuplicate(event)) {
+            log.debug('Dropped duplicate event', { collection: collectionKey, event: event.type });
+            recordFiltered('duplicate');
+            return;
+        }
+
+        recordEvent(event);
+
+        // Track the floor first so notifications show the latest change
+        trackFloor(event);
+
+        // Users watching the event's maker or taker get it regardless of their collection subscriptions
+        const walletWatchers = findWalletWatchers(event);
+
+        // Find all users subscribed to this collection
+        for (const [userId, subscriptions] of userSubscriptions.entries()) {
+            if (walletWatchers.has(userId)) continue;
+
+            if (subscriptions.includes(collectionKey)) {
+                // Check if event type matches user's filters for this collection
+                if (!getEventFilters(userId, collectionKey).has(event.type)) {
+                    log.debug('Event filtered out', { userId, collection: collectionKey, event: event.type });
+                    recordFiltered('event_filter');
+                    continue;
+                }
+
+                // Check the user's alert rules for this collection
+                if (!matchesAlertRules(getAlertRules(userId, collectionKey), event)) {
+                    log.debug('Event did not match the alert rules', { userId, collection: collectionKey, event: event.type });
+                    recordFiltered('alert_rule');
+                    continue;
+                }
+
+                // Muted collections are dropped, digests included
+                if (isCollectionMuted(userId, collectionKey)) {
+                    log.debug('Event muted', { userId, collection: collectionKey, event: event.type });
+                    recordFiltered('muted');
+                    continue;
+                }
+
+                // Subscriptions in digest mode get one summary per hour or day instead, snoozed users' events are
+                // left out of it
+                const mode = getDeliveryMode(userId, collectionKey);
+                if (mode !== 'instant') {
+                    if (getHoldReason(userId) === 'snoozed') {
+                        log.debug('Holding digest event', { userId, collection: collectionKey, event: event.type, reason: 'snoozed' });
+                        recordFiltered('held');
+                        continue;
+                    }
+                    log.debug('Adding event to digest', { userId, collection: collectionKey, event: event.type, mode });
+                    addToDigest(userId, event, mode);
+                    continue;
+                }
+
+                // Snoozed users and users in their quiet hours get nothing now, quiet hours may catch up later
+                const held = holdNotification(userId, event);
+                if (held) {
+                    log.debug('Holding event', { userId, collection: collectionKey, event: event.type, reason: held });
+                    recordFiltered('held');
+                    continue;
+                }
+
+                log.debug('Sending notification', { userId, collection: collectionKey, event: event.type });
+                sendNotification(userId, event);
+            }
+        }
+
+        // Watched wallet alerts skip the collection filters, rules, mutes and digests, not snoozes and quiet hours
+        for (const [userId, wallet] of walletWatchers.entries()) {
+            const held = holdNotification(userId, event);
+            if (held) {
+                log.debug('Holding watched wallet event', { userId, wallet: wallet.address, event: event.type, reason: held });
+                recordFiltered('held');
+                continue;
+            }
+            log.debug('Sending watched wallet notification', { userId, wallet: wallet.address, event: event.type });
+            sendNotification(userId, event, wallet);
+        }
+
+        // Deliver to channel feeds bound to this collection
+        for (const [channelId, feed] of channelFeeds.entries()) {
+            const feedEvents = feed.collections.get(collectionKey);
+            if (feedEvents && feedEvents.has(event.type)) {
+                log.debug('Sending channel notification', { channelId, collection: collectionKey, event: event.type });
+                sendChannelNotification(channelId, event);
+            }
+        }
+    }
+
+    // Find the users watching the event's maker or taker: userId -> { address, role } of the first watched wallet
+    function findWalletWatchers(event) {
+        const watchers = new Map();
+        if (!WALLET_EVENTS.includes(event.type)) return watchers;
+
+        const accounts = [['maker', event.maker], ['taker', event.taker]]
+            .filter(([, account]) => account?.address)
+            .map(([role, account]) => ({ address: account.address.toLowerCase(), role }));
+        if (accounts.length === 0) return watchers;
+
+        for (const [userId, addresses] of watchedWallets.entries()) {
+            const wallet = accounts.find(account => addresses.includes(account.address));
+            if (wallet) watchers.set(userId, wallet);
+        }
+        return watchers;
+    }
+
+    // Send a notification through one sink, the history records it once the first sink sent it
+    function sendThroughSink(sink, id, notification, onSent) {
+        const { event } = notification;
+        return deliver(sink.getTarget(id), `${event.type} of ${event.collection.key}`, async () => {
+            const sent = await sink.send(id, notification);
+            if (sent === false) return false;
+            onSent();
+            log.info('Sent notification', { sink: sink.type, target: sink.getTarget(id), collection: event.collection.key, event: event.type });
+        });
+    }
+
+    // Send notification to user through the sinks of their subscription, `wallet` ({ address, role }) flags the watched
+    // wallet that triggered it, those go to DMs. Resolves true once sent by any sink, failures are retried and
+    // recorded by the delivery queue.
+    function sendNotification(userId, event, wallet = null) {
+        // Captured now so the notification shows the floor of when the event came in
+        const notification = { event, wallet, floor: getFloorChange(event.collection.key) };
+        const linked = wallet ? ['dm'] : getSubscriptionSinks(userId, event.collection.key);
+        // Sinks that are unknown (e.g. stored by a newer version) or can't deliver (e.g. a removed webhook) fall back to DMs
+        const available = linked
+            .map(type => sinks.get(type))
+            .filter(sink => sink && (sink.isAvailable?.(userId) ?? true));
+        let recorded = false;
+
+        return Promise.all((available.length > 0 ? available : [sinks.get('dm')]).map(sink => sendThroughSink(sink, userId, notification, () => {
+            if (recorded) return;
+            recorded = true;
+            recordAlert(userId, event, wallet?.address);
+        }))).then(results => results.some(Boolean));
+    }
+
+    // Send notification to a channel feed, see ./sinks/discord-channel.js
+    function sendChannelNotification(channelId, event) {
+        const notification = { event, wallet: null, floor: getFloorChange(event.collection.key) };
+        return sendThroughSink(sinks.get('channel'), channelId, notification, () => {});
+    }
+
+    return {
+        handleStreamEvent,
+        findWalletWatchers,
+        sendNotification,
+        sendChannelNotification
+    };
+}
+
+module.exports = { createDelivery };
@@ -0,0 +1,137 @@
+const { DELIVERY_MODES } = require('./constants');
+const { getEventPrice } = require('./alerts');
+const { createDigestEmbed } = require('./render');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+const DIGEST_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const MAX_DIGEST_LISTINGS = 5; // listings under floor kept per digest
+
+// Start a digest for a collection, it is due at the end of the current hour or day (UTC)
+function createDigest(event, mode, now = Date.now()) {
+    const { interval } = DELIVERY_MODES[mode];
+    const { collection } = event;
+    return {
+        mode,
+        collection: {
+            key: collection.key,
+            name: collection.name || null,
+            url: collection.url || null,
+            imageUrl: collection.imageUrl || null,
+            chain: collection.chain || null
+        },
+        startedAt: now,
+        dueAt: Math.floor(now / interval) * interval + interval,
+        counts: {}, // eventType -> number of events
+        sales: 0,
+        volume: {}, // symbol -> total sale price
+        floorStart: null,
+        floorEnd: null,
+        topSale: null,
+        listingsUnderFloor: [] // cheapest first
+    };
+}
+
+// Add an event to a digest: counts, sales volume, floor, top sale and listings under floor
+function recordEvent(digest, event) {
+    digest.counts[event.type] = (digest.counts[event.type] || 0) + 1;
+
+    const floor = event.collection.floorPrice ?? null;
+    if (floor !== null) {
+        if (digest.floorStart === null) digest.floorStart = floor;
+        digest.floorEnd = floor;
+    }
+
+    const price = getEventPrice(event);
+    if (price === null || Number.isNaN(price)) return;
+    const entry = {
+        name: event.item?.name || (event.item?.tokenId ? `#${event.item.tokenId}` : 'Unknown item'),
+        url: event.item?.url || null,
+        price,
+        symbol: event.price.symbol,
+        usd: event.price.usdPrice ? price * event.price.usdPrice : null
+    };
+
+    if (event.type === 'item_sold') {
+        digest.sales++;
+        digest.volume[entry.symbol] = (digest.volume[entry.symbol] || 0) + price;
+        if (!digest.topSale || price > digest.topSale.price) {
+            digest.topSale = entry;
+        }
+    } else if (event.type === 'item_listed' && digest.floorEnd !== null && price < digest.floorEnd) {
+        digest.listingsUnderFloor = [...digest.listingsUnderFloor, entry]
+            .sort((a, b) => a.price - b.price)
+            .slice(0, MAX_DIGEST_LISTINGS);
+    }
+}
+
+// Digest delivery: events of subscriptions in an hourly or daily mode are collected per user and collection
+// and sent as one summary once the digest is due. Digests are kept in the store, so they survive restarts, and
+// written to it once a minute and by `save()` when the bot stops.
+// Due digests of snoozed users and users in their quiet hours wait until those end.
+function createDigests(notifier) {
+    const { client } = notifier;
+    const { digests } = notifier.subscriptions;
+    const { deliver } = notifier.queue;
+    let checkInterval = null;
+
+    // Add an event to the user's digest of its collection
+    function addToDigest(userId, event, mode) {
+        const key = `${userId}:${event.collection.key}`;
+        const digest = digests.get(key) || createDigest(event, mode);
+        recordEvent(digest, event);
+        digests.set(key, digest);
+    }
+
+    // Send and drop a user's digest of a collection, if there is one. Digests are DMs whatever the subscription's
+    // destinations, see /destination.
+    async function sendDigest(userId, collectionKey) {
+        const key = `${userId}:${collectionKey}`;
+        const digest = digests.get(key);
+        if (!digest) return;
+        digests.delete(key);
+
+        await deliver(`user:${userId}`, `${digest.mode} digest of ${collectionKey}`, async () => {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [createDigestEmbed(digest)] });
+            log.info('Sent digest', { userId, collection: collectionKey, mode: digest.mode });
+        });
+    }
+
+    // Send every digest that is due, the delivery queue paces the sends
+    async function sendDueDigests(now = Date.now()) {
+        // Quiet hours are set up after the digests, see ./notifier.js
+        const { getHoldReason } = notifier.quiet;
+        const due = Array.from(digests.entries())
+            .filter(([, digest]) => digest.dueAt <= now)
+            .map(([key]) => {
+                const separator = key.indexOf(':');
+                return [key.slice(0, separator), key.slice(separator + 1)];
+            })
+            .filter(([userId]) => !getHoldReason(userId));
+        await Promise.all(due.map(([userId, collectionKey]) => sendDigest(userId, collectionKey)));
+    }
+
+    // Check for due digests every minute, digests that came due while the bot was down go out right away
+    function start() {
+        sendDueDigests();
+        checkInterval = setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL);
+    }
+
+    function stop() {
+        if (checkInterval) clearInterval(checkInterval);
+        checkInterval = null;
+    }
+
+    return {
+        save: () => digests.save(),
+        addToDigest,
+        sendDigest,
+        sendDueDigests,
+        start,
+        stop
+    };
+}
+
+module.exports = { createDigests, createDigest, recordEvent };
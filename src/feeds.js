@@ -0,0 +1,116 @@
+const { EmbedBuilder, PermissionsBitField } = require('discord.js');
+const { VALID_EVENTS, EVENT_TYPES, FEED_PERMISSIONS, BRANDING } = require('./constants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+// Channel feeds: collections bound to guild text channels by server administrators.
+function createFeeds(notifier) {
+    const { client, streams } = notifier;
+    const { channelFeeds, acquireCollection, releaseCollection, isValidCollectionSlug } = notifier.subscriptions;
+    const feedPermissionWarnings = new Set(); // channelIds whose admin was already told about missing permissions
+
+    // Get the names of the feed permissions the bot is missing in a channel
+    function getMissingFeedPermissions(channel) {
+        const permissions = channel?.permissionsFor?.(client.user);
+        return Object.entries(FEED_PERMISSIONS)
+            .filter(([flag]) => !permissions?.has(PermissionsBitField.Flags[flag]))
+            .map(([, name]) => name);
+    }
+
+    // Tell the admin who set up a feed that the bot can no longer post in its channel (once until it works again)
+    async function reportFeedPermissions(channelId, missing) {
+        const feed = channelFeeds.get(channelId);
+        if (!feed?.addedBy || feedPermissionWarnings.has(channelId)) return;
+        feedPermissionWarnings.add(channelId);
+
+        try {
+            const admin = await client.users.fetch(feed.addedBy);
+            await admin.send(`⚠️ I can't post the NFT feed in <#${channelId}>. Missing permissions: ${missing.join(', ')}. Please update the channel permissions.`);
+        } catch (error) {
+            log.error('Failed to report missing permissions', { channelId, error });
+        }
+    }
+
+    // Bind a collection to a guild text channel, returns { error } or { channel, joined }
+    async function addChannelFeed(guild, channelId, addedBy, collectionSlug, events) {
+        if (!isValidCollectionSlug(collectionSlug)) {
+            return { error: `Invalid collection slug. Collection slugs can only contain lowercase letters, numbers, and hyphens, optionally prefixed with a source (${Array.from(streams.keys()).join(', ')}), e.g. opensea:azuki.` };
+        }
+
+        const invalidEvent = events.find(event => !VALID_EVENTS.includes(event));
+        if (invalidEvent) {
+            return { error: `Invalid event type: ${invalidEvent}. Valid events are: ${VALID_EVENTS.join(', ')}` };
+        }
+
+        const channel = await guild.channels.fetch(channelId).catch(() => null);
+        if (!channel || !channel.isTextBased()) {
+            return { error: 'Please choose a text channel in this server.' };
+        }
+
+        const missing = getMissingFeedPermissions(channel);
+        if (missing.length > 0) {
+            return { error: `I'm missing permissions in ${channel}: ${missing.join(', ')}. Please grant them and try again.` };
+        }
+
+        const feed = channelFeeds.get(channelId) || { guildId: guild.id, collections: new Map() };
+        feed.addedBy = addedBy;
+        feed.collections.set(collectionSlug, new Set(events.length > 0 ? events : VALID_EVENTS));
+        channelFeeds.set(channelId, feed);
+        feedPermissionWarnings.delete(channelId);
+
+        let joined = false;
+        try {
+            joined = await acquireCollection(collectionSlug, `channel:${channelId}`);
+        } catch (error) {
+            log.error('Error joining collection for channel feed', { channelId, collection: collectionSlug, error });
+        }
+
+        return { channel, joined };
+    }
+
+    // Unbind a collection from a channel, returns false if it was not bound
+    function removeChannelFeed(channelId, collectionSlug) {
+        const feed = channelFeeds.get(channelId);
+        if (!feed || !feed.collections.delete(collectionSlug)) return false;
+
+        if (feed.collections.size === 0) {
+            channelFeeds.delete(channelId);
+        } else {
+            channelFeeds.set(channelId, feed);
+        }
+
+        // The topic is left in the background if nobody else follows the collection
+        releaseCollection(collectionSlug, `channel:${channelId}`);
+        return true;
+    }
+
+    // Create an embed listing the channel feeds of a guild
+    function createChannelFeedsEmbed(guildId) {
+        const feeds = Array.from(channelFeeds.entries()).filter(([, feed]) => feed.guildId === guildId);
+
+        return new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Channel Feeds')
+            .setDescription(feeds.length > 0
+                ? feeds.map(([channelId, feed]) => Array.from(feed.collections.entries())
+                    .map(([slug, events]) => `<#${channelId}> • **${slug}** • ${events.size === VALID_EVENTS.length ? 'All Events' : Array.from(events).map(e => EVENT_TYPES[e].name).join(', ')}`)
+                    .join('\n')).join('\n')
+                : 'No channel feeds in this server yet.')
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+    }
+
+    return {
+        feedPermissionWarnings,
+        getMissingFeedPermissions,
+        reportFeedPermissions,
+        addChannelFeed,
+        removeChannelFeed,
+        createChannelFeedsEmbed
+    };
+}
+
+module.exports = { createFeeds };
@@ -0,0 +1,119 @@
+const { PersistentMap } = require('./storage');
+const { getEventPrice, MAX_FLOOR_WINDOW } = require('./alerts');
+const { createFloorAlertEmbed } = require('./render');
+const { getNativeCurrency } = require('./streams');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+const FLOOR_CHANGE_WINDOW = 24 * 60 * 60 * 1000; // change shown next to the floor in notifications
+const MAX_FLOOR_SAMPLES = 500; // per collection
+
+// Floor price tracking: every event's collection stats (or a listing under the known floor) is recorded as a
+// floor sample per collection, keeping 7 days of history in the store. Subscribers with a floor_change alert rule
+// get an alert when the floor moved by more than the rule's percentage within its window; a rule fires at most
+// once per window. Muted collections get no alerts, and snoozed users and users in their quiet hours get them once the
+// floor moves again after that.
+function createFloorTracker(notifier) {
+    const { client, store } = notifier;
+    const { userSubscriptions, getAlertRules, isCollectionMuted } = notifier.subscriptions;
+    const { deliver } = notifier.queue;
+    const { getHoldReason } = notifier.quiet;
+    const floorHistory = new PersistentMap(store, 'floorHistory', {
+        deserialize: samples => (Array.isArray(samples) && samples.length > 0 ? samples : null)
+    }); // collectionKey -> Array<{ time, price }>, oldest first, one sample per change
+    const lastAlerts = new Map(); // `userId:collectionKey:ruleIndex` -> time of the last alert
+
+    async function load() {
+        await floorHistory.load();
+    }
+
+    // The last known floor of a collection, null when unknown
+    function getFloor(collectionKey) {
+        const samples = floorHistory.get(collectionKey);
+        return samples ? samples[samples.length - 1].price : null;
+    }
+
+    // The floor now and at the start of the window (the oldest sample when the history is shorter), null when unknown.
+    // `previous` is null while there is only one sample.
+    function getFloorChange(collectionKey, window = FLOOR_CHANGE_WINDOW, now = Date.now()) {
+        const samples = floorHistory.get(collectionKey);
+        if (!samples) return null;
+        const price = samples[samples.length - 1].price;
+        if (samples.length === 1) return { price, previous: null };
+        const start = samples.filter(sample => sample.time <= now - window).pop() || samples[0];
+        return { price, previous: start.price };
+    }
+
+    // Record the floor of an event's collection, returns true when it changed
+    function recordFloor(event, now = Date.now()) {
+        const collectionKey = event.collection.key;
+        const current = getFloor(collectionKey);
+
+        // Floors are in the chain's native currency, listings count in it or its wrapped token
+        const { symbol } = getNativeCurrency(event.collection.chain);
+        let floor = event.collection.floorPrice ?? null;
+        if (floor === null && event.type === 'item_listed' && current !== null && [symbol, `W${symbol}`].includes(event.price?.symbol)) {
+            const price = getEventPrice(event);
+            if (price !== null && price < current) floor = price;
+        }
+        if (floor === null || floor === current) return false;
+
+        const samples = (floorHistory.get(collectionKey) || [])
+            .filter(sample => sample.time > now - MAX_FLOOR_WINDOW)
+            .slice(-(MAX_FLOOR_SAMPLES - 1));
+        samples.push({ time: now, price: floor });
+        floorHistory.set(collectionKey, samples);
+        return true;
+    }
+
+    // Record an event's floor and alert the subscribers whose floor_change rules it crosses
+    function trackFloor(event, now = Date.now()) {
+        if (!recordFloor(event, now)) return;
+        const collectionKey = event.collection.key;
+
+        for (const [userId, subscriptions] of userSubscriptions.entries()) {
+            if (!subscriptions.includes(collectionKey) || isCollectionMuted(userId, collectionKey)) continue;
+
+            getAlertRules(userId, collectionKey).forEach((rule, index) => {
+                if (rule.type !== 'floor_change') return;
+
+                const alertKey = `${userId}:${collectionKey}:${index}`;
+                if (now - (lastAlerts.get(alertKey) || 0) < rule.window) return;
+
+                const change = getFloorChange(collectionKey, rule.window, now);
+                if (!change?.previous || Math.abs(change.price - change.previous) / change.previous * 100 < rule.value) return;
+
+                // Held alerts don't count for the window, the next move past the rule alerts
+                const held = getHoldReason(userId, now);
+                if (held) {
+                    log.debug('Holding floor alert', { userId, collection: collectionKey, reason: held });
+                    return;
+                }
+
+                lastAlerts.set(alertKey, now);
+                log.info('Floor moved, alerting user', { userId, collection: collectionKey, previous: change.previous, price: change.price });
+                sendFloorAlert(userId, event.collection, change, rule);
+            });
+        }
+    }
+
+    // Floor alerts are DMs, subscription destinations only apply to event notifications
+    function sendFloorAlert(userId, collection, change, rule) {
+        return deliver(`user:${userId}`, `floor alert of ${collection.key}`, async () => {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [createFloorAlertEmbed(collection, change, rule)] });
+        });
+    }
+
+    return {
+        floorHistory,
+        load,
+        getFloor,
+        getFloorChange,
+        recordFloor,
+        trackFloor
+    };
+}
+
+module.exports = { createFloorTracker };
@@ -0,0 +1,121 @@
+const { PersistentMap } = require('./storage');
+const { getEventPrice } = require('./alerts');
+
+const HISTORY_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_HISTORY_EVENTS = 100; // per collection
+const MAX_RECEIVED_ALERTS = 500; // per user
+const SAVE_INTERVAL = 60 * 1000; // 1 minute, the history changes with every event
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_COLUMNS = ['time', 'collection', 'event', 'item', 'tokenId', 'price', 'symbol', 'usd', 'wallet', 'url', 'transactionHash'];
+
+// Keep the entries of a list (oldest first) newer than `since`, at most `max` of them
+function pruneEntries(entries, since, max) {
+    return entries.filter(entry => entry.time > since).slice(-max);
+}
+
+// Quote a CSV field when it holds a separator, quote or line break. Text starting like a formula (=, +, -, @, tab or
+// carriage return) gets a leading ' so spreadsheets don't run it, item names come from the marketplaces.
+function formatCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Notification history: every event the streams deliver is kept in a rolling log per collection, and every
+// notification a user received in a list per user for exports. Both are kept for `retention` and in the store,
+// the log holds at most `maxEvents` events per collection and the alerts at most `maxAlerts` per user. Changes are
+// written to the store every `saveInterval` and by `save()` when the bot stops.
+function createHistory(notifier, { retention = HISTORY_RETENTION, maxEvents = MAX_HISTORY_EVENTS, maxAlerts = MAX_RECEIVED_ALERTS, saveInterval = SAVE_INTERVAL } = {}) {
+    const { store } = notifier;
+    const deserialize = entries => (Array.isArray(entries) && entries.length > 0 ? entries : null);
+    const eventLog = new PersistentMap(store, 'eventLog', { deserialize, saveInterval }); // collectionKey -> Array<{ time, event }>, oldest first
+    const receivedAlerts = new PersistentMap(store, 'receivedAlerts', { deserialize, saveInterval }); // userId -> Array<alert>, oldest first
+
+    async function load() {
+        await eventLog.load();
+        await receivedAlerts.load();
+
+        // Drop what expired while the bot was down
+        const since = Date.now() - retention;
+        for (const [map, max] of [[eventLog, maxEvents], [receivedAlerts, maxAlerts]]) {
+            for (const [key, entries] of Array.from(map.entries())) {
+                const kept = pruneEntries(entries, since, max);
+                if (kept.length === 0) map.delete(key);
+                else if (kept.length !== entries.length) map.set(key, kept);
+            }
+        }
+    }
+
+    // Write the changes not saved yet
+    async function save() {
+        await eventLog.save();
+        await receivedAlerts.save();
+    }
+
+    // Add an event to the log of its collection
+    function recordEvent(event, now = Date.now()) {
+        const collectionKey = event.collection.key;
+        const { raw, ...stored } = event; // the raw message is only kept for logging
+        const entries = pruneEntries(eventLog.get(collectionKey) || [], now - retention, maxEvents - 1);
+        entries.push({ time: now, event: stored });
+        eventLog.set(collectionKey, entries);
+    }
+
+    // Add a notification a user received, `wallet` is the watched wallet address it was sent for
+    function recordAlert(userId, event, wallet = null, now = Date.now()) {
+        const price = getEventPrice(event);
+        const alert = {
+            time: now,
+            collection: event.collection.key,
+            event: event.type,
+            item: event.item?.name || null,
+            tokenId: event.item?.tokenId || null,
+            price: price === null || Number.isNaN(price) ? null : price,
+            symbol: event.price?.symbol || null,
+            usd: price && event.price.usdPrice ? Math.round(price * event.price.usdPrice * 100) / 100 : null,
+            wallet,
+            url: event.item?.url || null,
+            transactionHash: event.transactionHash
+        };
+        const alerts = pruneEntries(receivedAlerts.get(userId) || [], now - retention, maxAlerts - 1);
+        alerts.push(alert);
+        receivedAlerts.set(userId, alerts);
+    }
+
+    // The latest events of a collection within the retention period, newest first, optionally of one event type
+    function getHistory(collectionKey, eventType = null, limit = maxEvents, now = Date.now()) {
+        return (eventLog.get(collectionKey) || [])
+            .filter(entry => entry.time > now - retention && (!eventType || entry.event.type === eventType))
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Export the notifications a user received as `csv` or `json`, null when there are none
+    function exportAlerts(userId, format = 'csv', now = Date.now()) {
+        const alerts = (receivedAlerts.get(userId) || [])
+            .filter(alert => alert.time > now - retention)
+            .map(alert => ({ ...alert, time: new Date(alert.time).toISOString() }));
+        if (alerts.length === 0) return null;
+
+        if (format === 'json') {
+            return JSON.stringify(alerts, null, 2);
+        }
+        const rows = alerts.map(alert => EXPORT_COLUMNS.map(column => formatCsvField(alert[column])).join(','));
+        return [EXPORT_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    return {
+        eventLog,
+        receivedAlerts,
+        retention,
+        maxEvents,
+        load,
+        save,
+        recordEvent,
+        recordAlert,
+        getHistory,
+        exportAlerts
+    };
+}
+
+module.exports = { createHistory, EXPORT_FORMATS };
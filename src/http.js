@@ -0,0 +1,137 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('http');
+
+// Check a request's bearer token against the configured one, in constant time
+function isAuthorized(request, token) {
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!token || !match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Optional HTTP server for operators, bound to localhost by default:
+// - GET /healthz: Discord readiness and stream connectivity, 200 when everything is up and 503 otherwise
+// - GET /metrics: Prometheus metrics, see ./metrics.js
+// - GET /subscriptions: read-only JSON dump of the subscriptions, channel feeds and watched wallets. Needs
+//   `Authorization: Bearer <token>` and is disabled without a `token`.
+function createHttpServer(notifier, { port, host = '127.0.0.1', token = null } = {}) {
+    const { client, streams } = notifier;
+    let server = null;
+
+    function getHealth() {
+        const discordReady = Boolean(client.isReady?.());
+        const streamStates = Array.from(streams.values()).map(stream => ({
+            source: stream.source,
+            name: stream.name,
+            connected: stream.isConnected(),
+            collections: stream.collections.size
+        }));
+        const healthy = discordReady && streamStates.every(stream => stream.connected);
+        return {
+            status: healthy ? 'ok' : 'degraded',
+            discord: { ready: discordReady, ping: discordReady ? client.ws.ping : null },
+            streams: streamStates
+        };
+    }
+
+    function getSubscriptionDump() {
+        const { userSubscriptions, channelFeeds, watchedWallets, getEventFilters, getAlertRules, getDeliveryMode, getSubscriptionSinks, isCollectionMuted } = notifier.subscriptions;
+        return {
+            users: Object.fromEntries(Array.from(userSubscriptions.entries()).map(([userId, slugs]) => [userId, slugs.map(slug => ({
+                collection: slug,
+                events: Array.from(getEventFilters(userId, slug)),
+                alertRules: getAlertRules(userId, slug),
+                deliveryMode: getDeliveryMode(userId, slug),
+                sinks: getSubscriptionSinks(userId, slug),
+                muted: isCollectionMuted(userId, slug)
+            }))])),
+            channelFeeds: Object.fromEntries(Array.from(channelFeeds.entries()).map(([channelId, feed]) => [channelId, {
+                guildId: feed.guildId,
+                addedBy: feed.addedBy,
+                collections: Object.fromEntries(Array.from(feed.collections.entries()).map(([slug, events]) => [slug, Array.from(events)]))
+            }])),
+            watchedWallets: Object.fromEntries(watchedWallets.entries())
+        };
+    }
+
+    function send(response, status, body, contentType = 'application/json') {
+        response.writeHead(status, { 'Content-Type': contentType });
+        response.end(contentType === 'application/json' ? JSON.stringify(body, null, 2) : body);
+    }
+
+    function handleRequest(request, response) {
+        if (request.method !== 'GET') {
+            return send(response, 405, { error: 'Method not allowed' });
+        }
+
+        switch (new URL(request.url, 'http://localhost').pathname) {
+            case '/healthz': {
+                const health = getHealth();
+                return send(response, health.status === 'ok' ? 200 : 503, health);
+            }
+            case '/metrics':
+                return send(response, 200, notifier.metrics.render(), 'text/plain; version=0.0.4');
+            case '/subscriptions':
+                if (!token) {
+                    return send(response, 404, { error: 'Not found' });
+                }
+                if (!isAuthorized(request, token)) {
+                    response.setHeader('WWW-Authenticate', 'Bearer');
+                    return send(response, 401, { error: 'Unauthorized' });
+                }
+                return send(response, 200, getSubscriptionDump());
+            default:
+                return send(response, 404, { error: 'Not found' });
+        }
+    }
+
+    // Resolves once the server listens, rejects when the port can't be bound
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = http.createServer((request, response) => {
+                try {
+                    handleRequest(request, response);
+                } catch (error) {
+                    log.error('Error handling HTTP request', { path: request.url, error });
+                    send(response, 500, { error: 'Internal server error' });
+                }
+            });
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                server.on('error', error => log.error('HTTP server error', { error }));
+                log.info('HTTP server listening', { url: `http://${host}:${server.address().port}` });
+                resolve();
+            });
+        });
+    }
+
+    function stop() {
+        if (!server) return Promise.resolve();
+        const closing = server;
+        server = null;
+        return new Promise(resolve => {
+            closing.close(() => resolve());
+            closing.closeAllConnections();
+        });
+    }
+
+    // The address the server listens on, e.g. to find the port picked for port 0
+    function address() {
+        return server?.address() || null;
+    }
+
+    return {
+        start,
+        stop,
+        address,
+        getHealth,
+        getSubscriptionDump
+    };
+}
+
+module.exports = { createHttpServer };
@@ -0,0 +1,20 @@
+// Programmatic API, for running the notifier inside another bot process (see README)
+const { createNotifier } = require('./notifier');
+const { SLASH_COMMANDS } = require('./commands');
+const { createStore } = require('./storage');
+const { createStreams } = require('./streams');
+const { createEmbed } = require('./render');
+const { createOpenSeaMetadataProvider, createStaticMetadataProvider } = require('./metadata');
+const { createLogger, configureLogger } = require('./logger');
+
+module.exports = {
+    createNotifier,
+    createStore,
+    createStreams,
+    createEmbed,
+    createOpenSeaMetadataProvider,
+    createStaticMetadataProvider,
+    createLogger,
+    configureLogger,
+    SLASH_COMMANDS
+};
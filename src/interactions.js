@@ -0,0 +1,1385 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ChannelSelectMenuBuilder, ChannelType, ModalBuilder, TextInputBuilder, TextInputStyle, PermissionsBitField } = require('discord.js');
+const { normalizeCollectionKey } = require('./streams');
+const { parseBrandingField, parseTemplate, BRANDING_FIELDS } = require('./customization');
+const { createInteractionContext, describeQuietHours, describeSinks, describeMissingCollection, COMMAND_HELP } = require('./commands');
+const { VALID_EVENTS, EVENT_TYPES, ALERT_RULE_TYPES, DELIVERY_MODES, BRANDING } = require('./constants');
+const { parseAlertRule, describeAlertRule } = require('./alerts');
+const { createSubscriptionEmbed, createEventFilterRow, createCollectionSelectRow, createQuickFilterRow, createAlertButtonRow, createDeliveryModeRow, createSinkSelectRow, createMuteSelectRow, createQuietButtonRow } = require('./render');
+const { createLogger } = require('./logger');
+
+const log = createLogger('commands');
+
+// The interaction handler, slash commands are dispatched to the command handlers.
+function createInteractionHandler(notifier) {
+    const { streams } = notifier;
+    const { userSubscriptions, activeCollections, channelFeeds, getEventFilters, setEventFilters, getAlertRules, setAlertRules, getDeliveryMode, setDeliveryMode, getSubscriptionSinks, setSubscriptionSinks, getMutedCollections, setCollectionMuted, removeUserSubscription, clearUserSubscriptions, isValidCollectionSlug } = notifier.subscriptions;
+    const { addChannelFeed, removeChannelFeed, createChannelFeedsEmbed } = notifier.feeds;
+    const { sendDigest } = notifier.digests;
+    const { getLimits, checkLimit, checkDeliveryMode } = notifier.limits;
+    const { getQuietSettings, getSnoozedUntil, snooze, endSnooze, toggleQuietHours, toggleCatchUp } = notifier.quiet;
+    const { resumeUser } = notifier.queue;
+    const { getStats: getDedupStats } = notifier.dedup;
+    const { getBranding, setBranding, getTemplate, setTemplate, createCustomizationEmbed } = notifier.customization;
+    const webhook = notifier.sinks.get('webhook');
+    const { lookupCollection } = notifier.metadata;
+    const { getCollectionSuggestions, getWalletSuggestions, createAlertRulesEmbed, subscribeCommand, checkSubscription, subscribeUser, requestSubscriptionConfirmation, takePendingSubscription, unsubscribeCommand, subscriptionsCommand, eventsCommand, alertCommand, watchCommand, snoozeCommand, muteCommand, quietCommand, createHistoryPage, historyCommand, exportCommand, styleCommand, webhookCommand, destinationCommand, feedCommand, createPreviewEmbed, brandingCommand, templateCommand, limitsCommand, deliveriesCommand, adminCommand, helpCommand, setupCommand } = notifier.commands;
+
+    // Create the settings panel of a user: event filters, delivery modes and do not disturb settings, with a collection
+    // menu that shows the delivery mode menu of `selectedSlug` once one is picked, a menu to mute collections, the
+    // snooze and quiet hours buttons and, when webhooks are enabled, a button to the destinations panel
+    function createSettingsPanel(userId, selectedSlug = null) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        const filterSummary = subscriptions
+            .map(slug => {
+                const filters = getEventFilters(userId, slug);
+                const names = filters.size === VALID_EVENTS.length
+                    ? 'All Events'
+                    : Array.from(filters).map(e => EVENT_TYPES[e].name).join(', ');
+                return `**${slug}**: ${names}`;
+            })
+            .join('\n');
+        const deliverySummary = subscriptions
+            .map(slug => {
+                const mode = DELIVERY_MODES[getDeliveryMode(userId, slug)];
+                const sinks = webhook.enabled ? ` • ${describeSinks(getSubscriptionSinks(userId, slug))}` : '';
+                return `**${slug}**: ${mode.emoji} ${mode.name}${sinks}`;
+            })
+            .join('\n');
+        const snoozedUntil = getSnoozedUntil(userId);
+        const { quietHours } = getQuietSettings(userId);
+        const muted = getMutedCollections(userId);
+        const quietSummary = [
+            `😴 Snooze: ${snoozedUntil ? `until <t:${Math.floor(snoozedUntil / 1000)}:R>` : 'Off'}`,
+            `🌙 Quiet Hours: ${describeQuietHours(quietHours)}`,
+            `🔇 Muted: ${muted.join(', ') || 'None'}`
+        ].join('\n');
+
+        const settingsEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Your Settings')
+            .addFields(
+                { name: 'Event Filters', value: filterSummary || 'No subscriptions' },
+                { name: 'Delivery', value: deliverySummary || 'No subscriptions' },
+                { name: 'Do Not Disturb', value: quietSummary },
+                { name: 'Subscriptions', value: subscriptions.length.toString() }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // A message holds at most 5 action rows, so delivery modes are changed one collection at a time
+        const components = [];
+        if (subscriptions.length > 0) {
+            components.push(createCollectionSelectRow('delivery_collection', subscriptions.slice(0, 25), 'Select a collection to change its delivery'));
+            if (subscriptions.includes(selectedSlug)) {
+                components.push(createDeliveryModeRow(selectedSlug, getDeliveryMode(userId, selectedSlug)));
+            }
+            components.push(createMuteSelectRow(subscriptions.slice(0, 25), muted));
+        }
+        const buttonRow = createQuietButtonRow({ snoozed: Boolean(snoozedUntil), quietHours });
+        if (webhook.enabled) {
+            buttonRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId('sinks_panel')
+                    .setLabel('Destinations')
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji('🪝')
+            );
+        }
+        components.push(buttonRow);
+        return { embeds: [settingsEmbed], components };
+    }
+
+    // Create the destinations panel of a user: their webhook and the sinks of each subscription, with a sink menu per
+    // subscription once a webhook is set and buttons to set, test or remove the webhook
+    function createSinksPanel(userId) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        const endpoint = webhook.getEndpoint(userId);
+        const sinkSummary = subscriptions
+            .map(slug => `**${slug}**: ${describeSinks(getSubscriptionSinks(userId, slug))}`)
+            .join('\n');
+
+        const sinksEmbed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Notification Destinations')
+            .setDescription('Choose where the notifications of each subscription go. Your webhook receives them as signed JSON, see `/webhook`. Digests, catch-ups, floor and wallet alerts are sent as DMs.')
+            .addFields(
+                { name: '🪝 Webhook', value: endpoint ? `${endpoint.url}\nSet <t:${Math.floor(endpoint.createdAt / 1000)}:R>` : 'Not set' },
+                { name: 'Subscriptions', value: sinkSummary.slice(0, 1024) || 'No subscriptions' }
+            )
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        // A message holds at most 5 action rows, one is taken by the buttons
+        const components = endpoint
+            ? subscriptions.slice(0, 4).map(slug => createSinkSelectRow(slug, getSubscriptionSinks(userId, slug)))
+            : [];
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('sinks_webhook')
+                .setLabel(endpoint ? 'Change Webhook' : 'Set Webhook')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🪝'),
+            new ButtonBuilder()
+                .setCustomId('sinks_test')
+                .setLabel('Send Test')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🧪')
+                .setDisabled(!endpoint),
+            new ButtonBuilder()
+                .setCustomId('sinks_remove')
+                .setLabel('Remove Webhook')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🗑️')
+                .setDisabled(!endpoint),
+            new ButtonBuilder()
+                .setCustomId('sinks_back')
+                .setLabel('Back')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('⬅️')
+        ));
+        return { embeds: [sinksEmbed], components };
+    }
+
+    // Create the branding panel of a server: its branding and templates, with buttons to edit or reset the branding and
+    // a menu to edit the template of an event type
+    function createBrandingPanel(guildId) {
+        const templates = VALID_EVENTS.map(type => ({
+            label: EVENT_TYPES[type].name,
+            description: getTemplate(guildId, type) ? 'Custom template' : 'Default layout',
+            value: type,
+            emoji: EVENT_TYPES[type].emoji
+        }));
+
+        return {
+            embeds: [createCustomizationEmbed(guildId)],
+            components: [
+                new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('branding_edit')
+                        .setLabel('Edit Branding')
+                        .setStyle(ButtonStyle.Primary)
+                        .setEmoji('🎨'),
+                    new ButtonBuilder()
+                        .setCustomId('branding_reset')
+                        .setLabel('Reset Branding')
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('🔄')
+                ),
+                new ActionRowBuilder().addComponents(
+                    new StringSelectMenuBuilder()
+                        .setCustomId('template_edit')
+                        .setPlaceholder('Select an event type to edit its template')
+                        .addOptions(templates)
+                )
+            ]
+        };
+    }
+
+    // Branding and templates are managed by server administrators
+    async function checkBrandingPermissions(interaction) {
+        if (interaction.inGuild() && interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+            return true;
+        }
+        await interaction.reply({
+            content: 'You need administrator permissions to manage the branding.',
+            ephemeral: true
+        });
+        return false;
+    }
+
+    // Handle an interaction: autocomplete, slash commands, buttons, select menus and modals
+    async function dispatchInteraction(interaction) {
+        // Using the bot again resumes deliveries paused after repeated closed DMs
+        resumeUser(interaction.user.id);
+
+        if (interaction.isAutocomplete()) {
+            const focused = interaction.options.getFocused(true);
+            if (focused.name === 'collection') {
+                // Only the user's own collections make sense outside of /subscribe, /feed and /history
+                const ownOnly = !['subscribe', 'feed', 'history'].includes(interaction.commandName);
+                await interaction.respond(getCollectionSuggestions(interaction.user.id, focused.value, ownOnly));
+            } else if (focused.name === 'address') {
+                await interaction.respond(getWalletSuggestions(interaction.user.id, focused.value));
+            }
+            return;
+        }
+
+        if (interaction.isChatInputCommand()) {
+            // The setup panel is posted publicly, everything else is only shown to the user
+            await interaction.deferReply({ ephemeral: interaction.commandName !== 'setup' });
+            const ctx = createInteractionContext(interaction);
+            const collectionSlug = normalizeCollectionKey(interaction.options.getString('collection') || undefined);
+
+            switch (interaction.commandName) {
+                case 'subscribe': {
+                    const event = interaction.options.getString('event');
+                    return subscribeCommand(ctx, { collectionSlug, events: event ? [event] : [] });
+                }
+                case 'unsubscribe':
+                    return unsubscribeCommand(ctx, { collectionSlug });
+                case 'subscriptions':
+                    return subscriptionsCommand(ctx);
+                case 'events':
+                    return eventsCommand(ctx, { collectionSlug });
+                case 'alert':
+                    return alertCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        collectionSlug,
+                        ruleType: interaction.options.getString('rule') || undefined,
+                        value: interaction.options.getString('value') || undefined,
+                        event: interaction.options.getString('event') || undefined,
+                        position: interaction.options.getInteger('number') || undefined
+                    });
+                case 'watch':
+                    return watchCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        address: interaction.options.getString('address') || undefined
+                    });
+                case 'snooze':
+                    return snoozeCommand(ctx, { duration: interaction.options.getString('duration') || undefined });
+                case 'mute':
+                case 'unmute':
+                    return muteCommand(ctx, { collectionSlug, muted: interaction.commandName === 'mute' });
+                case 'quiet':
+                    return quietCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        start: interaction.options.getString('start') || undefined,
+                        end: interaction.options.getString('end') || undefined,
+                        timeZone: interaction.options.getString('timezone') || undefined,
+                        catchUp: interaction.options.getBoolean('catchup') ?? undefined
+                    });
+                case 'history':
+                    return historyCommand(ctx, {
+                        collectionSlug,
+                        eventType: interaction.options.getString('event') || undefined,
+                        limit: interaction.options.getInteger('limit') ?? undefined
+                    });
+                case 'export':
+                    return exportCommand(ctx, { format: interaction.options.getString('format') || undefined });
+                case 'style':
+                    return styleCommand(ctx, { style: interaction.options.getString('style') || undefined });
+                case 'webhook':
+                    return webhookCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        url: interaction.options.getString('url') || undefined
+                    });
+                case 'destination':
+                    return destinationCommand(ctx, { collectionSlug, destination: interaction.options.getString('destination') });
+                case 'feed': {
+                    const event = interaction.options.getString('event');
+                    return feedCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        channelId: interaction.options.getChannel('channel')?.id,
+                        collectionSlug,
+                        events: event ? [event] : []
+                    });
+                }
+                case 'branding':
+                    return brandingCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        changes: Object.fromEntries(Object.keys(BRANDING_FIELDS).map(field => [field, interaction.options.getString(field) ?? undefined])),
+                        field: interaction.options.getString('field') || undefined
+                    });
+                case 'template':
+                    return templateCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        eventType: interaction.options.getString('event') || undefined,
+                        template: interaction.options.getString('text') || undefined
+                    });
+                case 'limits':
+                    return limitsCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        limitType: interaction.options.getString('limit') || undefined,
+                        value: interaction.options.getString('value') ?? undefined,
+                        roleId: interaction.options.getRole('role')?.id,
+                        targetUserId: interaction.options.getUser('user')?.id
+                    });
+                case 'deliveries':
+                    return deliveriesCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        targetUserId: interaction.options.getUser('user')?.id
+                    });
+                case 'admin':
+                    return adminCommand(ctx, {
+                        subCommand: interaction.options.getSubcommand(),
+                        targetUserId: interaction.options.getUser('user')?.id,
+                        collectionSlug,
+                        source: interaction.options.getString('source')?.toLowerCase(),
+                        message: interaction.options.getString('message') || undefined
+                    });
+                case 'help':
+                    return helpCommand(ctx);
+                case 'setup':
+                    return setupCommand(ctx);
+            }
+            return;
+        }
+
+        if (interaction.isButton()) {
+            // Custom IDs look like `action_subAction` with an optional `:collectionSlug` suffix
+            const [baseId, ...keyParts] = interaction.customId.split(':');
+            const collectionSlug = keyParts.join(':') || undefined;
+            const [action, subAction] = baseId.split('_');
+            const userId = interaction.user.id;
+
+            switch (action) {
+                case 'view':
+                    if (subAction === 'collections') {
+                        const subscriptions = userSubscriptions.get(userId) || [];
+                        if (subscriptions.length === 0) {
+                            await interaction.reply({
+                                content: 'You have no active subscriptions.',
+                                ephemeral: true
+                            });
+                            return;
+                        }
+
+                        const collectionsEmbed = new EmbedBuilder()
+                            .setColor(BRANDING.color)
+                            .setTitle('Your Subscriptions')
+                            .setDescription(subscriptions.map(sub => `• ${sub}`).join('\n'))
+                            .setThumbnail(BRANDING.icon)
+                            .setFooter({
+                                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                iconURL: BRANDING.icon
+                            });
+
+                        await interaction.reply({
+                            embeds: [collectionsEmbed],
+                            ephemeral: true
+                        });
+                    }
+                    break;
+
+                case 'subs':
+                    switch (subAction) {
+                        case 'add':
+                            const addModal = new ModalBuilder()
+                                .setCustomId('add_collection_modal')
+                                .setTitle('Add Collection')
+                                .addComponents(
+                                    new ActionRowBuilder().addComponents(
+                                        new TextInputBuilder()
+                                            .setCustomId('collection_slug')
+                                            .setLabel('Collection Slug')
+                                            .setStyle(TextInputStyle.Short)
+                                            .setPlaceholder('e.g., boredapeyachtclub')
+                                            .setRequired(true)
+                                    )
+                                );
+                            await interaction.showModal(addModal);
+                            break;
+
+                        case 'remove':
+                            const userSubs = userSubscriptions.get(userId) || [];
+                            if (userSubs.length === 0) {
+                                await interaction.reply({
+                                    content: 'You have no subscriptions to remove.',
+                                    ephemeral: true
+                                });
+                                return;
+                            }
+
+                            const removeSelect = new StringSelectMenuBuilder()
+                                .setCustomId('remove_collection')
+                                .setPlaceholder('Select collection to remove')
+                                .addOptions(
+                                    userSubs.map(slug => ({
+                                        label: slug,
+                                        value: slug
+                                    }))
+                                );
+
+                            const removeRow = new ActionRowBuilder().addComponents(removeSelect);
+                            await interaction.reply({
+                                content: 'Select a collection to remove:',
+                                components: [removeRow],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'clear':
+                            const confirmRow = new ActionRowBuilder()
+                                .addComponents(
+                                    new ButtonBuilder()
+                                        .setCustomId('clear_confirm')
+                                        .setLabel('Confirm Clear All')
+                                        .setStyle(ButtonStyle.Danger),
+                                    new ButtonBuilder()
+                                        .setCustomId('clear_cancel')
+                                        .setLabel('Cancel')
+                                        .setStyle(ButtonStyle.Secondary)
+                                );
+
+                            await interaction.reply({
+                                content: '⚠️ Are you sure you want to clear all your subscriptions?',
+                                components: [confirmRow],
+                                ephemeral: true
+                            });
+                            break;
+                    }
+                    break;
+
+                case 'subscribe': {
+                    const pending = takePendingSubscription(userId, collectionSlug);
+                    if (subAction === 'cancel') {
+                        await interaction.update({ content: 'Subscription cancelled.', embeds: [], components: [] });
+                        return;
+                    }
+                    if (!pending) {
+                        await interaction.update({
+                            content: 'This confirmation has expired, please subscribe again.',
+                            embeds: [],
+                            components: []
+                        });
+                        return;
+                    }
+
+                    // Resolving the limits and joining can take longer than Discord waits for an answer
+                    await interaction.deferUpdate();
+                    const { joined, error } = await subscribeUser(userId, collectionSlug, pending.events);
+                    if (error) {
+                        await interaction.editReply({ content: error, embeds: [], components: [] });
+                        return;
+                    }
+                    await interaction.editReply({
+                        embeds: [createSubscriptionEmbed(collectionSlug, { collection: pending.collection, joined })],
+                        components: [createEventFilterRow(collectionSlug, pending.events)]
+                    });
+                    break;
+                }
+
+                case 'clear':
+                    if (subAction === 'confirm') {
+                        // Notifications stop right away, the unused topics are left in the background
+                        clearUserSubscriptions(userId);
+                        await interaction.update({
+                            content: '✅ All your subscriptions have been cleared.',
+                            components: []
+                        });
+                    } else if (subAction === 'cancel') {
+                        await interaction.update({
+                            content: 'Operation cancelled.',
+                            components: []
+                        });
+                    }
+                    break;
+
+                case 'help':
+                    switch (subAction) {
+                        case 'commands':
+                            const commandsEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Available Commands')
+                                .setDescription('Here are all the commands you can use:')
+                                .addFields(COMMAND_HELP)
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            await interaction.reply({
+                                embeds: [commandsEmbed],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'status':
+                            const statusEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Bot Status')
+                                .addFields(
+                                    { name: 'Connection Status', value: Array.from(streams.values()).map(stream => `${stream.isConnected() ? '✅ Connected' : '❌ Disconnected'} (${stream.name})`).join('\n'), inline: true },
+                                    { name: 'Active Collections', value: activeCollections.size.toString(), inline: true },
+                                    { name: 'Total Users', value: userSubscriptions.size.toString(), inline: true },
+                                    { name: 'Your Subscriptions', value: (userSubscriptions.get(userId) || []).length.toString(), inline: true },
+                                    { name: 'Duplicates Dropped', value: getDedupStats().suppressed.toString(), inline: true }
+                                )
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            await interaction.reply({
+                                embeds: [statusEmbed],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'settings':
+                            await interaction.reply({
+                                ...createSettingsPanel(userId),
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'guide':
+                            const guideEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Quick Start Guide')
+                                .setDescription('Get started with the NFT Notifier in 3 easy steps:')
+                                .addFields(
+                                    { name: '1️⃣ Add a Collection', value: 'Use the "Add Collection" button to subscribe to an NFT collection' },
+                                    { name: '2️⃣ Set Event Filters', value: 'Choose which events you want to be notified about' },
+                                    { name: '3️⃣ Receive Notifications', value: 'Get instant updates about your favorite NFTs' }
+                                )
+                                .setThumbnail(BRANDING.icon)
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            await interaction.reply({
+                                embeds: [guideEmbed],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'faq':
+                            // The collection limit depends on the user's servers, resolving it can take a while
+                            await interaction.deferReply({ ephemeral: true });
+                            const { collections: collectionLimit } = await getLimits(userId);
+                            const faqEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Frequently Asked Questions')
+                                .addFields(
+                                    { name: '❓ How do I find collection slugs?', value: 'Visit the collection on OpenSea and copy the last part of the URL (e.g., boredapeyachtclub)' },
+                                    { name: '❓ What events can I filter?', value: 'You can filter listings, sales, transfers, offers, and more' },
+                                    { name: '❓ How do I manage notifications?', value: 'Use the event filters to customize which notifications you receive' },
+                                    { name: '❓ Can I subscribe to multiple collections?', value: `Yes, you can subscribe to up to ${collectionLimit} collections` }
+                                )
+                                .setThumbnail(BRANDING.icon)
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            await interaction.editReply({
+                                embeds: [faqEmbed]
+                            });
+                            break;
+                    }
+                    break;
+
+                case 'filter':
+                    if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                        await interaction.update({
+                            content: 'You are not subscribed to this collection.',
+                            embeds: [],
+                            components: []
+                        });
+                        return;
+                    }
+
+                    switch (subAction) {
+                        case 'sales':
+                            setEventFilters(userId, collectionSlug, ['item_sold']);
+                            await interaction.update({
+                                content: `✅ Set to receive sales notifications only for ${collectionSlug}`,
+                                embeds: [],
+                                components: []
+                            });
+                            break;
+
+                        case 'listings':
+                            setEventFilters(userId, collectionSlug, ['item_listed']);
+                            await interaction.update({
+                                content: `✅ Set to receive listing notifications only for ${collectionSlug}`,
+                                embeds: [],
+                                components: []
+                            });
+                            break;
+
+                        case 'all':
+                            setEventFilters(userId, collectionSlug, VALID_EVENTS);
+                            await interaction.update({
+                                content: `✅ Set to receive all event notifications for ${collectionSlug}`,
+                                embeds: [],
+                                components: []
+                            });
+                            break;
+                    }
+                    break;
+
+                case 'alert':
+                    if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                        await interaction.reply({
+                            content: 'You are not subscribed to this collection.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    switch (subAction) {
+                        case 'add':
+                            // A modal has to be the first answer, so the limit is checked once it is submitted
+                            const alertModal = new ModalBuilder()
+                                .setCustomId(`alert_modal:${collectionSlug}`)
+                                .setTitle('Add Alert Rule')
+                                .addComponents(
+                                    new ActionRowBuilder().addComponents(
+                                        new TextInputBuilder()
+                                            .setCustomId('rule_type')
+                                            .setLabel('Rule')
+                                            .setStyle(TextInputStyle.Short)
+                                            .setPlaceholder(Object.keys(ALERT_RULE_TYPES).join(', '))
+                                            .setRequired(true)
+                                    ),
+                                    new ActionRowBuilder().addComponents(
+                                        new TextInputBuilder()
+                                            .setCustomId('rule_value')
+                                            .setLabel('Value')
+                                            .setStyle(TextInputStyle.Short)
+                                            .setPlaceholder('e.g., 0.5, 100, Background=Gold or 10/24h')
+                                            .setRequired(true)
+                                    ),
+                                    new ActionRowBuilder().addComponents(
+                                        new TextInputBuilder()
+                                            .setCustomId('rule_event')
+                                            .setLabel('Only for event (optional)')
+                                            .setStyle(TextInputStyle.Short)
+                                            .setPlaceholder('e.g., item_listed')
+                                            .setRequired(false)
+                                    )
+                                );
+                            await interaction.showModal(alertModal);
+                            break;
+
+                        case 'list':
+                            const rules = getAlertRules(userId, collectionSlug);
+                            const alertComponents = rules.length > 0
+                                ? [new ActionRowBuilder().addComponents(
+                                    new StringSelectMenuBuilder()
+                                        .setCustomId(`alert_remove:${collectionSlug}`)
+                                        .setPlaceholder('Select an alert rule to remove')
+                                        .addOptions(
+                                            rules.map((rule, index) => ({
+                                                label: `${index + 1}. ${describeAlertRule(rule)}`.slice(0, 100),
+                                                value: index.toString()
+                                            }))
+                                        )
+                                )]
+                                : [];
+
+                            await interaction.reply({
+                                embeds: [createAlertRulesEmbed(userId, [collectionSlug])],
+                                components: alertComponents,
+                                ephemeral: true
+                            });
+                            break;
+                    }
+                    break;
+
+                case 'quiet':
+                    // Do not disturb buttons of the settings panel
+                    switch (subAction) {
+                        case 'snooze':
+                            if (!endSnooze(userId)) {
+                                snooze(userId, 60 * 60 * 1000);
+                            }
+                            break;
+                        case 'hours':
+                            toggleQuietHours(userId);
+                            break;
+                        case 'catchup':
+                            toggleCatchUp(userId);
+                            break;
+                    }
+                    await interaction.update(createSettingsPanel(userId));
+                    break;
+
+                case 'sinks':
+                    // Buttons of the destinations panel
+                    switch (subAction) {
+                        case 'panel':
+                            await interaction.update(createSinksPanel(userId));
+                            break;
+                        case 'webhook': {
+                            const input = new TextInputBuilder()
+                                .setCustomId('webhook_url')
+                                .setLabel('Webhook URL')
+                                .setStyle(TextInputStyle.Short)
+                                .setPlaceholder('https://example.com/nft-webhook')
+                                .setMaxLength(512)
+                                .setRequired(true);
+                            const endpoint = webhook.getEndpoint(userId);
+                            if (endpoint) input.setValue(endpoint.url);
+
+                            await interaction.showModal(new ModalBuilder()
+                                .setCustomId('webhook_modal')
+                                .setTitle('Set Webhook')
+                                .addComponents(new ActionRowBuilder().addComponents(input)));
+                            break;
+                        }
+                        case 'test': {
+                            // The request can take longer than Discord waits for an answer
+                            await interaction.deferUpdate();
+                            const { status, error } = await webhook.sendTest(userId);
+                            await interaction.editReply({
+                                content: error ? `❌ Test failed: ${error}` : `✅ Sent a sample sale, your endpoint answered ${status}.`,
+                                ...createSinksPanel(userId)
+                            });
+                            break;
+                        }
+                        case 'remove':
+                            webhook.removeEndpoint(userId);
+                            await interaction.update({
+                                content: '✅ Removed your webhook, its subscriptions get DMs again.',
+                                ...createSinksPanel(userId)
+                            });
+                            break;
+                        case 'back':
+                            await interaction.update({
+                                content: '',
+                                ...createSettingsPanel(userId)
+                            });
+                            break;
+                    }
+                    break;
+
+                case 'history':
+                    if (subAction === 'page') {
+                        // The key holds `<page>:<limit>:<event|all>:<collection>`, see createHistoryPage
+                        const [page, limit, eventType, ...collectionParts] = keyParts;
+                        await interaction.update(createHistoryPage({
+                            collectionSlug: collectionParts.join(':'),
+                            eventType: eventType === 'all' ? null : eventType,
+                            limit: Number(limit),
+                            page: Number(page)
+                        }));
+                    }
+                    break;
+
+                case 'branding':
+                    // Buttons of the branding panel
+                    if (!await checkBrandingPermissions(interaction)) return;
+                    if (subAction === 'edit') {
+                        const branding = getBranding(interaction.guildId);
+                        const brandingModal = new ModalBuilder()
+                            .setCustomId('branding_modal')
+                            .setTitle('Edit Branding')
+                            .addComponents(Object.entries(BRANDING_FIELDS).map(([field, { label, maxLength }]) => {
+                                const input = new TextInputBuilder()
+                                    .setCustomId(`branding_${field}`)
+                                    .setLabel(`${label} (default if empty)`)
+                                    .setStyle(TextInputStyle.Short)
+                                    .setPlaceholder(String(BRANDING[field]).slice(0, 100))
+                                    .setMaxLength(maxLength)
+                                    .setRequired(false);
+                                if (branding[field]) input.setValue(branding[field]);
+                                return new ActionRowBuilder().addComponents(input);
+                            }));
+                        await interaction.showModal(brandingModal);
+                    } else if (subAction === 'reset') {
+                        setBranding(interaction.guildId, {}, userId);
+                        await interaction.update({
+                            content: '✅ Reset the branding to the default.',
+                            ...createBrandingPanel(interaction.guildId)
+                        });
+                    }
+                    break;
+
+                case 'setup':
+                    switch (subAction) {
+                        case 'collections':
+                            const collectionsEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Collection Management')
+                                .setDescription('Manage your NFT collections and subscriptions')
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            const collectionsRow = new ActionRowBuilder()
+                                .addComponents(
+                                    new ButtonBuilder()
+                                        .setCustomId('subs_add')
+                                        .setLabel('Add Collection')
+                                        .setStyle(ButtonStyle.Success)
+                                        .setEmoji('➕'),
+                                    new ButtonBuilder()
+                                        .setCustomId('subs_remove')
+                                        .setLabel('Remove Collection')
+                                        .setStyle(ButtonStyle.Danger)
+                                        .setEmoji('➖'),
+                                    new ButtonBuilder()
+                                        .setCustomId('view_collections')
+                                        .setLabel('View Collections')
+                                        .setStyle(ButtonStyle.Primary)
+                                        .setEmoji('👁️')
+                                );
+
+                            await interaction.reply({
+                                embeds: [collectionsEmbed],
+                                components: [collectionsRow],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'events':
+                            const eventSubs = userSubscriptions.get(userId) || [];
+                            if (eventSubs.length === 0) {
+                                await interaction.reply({
+                                    content: 'You have no active subscriptions. Add a collection first.',
+                                    ephemeral: true
+                                });
+                                return;
+                            }
+
+                            const eventsEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Event Filters')
+                                .setDescription('Select the collection whose event filters you want to edit')
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            await interaction.reply({
+                                embeds: [eventsEmbed],
+                                components: [createCollectionSelectRow('events_collection', eventSubs, 'Select a collection')],
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'feeds':
+                            if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+                                await interaction.reply({
+                                    content: 'You need administrator permissions to manage channel feeds.',
+                                    ephemeral: true
+                                });
+                                return;
+                            }
+
+                            const guildFeeds = Array.from(channelFeeds.entries())
+                                .filter(([, feed]) => feed.guildId === interaction.guildId)
+                                .flatMap(([channelId, feed]) => Array.from(feed.collections.keys()).map(slug => ({ channelId, slug })));
+
+                            const feedComponents = [
+                                new ActionRowBuilder().addComponents(
+                                    new ChannelSelectMenuBuilder()
+                                        .setCustomId('feed_channel')
+                                        .setPlaceholder('Select a channel to add a feed to')
+                                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                                )
+                            ];
+
+                            if (guildFeeds.length > 0) {
+                                const feedOptions = await Promise.all(guildFeeds.slice(0, 25).map(async ({ channelId, slug }) => {
+                                    const channel = await interaction.guild.channels.fetch(channelId).catch(() => null);
+                                    return {
+                                        label: `#${channel?.name || channelId} • ${slug}`.slice(0, 100),
+                                        value: `${channelId}:${slug}`
+                                    };
+                                }));
+
+                                feedComponents.push(new ActionRowBuilder().addComponents(
+                                    new StringSelectMenuBuilder()
+                                        .setCustomId('feed_remove')
+                                        .setPlaceholder('Select a feed to remove')
+                                        .addOptions(feedOptions)
+                                ));
+                            }
+
+                            await interaction.reply({
+                                embeds: [createChannelFeedsEmbed(interaction.guildId)],
+                                components: feedComponents,
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'branding':
+                            if (!await checkBrandingPermissions(interaction)) return;
+                            await interaction.reply({
+                                ...createBrandingPanel(interaction.guildId),
+                                ephemeral: true
+                            });
+                            break;
+
+                        case 'help':
+                            const helpEmbed = new EmbedBuilder()
+                                .setColor(BRANDING.color)
+                                .setTitle('Help & Support')
+                                .setDescription('Get started with the NFT Notifier')
+                                .addFields(
+                                    { name: 'Quick Start', value: '1. Add a collection\n2. Set your event filters\n3. Receive notifications!' },
+                                    { name: 'Common Questions', value: '• How do I find collection slugs?\n• What events can I filter?\n• How do I manage notifications?' }
+                                )
+                                .setFooter({
+                                    text: `${BRANDING.footer} • ${BRANDING.name}`,
+                                    iconURL: BRANDING.icon
+                                });
+
+                            const helpRow = new ActionRowBuilder()
+                                .addComponents(
+                                    new ButtonBuilder()
+                                        .setCustomId('help_guide')
+                                        .setLabel('Quick Start Guide')
+                                        .setStyle(ButtonStyle.Primary)
+                                        .setEmoji('📖'),
+                                    new ButtonBuilder()
+                                        .setCustomId('help_faq')
+                                        .setLabel('FAQ')
+                                        .setStyle(ButtonStyle.Secondary)
+                                        .setEmoji('❓')
+                                );
+
+                            await interaction.reply({
+                                embeds: [helpEmbed],
+                                components: [helpRow],
+                                ephemeral: true
+                            });
+                            break;
+                    }
+                    break;
+            }
+        } else if (interaction.isChannelSelectMenu()) {
+            if (interaction.customId === 'feed_channel') {
+                if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+                    await interaction.reply({
+                        content: 'You need administrator permissions to manage channel feeds.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const channelId = interaction.values[0];
+                const feedModal = new ModalBuilder()
+                    .setCustomId(`feed_modal:${channelId}`)
+                    .setTitle('Add Channel Feed')
+                    .addComponents(
+                        new ActionRowBuilder().addComponents(
+                            new TextInputBuilder()
+                                .setCustomId('collection_slug')
+                                .setLabel('Collection Slug')
+                                .setStyle(TextInputStyle.Short)
+                                .setPlaceholder('e.g., boredapeyachtclub')
+                                .setRequired(true)
+                        ),
+                        new ActionRowBuilder().addComponents(
+                            new TextInputBuilder()
+                                .setCustomId('feed_events')
+                                .setLabel('Events (optional, all if empty)')
+                                .setStyle(TextInputStyle.Short)
+                                .setPlaceholder('e.g., item_sold, item_listed')
+                                .setRequired(false)
+                        )
+                    );
+                await interaction.showModal(feedModal);
+            }
+        } else if (interaction.isStringSelectMenu()) {
+            if (interaction.customId === 'feed_remove') {
+                if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+                    await interaction.reply({
+                        content: 'You need administrator permissions to manage channel feeds.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const [channelId, ...keyParts] = interaction.values[0].split(':');
+                const collectionSlug = keyParts.join(':');
+                const removed = channelFeeds.get(channelId)?.guildId === interaction.guildId &&
+                    removeChannelFeed(channelId, collectionSlug);
+
+                await interaction.update({
+                    content: removed
+                        ? `✅ Removed the ${collectionSlug} feed from <#${channelId}>.`
+                        : 'That channel feed no longer exists.',
+                    embeds: [],
+                    components: []
+                });
+            } else if (interaction.customId === 'remove_collection') {
+                const collectionSlug = interaction.values[0];
+                const userId = interaction.user.id;
+
+                // The menu may be older than an unsubscribe made elsewhere
+                if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                    await interaction.update({
+                        content: 'You are not subscribed to this collection.',
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+
+                // Notifications stop right away, the topic is left in the background if nobody else follows it
+                removeUserSubscription(userId, collectionSlug);
+
+                const unsubEmbed = new EmbedBuilder()
+                    .setColor(BRANDING.color)
+                    .setTitle('Unsubscription Successful')
+                    .setDescription(`You have been unsubscribed from ${collectionSlug}`)
+                    .addFields({
+                        name: 'Status',
+                        value: '🔕 You will no longer receive notifications for this collection'
+                    })
+                    .setFooter({
+                        text: `${BRANDING.footer} • ${BRANDING.name}`,
+                        iconURL: BRANDING.icon
+                    });
+
+                await interaction.update({
+                    embeds: [unsubEmbed],
+                    components: []
+                });
+            } else if (interaction.customId === 'events_collection') {
+                const collectionSlug = interaction.values[0];
+                const userId = interaction.user.id;
+
+                const filtersEmbed = new EmbedBuilder()
+                    .setColor(BRANDING.color)
+                    .setTitle(`Event Filters • ${collectionSlug}`)
+                    .setDescription('Select which events you want to be notified about for this collection')
+                    .setFooter({
+                        text: `${BRANDING.footer} • ${BRANDING.name}`,
+                        iconURL: BRANDING.icon
+                    });
+
+                await interaction.update({
+                    content: '',
+                    embeds: [filtersEmbed],
+                    components: [
+                        createQuickFilterRow(collectionSlug),
+                        createEventFilterRow(collectionSlug, getEventFilters(userId, collectionSlug)),
+                        createAlertButtonRow(collectionSlug)
+                    ]
+                });
+            } else if (interaction.customId.startsWith('alert_remove:')) {
+                const collectionSlug = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                const userId = interaction.user.id;
+                const rules = getAlertRules(userId, collectionSlug);
+                const index = parseInt(interaction.values[0], 10);
+
+                if (!rules[index]) {
+                    await interaction.update({
+                        content: 'That alert rule no longer exists.',
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+
+                const [removed] = rules.splice(index, 1);
+                setAlertRules(userId, collectionSlug, rules);
+
+                await interaction.update({
+                    content: `✅ Removed alert rule for ${collectionSlug}: ${describeAlertRule(removed)}`,
+                    embeds: [],
+                    components: []
+                });
+            } else if (interaction.customId.startsWith('event_filters:')) {
+                const collectionSlug = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                const selectedEvents = new Set(interaction.values);
+                const userId = interaction.user.id;
+
+                if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                    await interaction.update({
+                        content: 'You are not subscribed to this collection.',
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+
+                setEventFilters(userId, collectionSlug, selectedEvents);
+
+                const eventList = Array.from(selectedEvents)
+                    .map(event => `${EVENT_TYPES[event].emoji} ${EVENT_TYPES[event].name}`)
+                    .join('\n');
+
+                await interaction.update({
+                    content: `✅ Event filters for ${collectionSlug} updated:\n${eventList}`,
+                    embeds: [],
+                    components: []
+                });
+            } else if (interaction.customId === 'template_edit') {
+                if (!await checkBrandingPermissions(interaction)) return;
+
+                const eventType = interaction.values[0];
+                const template = getTemplate(interaction.guildId, eventType);
+                const input = new TextInputBuilder()
+                    .setCustomId('template_text')
+                    .setLabel('Template (default layout if empty)')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setPlaceholder('e.g., {token} sold for {price} ({usd}) to {buyer}')
+                    .setMaxLength(1000)
+                    .setRequired(false);
+                if (template) input.setValue(template);
+
+                const templateModal = new ModalBuilder()
+                    .setCustomId(`template_modal:${eventType}`)
+                    .setTitle(`${EVENT_TYPES[eventType].name} Template`)
+                    .addComponents(new ActionRowBuilder().addComponents(input));
+                await interaction.showModal(templateModal);
+            } else if (interaction.customId === 'quiet_mute') {
+                const userId = interaction.user.id;
+                // The menu lists the first 25 subscriptions
+                const subscriptions = (userSubscriptions.get(userId) || []).slice(0, 25);
+                subscriptions.forEach(slug => setCollectionMuted(userId, slug, interaction.values.includes(slug)));
+
+                const muted = getMutedCollections(userId);
+                await interaction.update({
+                    content: muted.length > 0 ? `🔇 Muted: ${muted.join(', ')}` : '🔔 No collections muted',
+                    ...createSettingsPanel(userId)
+                });
+            } else if (interaction.customId.startsWith('sink_select:')) {
+                const collectionSlug = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                const userId = interaction.user.id;
+
+                if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                    await interaction.update({
+                        content: 'You are not subscribed to this collection.',
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+                if (interaction.values.includes('webhook') && !webhook.isAvailable(userId)) {
+                    await interaction.update({
+                        content: 'Set up a webhook first.',
+                        ...createSinksPanel(userId)
+                    });
+                    return;
+                }
+
+                setSubscriptionSinks(userId, collectionSlug, interaction.values);
+                await interaction.update({
+                    content: `✅ ${collectionSlug} notifications now go to: ${describeSinks(getSubscriptionSinks(userId, collectionSlug))}`,
+                    ...createSinksPanel(userId)
+                });
+            } else if (interaction.customId === 'delivery_collection') {
+                await interaction.update(createSettingsPanel(interaction.user.id, interaction.values[0]));
+            } else if (interaction.customId.startsWith('delivery_mode:')) {
+                const collectionSlug = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                const mode = interaction.values[0];
+                const userId = interaction.user.id;
+
+                if (!(userSubscriptions.get(userId) || []).includes(collectionSlug) || !DELIVERY_MODES[mode]) {
+                    await interaction.update({
+                        content: 'You are not subscribed to this collection.',
+                        embeds: [],
+                        components: []
+                    });
+                    return;
+                }
+
+                // Resolving the limits can fetch the member from every configured server
+                await interaction.deferUpdate();
+                const limitError = await checkDeliveryMode(userId, mode);
+                if (limitError) {
+                    await interaction.editReply({
+                        content: limitError,
+                        ...createSettingsPanel(userId, collectionSlug)
+                    });
+                    return;
+                }
+
+                // The digest collected so far goes out now, the new mode starts from scratch
+                if (getDeliveryMode(userId, collectionSlug) !== mode) {
+                    setDeliveryMode(userId, collectionSlug, mode);
+                    sendDigest(userId, collectionSlug);
+                }
+
+                await interaction.editReply({
+                    content: `✅ ${collectionSlug} is now delivered as: ${DELIVERY_MODES[mode].emoji} ${DELIVERY_MODES[mode].name}`,
+                    ...createSettingsPanel(userId, collectionSlug)
+                });
+            }
+        } else if (interaction.isModalSubmit()) {
+            if (interaction.customId === 'add_collection_modal') {
+                const collectionSlug = normalizeCollectionKey(interaction.fields.getTextInputValue('collection_slug'));
+                const userId = interaction.user.id;
+
+                if (!isValidCollectionSlug(collectionSlug)) {
+                    await interaction.reply({
+                        content: `Invalid collection slug. Collection slugs can only contain lowercase letters, numbers, and hyphens, optionally prefixed with a source (${Array.from(streams.keys()).join(', ')}), e.g. opensea:azuki.`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                // Looking the collection up, resolving the limits and joining wait for other services, which can take
+                // longer than Discord waits for a reply
+                await interaction.deferReply({ ephemeral: true });
+                const lookup = await lookupCollection(collectionSlug);
+                if (lookup.missing) {
+                    await interaction.editReply({ content: describeMissingCollection(collectionSlug, lookup) });
+                    return;
+                }
+
+                if (lookup.collection && !lookup.collection.verified) {
+                    const checkError = await checkSubscription(userId, collectionSlug);
+                    await interaction.editReply(checkError
+                        ? { content: checkError }
+                        : requestSubscriptionConfirmation(userId, collectionSlug, lookup.collection, new Set(VALID_EVENTS)));
+                    return;
+                }
+
+                const { joined, error } = await subscribeUser(userId, collectionSlug, new Set(VALID_EVENTS));
+                if (error) {
+                    await interaction.editReply({ content: error });
+                    return;
+                }
+                await interaction.editReply({ embeds: [createSubscriptionEmbed(collectionSlug, { collection: lookup.collection, joined })] });
+            } else if (interaction.customId.startsWith('feed_modal:')) {
+                const channelId = interaction.customId.split(':')[1];
+
+                if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+                    await interaction.reply({
+                        content: 'You need administrator permissions to manage channel feeds.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                const collectionSlug = normalizeCollectionKey(interaction.fields.getTextInputValue('collection_slug'));
+                const events = interaction.fields.getTextInputValue('feed_events')
+                    .split(/[\s,]+/)
+                    .filter(Boolean);
+
+                await interaction.deferReply({ ephemeral: true });
+                const { channel, error } = await addChannelFeed(interaction.guild, channelId, interaction.user.id, collectionSlug, events);
+
+                await interaction.editReply({
+                    content: error || `✅ ${channel} will now receive **${collectionSlug}** notifications.`
+                });
+            } else if (interaction.customId === 'webhook_modal') {
+                // The webhook's host is resolved before it is saved
+                await interaction.deferUpdate();
+                const { secret, error } = await webhook.setEndpoint(interaction.user.id, interaction.fields.getTextInputValue('webhook_url'));
+                if (error) {
+                    await interaction.followUp({
+                        content: error,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                await interaction.editReply({
+                    content: `✅ Webhook set. 🔑 Signing secret: \`${secret}\`\nRequests are signed with HMAC-SHA256 over \`<X-Webhook-Timestamp>.<body>\`, see \`/webhook\`. Keep the secret private, setting the webhook again creates a new one.`,
+                    ...createSinksPanel(interaction.user.id)
+                });
+            } else if (interaction.customId === 'branding_modal') {
+                if (!await checkBrandingPermissions(interaction)) return;
+
+                // Empty fields go back to the default branding
+                const branding = {};
+                for (const field of Object.keys(BRANDING_FIELDS)) {
+                    const input = interaction.fields.getTextInputValue(`branding_${field}`).trim();
+                    if (!input) continue;
+
+                    const { value, error } = parseBrandingField(field, input);
+                    if (error) {
+                        await interaction.reply({
+                            content: error,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+                    branding[field] = value;
+                }
+
+                setBranding(interaction.guildId, branding, interaction.user.id);
+                await interaction.reply({
+                    content: '✅ Branding updated. This is how the channel feed notifications of this server look now:',
+                    embeds: [createPreviewEmbed(interaction.guildId, 'item_sold')],
+                    ephemeral: true
+                });
+            } else if (interaction.customId.startsWith('template_modal:')) {
+                const eventType = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                if (!await checkBrandingPermissions(interaction)) return;
+
+                // An empty template goes back to the default layout
+                const input = interaction.fields.getTextInputValue('template_text').trim();
+                const { template, error } = input ? parseTemplate(input) : { template: null };
+                if (error || !VALID_EVENTS.includes(eventType)) {
+                    await interaction.reply({
+                        content: error || `Invalid event type: ${eventType}`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                setTemplate(interaction.guildId, eventType, template);
+                await interaction.reply({
+                    content: template
+                        ? `✅ Template of ${EVENT_TYPES[eventType].name} events saved. Preview:`
+                        : `✅ ${EVENT_TYPES[eventType].name} events use the default layout again. Preview:`,
+                    embeds: [createPreviewEmbed(interaction.guildId, eventType)],
+                    ephemeral: true
+                });
+            } else if (interaction.customId.startsWith('alert_modal:')) {
+                const collectionSlug = interaction.customId.slice(interaction.customId.indexOf(':') + 1);
+                const userId = interaction.user.id;
+
+                if (!(userSubscriptions.get(userId) || []).includes(collectionSlug)) {
+                    await interaction.reply({
+                        content: 'You are not subscribed to this collection.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                // Resolving the limits can fetch the member from every configured server
+                await interaction.deferReply({ ephemeral: true });
+                const rules = getAlertRules(userId, collectionSlug);
+                const limitError = await checkLimit(userId, 'alert_rules', rules.length);
+                if (limitError) {
+                    await interaction.editReply({ content: limitError });
+                    return;
+                }
+
+                const { rule, error } = parseAlertRule(
+                    interaction.fields.getTextInputValue('rule_type').trim(),
+                    interaction.fields.getTextInputValue('rule_value').trim(),
+                    interaction.fields.getTextInputValue('rule_event').trim() || undefined
+                );
+
+                if (error) {
+                    await interaction.editReply({ content: error });
+                    return;
+                }
+
+                setAlertRules(userId, collectionSlug, [...rules, rule]);
+
+                await interaction.editReply({ content: `✅ Added alert rule for ${collectionSlug}: ${describeAlertRule(rule)}` });
+            }
+        }
+    }
+
+    // Handle an interaction, never rejecting: it runs as a client event listener, where a rejection would end the process.
+    // Failures are logged and the user gets a generic error unless the interaction can't be answered anymore.
+    async function handleInteraction(interaction) {
+        try {
+            await dispatchInteraction(interaction);
+        } catch (error) {
+            log.error('Error handling interaction', {
+                userId: interaction.user?.id,
+                interaction: interaction.commandName || interaction.customId,
+                error
+            });
+            if (interaction.isAutocomplete?.() || !interaction.isRepliable?.()) return;
+
+            const reply = { content: '❌ Something went wrong, please try again later.', ephemeral: true };
+            try {
+                if (interaction.deferred || interaction.replied) {
+                    await interaction.followUp(reply);
+                } else {
+                    await interaction.reply(reply);
+                }
+            } catch (replyError) {
+                log.debug('Could not report the error to the user', { userId: interaction.user?.id, error: replyError.message });
+            }
+        }
+    }
+
+    return handleInteraction;
+}
+
+module.exports = { createInteractionHandler };
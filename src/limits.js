@@ -0,0 +1,305 @@
+const { EmbedBuilder } = require('discord.js');
+const { PersistentMap } = require('./storage');
+const { LIMIT_TYPES, DELIVERY_MODES, BRANDING } = require('./constants');
+
+const LIMITS_CACHE_TTL = 60 * 1000; // 1 minute, role changes show up after at most this long
+
+// Check and normalize one limit value, null when it is invalid
+function sanitizeLimit(type, value) {
+    if (type === 'delivery_modes') {
+        if (!Array.isArray(value)) return null;
+        const modes = value.filter(mode => DELIVERY_MODES[mode]);
+        return modes.length > 0 ? [...new Set(modes)] : null;
+    }
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+// Keep the valid limits of a partial limits object, null when none are left
+function sanitizeLimits(limits) {
+    if (!limits || typeof limits !== 'object') return null;
+    const valid = {};
+    for (const [type, value] of Object.entries(limits)) {
+        if (!LIMIT_TYPES[type]) continue;
+        const sanitized = sanitizeLimit(type, value);
+        if (sanitized !== null) valid[type] = sanitized;
+    }
+    return Object.keys(valid).length > 0 ? valid : null;
+}
+
+// Combine two limit sets, keeping the most generous value of each limit
+function mergeLimits(limits, overrides) {
+    const merged = { ...limits };
+    for (const [type, value] of Object.entries(overrides || {})) {
+        merged[type] = type === 'delivery_modes'
+            ? Object.keys(DELIVERY_MODES).filter(mode => merged[type].includes(mode) || value.includes(mode))
+            : Math.max(merged[type], value);
+    }
+    return merged;
+}
+
+// Cap a limit set at a maximum, keeping the lower value of each limit
+function clampLimits(limits, max) {
+    const clamped = { ...limits };
+    for (const [type, value] of Object.entries(limits)) {
+        clamped[type] = type === 'delivery_modes'
+            ? value.filter(mode => max[type].includes(mode))
+            : Math.min(value, max[type]);
+    }
+    return clamped;
+}
+
+// Whether a limit value goes past a maximum
+function exceedsLimit(type, value, max) {
+    return type === 'delivery_modes' ? value.some(mode => !max.includes(mode)) : value > max;
+}
+
+// Check a count against limits resolved with getLimits, null when one more item fits and the message to reply with
+// when it doesn't. Lets callers count and add without awaiting anything in between.
+function checkLimitCount(limits, type, count) {
+    if (count < limits[type]) return null;
+    return `You have reached the maximum limit of ${limits[type]} ${LIMIT_TYPES[type].unit}.`;
+}
+
+// Parse a limit given as text, returns { value } or { error }
+function parseLimit(type, value) {
+    const limitType = LIMIT_TYPES[type];
+    if (!limitType) {
+        return { error: `Unknown limit: ${type}. Available limits: ${Object.keys(LIMIT_TYPES).join(', ')}` };
+    }
+
+    if (type === 'delivery_modes') {
+        const modes = (value || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const invalid = modes.find(mode => !DELIVERY_MODES[mode]);
+        if (modes.length === 0 || invalid) {
+            return { error: `Invalid delivery modes. Usage: ${limitType.usage} (${Object.keys(DELIVERY_MODES).join(', ')})` };
+        }
+        return { value: [...new Set(modes)] };
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        return { error: `Invalid value for ${type}. Usage: ${limitType.usage}` };
+    }
+    return { value: number };
+}
+
+// Human readable limit value, e.g. "10" or "⚡ Instant, 📅 Daily Digest"
+function describeLimit(type, value) {
+    if (type === 'delivery_modes') {
+        return value.map(mode => `${DELIVERY_MODES[mode].emoji} ${DELIVERY_MODES[mode].name}`).join(', ');
+    }
+    return value.toString();
+}
+
+// Per-user limits: how many collections, alert rules per collection and watched wallets a user may have, and which
+// delivery modes they may pick. The global limits (the notifier's `limits` option over LIMIT_TYPES defaults) can be
+// raised by server administrators for their whole server, for a role (e.g. supporters or staff) or for one member.
+// Overrides only ever raise the limits: a user gets the most generous value of every server they share with the bot,
+// so the same limits apply to every command and DM.
+//
+// Anyone can invite the bot to a server of their own, so server overrides are capped at the operator's maximum
+// (`defaults.max`, the global limits when unset). Only overrides set by a bot owner go past it.
+function createLimits(notifier, defaults = {}) {
+    const { client, store } = notifier;
+    const globalLimits = {};
+    const maxLimits = {};
+    const resolvedLimits = new Map(); // userId -> { limits, expiresAt }, cleared whenever a limit changes
+    setGlobalLimits(defaults);
+
+    const guildLimits = new PersistentMap(store, 'guildLimits', {
+        deserialize: deserializeOverride
+    }); // guildId -> { limits, updatedBy }
+    const roleLimits = new PersistentMap(store, 'roleLimits', {
+        deserialize: override => (override?.guildId ? deserializeOverride(override) : null)
+    }); // roleId -> { guildId, limits, updatedBy }
+    const userLimits = new PersistentMap(store, 'userLimits', {
+        deserialize: deserializeOverride
+    }); // `guildId:userId` -> { limits, updatedBy }
+
+    function deserializeOverride(override) {
+        const limits = sanitizeLimits(override?.limits);
+        return limits ? { ...override, limits } : null;
+    }
+
+    async function load() {
+        await guildLimits.load();
+        await roleLimits.load();
+        await userLimits.load();
+    }
+
+    // Replace the global limits and the maximum of server overrides (`limits.max`), e.g. when the config is reloaded.
+    // Limit types left out go back to their defaults.
+    function setGlobalLimits(limits = {}) {
+        Object.assign(globalLimits, {
+            ...Object.fromEntries(Object.entries(LIMIT_TYPES).map(([type, limitType]) => [type, limitType.default])),
+            ...sanitizeLimits(limits)
+        });
+        Object.assign(maxLimits, mergeLimits(globalLimits, sanitizeLimits(limits?.max)));
+        resolvedLimits.clear();
+    }
+
+    // The servers with limit overrides
+    function getConfiguredGuildIds() {
+        const guildIds = new Set(guildLimits.keys());
+        for (const override of roleLimits.values()) {
+            guildIds.add(override.guildId);
+        }
+        for (const key of userLimits.keys()) {
+            guildIds.add(key.slice(0, key.indexOf(':')));
+        }
+        return guildIds;
+    }
+
+    // The limits of an override, capped at the maximum unless a bot owner set it
+    function getOverrideLimits(override) {
+        if (!override) return null;
+        return override.byOwner ? override.limits : clampLimits(override.limits, maxLimits);
+    }
+
+    // The limits a member gets in one server: the server's limits, raised by their roles and their own override
+    function getMemberLimits(guildId, userId, roleIds) {
+        let limits = mergeLimits(globalLimits, getOverrideLimits(guildLimits.get(guildId)));
+        for (const roleId of roleIds) {
+            const override = roleLimits.get(roleId);
+            if (override?.guildId === guildId) limits = mergeLimits(limits, getOverrideLimits(override));
+        }
+        return mergeLimits(limits, getOverrideLimits(userLimits.get(`${guildId}:${userId}`)));
+    }
+
+    // Resolve a user's limits over every configured server they are a member of. Members that aren't cached are fetched
+    // from Discord, one request per server, so the result is cached for a minute.
+    async function getLimits(userId) {
+        const cached = resolvedLimits.get(userId);
+        if (cached && cached.expiresAt > Date.now()) return cached.limits;
+
+        const guilds = Array.from(getConfiguredGuildIds())
+            .map(guildId => client.guilds?.cache.get(guildId))
+            .filter(Boolean);
+        const members = await Promise.all(guilds.map(guild => guild.members.fetch(userId).catch(() => null))); // null when not a member
+
+        let limits = { ...globalLimits };
+        guilds.forEach((guild, index) => {
+            if (members[index]) {
+                limits = mergeLimits(limits, getMemberLimits(guild.id, userId, members[index].roles.cache.keys()));
+            }
+        });
+        resolvedLimits.set(userId, { limits, expiresAt: Date.now() + LIMITS_CACHE_TTL });
+        return limits;
+    }
+
+    // Check whether a user can add one more item counted by a numeric limit,
+    // resolves null when they can and the message to reply with when they can't
+    async function checkLimit(userId, type, count) {
+        return checkLimitCount(await getLimits(userId), type, count);
+    }
+
+    // Check whether a user may pick a delivery mode, resolves null when they can and the message to reply with when they can't
+    async function checkDeliveryMode(userId, mode) {
+        if ((await getLimits(userId)).delivery_modes.includes(mode)) return null;
+        return `${DELIVERY_MODES[mode].name} is not available to you.`;
+    }
+
+    // Set or clear (value undefined) one limit of an override map entry
+    function updateOverride(map, key, type, value, fields) {
+        resolvedLimits.clear();
+        const limits = { ...map.get(key)?.limits };
+        if (value === undefined) {
+            delete limits[type];
+        } else {
+            limits[type] = value;
+        }
+
+        if (Object.keys(limits).length === 0) {
+            map.delete(key);
+        } else {
+            map.set(key, { ...fields, limits });
+        }
+    }
+
+    // Set a limit override for a whole server, a role (`roleId`) or one member (`userId`); `value` undefined resets it.
+    // `byOwner` marks overrides set by a bot owner, those are not capped at the maximum.
+    function setLimitOverride({ guildId, roleId, userId, updatedBy, byOwner = false }, type, value) {
+        const fields = { updatedBy, ...(byOwner && { byOwner }) };
+        if (roleId) {
+            updateOverride(roleLimits, roleId, type, value, { guildId, ...fields });
+        } else if (userId) {
+            updateOverride(userLimits, `${guildId}:${userId}`, type, value, fields);
+        } else {
+            updateOverride(guildLimits, guildId, type, value, fields);
+        }
+    }
+
+    // Check whether a limit override may be set, resolves null when it can and the message to reply with when it can't
+    function checkOverride(type, value, byOwner) {
+        if (byOwner || !exceedsLimit(type, value, maxLimits[type])) return null;
+        return `${LIMIT_TYPES[type].name} can be raised to at most ${describeLimit(type, maxLimits[type])} on this bot, ask the bot owner for more.`;
+    }
+
+    // Remove every limit override of a server, a role or one member
+    function clearLimitOverride({ guildId, roleId, userId }) {
+        resolvedLimits.clear();
+        if (roleId) {
+            roleLimits.delete(roleId);
+        } else if (userId) {
+            userLimits.delete(`${guildId}:${userId}`);
+        } else {
+            guildLimits.delete(guildId);
+        }
+    }
+
+    // Create an embed with a user's limits, plus the overrides of the server when `guildId` is set
+    function createLimitsEmbed(guildId, userId, limits) {
+        const describeOverride = override => Object.entries(override.limits)
+            .map(([type, value]) => `${LIMIT_TYPES[type].name}: ${describeLimit(type, value)}`)
+            .join(', ');
+
+        const overrides = [];
+        if (guildLimits.has(guildId)) {
+            overrides.push(`**Server**: ${describeOverride(guildLimits.get(guildId))}`);
+        }
+        for (const [roleId, override] of roleLimits.entries()) {
+            if (override.guildId === guildId) overrides.push(`<@&${roleId}>: ${describeOverride(override)}`);
+        }
+        for (const [key, override] of userLimits.entries()) {
+            if (key.startsWith(`${guildId}:`)) overrides.push(`<@${key.slice(guildId.length + 1)}>: ${describeOverride(override)}`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(BRANDING.color)
+            .setTitle('Limits')
+            .setDescription(`Limits of <@${userId}>`)
+            .addFields(Object.entries(LIMIT_TYPES).map(([type, limitType]) => ({
+                name: limitType.name,
+                value: describeLimit(type, limits[type]),
+                inline: true
+            })))
+            .setFooter({
+                text: `${BRANDING.footer} • ${BRANDING.name}`,
+                iconURL: BRANDING.icon
+            });
+
+        if (guildId) {
+            embed.addFields({ name: 'Server Overrides', value: overrides.join('\n') || 'None, everyone has the global limits' });
+        }
+        return embed;
+    }
+
+    return {
+        globalLimits,
+        maxLimits,
+        guildLimits,
+        roleLimits,
+        userLimits,
+        load,
+        setGlobalLimits,
+        getLimits,
+        checkLimit,
+        checkDeliveryMode,
+        setLimitOverride,
+        checkOverride,
+        clearLimitOverride,
+        createLimitsEmbed
+    };
+}
+
+module.exports = { createLimits, checkLimitCount, parseLimit, describeLimit, mergeLimits };
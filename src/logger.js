@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_FORMATS = ['pretty', 'json'];
+
+// How user IDs are written: as they are, as a stable short hash (still lets you follow one user) or not at all
+const REDACTION_MODES = ['off', 'hash', 'full'];
+
+// Fields holding a Discord user ID, `target` fields hold delivery targets like `user:<id>` (see ./queue.js)
+const USER_ID_FIELDS = ['userId', 'targetUserId', 'ownerId'];
+const USER_TARGET_PREFIXES = ['user:', 'webhook:'];
+
+// Shared by every logger, see configureLogger
+const settings = { level: 'info', format: 'pretty', redactUserIds: 'off' };
+
+// Change the level, format and user ID redaction of every logger, unset options are kept
+function configureLogger({ level, format, redactUserIds } = {}) {
+    if (level !== undefined && !(level in LOG_LEVELS)) {
+        throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    if (format !== undefined && !LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format: ${format} (expected ${LOG_FORMATS.join(', ')})`);
+    }
+    if (redactUserIds !== undefined && !REDACTION_MODES.includes(redactUserIds)) {
+        throw new Error(`Unknown user ID redaction: ${redactUserIds} (expected ${REDACTION_MODES.join(', ')})`);
+    }
+    Object.assign(settings, Object.fromEntries(Object.entries({ level, format, redactUserIds }).filter(([, value]) => value !== undefined)));
+}
+
+function redactUserId(userId) {
+    if (settings.redactUserIds === 'full') return '[redacted]';
+    return `user-${crypto.createHash('sha256').update(String(userId)).digest('hex').slice(0, 10)}`;
+}
+
+// Apply the user ID redaction to a log entry's fields
+function redactFields(fields) {
+    if (settings.redactUserIds === 'off') return fields;
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+        if (USER_ID_FIELDS.includes(key) && value) return [key, redactUserId(value)];
+        const prefix = key === 'target' && typeof value === 'string' && USER_TARGET_PREFIXES.find(p => value.startsWith(p));
+        if (prefix) {
+            return [key, `${prefix}${redactUserId(value.slice(prefix.length))}`];
+        }
+        return [key, value];
+    }));
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, ...(error.code !== undefined && { code: error.code }), stack: error.stack };
+}
+
+// One line of JSON per entry: { time, level, tag, message, ...fields }
+function formatJson(time, level, tag, message, fields) {
+    const entry = { time, level, tag, message };
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return JSON.stringify(entry);
+}
+
+// `<time> LEVEL [tag] message key=value ...`, with the stack of an error field on the next lines
+function formatPretty(time, level, tag, message, fields) {
+    const errors = [];
+    const pairs = Object.entries(fields).map(([key, value]) => {
+        if (value instanceof Error) {
+            errors.push(value.stack || String(value));
+            return `${key}=${JSON.stringify(value.message)}`;
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return `${key}=${typeof value === 'string' && /^[^\s"=]+$/.test(text) ? text : JSON.stringify(text)}`;
+    });
+    return [`${time} ${level.toUpperCase().padEnd(5)} [${tag}] ${message}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`, ...errors].join('\n');
+}
+
+// Create a logger for one subsystem, e.g. createLogger('stream'). Every method takes a message and optional fields,
+// fields named like USER_ID_FIELDS are redacted when configured.
+function createLogger(tag) {
+    function write(level, message, fields = {}) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) return;
+        const time = new Date().toISOString();
+        const redacted = redactFields(fields);
+        const line = settings.format === 'json'
+            ? formatJson(time, level, tag, message, redacted)
+            : formatPretty(time, level, tag, message, redacted);
+
+        if (level === 'error') console.error(line);
+        else if (level === 'warn') console.warn(line);
+        else console.log(line);
+    }
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields)
+    };
+}
+
+module.exports = {
+    createLogger,
+    configureLogger,
+    LOG_LEVELS,
+    LOG_FORMATS,
+    REDACTION_MODES
+};
@@ -0,0 +1,136 @@
+const { parseCollectionKey, formatCollectionKey } = require('../streams');
+const { createOpenSeaMetadataProvider } = require('./opensea');
+const { createStaticMetadataProvider } = require('./static');
+const { createLogger } = require('../logger');
+
+const log = createLogger('metadata');
+
+const CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
+const MISS_TTL = 10 * 60 * 1000; // 10 minutes, a collection can be created in the meantime
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_SUGGESTIONS = 3;
+
+// Edit distance between two slugs, swapping two neighbouring characters counts as one edit
+function getEditDistance(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) distances[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return distances[a.length][b.length];
+}
+
+// The candidates closest to a slug, closest first: within a few edits, or starting with the slug (`doodles` ->
+// `doodles-official`)
+function findSimilarSlugs(slug, candidates, limit = MAX_SUGGESTIONS) {
+    const maxDistance = Math.max(2, Math.floor(slug.length / 4));
+    return Array.from(new Set(candidates))
+        .filter(candidate => candidate !== slug)
+        .map(candidate => ({ candidate, distance: getEditDistance(slug, candidate) }))
+        .filter(({ candidate, distance }) => distance <= maxDistance || candidate.startsWith(slug))
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+// Collection metadata lookup, so a subscription to a misspelled slug is caught before it silently never gets events.
+// `providers` maps a stream source to its metadata provider, collections of a source without one are not checked.
+// A provider is { name, getCollection(slug), listCollections?() }: getCollection resolves
+// { slug, name, imageUrl, url, verified } or null for an unknown slug and rejects when it couldn't tell, listCollections
+// returns slugs to suggest on misses (see ./static.js).
+//
+// Results are cached in memory, found collections for `cacheTtl` and unknown slugs for `missTtl`. Suggestions come
+// from the provider's list, the collections found before and the collections the bot follows.
+function createCollectionMetadata(notifier, { providers = {}, cacheTtl = CACHE_TTL, missTtl = MISS_TTL, maxEntries = MAX_CACHE_ENTRIES } = {}) {
+    const { activeCollections } = notifier.subscriptions;
+    const cache = new Map(); // collectionKey -> { collection, expiresAt }, oldest first
+    const pending = new Map(); // collectionKey -> lookup in flight
+
+    function getProvider(source) {
+        return Object.hasOwn(providers, source) ? providers[source] : null;
+    }
+
+    function remember(collectionKey, collection) {
+        cache.delete(collectionKey);
+        cache.set(collectionKey, { collection, expiresAt: Date.now() + (collection ? cacheTtl : missTtl) });
+        for (const oldKey of cache.keys()) {
+            if (cache.size <= maxEntries) break;
+            cache.delete(oldKey);
+        }
+    }
+
+    // Known collection keys of a source similar to a slug
+    function getSuggestions(source, slug) {
+        const candidates = [
+            ...Array.from(cache.entries())
+                .filter(([, { collection }]) => collection)
+                .map(([collectionKey]) => collectionKey),
+            ...activeCollections.keys()
+        ]
+            .map(parseCollectionKey)
+            .filter(candidate => candidate.source === source)
+            .map(candidate => candidate.slug);
+        candidates.push(...(getProvider(source)?.listCollections?.() || []));
+        return findSimilarSlugs(slug, candidates).map(candidate => formatCollectionKey(source, candidate));
+    }
+
+    async function fetchCollection(collectionKey, source, slug) {
+        try {
+            const collection = await getProvider(source).getCollection(slug);
+            remember(collectionKey, collection);
+            return collection;
+        } finally {
+            pending.delete(collectionKey);
+        }
+    }
+
+    // Look a collection key up. Resolves { collection } when the provider knows it, { missing: true, provider,
+    // suggestions } when it doesn't and {} when it can't be checked (no provider for the source, or the provider failed), in which
+    // case callers go ahead as before.
+    async function lookupCollection(collectionKey) {
+        const { source, slug } = parseCollectionKey(collectionKey);
+        if (!getProvider(source)) return {};
+
+        let collection;
+        const cached = cache.get(collectionKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            collection = cached.collection;
+        } else {
+            if (!pending.has(collectionKey)) {
+                pending.set(collectionKey, fetchCollection(collectionKey, source, slug));
+            }
+            try {
+                collection = await pending.get(collectionKey);
+            } catch (error) {
+                log.warn('Error looking up collection', { collection: collectionKey, provider: getProvider(source).name, error: error.message });
+                return {};
+            }
+        }
+
+        if (!collection) {
+            log.debug('Unknown collection', { collection: collectionKey });
+            return { missing: true, provider: getProvider(source).name, suggestions: getSuggestions(source, slug) };
+        }
+        return { collection };
+    }
+
+    return {
+        cache,
+        lookupCollection,
+        getSuggestions
+    };
+}
+
+module.exports = {
+    createCollectionMetadata,
+    createOpenSeaMetadataProvider,
+    createStaticMetadataProvider,
+    findSimilarSlugs
+};
@@ -0,0 +1,45 @@
+const OPENSEA_API_URL = 'https://api.opensea.io';
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+
+// Verified and approved collections carry OpenSea's blue check
+const VERIFIED_STATUSES = ['verified', 'approved'];
+
+// Collection metadata from the OpenSea API (GET /api/v2/collections/<slug>), needs an API key
+function createOpenSeaMetadataProvider({ apiKey, url = OPENSEA_API_URL, timeout = REQUEST_TIMEOUT } = {}) {
+    // Resolves the collection's metadata, null for an unknown slug, rejects when OpenSea couldn't be asked
+    async function getCollection(slug) {
+        const response = await fetch(`${url}/api/v2/collections/${encodeURIComponent(slug)}`, {
+            headers: {
+                'Accept': 'application/json',
+                'X-API-KEY': apiKey
+            },
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        // OpenSea answers 400 or 404 for slugs it doesn't know
+        if (response.status === 400 || response.status === 404) {
+            await response.body?.cancel();
+            return null;
+        }
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw Object.assign(new Error(`OpenSea answered ${response.status}`), { status: response.status });
+        }
+
+        const collection = await response.json();
+        return {
+            slug: collection.collection,
+            name: collection.name || collection.collection,
+            imageUrl: collection.image_url || null,
+            url: collection.opensea_url || `https://opensea.io/collection/${collection.collection}`,
+            verified: VERIFIED_STATUSES.includes(collection.safelist_status)
+        };
+    }
+
+    return {
+        name: 'OpenSea',
+        getCollection
+    };
+}
+
+module.exports = { createOpenSeaMetadataProvider };
@@ -0,0 +1,19 @@
+// Collection metadata from a fixed list, e.g. a fixture in tests or a bot that only follows a few collections.
+// `collections` are { slug, name, imageUrl, url, verified }, slugs not in the list are unknown.
+function createStaticMetadataProvider(collections, { name = 'Collection list' } = {}) {
+    const bySlug = new Map(collections.map(collection => [collection.slug, {
+        imageUrl: null,
+        url: null,
+        verified: false,
+        ...collection,
+        name: collection.name || collection.slug
+    }]));
+
+    return {
+        name,
+        getCollection: async slug => bySlug.get(slug) || null,
+        listCollections: () => Array.from(bySlug.keys())
+    };
+}
+
+module.exports = { createStaticMetadataProvider };
@@ -0,0 +1,91 @@
+const { parseCollectionKey } = require('./streams');
+
+// Why a stream event wasn't sent to a subscriber, see ./delivery.js
+const FILTER_REASONS = ['duplicate', 'event_filter', 'alert_rule', 'muted', 'held'];
+
+// Quote a Prometheus label value
+function formatLabelValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Format one metric in the Prometheus text format, `samples` is a list of [labels, value]
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const [labels, value] of samples) {
+        const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}=${formatLabelValue(labelValue)}`).join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+    return lines.join('\n');
+}
+
+// Counters for the /metrics endpoint (./http.js): events received per source and type, events filtered out per
+// reason and stream reconnects. Delivery counts come from the delivery queue, join states from the streams.
+function createMetrics(notifier) {
+    const { client, streams } = notifier;
+    const eventsReceived = new Map(); // `source:type` -> count
+    const eventsFiltered = new Map(FILTER_REASONS.map(reason => [reason, 0])); // reason -> count
+    const reconnects = new Map(); // source -> count
+    const connectedOnce = new Set(); // sources that connected at least once, later connects are reconnects
+
+    function recordEvent(event) {
+        const key = `${event.source}:${event.type}`;
+        eventsReceived.set(key, (eventsReceived.get(key) || 0) + 1);
+    }
+
+    // Count an event not sent to a subscriber, see FILTER_REASONS
+    function recordFiltered(reason) {
+        eventsFiltered.set(reason, (eventsFiltered.get(reason) || 0) + 1);
+    }
+
+    function recordStatus(stream, status) {
+        if (status !== 'connecting') return;
+        if (connectedOnce.has(stream.source)) {
+            reconnects.set(stream.source, (reconnects.get(stream.source) || 0) + 1);
+        }
+        connectedOnce.add(stream.source);
+    }
+
+    // Render every metric in the Prometheus text format
+    function render() {
+        const { sent, retried, failed, skipped, pending, deadLetters, pausedUsers } = notifier.queue.getStats();
+        const collections = Array.from(notifier.subscriptions.activeCollections.keys()).map(collectionKey => {
+            const { source, slug } = parseCollectionKey(collectionKey);
+            return [{ source, collection: slug }, streams.get(source)?.isJoined(slug) ? 1 : 0];
+        });
+
+        return [
+            formatMetric('nft_notify_discord_ready', 'gauge', 'Whether the Discord client is ready',
+                [[{}, client.isReady?.() ? 1 : 0]]),
+            formatMetric('nft_notify_stream_connected', 'gauge', 'Whether a stream is connected',
+                Array.from(streams.values()).map(stream => [{ source: stream.source }, stream.isConnected() ? 1 : 0])),
+            formatMetric('nft_notify_stream_reconnects_total', 'counter', 'Stream reconnect attempts',
+                Array.from(streams.values()).map(stream => [{ source: stream.source }, reconnects.get(stream.source) || 0])),
+            formatMetric('nft_notify_collection_joined', 'gauge', 'Whether the stream topic of a followed collection is joined',
+                collections),
+            formatMetric('nft_notify_events_received_total', 'counter', 'Stream events received, by source and event type',
+                Array.from(eventsReceived.entries()).map(([key, count]) => {
+                    const separator = key.indexOf(':');
+                    return [{ source: key.slice(0, separator), type: key.slice(separator + 1) }, count];
+                })),
+            formatMetric('nft_notify_events_filtered_total', 'counter', 'Events not sent to a subscriber, by reason',
+                Array.from(eventsFiltered.entries()).map(([reason, count]) => [{ reason }, count])),
+            formatMetric('nft_notify_deliveries_total', 'counter', 'Messages handled by the delivery queue, by outcome',
+                Object.entries({ sent, retried, failed, skipped }).map(([outcome, count]) => [{ outcome }, count])),
+            formatMetric('nft_notify_delivery_queue_pending', 'gauge', 'Messages waiting in the delivery queue',
+                [[{}, pending]]),
+            formatMetric('nft_notify_dead_letters', 'gauge', 'Messages that failed for good and are kept as dead letters',
+                [[{}, deadLetters]]),
+            formatMetric('nft_notify_paused_users', 'gauge', 'Users whose deliveries are paused after closed DMs',
+                [[{}, pausedUsers]])
+        ].join('\n') + '\n';
+    }
+
+    return {
+        recordEvent,
+        recordFiltered,
+        recordStatus,
+        render
+    };
+}
+
+module.exports = { createMetrics, FILTER_REASONS };
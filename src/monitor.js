@@ -0,0 +1,93 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('stream');
+
+const STREAM_DOWN_ALERT_AFTER = 5 * 60 * 1000; // 5 minutes
+
+// Format a duration in milliseconds, e.g. "45 seconds" or "12 minutes"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.round(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Stream health alerts: when a stream has been down for longer than `alertAfter` the admins get a DM
+// (`userIds`) or a channel message (`channelIds`), and another one once it is back.
+function createStreamMonitor(notifier, options = {}) {
+    const { client } = notifier;
+    const outages = new Map(); // source -> { since, status, timer, alerted }
+    let userIds, channelIds, alertAfter;
+    configure(options);
+
+    // Change who is alerted and when, e.g. when the config is reloaded. Ongoing outages keep their timers.
+    function configure(settings = {}) {
+        userIds = settings.userIds || [];
+        channelIds = settings.channelIds || [];
+        alertAfter = settings.alertAfter || STREAM_DOWN_ALERT_AFTER;
+    }
+
+    // Send a message to every configured admin and channel, failures are logged and skipped
+    async function notifyAdmins(message) {
+        for (const userId of userIds) {
+            try {
+                const user = await client.users.fetch(userId);
+                await user.send(message);
+            } catch (error) {
+                log.error('Failed to send stream alert to user', { userId, error });
+            }
+        }
+
+        for (const channelId of channelIds) {
+            try {
+                const channel = await client.channels.fetch(channelId);
+                await channel.send(message);
+            } catch (error) {
+                log.error('Failed to send stream alert to channel', { channelId, error });
+            }
+        }
+    }
+
+    // Track a stream's status, an outage starts with the first status other than connected
+    function handleStatus(stream, status) {
+        const outage = outages.get(stream.source);
+
+        if (status === 'connected') {
+            if (!outage) return;
+            clearTimeout(outage.timer);
+            outages.delete(stream.source);
+            if (outage.alerted) {
+                log.info('Stream recovered', { stream: stream.name, downtime: formatDuration(Date.now() - outage.since) });
+                notifyAdmins(`✅ The ${stream.name} stream is back after ${formatDuration(Date.now() - outage.since)} of downtime.`);
+            }
+            return;
+        }
+
+        if (outage) {
+            outage.status = status;
+            return;
+        }
+
+        const down = { since: Date.now(), status, alerted: false };
+        down.timer = setTimeout(() => {
+            down.alerted = true;
+            log.warn('Stream down', { stream: stream.name, downtime: formatDuration(Date.now() - down.since), status: down.status });
+            notifyAdmins(`🚨 The ${stream.name} stream has been down for ${formatDuration(Date.now() - down.since)} (last status: ${down.status}). No notifications are sent until it reconnects.`);
+        }, alertAfter);
+        outages.set(stream.source, down);
+    }
+
+    function stop() {
+        outages.forEach(outage => clearTimeout(outage.timer));
+        outages.clear();
+    }
+
+    return {
+        outages,
+        configure,
+        handleStatus,
+        stop
+    };
+}
+
+module.exports = { createStreamMonitor };
@@ -0,0 +1,194 @@
+const { ActivityType } = require('discord.js');
+const { createStore } = require('./storage');
+const { createStreams } = require('./streams');
+const { createSubscriptionManager } = require('./subscriptions');
+const { createLimits } = require('./limits');
+const { createCollectionMetadata } = require('./metadata');
+const { createDeliveryQueue } = require('./queue');
+const { createDedupCache } = require('./dedup');
+const { createHistory } = require('./history');
+const { createFeeds } = require('./feeds');
+const { createDigests } = require('./digests');
+const { createQuietHours } = require('./quiet');
+const { createCustomization } = require('./customization');
+const { createFloorTracker } = require('./floors');
+const { createMetrics } = require('./metrics');
+const { createSinks } = require('./sinks');
+const { createDelivery } = require('./delivery');
+const { createAdmin } = require('./admin');
+const { createCommands } = require('./commands');
+const { createInteractionHandler } = require('./interactions');
+const { createStreamMonitor } = require('./monitor');
+const { createHttpServer } = require('./http');
+
+// Bot presence for each stream connection status
+const STREAM_PRESENCE = {
+    connecting: stream => ({ status: 'online', activities: [{ name: `Connecting to ${stream.name}...`, type: ActivityType.Custom }] }),
+    connected: () => ({ status: 'online', activities: [{ name: 'Monitoring NFTs', type: ActivityType.Watching }] }),
+    error: () => ({ status: 'dnd', activities: [{ name: 'Connection Error', type: ActivityType.Custom }] }),
+    closed: () => ({ status: 'idle', activities: [{ name: 'Reconnecting...', type: ActivityType.Custom }] }),
+    suspended: () => ({ status: 'dnd', activities: [{ name: 'Stream Unavailable', type: ActivityType.Custom }] }),
+    failed: () => ({ status: 'dnd', activities: [{ name: 'Connection Failed', type: ActivityType.Custom }] })
+};
+
+// Create the NFT notifier on top of a discord.js client, either the standalone bot's or a host bot's.
+// The client needs the Guilds intent, plus GuildMessages and MessageContent for prefix commands.
+//
+// Options:
+// - discordClient: the discord.js client, its interactions (and messages with prefix commands) are handled right away
+// - store: a store from ./storage, opened by `start()` (default: subscriptions.json)
+// - streamUrl: Phoenix socket URL of the OpenSea stream, e.g. the mock server
+// - openSeaApiKey, jsonStream: { url, source, name }: stream adapter settings, or `streams` to pass adapters directly
+// - reconnect: reconnect policy of the stream adapters, e.g. { circuitBreakerThreshold, circuitBreakerCooldown }
+// - limits: global per-user limits, e.g. { collections: 10, alert_rules: 5, watched_wallets: 5, delivery_modes: ['instant', 'daily'] }
+//   (see LIMIT_TYPES), server administrators can raise them with /limits
+// - deliveryQueue: { concurrency, maxAttempts, retryDelay, maxRetryDelay, pauseAfter }: how DMs and channel messages are
+//   sent and retried, see ./queue.js
+// - dedup: { window, maxEntries }: how long and how many event keys are remembered to drop duplicates (default 1 hour, 5000)
+// - history: { retention, maxEvents, maxAlerts }: how long and how many events per collection (for /history) and
+//   received notifications per user (for /export) are kept (default 7 days, 100, 500)
+// - collectionMetadata: { providers, cacheTtl, missTtl }: check collections against a metadata provider per stream
+//   source (e.g. { opensea: createOpenSeaMetadataProvider({ apiKey }) }) before subscribing, see ./metadata/index.js.
+//   Only the syntax is checked by default.
+// - webhooks: { enabled, allowHttp, timeout }: let users send their notifications to their own webhook (default off,
+//   https only, 10 seconds), see ./sinks/webhook.js
+// - streamAlerts: { userIds, channelIds, alertAfter }: who to tell when a stream has been down for alertAfter ms (default 5 minutes)
+// - admin: { ownerIds }: who can use the /admin commands (default the owner of the Discord application)
+// - loadConfig: returns fresh { limits, streamAlerts, admin } options for /admin reload, see ./admin.js
+// - http: { port, host, token }: serve /healthz, /metrics and /subscriptions (with the bearer token) on host:port
+//   (default localhost), see ./http.js. Off without a port.
+// - prefixCommands, commandPrefix: enable the legacy `!` commands (default off)
+// - registerSlashCommands: register the slash commands on start (default on), a host bot can register SLASH_COMMANDS itself
+// - slashCommandsGuildId: register the slash commands in one guild only
+// - presence: show the stream status as the bot's presence (default on)
+//
+// Call `start()` once the client is ready and `stop()` on shutdown.
+function createNotifier({
+    discordClient,
+    store = createStore(),
+    streamUrl,
+    openSeaApiKey,
+    jsonStream = {},
+    reconnect,
+    streams = createStreams({
+        openSeaApiKey,
+        openSeaStreamUrl: streamUrl,
+        jsonStreamUrl: jsonStream.url,
+        jsonStreamSource: jsonStream.source,
+        jsonStreamName: jsonStream.name,
+        reconnect
+    }),
+    limits,
+    deliveryQueue,
+    dedup,
+    history,
+    collectionMetadata,
+    webhooks,
+    streamAlerts,
+    admin,
+    loadConfig,
+    http,
+    prefixCommands = false,
+    commandPrefix = '!',
+    registerSlashCommands = true,
+    slashCommandsGuildId,
+    presence = true,
+    importJsonPath
+}) {
+    if (!discordClient) {
+        throw new Error('createNotifier needs a discordClient');
+    }
+
+    const notifier = {
+        client: discordClient,
+        store,
+        streams,
+        config: { commandPrefix, slashCommandsGuildId }
+    };
+    notifier.subscriptions = createSubscriptionManager({ store, streams, importJsonPath });
+    notifier.limits = createLimits(notifier, limits);
+    notifier.metadata = createCollectionMetadata(notifier, collectionMetadata);
+    notifier.queue = createDeliveryQueue(notifier, deliveryQueue);
+    notifier.dedup = createDedupCache(notifier, dedup);
+    notifier.history = createHistory(notifier, history);
+    notifier.feeds = createFeeds(notifier);
+    notifier.digests = createDigests(notifier);
+    notifier.quiet = createQuietHours(notifier);
+    notifier.floors = createFloorTracker(notifier);
+    notifier.customization = createCustomization(notifier);
+    notifier.metrics = createMetrics(notifier);
+    notifier.sinks = createSinks(notifier, { webhooks });
+    notifier.delivery = createDelivery(notifier);
+    notifier.admin = createAdmin(notifier, { ...admin, loadConfig });
+    notifier.commands = createCommands(notifier);
+    notifier.handleInteraction = createInteractionHandler(notifier);
+    notifier.monitor = createStreamMonitor(notifier, streamAlerts);
+    notifier.http = http?.port !== undefined && http?.port !== null ? createHttpServer(notifier, http) : null;
+
+    for (const stream of streams.values()) {
+        stream.on('event', notifier.delivery.handleStreamEvent);
+        stream.on('event', event => notifier.admin.recordEvent(event));
+        stream.on('event', notifier.metrics.recordEvent);
+        stream.on('status', status => notifier.monitor.handleStatus(stream, status));
+        stream.on('status', status => notifier.metrics.recordStatus(stream, status));
+        if (presence) {
+            stream.on('status', status => {
+                if (discordClient.user && STREAM_PRESENCE[status]) {
+                    discordClient.user.setPresence(STREAM_PRESENCE[status](stream));
+                }
+            });
+        }
+    }
+
+    discordClient.on('interactionCreate', notifier.handleInteraction);
+    if (prefixCommands) {
+        discordClient.on('messageCreate', notifier.commands.handleMessage);
+    }
+
+    // Load the subscriptions, start sending digests and quiet hours catch-ups, start the HTTP server, connect the streams and
+    // register the slash commands.
+    // Rejects when the store can't be read, never keep running on top of it: the next write would overwrite it.
+    notifier.start = async () => {
+        await notifier.subscriptions.loadSubscriptions();
+        await notifier.limits.load();
+        await notifier.queue.load();
+        await notifier.dedup.load();
+        await notifier.history.load();
+        await notifier.floors.load();
+        await notifier.quiet.load();
+        await notifier.customization.load();
+        for (const sink of notifier.sinks.values()) {
+            await sink.load?.();
+        }
+        notifier.digests.start();
+        notifier.quiet.start();
+        if (notifier.http) {
+            await notifier.http.start();
+        }
+        streams.forEach(stream => stream.connect());
+        if (registerSlashCommands) {
+            await notifier.commands.registerSlashCommands();
+        }
+    };
+
+    // Disconnect the streams, stop handling Discord events, stop the HTTP server, save what is written on a timer and
+    // close the store
+    notifier.stop = async () => {
+        streams.forEach(stream => stream.close());
+        await notifier.http?.stop();
+        notifier.monitor.stop();
+        notifier.digests.stop();
+        await notifier.quiet.stop();
+        notifier.queue.stop();
+        discordClient.removeListener('interactionCreate', notifier.handleInteraction);
+        discordClient.removeListener('messageCreate', notifier.commands.handleMessage);
+        await notifier.dedup.save();
+        await notifier.history.save();
+        await notifier.digests.save();
+        await store.close();
+    };
+
+    return notifier;
+}
+
+module.exports = { createNotifier };
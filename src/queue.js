@@ -0,0 +1,189 @@
+const { PersistentMap } = require('./storage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+const MAX_DEAD_LETTERS = 100; // oldest are dropped first
+const CANNOT_DM_USER = 50007; // Discord API error: Cannot send messages to this user
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+// Whether a failed send is worth retrying: rate limits, Discord server errors and network errors.
+// Other Discord API errors (closed DMs, unknown channel, missing permissions) fail the same way every time.
+function isTransientError(error) {
+    if (error?.status === 429 || error?.status >= 500) return true;
+    if (typeof error?.code === 'number') return false;
+    return TRANSIENT_NETWORK_ERRORS.includes(error?.code) || error?.name === 'AbortError';
+}
+
+// Delivery queue for every DM and channel message: at most `concurrency` sends run at once, transient failures are
+// retried with exponential backoff (`retryDelay` doubling up to `maxRetryDelay`) up to `maxAttempts` times and
+// anything that still fails is kept as a dead letter in the store. A user whose DMs fail with "Cannot send messages
+// to this user" `pauseAfter` times in a row is paused: nothing is sent to them until they use the bot again or an
+// admin resumes them.
+function createDeliveryQueue(notifier, { concurrency = 5, maxAttempts = 5, retryDelay = 2000, maxRetryDelay = 60 * 1000, pauseAfter = 3 } = {}) {
+    const { store } = notifier;
+    const deadLetters = new PersistentMap(store, 'deadLetters'); // id -> { target, label, error, code, attempts, failedAt }
+    const pausedUsers = new PersistentMap(store, 'pausedUsers'); // userId -> { since, failures, error }
+    const pending = []; // jobs waiting for a free slot, oldest first
+    const retryTimers = new Map(); // timer -> job waiting for its retry
+    const closedDmFailures = new Map(); // userId -> "Cannot send messages" failures in a row
+    const stats = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+    let active = 0;
+    let sequence = 0;
+
+    async function load() {
+        await deadLetters.load();
+        await pausedUsers.load();
+    }
+
+    // Queue a send to a target (`user:<id>` or `channel:<id>`), `send` does the actual Discord calls and may return
+    // false when it decided not to send. Resolves true once sent and false when skipped or dead-lettered, never rejects.
+    function deliver(target, label, send) {
+        const userId = target.startsWith('user:') ? target.slice('user:'.length) : null;
+        if (userId && pausedUsers.has(userId)) {
+            log.debug('Skipping delivery to paused user', { userId, label });
+            stats.skipped++;
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            pending.push({ target, userId, label, send, attempts: 0, resolve });
+            drain();
+        });
+    }
+
+    function drain() {
+        while (active < concurrency && pending.length > 0) {
+            const job = pending.shift();
+            active++;
+            run(job).finally(() => {
+                active--;
+                drain();
+            });
+        }
+    }
+
+    async function run(job) {
+        // The user may have been paused while the job was queued
+        if (job.userId && pausedUsers.has(job.userId)) {
+            stats.skipped++;
+            job.resolve(false);
+            return;
+        }
+
+        job.attempts++;
+        try {
+            const sent = await job.send();
+            if (job.userId) closedDmFailures.delete(job.userId);
+            if (sent === false) {
+                stats.skipped++;
+                job.resolve(false);
+                return;
+            }
+            stats.sent++;
+            job.resolve(true);
+        } catch (error) {
+            if (isTransientError(error) && job.attempts < maxAttempts) {
+                const delay = error.retryAfter ?? Math.min(retryDelay * 2 ** (job.attempts - 1), maxRetryDelay);
+                log.warn('Retrying delivery', { target: job.target, label: job.label, delay, attempt: job.attempts, error: error.message });
+                stats.retried++;
+                const timer = setTimeout(() => {
+                    retryTimers.delete(timer);
+                    pending.push(job);
+                    drain();
+                }, delay);
+                retryTimers.set(timer, job);
+                return;
+            }
+
+            log.error('Failed to deliver', { target: job.target, label: job.label, attempts: job.attempts, error });
+            stats.failed++;
+            addDeadLetter(job, error);
+            if (job.userId && error?.code === CANNOT_DM_USER) {
+                recordClosedDm(job.userId, error);
+            }
+            job.resolve(false);
+        }
+    }
+
+    function addDeadLetter(job, error) {
+        const failedAt = Date.now();
+        deadLetters.set(`${failedAt}:${sequence++}`, {
+            target: job.target,
+            label: job.label,
+            error: error?.message || String(error),
+            code: error?.code ?? null,
+            attempts: job.attempts,
+            failedAt
+        });
+        for (const id of deadLetters.keys()) {
+            if (deadLetters.size <= MAX_DEAD_LETTERS) break;
+            deadLetters.delete(id);
+        }
+    }
+
+    function recordClosedDm(userId, error) {
+        const failures = (closedDmFailures.get(userId) || 0) + 1;
+        closedDmFailures.set(userId, failures);
+        if (failures < pauseAfter) return;
+
+        closedDmFailures.delete(userId);
+        pausedUsers.set(userId, { since: Date.now(), failures, error: error.message });
+        log.warn('Paused deliveries to user after failed DMs', { userId, failures });
+    }
+
+    function isPaused(userId) {
+        return pausedUsers.has(userId);
+    }
+
+    // Resume deliveries to a paused user, returns false when they weren't paused
+    function resumeUser(userId) {
+        if (!pausedUsers.has(userId)) return false;
+        pausedUsers.delete(userId);
+        log.info('Resumed deliveries to user', { userId });
+        return true;
+    }
+
+    // Queue and delivery counters since the start
+    function getStats() {
+        return {
+            pending: pending.length,
+            active,
+            retrying: retryTimers.size,
+            ...stats,
+            deadLetters: deadLetters.size,
+            pausedUsers: pausedUsers.size
+        };
+    }
+
+    // Wait for the queue to empty, retries included
+    async function idle() {
+        while (active > 0 || pending.length > 0 || retryTimers.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    // Drop everything still queued or waiting for a retry
+    function stop() {
+        retryTimers.forEach((job, timer) => {
+            clearTimeout(timer);
+            job.resolve(false);
+        });
+        retryTimers.clear();
+        pending.splice(0).forEach(job => job.resolve(false));
+    }
+
+    return {
+        deadLetters,
+        pausedUsers,
+        load,
+        deliver,
+        isPaused,
+        resumeUser,
+        getStats,
+        idle,
+        stop
+    };
+}
+
+module.exports = { createDeliveryQueue, isTransientError };
@@ -0,0 +1,231 @@
+const { PersistentMap } = require('./storage');
+const { createDigest, recordEvent } = require('./digests');
+const { createDigestEmbed } = require('./render');
+const { createLogger } = require('./logger');
+
+const log = createLogger('delivery');
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const CATCH_UP_CHECK_INTERVAL = MINUTE;
+const MAX_SNOOZE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CATCH_UP_SAVE_INTERVAL = MINUTE; // every event held during quiet hours changes a catch-up
+const TIME_PATTERN = /^([01]?\d|2[0-3])(?::([0-5]\d))?$/;
+
+// Parse a time of day like 22:00, 7:30 or 7 into minutes after midnight, null when invalid
+function parseTime(value) {
+    const match = TIME_PATTERN.exec((value || '').trim());
+    return match ? Number(match[1]) * 60 + Number(match[2] || 0) : null;
+}
+
+// Format minutes after midnight as HH:MM
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Check an IANA time zone name like Europe/Berlin
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Minutes after midnight of a time in a time zone
+function getLocalMinutes(time, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(time);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+}
+
+// The end of the quiet period `now` falls in, null outside of quiet hours or when they are off.
+// Quiet hours that end before they start span midnight, e.g. 22:00 to 07:00.
+function getQuietHoursEnd(quietHours, now = Date.now()) {
+    if (!quietHours?.enabled || quietHours.start === quietHours.end) return null;
+    const { start, end, timeZone } = quietHours;
+    const minutes = getLocalMinutes(now, timeZone);
+    const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inside) return null;
+    return Math.floor(now / MINUTE) * MINUTE + ((end - minutes + DAY_MINUTES) % DAY_MINUTES) * MINUTE;
+}
+
+// Do not disturb settings per user: a snooze holds every notification until it runs out, recurring quiet hours hold
+// them during the same hours every day in the user's time zone. With catch-up on, what was held during quiet hours
+// is summarized per collection like a digest and sent when they end. Collection mutes are subscription settings,
+// see ./subscriptions.js.
+function createQuietHours(notifier) {
+    const { client, store } = notifier;
+    const { deliver } = notifier.queue;
+    const quietSettings = new PersistentMap(store, 'quietSettings', {
+        deserialize: deserializeQuietSettings
+    }); // userId -> { snoozedUntil, quietHours: { start, end, timeZone, enabled, catchUp } | null }
+    const catchUps = new PersistentMap(store, 'catchUps', {
+        deserialize: digest => (digest && Number.isFinite(digest.dueAt) ? digest : null),
+        saveInterval: CATCH_UP_SAVE_INTERVAL
+    }); // `userId:collectionKey` -> digest of the events held during quiet hours, see ./digests.js, written once a minute
+    let checkInterval = null;
+
+    function deserializeQuietSettings(settings) {
+        if (!settings || typeof settings !== 'object') return null;
+        const { snoozedUntil, quietHours } = settings;
+        const validQuietHours = quietHours && Number.isInteger(quietHours.start) && Number.isInteger(quietHours.end) && isValidTimeZone(quietHours.timeZone)
+            ? { start: quietHours.start, end: quietHours.end, timeZone: quietHours.timeZone, enabled: quietHours.enabled !== false, catchUp: Boolean(quietHours.catchUp) }
+            : null;
+        const validSnooze = Number.isFinite(snoozedUntil) ? snoozedUntil : null;
+        return validSnooze || validQuietHours ? { snoozedUntil: validSnooze, quietHours: validQuietHours } : null;
+    }
+
+    async function load() {
+        await quietSettings.load();
+        await catchUps.load();
+    }
+
+    function getQuietSettings(userId) {
+        return quietSettings.get(userId) || { snoozedUntil: null, quietHours: null };
+    }
+
+    // Apply changes to a user's settings, dropping them once nothing is set
+    function updateQuietSettings(userId, changes) {
+        const settings = { ...getQuietSettings(userId), ...changes };
+        if (settings.snoozedUntil <= Date.now()) settings.snoozedUntil = null;
+        if (!settings.snoozedUntil && !settings.quietHours) {
+            quietSettings.delete(userId);
+        } else {
+            quietSettings.set(userId, settings);
+        }
+    }
+
+    // When a user's snooze runs out, null when they aren't snoozed
+    function getSnoozedUntil(userId, now = Date.now()) {
+        const { snoozedUntil } = getQuietSettings(userId);
+        return snoozedUntil > now ? snoozedUntil : null;
+    }
+
+    // Hold a user's notifications for `duration` ms (at most 7 days), returns when the snooze runs out
+    function snooze(userId, duration, now = Date.now()) {
+        const snoozedUntil = now + Math.min(duration, MAX_SNOOZE);
+        updateQuietSettings(userId, { snoozedUntil });
+        return snoozedUntil;
+    }
+
+    // End a user's snooze, returns false when they weren't snoozed
+    function endSnooze(userId, now = Date.now()) {
+        const snoozed = getSnoozedUntil(userId, now) !== null;
+        updateQuietSettings(userId, { snoozedUntil: null });
+        return snoozed;
+    }
+
+    // Set a user's quiet hours, `start` and `end` in minutes after midnight in `timeZone`
+    function setQuietHours(userId, { start, end, timeZone = 'UTC', catchUp = false }) {
+        updateQuietSettings(userId, { quietHours: { start, end, timeZone, enabled: true, catchUp } });
+    }
+
+    // Remove a user's quiet hours, what they held goes out now
+    function clearQuietHours(userId) {
+        updateQuietSettings(userId, { quietHours: null });
+        return sendCatchUps(userId);
+    }
+
+    // Switch a user's quiet hours on or off, returns the new state or null when they have none.
+    // Switching them off sends what they held right away.
+    function toggleQuietHours(userId) {
+        const { quietHours } = getQuietSettings(userId);
+        if (!quietHours) return null;
+        updateQuietSettings(userId, { quietHours: { ...quietHours, enabled: !quietHours.enabled } });
+        if (quietHours.enabled) sendCatchUps(userId);
+        return !quietHours.enabled;
+    }
+
+    // Switch the catch-up summary of a user's quiet hours on or off, returns the new state or null when they have none
+    function toggleCatchUp(userId) {
+        const { quietHours } = getQuietSettings(userId);
+        if (!quietHours) return null;
+        updateQuietSettings(userId, { quietHours: { ...quietHours, catchUp: !quietHours.catchUp } });
+        return !quietHours.catchUp;
+    }
+
+    // Why a user's notifications are held right now: 'snoozed', 'quiet' or null when they can go out
+    function getHoldReason(userId, now = Date.now()) {
+        const settings = quietSettings.get(userId);
+        if (!settings) return null;
+        if (settings.snoozedUntil > now) return 'snoozed';
+        return getQuietHoursEnd(settings.quietHours, now) === null ? null : 'quiet';
+    }
+
+    // Check whether a notification to a user has to be held: 'snoozed', 'quiet' or null when it can go out.
+    // Notifications held during quiet hours with catch-up on are added to the user's catch-up of the collection.
+    function holdNotification(userId, event, now = Date.now()) {
+        const reason = getHoldReason(userId, now);
+        if (reason !== 'quiet') return reason;
+
+        const { quietHours } = quietSettings.get(userId);
+        if (quietHours.catchUp) {
+            const quietUntil = getQuietHoursEnd(quietHours, now);
+            const key = `${userId}:${event.collection.key}`;
+            // A digest that is due when the quiet hours end instead of at the end of the hour
+            const digest = catchUps.get(key) || { ...createDigest(event, 'hourly', now), mode: 'catch_up', dueAt: quietUntil };
+            recordEvent(digest, event);
+            catchUps.set(key, digest);
+        }
+        return 'quiet';
+    }
+
+    // Send and drop a user's catch-up of a collection as a DM, if there is one
+    async function sendCatchUp(userId, collectionKey) {
+        const key = `${userId}:${collectionKey}`;
+        const digest = catchUps.get(key);
+        if (!digest) return;
+        catchUps.delete(key);
+
+        await deliver(`user:${userId}`, `quiet hours catch-up of ${collectionKey}`, async () => {
+            const user = await client.users.fetch(userId);
+            await user.send({ embeds: [createDigestEmbed(digest, '🌙 Quiet Hours Catch-up')] });
+            log.info('Sent the quiet hours catch-up', { userId, collection: collectionKey });
+        });
+    }
+
+    // Send every catch-up that is due, or every catch-up of one user
+    async function sendCatchUps(userId = null, now = Date.now()) {
+        const due = Array.from(catchUps.entries()).filter(([key, digest]) => (userId ? key.startsWith(`${userId}:`) : digest.dueAt <= now));
+        await Promise.all(due.map(([key]) => {
+            const separator = key.indexOf(':');
+            return sendCatchUp(key.slice(0, separator), key.slice(separator + 1));
+        }));
+    }
+
+    // Check for due catch-ups every minute, catch-ups that came due while the bot was down go out right away
+    function start() {
+        sendCatchUps();
+        checkInterval = setInterval(() => sendCatchUps(), CATCH_UP_CHECK_INTERVAL);
+    }
+
+    // Stop checking and write the catch-ups not saved yet
+    async function stop() {
+        if (checkInterval) clearInterval(checkInterval);
+        checkInterval = null;
+        await catchUps.save();
+    }
+
+    return {
+        quietSettings,
+        catchUps,
+        load,
+        getQuietSettings,
+        getSnoozedUntil,
+        snooze,
+        endSnooze,
+        setQuietHours,
+        clearQuietHours,
+        toggleQuietHours,
+        toggleCatchUp,
+        getHoldReason,
+        holdNotification,
+        sendCatchUps,
+        start,
+        stop
+    };
+}
+
+module.exports = { createQuietHours, parseTime, formatTime, isValidTimeZone, getQuietHoursEnd };
@@ -0,0 +1,703 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const { VALID_EVENTS, EVENT_TYPES, DELIVERY_MODES, SINK_TYPES, SUBSCRIPTION_SINKS, BRANDING } = require('./constants');
+const { formatWindow, getEventPrice } = require('./alerts');
+const { getNativeCurrency, getExplorerUrl } = require('./streams');
+
+// What a watched wallet did in an event, by its role in the event
+const WALLET_ROLES = {
+    maker: { item_listed: 'Seller', item_sold: 'Seller', item_received_offer: 'Offerer', item_received_bid: 'Bidder', item_transferred: 'Sender' },
+    taker: { item_sold: 'Buyer', item_transferred: 'Recipient' }
+};
+
+// Create embed for a normalized stream event.
+// `floor` ({ price, previous }, see ./floors.js) shows the floor with its change over the last 24 hours.
+// `wallet` ({ address, role }) flags the watched wallet the event was sent for.
+// `style` (see EMBED_STYLES) picks the layout, `branding` ({ name, footer, icon, color }, see ./customization.js)
+// overrides the default branding and event colour, and `template` replaces the event's text with a server's template.
+function createEmbed(event, { floor, wallet, style = 'full', branding = {}, template = null } = {}) {
+    const eventType = EVENT_TYPES[event.type] || { emoji: '📢', color: '#95a5a6', name: 'Event' };
+    const { collection, item, price, maker, taker } = event;
+    const floorSymbol = getNativeCurrency(collection.chain).symbol;
+    const floorPrice = floor?.price ?? collection.floorPrice;
+    const collectionName = collection.name || collection.slug || 'Unknown Collection';
+    const text = template ? fillTemplate(template, getTemplateValues(event, floorPrice)) : null;
+    
+    const embed = new EmbedBuilder()
+        .setColor(branding.color || eventType.color)
+        .setTimestamp()
+        .setFooter({
+            text: `${branding.footer || BRANDING.footer} • ${branding.name || BRANDING.name}`,
+            iconURL: branding.icon || BRANDING.icon
+        });
+
+    // A single line without buttons
+    if (style === 'compact') {
+        const tokenName = item ? item.name || `Token #${item.tokenId}` : collectionName;
+        const tokenLink = item?.url ? `[${tokenName}](${item.url})` : tokenName;
+        const line = `${eventType.emoji} **${tokenLink}** (${collectionName}) • ${eventType.name}${price ? ` • ${formatEventPrice(event)}` : ''}`;
+        return { embed: embed.setDescription(text || line), components: [] };
+    }
+
+    // The token image with its name and the link buttons
+    if (style === 'image') {
+        embed.setTitle(`${eventType.emoji} ${item ? item.name || `Token #${item.tokenId}` : collectionName}`);
+        if (text) embed.setDescription(text);
+        if (item?.imageUrl) embed.setImage(item.imageUrl);
+        if (item?.url) embed.setURL(item.url);
+        const urlButtonRow = createUrlButtonRow(event);
+        return { embed, components: urlButtonRow.components.length > 0 ? [urlButtonRow] : [] };
+    }
+
+    // Set title with emoji and branding
+    embed.setTitle(`${eventType.emoji} ${eventType.name}`);
+
+    // Add collection information
+    const verifiedBadge = collection.verified ? '✅' : '';
+    
+    embed.setAuthor({
+        name: `${collectionName} ${verifiedBadge}`,
+        url: collection.url || undefined,
+        iconURL: collection.imageUrl || undefined
+    });
+
+    // Flag the watched wallet that triggered this notification
+    if (wallet) {
+        const role = WALLET_ROLES[wallet.role]?.[event.type];
+        embed.addFields({
+            name: '👀 Watched Wallet',
+            value: `${formatAccount(event[wallet.role] || { address: wallet.address })}${role ? ` (${role})` : ''}`
+        });
+    }
+
+    // Add floor price for collection, with its change when it is tracked
+    if (floorPrice) {
+        embed.addFields({
+            name: 'Floor Price',
+            value: formatFloor(floorPrice, floor?.previous, floorSymbol),
+            inline: true
+        });
+    }
+
+    // Add token information
+    if (item) {
+        const tokenName = item.name || `Token #${item.tokenId}`;
+        
+        let description = `**${tokenName}**`;
+        
+        if (item.tokenId) {
+            description += `\nToken ID: ${item.tokenId}`;
+        }
+        
+        if (item.contract) {
+            const contractUrl = getExplorerUrl(item.chain, 'token', item.contract);
+            description += `\nContract: ${contractUrl ? `[\`${item.contract}\`](${contractUrl})` : `\`${item.contract}\``}`;
+        }
+
+        // Add rarity rank if available
+        if (item.rarityRank) {
+            description += `\nRarity Rank: #${item.rarityRank}`;
+        }
+        
+        embed.setDescription(description);
+        
+        if (item.imageUrl) {
+            embed.setImage(item.imageUrl);
+        }
+        
+        if (item.url) {
+            embed.setURL(item.url);
+        }
+    }
+
+    // A server's template replaces the token information
+    if (text) {
+        embed.setDescription(text);
+    }
+
+    // Add event-specific fields
+    if (event.type === 'item_listed') {
+        // Add listing price
+        if (price) {
+            embed.addFields({
+                name: 'Listing Price',
+                value: formatEventPrice(event),
+                inline: true
+            });
+        }
+
+        // Add listing duration/expiration
+        if (event.expiresAt) {
+            embed.addFields({
+                name: 'Expires',
+                value: formatTimestamp(event.expiresAt),
+                inline: true
+            });
+        }
+
+        // Add seller information
+        if (maker) {
+            embed.addFields({
+                name: 'Seller',
+                value: formatAccount(maker),
+                inline: true
+            });
+        }
+    } else if (event.type === 'item_sold') {
+        // Add sale price
+        if (price) {
+            embed.addFields({
+                name: 'Sale Price',
+                value: formatEventPrice(event),
+                inline: true
+            });
+        }
+
+        // Add transaction timestamp
+        if (event.timestamp) {
+            embed.addFields({
+                name: 'Sold',
+                value: formatTimestamp(event.timestamp),
+                inline: true
+            });
+        }
+
+        // Add buyer and seller information
+        if (maker) {
+            embed.addFields({
+                name: 'Seller',
+                value: formatAccount(maker),
+                inline: true
+            });
+        }
+        if (taker) {
+            embed.addFields({
+                name: 'Buyer',
+                value: formatAccount(taker),
+                inline: true
+            });
+        }
+    } else if (event.type === 'item_received_offer' || event.type === 'item_received_bid') {
+        // Add offer price, usually in a wrapped token such as WETH
+        if (price) {
+            embed.addFields({
+                name: event.type === 'item_received_bid' ? 'Bid Price' : 'Offer Price',
+                value: formatEventPrice(event),
+                inline: true
+            });
+        }
+
+        if (event.expiresAt) {
+            embed.addFields({
+                name: 'Expires',
+                value: formatTimestamp(event.expiresAt),
+                inline: true
+            });
+        }
+
+        if (maker) {
+            embed.addFields({
+                name: event.type === 'item_received_bid' ? 'Bidder' : 'Offerer',
+                value: formatAccount(maker),
+                inline: true
+            });
+        }
+    }
+
+    // Create action rows for buttons
+    const components = [];
+
+    // First row for URL buttons
+    const urlButtonRow = createUrlButtonRow(event);
+    if (urlButtonRow.components.length > 0) {
+        components.push(urlButtonRow);
+    }
+
+    // Second row for profile and action buttons
+    const profileButtonRow = new ActionRowBuilder();
+
+    // Add profile buttons based on event type
+    if (event.type === 'item_listed' || event.type === 'item_sold') {
+        if (maker?.url) {
+            profileButtonRow.addComponents(
+                new ButtonBuilder()
+                    .setLabel('View Seller')
+                    .setStyle(ButtonStyle.Link)
+                    .setURL(maker.url)
+            );
+        }
+    }
+    if (event.type === 'item_sold' && taker?.url) {
+        profileButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('View Buyer')
+                .setStyle(ButtonStyle.Link)
+                .setURL(taker.url)
+        );
+    }
+
+    // Add action buttons for listings
+    if (event.type === 'item_listed' && item?.url) {
+        profileButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('Make Offer')
+                .setStyle(ButtonStyle.Link)
+                .setURL(`${item.url}/offers`)
+        );
+        profileButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('Buy Now')
+                .setStyle(ButtonStyle.Link)
+                .setURL(item.url)
+        );
+    }
+
+    if (profileButtonRow.components.length > 0) {
+        components.push(profileButtonRow);
+    }
+
+    // Third row for collections management
+    const collectionsButtonRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('view_collections')
+                .setLabel('View Collections')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📋')
+        );
+
+    components.push(collectionsButtonRow);
+
+    return { embed, components };
+}
+
+// Create the row of link buttons to the token, collection and transaction of an event
+function createUrlButtonRow(event) {
+    const { collection, item } = event;
+    const urlButtonRow = new ActionRowBuilder();
+
+    // Add View Token button if token URL exists
+    if (item?.url) {
+        urlButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('View Token')
+                .setStyle(ButtonStyle.Link)
+                .setURL(item.url)
+        );
+    }
+
+    // Add View Collection button if collection URL exists
+    if (collection.url) {
+        urlButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('View Collection')
+                .setStyle(ButtonStyle.Link)
+                .setURL(collection.url)
+        );
+    }
+
+    // Add View Transaction button for sales and transfers on a chain with a known explorer
+    const transactionUrl = getExplorerUrl(collection.chain, 'tx', event.transactionHash);
+    if (transactionUrl) {
+        urlButtonRow.addComponents(
+            new ButtonBuilder()
+                .setLabel('View Transaction')
+                .setStyle(ButtonStyle.Link)
+                .setURL(transactionUrl)
+        );
+    }
+
+    return urlButtonRow;
+}
+
+// The values of the template placeholders (see TEMPLATE_PLACEHOLDERS) for an event
+function getTemplateValues(event, floorPrice) {
+    const { collection, item, maker, taker } = event;
+    const price = getEventPrice(event);
+    const hasPrice = price !== null && !Number.isNaN(price);
+    return {
+        collection: collection.name || collection.slug || 'Unknown Collection',
+        event: EVENT_TYPES[event.type]?.name || 'Event',
+        token: item ? item.name || `Token #${item.tokenId}` : 'Unknown Token',
+        token_id: item?.tokenId || 'N/A',
+        price: hasPrice ? formatPrice(price, event.price.symbol) : 'N/A',
+        usd: hasPrice && event.price.usdPrice ? formatUsd(price * event.price.usdPrice) : 'N/A',
+        floor: formatPrice(floorPrice, getNativeCurrency(collection.chain).symbol),
+        seller: maker ? formatAccount(maker) : 'Unknown',
+        buyer: taker ? formatAccount(taker) : 'Unknown',
+        url: item?.url || collection.url || ''
+    };
+}
+
+// Replace the placeholders of a template, e.g. "{token} sold for {price}"
+function fillTemplate(template, values) {
+    return template.replace(/\{([a-z_]+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
+// Create the summary embed of an hourly or daily digest (see ./digests.js), `title` replaces the mode's name
+function createDigestEmbed(digest, title = `📊 ${DELIVERY_MODES[digest.mode].name}`) {
+    const { collection } = digest;
+    const floorSymbol = getNativeCurrency(collection.chain).symbol;
+    const formatEntry = entry => {
+        const name = entry.url ? `[${entry.name}](${entry.url})` : entry.name;
+        return `${name} • ${formatPrice(entry.price, entry.symbol)}${entry.usd ? ` (${formatUsd(entry.usd)})` : ''}`;
+    };
+
+    const volume = Object.entries(digest.volume)
+        .map(([symbol, amount]) => formatPrice(amount, symbol))
+        .join(' + ');
+    const floor = digest.floorStart === null
+        ? 'N/A'
+        : `${formatPrice(digest.floorStart, floorSymbol)} → ${formatFloor(digest.floorEnd, digest.floorStart, floorSymbol)}`;
+    const activity = Object.entries(digest.counts)
+        .map(([type, count]) => `${EVENT_TYPES[type]?.emoji || '📢'} ${EVENT_TYPES[type]?.name || type}: ${count}`)
+        .join('\n');
+
+    return new EmbedBuilder()
+        .setColor(BRANDING.color)
+        .setTitle(title)
+        .setAuthor({
+            name: collection.name || collection.key,
+            url: collection.url || undefined,
+            iconURL: collection.imageUrl || undefined
+        })
+        .setDescription(`Activity since ${formatTimestamp(digest.startedAt)}`)
+        .addFields(
+            { name: 'Sales', value: digest.sales.toString(), inline: true },
+            { name: 'Volume', value: volume || 'N/A', inline: true },
+            { name: 'Floor Price', value: floor, inline: true },
+            { name: 'Top Sale', value: digest.topSale ? formatEntry(digest.topSale) : 'No sales' },
+            { name: 'New Listings Under Floor', value: digest.listingsUnderFloor.map(formatEntry).join('\n') || 'None' },
+            { name: 'All Activity', value: activity || 'None' }
+        )
+        .setTimestamp()
+        .setFooter({
+            text: `${BRANDING.footer} • ${BRANDING.name}`,
+            iconURL: BRANDING.icon
+        });
+}
+
+// Create the embed of a floor_change alert, `change` is { price, previous }
+function createFloorAlertEmbed(collection, change, rule) {
+    const up = change.price > change.previous;
+    const { symbol } = getNativeCurrency(collection.chain);
+    return new EmbedBuilder()
+        .setColor(up ? '#2ecc71' : '#e74c3c')
+        .setTitle(`${getPriceChangeIndicator(change.price, change.previous)} Floor ${up ? 'Up' : 'Down'} ${formatPriceChange(change.price, change.previous)}`)
+        .setAuthor({
+            name: collection.name || collection.key,
+            url: collection.url || undefined,
+            iconURL: collection.imageUrl || undefined
+        })
+        .setDescription(`The floor price moved more than ${rule.value}% within ${formatWindow(rule.window)}.`)
+        .addFields(
+            { name: 'Floor Price', value: `${formatPrice(change.previous, symbol)} → ${formatPrice(change.price, symbol)}` }
+        )
+        .setTimestamp()
+        .setFooter({
+            text: `${BRANDING.footer} • ${BRANDING.name}`,
+            iconURL: BRANDING.icon
+        });
+}
+
+// Create the embed confirming a subscription, with the collection's name, image and verified status when its
+// metadata was looked up (see ./metadata/index.js). `joined` tells whether the stream already follows it.
+function createSubscriptionEmbed(collectionSlug, { collection = null, joined = true } = {}) {
+    const embed = new EmbedBuilder()
+        .setColor(BRANDING.color)
+        .setTitle('Subscription Successful')
+        .setDescription(`You are now subscribed to ${collection ? `**${collection.name}** (${collectionSlug})` : collectionSlug}`)
+        .addFields({
+            name: 'Status',
+            value: joined ? '✅ Active and receiving notifications' : '⏳ Will be active once the stream connection is established'
+        })
+        .setFooter({
+            text: `${BRANDING.footer} • ${BRANDING.name}`,
+            iconURL: BRANDING.icon
+        });
+
+    if (collection) {
+        if (collection.url) embed.setURL(collection.url);
+        if (collection.imageUrl) embed.setThumbnail(collection.imageUrl);
+        embed.addFields({
+            name: 'Verified',
+            value: collection.verified ? '✅ Verified collection' : '⚠️ Not verified, make sure this is the collection you meant'
+        });
+    }
+    return embed;
+}
+
+// Create the embed asking to confirm a subscription to a collection that isn't verified, a lookalike of a popular
+// collection would otherwise be followed without a second look
+function createSubscriptionConfirmEmbed(collectionSlug, collection) {
+    const embed = new EmbedBuilder()
+        .setColor(BRANDING.color)
+        .setTitle('Confirm Subscription')
+        .setDescription(`⚠️ **${collection.name}** (${collectionSlug}) is not verified, make sure this is the collection you meant.`)
+        .setFooter({
+            text: `${BRANDING.footer} • ${BRANDING.name}`,
+            iconURL: BRANDING.icon
+        });
+
+    if (collection.url) embed.setURL(collection.url);
+    if (collection.imageUrl) embed.setThumbnail(collection.imageUrl);
+    return embed;
+}
+
+// Create the buttons confirming or cancelling a subscription
+function createSubscriptionConfirmRow(collectionSlug) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`subscribe_confirm:${collectionSlug}`)
+                .setLabel('Subscribe')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`subscribe_cancel:${collectionSlug}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+}
+
+// Create a select menu row for choosing how a collection's events are delivered
+function createDeliveryModeRow(collectionSlug, selectedMode) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`delivery_mode:${collectionSlug}`)
+                .setPlaceholder(`Delivery for ${collectionSlug}`)
+                .addOptions(
+                    Object.entries(DELIVERY_MODES).map(([mode, { name, emoji, description }]) => ({
+                        label: `${collectionSlug}: ${name}`,
+                        description,
+                        value: mode,
+                        emoji,
+                        default: mode === selectedMode
+                    }))
+                )
+        );
+}
+
+// Create a select menu row for choosing the sinks of a subscription, at least one
+function createSinkSelectRow(collectionSlug, selectedSinks) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`sink_select:${collectionSlug}`)
+                .setPlaceholder(`Destinations for ${collectionSlug}`)
+                .setMinValues(1)
+                .setMaxValues(SUBSCRIPTION_SINKS.length)
+                .addOptions(
+                    SUBSCRIPTION_SINKS.map(sink => ({
+                        label: `${collectionSlug}: ${SINK_TYPES[sink].name}`,
+                        description: SINK_TYPES[sink].description,
+                        value: sink,
+                        emoji: SINK_TYPES[sink].emoji,
+                        default: selectedSinks.includes(sink)
+                    }))
+                )
+        );
+}
+
+// Create a select menu row for muting some of the user's collections
+function createMuteSelectRow(subscriptions, mutedCollections) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('quiet_mute')
+                .setPlaceholder('Muted collections')
+                .setMinValues(0)
+                .setMaxValues(subscriptions.length)
+                .addOptions(
+                    subscriptions.map(slug => ({
+                        label: slug,
+                        value: slug,
+                        emoji: '🔇',
+                        default: mutedCollections.includes(slug)
+                    }))
+                )
+        );
+}
+
+// Create the do not disturb buttons: snooze for an hour (or end the snooze), quiet hours and catch-up on or off
+function createQuietButtonRow({ snoozed, quietHours }) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('quiet_snooze')
+                .setLabel(snoozed ? 'End Snooze' : 'Snooze 1h')
+                .setStyle(snoozed ? ButtonStyle.Success : ButtonStyle.Secondary)
+                .setEmoji('😴'),
+            new ButtonBuilder()
+                .setCustomId('quiet_hours')
+                .setLabel(`Quiet Hours: ${quietHours?.enabled ? 'On' : 'Off'}`)
+                .setStyle(quietHours?.enabled ? ButtonStyle.Success : ButtonStyle.Secondary)
+                .setEmoji('🌙')
+                .setDisabled(!quietHours),
+            new ButtonBuilder()
+                .setCustomId('quiet_catchup')
+                .setLabel(`Catch-up: ${quietHours?.catchUp ? 'On' : 'Off'}`)
+                .setStyle(quietHours?.catchUp ? ButtonStyle.Success : ButtonStyle.Secondary)
+                .setEmoji('📬')
+                .setDisabled(!quietHours)
+        );
+}
+
+// Create a select menu row for choosing the events of a collection
+function createEventFilterRow(collectionSlug, selectedEvents) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`event_filters:${collectionSlug}`)
+                .setPlaceholder(`Select events for ${collectionSlug}`)
+                .setMinValues(1)
+                .setMaxValues(VALID_EVENTS.length)
+                .addOptions(
+                    VALID_EVENTS.map(event => ({
+                        label: EVENT_TYPES[event].name,
+                        description: `Filter ${event} events`,
+                        value: event,
+                        emoji: EVENT_TYPES[event].emoji,
+                        default: selectedEvents.has(event)
+                    }))
+                )
+        );
+}
+
+// Create a select menu row for choosing one of the user's collections
+function createCollectionSelectRow(customId, subscriptions, placeholder) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(customId)
+                .setPlaceholder(placeholder)
+                .addOptions(
+                    subscriptions.map(slug => ({
+                        label: slug,
+                        value: slug
+                    }))
+                )
+        );
+}
+
+// Create the quick filter buttons for a collection
+function createQuickFilterRow(collectionSlug) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`filter_sales:${collectionSlug}`)
+                .setLabel('Sales Only')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('💰'),
+            new ButtonBuilder()
+                .setCustomId(`filter_listings:${collectionSlug}`)
+                .setLabel('Listings Only')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🆕'),
+            new ButtonBuilder()
+                .setCustomId(`filter_all:${collectionSlug}`)
+                .setLabel('All Events')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('📢')
+        );
+}
+
+// Create the alert rule buttons for a collection
+function createAlertButtonRow(collectionSlug) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`alert_add:${collectionSlug}`)
+                .setLabel('Add Alert Rule')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('🚨'),
+            new ButtonBuilder()
+                .setCustomId(`alert_list:${collectionSlug}`)
+                .setLabel('Manage Alert Rules')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('📋')
+        );
+}
+
+// Helper functions for formatting
+// `price` is in whole units of `currency`, amounts below 0.001 keep up to 6 decimals
+function formatPrice(price, currency = 'ETH') {
+    if (!price) return 'N/A';
+    const value = parseFloat(price);
+    const formattedPrice = value.toLocaleString('en-US', {
+        minimumFractionDigits: 3,
+        maximumFractionDigits: Math.abs(value) < 0.001 ? 6 : 3
+    });
+    return `${formattedPrice} ${currency}`;
+}
+
+function formatUsd(value) {
+    return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+// Format an event's price in its payment token with the USD value when known, e.g. 8.500 ETH ($21,506.02)
+function formatEventPrice(event) {
+    const price = getEventPrice(event);
+    if (price === null || Number.isNaN(price)) return 'N/A';
+    const usd = event.price.usdPrice ? ` (${formatUsd(price * event.price.usdPrice)})` : '';
+    return `${formatPrice(price, event.price.symbol)}${usd}`;
+}
+
+function formatAddress(address) {
+    if (!address) return 'Unknown';
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function formatAccount(account) {
+    return account.url ? `[${formatAddress(account.address)}](${account.url})` : formatAddress(account.address);
+}
+
+function formatTimestamp(timestamp) {
+    if (!timestamp) return 'N/A';
+    return `<t:${Math.floor(new Date(timestamp).getTime() / 1000)}:R>`;
+}
+
+function getPriceChangeIndicator(price, previousPrice) {
+    if (!price || !previousPrice) return '';
+    const change = ((price - previousPrice) / previousPrice) * 100;
+    if (change > 0) return '📈';
+    if (change < 0) return '📉';
+    return '➖';
+}
+
+function formatPriceChange(price, previousPrice) {
+    if (!price || !previousPrice) return '';
+    const change = ((price - previousPrice) / previousPrice) * 100;
+    const formattedChange = Math.abs(change).toFixed(2);
+    return `${change > 0 ? '+' : ''}${formattedChange}%`;
+}
+
+// Format a floor price with its change from a previous floor, e.g. 7.900 ETH 📉 1.25%
+function formatFloor(price, previousPrice, currency) {
+    return `${formatPrice(price, currency)} ${getPriceChangeIndicator(price, previousPrice)} ${formatPriceChange(price, previousPrice)}`.trim();
+}
+
+module.exports = {
+    createEmbed,
+    createDigestEmbed,
+    createFloorAlertEmbed,
+    createSubscriptionEmbed,
+    createSubscriptionConfirmEmbed,
+    createSubscriptionConfirmRow,
+    createDeliveryModeRow,
+    createSinkSelectRow,
+    createEventFilterRow,
+    createMuteSelectRow,
+    createQuietButtonRow,
+    createCollectionSelectRow,
+    createQuickFilterRow,
+    createAlertButtonRow,
+    formatPrice,
+    formatUsd,
+    formatEventPrice,
+    formatAddress,
+    formatAccount,
+    formatTimestamp,
+    getPriceChangeIndicator,
+    formatPriceChange,
+    formatFloor
+};
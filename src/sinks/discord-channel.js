@@ -0,0 +1,42 @@
+const { createEmbed } = require('../render');
+const { createLogger } = require('../logger');
+
+const log = createLogger('delivery');
+
+// Discord channel sink: the notification of a channel feed in its server's branding and template. Channels missing
+// permissions are reported to the feed's admin instead.
+function createDiscordChannelSink(notifier) {
+    const { client } = notifier;
+    const { channelFeeds } = notifier.subscriptions;
+    const { feedPermissionWarnings, getMissingFeedPermissions, reportFeedPermissions } = notifier.feeds;
+    const { getBranding, getTemplate } = notifier.customization;
+
+    return {
+        type: 'channel',
+        getTarget: channelId => `channel:${channelId}`,
+        async send(channelId, { event, floor }) {
+            const guildId = channelFeeds.get(channelId)?.guildId;
+            const { embed, components } = createEmbed(event, {
+                floor,
+                branding: getBranding(guildId),
+                template: getTemplate(guildId, event.type)
+            });
+
+            const channel = await client.channels.fetch(channelId);
+            const missing = getMissingFeedPermissions(channel);
+            if (missing.length > 0) {
+                log.warn('Missing permissions in feed channel', { channelId, missing });
+                await reportFeedPermissions(channelId, missing);
+                return false;
+            }
+
+            await channel.send({
+                embeds: [embed],
+                components: components
+            });
+            feedPermissionWarnings.delete(channelId);
+        }
+    };
+}
+
+module.exports = { createDiscordChannelSink };
@@ -0,0 +1,23 @@
+const { createEmbed } = require('../render');
+
+// Discord DM sink: the notification as an embed in the user's own layout (see EMBED_STYLES)
+function createDiscordDmSink(notifier) {
+    const { client } = notifier;
+    const { getEmbedStyle } = notifier.customization;
+
+    return {
+        type: 'dm',
+        // The delivery queue pauses `user:` targets whose DMs are closed, see ./queue.js
+        getTarget: userId => `user:${userId}`,
+        async send(userId, { event, wallet, floor }) {
+            const { embed, components } = createEmbed(event, { floor, wallet, style: getEmbedStyle(userId) });
+            const user = await client.users.fetch(userId);
+            await user.send({
+                embeds: [embed],
+                components: components
+            });
+        }
+    };
+}
+
+module.exports = { createDiscordDmSink };
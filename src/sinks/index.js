@@ -0,0 +1,30 @@
+const { createDiscordDmSink } = require('./discord-dm');
+const { createDiscordChannelSink } = require('./discord-channel');
+const { createWebhookSink, parseWebhookUrl, isPrivateAddress, checkWebhookHost, signWebhookPayload, createWebhookPayload } = require('./webhook');
+
+// Notification sinks deliver one notification to one target, the delivery queue (../queue.js) runs every send.
+// A sink is { type, getTarget(id), send(id, notification), isAvailable?(id), load?() } where `id` is a user ID
+// (dm, webhook) or a channel ID (channel), getTarget names it for the queue and `notification` is
+// { event, wallet, floor }. `send` does the actual requests and may resolve false when it decided not to send.
+//
+// Users link the sinks in SUBSCRIPTION_SINKS to their subscriptions (see ../subscriptions.js), channel feeds always use
+// the channel sink. `webhooks` configures the webhook sink.
+function createSinks(notifier, { webhooks = {} } = {}) {
+    const sinks = new Map();
+    sinks.set('dm', createDiscordDmSink(notifier));
+    sinks.set('channel', createDiscordChannelSink(notifier));
+    sinks.set('webhook', createWebhookSink(notifier, webhooks));
+    return sinks;
+}
+
+module.exports = {
+    createSinks,
+    createDiscordDmSink,
+    createDiscordChannelSink,
+    createWebhookSink,
+    parseWebhookUrl,
+    isPrivateAddress,
+    checkWebhookHost,
+    signWebhookPayload,
+    createWebhookPayload
+};
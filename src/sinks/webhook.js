@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { PersistentMap } = require('../storage');
+const { createSampleEvent } = require('../customization');
+const { createLogger } = require('../logger');
+
+const log = createLogger('delivery');
+
+const WEBHOOK_TIMEOUT = 10000; // 10 seconds
+const MAX_URL_LENGTH = 512;
+const USER_AGENT = 'nft-notify-bot (webhook)';
+const NOT_PUBLIC = 'Webhook URLs must point to a public address.';
+
+// Addresses a webhook may not point to: this host, private networks, link-local (e.g. cloud metadata endpoints),
+// carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Whether an IP address is not publicly routable, IPv4-mapped IPv6 addresses are checked as IPv4
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The host of a URL, IPv6 addresses without their brackets
+function getHostname(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// Reject a webhook host when any of its addresses is not public, so users can't point the bot at its own network
+function checkAddresses(hostname, addresses) {
+    if (addresses.some(isPrivateAddress)) {
+        throw Object.assign(new Error(`Webhook host ${hostname} is not a public address`), { code: 'ENOTPUBLIC' });
+    }
+}
+
+// Resolve a webhook URL's host and check its addresses. Rejects with `code` set: ENOTPUBLIC or the DNS error's.
+async function checkWebhookHost(url) {
+    const hostname = getHostname(url);
+    const addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    checkAddresses(hostname, addresses);
+}
+
+// dns.lookup for webhook connections that checks the addresses it resolves. The request connects to the addresses
+// checked, a host can't resolve to a public address for a check and to a private one for the request.
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        try {
+            checkAddresses(hostname, Array.isArray(address) ? address.map(entry => entry.address) : [address]);
+        } catch (hostError) {
+            return callback(hostError);
+        }
+        callback(null, address, family);
+    });
+}
+
+// Check a webhook URL given by a user, only https unless `allowHttp`. Returns { url } or { error }.
+function parseWebhookUrl(value, { allowHttp = false } = {}) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch {
+        return { error: 'Invalid URL, e.g. https://example.com/nft-webhook' };
+    }
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        return { error: `Webhook URLs must start with https://${allowHttp ? ' or http://' : ''}.` };
+    }
+    if (url.href.length > MAX_URL_LENGTH) {
+        return { error: `Webhook URLs can be at most ${MAX_URL_LENGTH} characters.` };
+    }
+    return { url: url.href };
+}
+
+// HMAC-SHA256 of `<timestamp>.<body>` with the endpoint's secret, hex encoded. Receivers compute the same over the
+// X-Webhook-Timestamp header and the raw body and compare it with X-Webhook-Signature (`sha256=<hex>`).
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The JSON body of a webhook request: the normalized event (see ../streams/event.js) without the raw stream message,
+// `type` is notification or test
+function createWebhookPayload(type, { event, wallet = null }) {
+    const { raw, ...fields } = event;
+    return {
+        id: crypto.randomUUID(),
+        type,
+        sentAt: new Date().toISOString(),
+        collection: event.collection.key,
+        event: fields,
+        wallet
+    };
+}
+
+function deserializeEndpoint(endpoint) {
+    if (!endpoint || typeof endpoint.url !== 'string' || typeof endpoint.secret !== 'string') return null;
+    return endpoint;
+}
+
+// Webhook sink: POSTs HMAC-signed JSON of the normalized event to an endpoint each user sets up. Off unless `enabled`,
+// `allowHttp` also allows plain http:// endpoints and endpoints on private addresses (e.g. a local receiver), otherwise
+// the host is resolved and checked when the endpoint is set and on every connection. Failed requests are retried by
+// the delivery queue like Discord's: timeouts, network errors, 429 and 5xx answers are retried, other answers fail
+// right away.
+function createWebhookSink(notifier, { enabled = false, allowHttp = false, timeout = WEBHOOK_TIMEOUT } = {}) {
+    const { store } = notifier;
+    const endpoints = new PersistentMap(store, 'webhookEndpoints', {
+        deserialize: deserializeEndpoint
+    }); // userId -> { url, secret, createdAt }
+    const dispatcher = allowHttp ? undefined : new Agent({ connect: { lookup: lookupPublicAddress } });
+
+    async function load() {
+        await endpoints.load();
+    }
+
+    function getEndpoint(userId) {
+        return endpoints.get(userId) || null;
+    }
+
+    // Set a user's endpoint with a new signing secret. Resolves { url, secret } or { error }.
+    async function setEndpoint(userId, value) {
+        if (!enabled) return { error: 'Webhooks are not enabled on this bot.' };
+        const { url, error } = parseWebhookUrl(value, { allowHttp });
+        if (error) return { error };
+        if (!allowHttp) {
+            try {
+                await checkWebhookHost(url);
+            } catch (hostError) {
+                log.debug('Refused a webhook host', { userId, error: hostError.message });
+                return { error: hostError.code === 'ENOTPUBLIC' ? NOT_PUBLIC : `Could not resolve ${new URL(url).hostname}.` };
+            }
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        endpoints.set(userId, { url, secret, createdAt: Date.now() });
+        return { url, secret };
+    }
+
+    // Remove a user's endpoint, returns false when they had none
+    function removeEndpoint(userId) {
+        if (!endpoints.has(userId)) return false;
+        endpoints.delete(userId);
+        return true;
+    }
+
+    // Whether notifications can go to a user's webhook
+    function isAvailable(userId) {
+        return enabled && endpoints.has(userId);
+    }
+
+    // POST a payload to an endpoint, resolves the response status and rejects with `status` or `code` set so the
+    // delivery queue can tell transient failures apart
+    async function post(endpoint, payload) {
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        // Host names are checked by the dispatcher's lookup when connecting, hosts given as an address aren't looked up
+        const hostname = getHostname(endpoint.url);
+        if (!allowHttp && net.isIP(hostname)) checkAddresses(hostname, [hostname]);
+        let response;
+        try {
+            response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Webhook-Id': payload.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${signWebhookPayload(endpoint.secret, timestamp, body)}`
+                },
+                body,
+                // Redirects are not followed, they could point the bot anywhere
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeout),
+                dispatcher
+            });
+        } catch (error) {
+            const code = error.name === 'TimeoutError' ? 'ETIMEDOUT' : error.cause?.code;
+            throw Object.assign(new Error(`Webhook request failed: ${error.cause?.message || error.message}`), { code });
+        }
+
+        // The body is not used, discard it so the connection is released
+        await response.body?.cancel();
+        if (!response.ok) {
+            throw Object.assign(new Error(`Webhook answered ${response.status}`), { status: response.status });
+        }
+        return response.status;
+    }
+
+    // Send a notification to a user's webhook, skipped when they removed it in the meantime
+    async function send(userId, notification) {
+        const endpoint = getEndpoint(userId);
+        if (!enabled || !endpoint) return false;
+        await post(endpoint, createWebhookPayload('notification', notification));
+    }
+
+    // Send a sample sale right away, bypassing the delivery queue. Resolves { status } or { error }, the error is meant
+    // for the user and doesn't show connection details.
+    async function sendTest(userId) {
+        const endpoint = getEndpoint(userId);
+        if (!endpoint) return { error: 'You have not set up a webhook.' };
+        try {
+            return { status: await post(endpoint, createWebhookPayload('test', { event: createSampleEvent('item_sold') })) };
+        } catch (error) {
+            log.warn('Webhook test failed', { userId, error: error.message });
+            if (error.status) return { error: `Webhook answered ${error.status}` };
+            if (error.code === 'ENOTPUBLIC') return { error: NOT_PUBLIC };
+            if (error.code === 'ETIMEDOUT') return { error: 'Webhook did not answer in time' };
+            return { error: 'Could not reach your webhook' };
+        }
+    }
+
+    return {
+        type: 'webhook',
+        enabled,
+        allowHttp,
+        endpoints,
+        load,
+        getTarget: userId => `webhook:${userId}`,
+        getEndpoint,
+        setEndpoint,
+        removeEndpoint,
+        isAvailable,
+        send,
+        sendTest
+    };
+}
+
+module.exports = {
+    createWebhookSink,
+    parseWebhookUrl,
+    isPrivateAddress,
+    checkWebhookHost,
+    signWebhookPayload,
+    createWebhookPayload
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const { JsonStore } = require('./json-store');
+const { SqliteStore } = require('./sqlite-store');
+const { PersistentMap } = require('./persistent-map');
+
+const DEFAULT_PATHS = {
+    json: 'subscriptions.json',
+    sqlite: 'subscriptions.db'
+};
+
+// Create a store, call `open()` before using it.
+// A store keeps JSON values under (section, key) pairs and exposes
+// open, getAll(section), set(section, key, value), delete(section, key), isEmpty, flush and close.
+function createStore({ backend = 'json', path } = {}) {
+    switch (backend) {
+        case 'json':
+            return new JsonStore(path || DEFAULT_PATHS.json);
+        case 'sqlite':
+            return new SqliteStore(path || DEFAULT_PATHS.sqlite);
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+// Copy every section of a subscriptions.json file into a store, returns the number of entries copied
+async function migrateFromJson(store, jsonPath = DEFAULT_PATHS.json) {
+    const data = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+    let count = 0;
+
+    for (const [section, entries] of Object.entries(data)) {
+        if (!entries || typeof entries !== 'object') continue;
+        for (const [key, value] of Object.entries(entries)) {
+            await store.set(section, key, value);
+            count++;
+        }
+    }
+
+    await store.flush();
+    return count;
+}
+
+module.exports = {
+    createStore,
+    migrateFromJson,
+    PersistentMap,
+    JsonStore,
+    SqliteStore
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file storage backend.
+// Keeps the whole document in memory and rewrites the file atomically (temp file + rename)
+// so a crash mid-write can never leave a truncated file behind.
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.writing = Promise.resolve();
+        this.dirty = false;
+    }
+
+    async open() {
+        try {
+            const rawData = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(rawData);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+    }
+
+    async getAll(section) {
+        return { ...(this.data[section] || {}) };
+    }
+
+    async set(section, key, value) {
+        if (!this.data[section]) this.data[section] = {};
+        this.data[section][key] = value;
+        return this.scheduleWrite();
+    }
+
+    async delete(section, key) {
+        if (!this.data[section] || !(key in this.data[section])) return;
+        delete this.data[section][key];
+        return this.scheduleWrite();
+    }
+
+    async isEmpty() {
+        return Object.values(this.data).every(section => Object.keys(section || {}).length === 0);
+    }
+
+    // Coalesce changes made while a write is in flight into one follow-up write
+    scheduleWrite() {
+        if (this.dirty) return this.writing;
+        this.dirty = true;
+        this.writing = this.writing.catch(() => {}).then(() => {
+            this.dirty = false;
+            return this.write();
+        });
+        return this.writing;
+    }
+
+    async write() {
+        const tempPath = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async flush() {
+        await this.writing;
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = { JsonStore };
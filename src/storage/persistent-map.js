@@ -0,0 +1,86 @@
+const { createLogger } = require('../logger');
+
+const log = createLogger('storage');
+
+// A Map that writes every change through to one section of a store.
+// Values are converted with `serialize` on write and `deserialize` on load;
+// `deserialize` may return null to skip an invalid entry.
+// Mutating a stored value in place is not persisted until it is `set` again.
+// With `saveInterval` (ms) changes are collected and written at most once per interval instead, for sections that
+// change with every stream event; `save()` writes them right away and has to be called before the store is closed.
+class PersistentMap extends Map {
+    constructor(store, section, { serialize = value => value, deserialize = value => value, saveInterval = 0 } = {}) {
+        super();
+        this.store = store;
+        this.section = section;
+        this.serialize = serialize;
+        this.deserialize = deserialize;
+        this.saveInterval = saveInterval;
+        this.unsaved = new Set(); // keys changed since the last save
+        this.saveTimer = null;
+    }
+
+    async load() {
+        super.clear();
+        this.unsaved.clear();
+        const entries = await this.store.getAll(this.section);
+        for (const [key, value] of Object.entries(entries)) {
+            const deserialized = this.deserialize(value, key);
+            if (deserialized !== null && deserialized !== undefined) {
+                super.set(key, deserialized);
+            }
+        }
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.changed(key);
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            this.changed(key);
+        }
+        return existed;
+    }
+
+    clear() {
+        const keys = Array.from(this.keys());
+        super.clear();
+        keys.forEach(key => this.changed(key));
+    }
+
+    changed(key) {
+        if (!this.saveInterval) {
+            this.persist(key);
+            return;
+        }
+        this.unsaved.add(key);
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), this.saveInterval);
+            this.saveTimer.unref?.();
+        }
+    }
+
+    // Write the changes collected since the last save
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const keys = Array.from(this.unsaved);
+        this.unsaved.clear();
+        await Promise.all(keys.map(key => this.persist(key)));
+    }
+
+    persist(key) {
+        const promise = super.has(key)
+            ? this.store.set(this.section, key, this.serialize(super.get(key)))
+            : this.store.delete(this.section, key);
+        return promise.catch(error => {
+            log.error('Error saving', { section: this.section, error });
+        });
+    }
+}
+
+module.exports = { PersistentMap };
@@ -0,0 +1,66 @@
+// SQLite storage backend for larger deployments.
+// Every entry is its own row, so a change only writes that row instead of the whole document.
+class SqliteStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    async open() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The SQLite storage backend requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS entries (
+                section TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (section, key)
+            )
+        `);
+
+        this.statements = {
+            getAll: this.db.prepare('SELECT key, value FROM entries WHERE section = ?'),
+            set: this.db.prepare('INSERT INTO entries (section, key, value) VALUES (?, ?, ?) ON CONFLICT (section, key) DO UPDATE SET value = excluded.value'),
+            delete: this.db.prepare('DELETE FROM entries WHERE section = ? AND key = ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM entries')
+        };
+    }
+
+    async getAll(section) {
+        const entries = {};
+        for (const row of this.statements.getAll.all(section)) {
+            entries[row.key] = JSON.parse(row.value);
+        }
+        return entries;
+    }
+
+    async set(section, key, value) {
+        this.statements.set.run(section, key, JSON.stringify(value));
+    }
+
+    async delete(section, key) {
+        this.statements.delete.run(section, key);
+    }
+
+    async isEmpty() {
+        return this.statements.count.get().count === 0;
+    }
+
+    async flush() {}
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteStore };
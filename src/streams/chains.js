@@ -0,0 +1,56 @@
+// Chains the bot knows the native currency and block explorer of, keyed by the chain names OpenSea uses.
+// Prices without payment token info and collection floors are in the chain's native currency.
+const CHAINS = {
+    ethereum: { name: 'Ethereum', symbol: 'ETH', decimals: 18, explorer: 'https://etherscan.io' },
+    matic: { name: 'Polygon', symbol: 'POL', decimals: 18, explorer: 'https://polygonscan.com' },
+    base: { name: 'Base', symbol: 'ETH', decimals: 18, explorer: 'https://basescan.org' },
+    arbitrum: { name: 'Arbitrum', symbol: 'ETH', decimals: 18, explorer: 'https://arbiscan.io' },
+    optimism: { name: 'Optimism', symbol: 'ETH', decimals: 18, explorer: 'https://optimistic.etherscan.io' },
+    blast: { name: 'Blast', symbol: 'ETH', decimals: 18, explorer: 'https://blastscan.io' },
+    zora: { name: 'Zora', symbol: 'ETH', decimals: 18, explorer: 'https://explorer.zora.energy' },
+    avalanche: { name: 'Avalanche', symbol: 'AVAX', decimals: 18, explorer: 'https://snowtrace.io' },
+    klaytn: { name: 'Klaytn', symbol: 'KLAY', decimals: 18, explorer: 'https://klaytnscope.com' },
+    solana: { name: 'Solana', symbol: 'SOL', decimals: 9, explorer: 'https://solscan.io', accountPath: 'account' }
+};
+
+// Other names feeds use for the same chains
+const CHAIN_ALIASES = {
+    eth: 'ethereum',
+    mainnet: 'ethereum',
+    polygon: 'matic',
+    arbitrum_one: 'arbitrum',
+    avax: 'avalanche',
+    sol: 'solana'
+};
+
+// Unknown chains are treated like Ethereum
+const DEFAULT_CHAIN = 'ethereum';
+
+// The info of a chain by name, null when the bot doesn't know it
+function getChain(chain) {
+    if (typeof chain !== 'string') return null;
+    const name = chain.trim().toLowerCase();
+    return CHAINS[CHAIN_ALIASES[name] || name] || null;
+}
+
+// The native currency of a chain, { symbol, decimals }
+function getNativeCurrency(chain) {
+    const { symbol, decimals } = getChain(chain) || CHAINS[DEFAULT_CHAIN];
+    return { symbol, decimals };
+}
+
+// Block explorer link of an account (`address`), contract (`token`) or transaction (`tx`) on a chain,
+// null when the chain isn't known
+function getExplorerUrl(chain, kind, value) {
+    const info = getChain(chain);
+    if (!info || !value) return null;
+    const path = kind === 'address' ? info.accountPath || 'address' : kind;
+    return `${info.explorer}/${path}/${value}`;
+}
+
+module.exports = {
+    CHAINS,
+    getChain,
+    getNativeCurrency,
+    getExplorerUrl
+};
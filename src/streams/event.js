@@ -0,0 +1,116 @@
+// The normalized event model every stream adapter emits, the rest of the bot only reads these fields:
+//
+// {
+//     source: 'opensea',                 // name of the adapter that produced the event
+//     type: 'item_sold',                 // one of the bot's event types
+//     collection: { key, slug, name, imageUrl, url, verified, floorPrice, chain }, // floor in the chain's currency
+//     item: { name, tokenId, contract, chain, imageUrl, url, rarityRank } | null,
+//     traits: [{ type, value }],         // the token's traits, plus the trait a trait offer targets
+//     price: { amount, decimals, symbol, usdPrice } | null, // amount in the payment token's smallest unit,
+//                                        // usdPrice of one whole token when known
+//     maker: { address, url } | null,   // seller, offerer or sender of a transfer
+//     taker: { address, url } | null,   // buyer or recipient of a transfer
+//     orderHash: string | null,          // the listing, offer or sale order
+//     transactionHash: string | null,    // the sale or transfer transaction
+//     timestamp: string | null,          // when the event happened
+//     expiresAt: string | null,          // when a listing or offer expires
+//     raw                                // the message the adapter received, for logging only
+// }
+//
+// Chains are named as in ./chains.js, a price without a symbol or decimals is in the chain's native currency.
+//
+// Collections are keyed as `source:slug`, with bare slugs meaning the default source
+// so keys stored before there were other sources stay valid.
+
+const { getNativeCurrency } = require('./chains');
+
+const DEFAULT_SOURCE = 'opensea';
+
+const SOURCE_PATTERN = /^[a-z0-9_]+$/;
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+// Split a collection key into { source, slug }
+function parseCollectionKey(key) {
+    const separator = key.indexOf(':');
+    if (separator === -1) {
+        return { source: DEFAULT_SOURCE, slug: key };
+    }
+    return { source: key.slice(0, separator), slug: key.slice(separator + 1) };
+}
+
+// Build the collection key of a slug on a source
+function formatCollectionKey(source, slug) {
+    return source === DEFAULT_SOURCE ? slug : `${source}:${slug}`;
+}
+
+// Canonical form of a user supplied collection key (`opensea:azuki` -> `azuki`)
+function normalizeCollectionKey(key) {
+    if (typeof key !== 'string') return key;
+    const { source, slug } = parseCollectionKey(key.trim().toLowerCase());
+    return formatCollectionKey(source, slug);
+}
+
+// Check the syntax of a collection key, whether its source is configured is up to the caller
+function isValidCollectionKey(key) {
+    if (typeof key !== 'string' || key.length === 0) return false;
+    const { source, slug } = parseCollectionKey(key);
+    return SOURCE_PATTERN.test(source) && SLUG_PATTERN.test(slug);
+}
+
+// Canonical (lowercase) form of a wallet address, null when it isn't a 0x address
+function normalizeAddress(address) {
+    if (typeof address !== 'string') return null;
+    const normalized = address.trim().toLowerCase();
+    return ADDRESS_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Normalize an account given either as an address or as { address, url }, `profileUrl` builds a missing url
+function createAccount(account, profileUrl) {
+    const address = typeof account === 'string' ? account : account?.address;
+    if (!address) return null;
+    return { address, url: account.url || (profileUrl ? profileUrl(address) : null) };
+}
+
+// Copy the fields of `values` that are set over `defaults`
+function withDefaults(defaults, values) {
+    const result = { ...defaults };
+    for (const [field, value] of Object.entries(values)) {
+        if (value !== undefined && value !== null) result[field] = value;
+    }
+    return result;
+}
+
+// Build a normalized event, filling in defaults for the fields an adapter left out
+function createEvent({ source, type, collection, item = null, traits = [], price = null, maker = null, taker = null, orderHash = null, transactionHash = null, timestamp = null, expiresAt = null, raw = null }) {
+    const chain = collection.chain || item?.chain || null;
+    return {
+        source,
+        type,
+        collection: {
+            ...withDefaults({ name: null, imageUrl: null, url: null, verified: false, floorPrice: null, chain }, collection),
+            key: formatCollectionKey(source, collection.slug)
+        },
+        item: item && withDefaults({ name: null, tokenId: null, contract: null, chain, imageUrl: null, url: null, rarityRank: null }, item),
+        traits,
+        price: price?.amount ? withDefaults({ ...getNativeCurrency(chain), usdPrice: null }, price) : null,
+        maker,
+        taker,
+        orderHash,
+        transactionHash,
+        timestamp,
+        expiresAt,
+        raw
+    };
+}
+
+module.exports = {
+    DEFAULT_SOURCE,
+    parseCollectionKey,
+    formatCollectionKey,
+    normalizeCollectionKey,
+    isValidCollectionKey,
+    normalizeAddress,
+    createAccount,
+    createEvent
+};
@@ -0,0 +1,38 @@
+const { OpenSeaStream } = require('./opensea');
+const { JsonWebSocketStream } = require('./json-websocket');
+const event = require('./event');
+const chains = require('./chains');
+
+// Create the stream adapters, keyed by source name. OpenSea is always available,
+// a generic JSON-over-WebSocket feed is added when `jsonStreamUrl` is set.
+// Every adapter exposes connect, restart, close, isConnected, subscribe(slug) and unsubscribe(slug); the last two
+// resolve true once the stream took the change and false when it isn't connected (it catches up on connect).
+// and emits `event` (normalized, see ./event.js) and `status`.
+// `openSeaStreamUrl` points the OpenSea adapter at another Phoenix server, e.g. scripts/mock-opensea-server.js.
+// `reconnect` overrides the reconnect policy of every adapter, e.g. { circuitBreakerThreshold, circuitBreakerCooldown }.
+function createStreams({ openSeaApiKey, openSeaStreamUrl, jsonStreamUrl, jsonStreamSource = 'feed', jsonStreamName, reconnect = {} } = {}) {
+    const streams = new Map();
+    streams.set('opensea', new OpenSeaStream({ ...reconnect, apiKey: openSeaApiKey, url: openSeaStreamUrl || undefined }));
+
+    if (jsonStreamUrl) {
+        if (streams.has(jsonStreamSource) || !/^[a-z0-9_]+$/.test(jsonStreamSource)) {
+            throw new Error(`Invalid stream source name: ${jsonStreamSource}`);
+        }
+        streams.set(jsonStreamSource, new JsonWebSocketStream({
+            ...reconnect,
+            source: jsonStreamSource,
+            name: jsonStreamName,
+            url: jsonStreamUrl
+        }));
+    }
+
+    return streams;
+}
+
+module.exports = {
+    createStreams,
+    OpenSeaStream,
+    JsonWebSocketStream,
+    ...event,
+    ...chains
+};
@@ -0,0 +1,71 @@
+const { WebSocketStream } = require('./websocket-stream');
+const { createEvent, createAccount } = require('./event');
+const { createLogger } = require('../logger');
+
+const log = createLogger('stream');
+
+// Generic JSON-over-WebSocket adapter for feeds that already speak (close to) the normalized event model.
+//
+// On connect and whenever a collection is added or removed the bot sends
+//   { "action": "subscribe", "collection": "<slug>" }  /  { "action": "unsubscribe", "collection": "<slug>" }
+// and expects one JSON event per message, e.g.
+//   { "type": "item_sold", "collection": "azuki", "item": { "tokenId": "1", "chain": "ethereum", "url": "..." },
+//     "price": { "amount": "1500000000000000000", "decimals": 18, "symbol": "ETH", "usdPrice": 2530.12 },
+//     "maker": "0x...", "taker": "0x...", "transactionHash": "0x...", "timestamp": "2024-01-01T00:00:00Z" }
+// `collection` may also be an object with a `slug`, accounts may also be objects with an `address`.
+class JsonWebSocketStream extends WebSocketStream {
+    onOpen() {
+        for (const slug of this.collections) {
+            this.send({ action: 'subscribe', collection: slug });
+        }
+    }
+
+    // Resolves false when not connected, the collection is then subscribed on (re)connect
+    async subscribe(slug) {
+        this.collections.add(slug);
+        if (!this.isConnected()) return false;
+        this.send({ action: 'subscribe', collection: slug });
+        return true;
+    }
+
+    // The feed doesn't acknowledge messages, resolves true once the unsubscribe is sent
+    async unsubscribe(slug) {
+        this.collections.delete(slug);
+        if (!this.isConnected()) return false;
+        this.send({ action: 'unsubscribe', collection: slug });
+        return true;
+    }
+
+    handleMessage(message) {
+        const event = normalizeJsonEvent(this.source, message);
+        if (!event) {
+            log.warn('Invalid event payload', { stream: this.name, message });
+            return;
+        }
+        this.emit('event', event);
+    }
+}
+
+// Convert a JSON feed message to the normalized event model, null when it has no type or collection
+function normalizeJsonEvent(source, message) {
+    const collection = typeof message?.collection === 'string' ? { slug: message.collection } : message?.collection;
+    if (typeof message?.type !== 'string' || typeof collection?.slug !== 'string') return null;
+
+    return createEvent({
+        source,
+        type: message.type,
+        collection,
+        item: message.item || null,
+        traits: (message.traits || []).map(trait => ({ type: trait.type ?? trait.trait_type, value: trait.value })),
+        price: message.price || null,
+        maker: createAccount(message.maker),
+        taker: createAccount(message.taker),
+        orderHash: message.orderHash || null,
+        transactionHash: message.transactionHash || null,
+        timestamp: message.timestamp || null,
+        expiresAt: message.expiresAt || null,
+        raw: message
+    });
+}
+
+module.exports = { JsonWebSocketStream, normalizeJsonEvent };
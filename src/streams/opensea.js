@@ -0,0 +1,304 @@
+const { WebSocketStream } = require('./websocket-stream');
+const { createEvent, createAccount } = require('./event');
+const { createLogger } = require('../logger');
+
+const log = createLogger('stream');
+
+const OPENSEA_STREAM_URL = 'wss://stream.openseabeta.com/socket/websocket';
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+const SUBSCRIPTION_DELAY = 2000; // 2 seconds delay before subscribing
+const JOIN_TIMEOUT = 5000; // 5 seconds
+const JOIN_STAGGER = 500; // delay between joins when resubscribing
+
+const openSeaAccountUrl = address => `https://opensea.io/${address}`;
+
+// OpenSea Stream API adapter, speaks the Phoenix channel protocol with one `collection:<slug>` topic per collection.
+// A heartbeat that is still unanswered when the next one is due means the connection is dead, it is then
+// dropped and reconnected.
+class OpenSeaStream extends WebSocketStream {
+    constructor({
+        apiKey,
+        url = OPENSEA_STREAM_URL,
+        heartbeatInterval = HEARTBEAT_INTERVAL,
+        subscriptionDelay = SUBSCRIPTION_DELAY,
+        joinTimeout = JOIN_TIMEOUT,
+        joinStagger = JOIN_STAGGER,
+        ...options
+    } = {}) {
+        super({
+            ...options,
+            source: 'opensea',
+            name: 'OpenSea',
+            url: `${url}?token=${apiKey}`,
+            headers: {
+                'User-Agent': 'Horus-NFT-Notifier/1.0',
+                'Origin': 'https://opensea.io'
+            }
+        });
+        this.heartbeatPeriod = heartbeatInterval;
+        this.subscriptionDelay = subscriptionDelay;
+        this.joinTimeout = joinTimeout;
+        this.joinStagger = joinStagger;
+        this.currentRef = 0;
+        this.refs = new Map(); // slug -> ref of its phx_join
+        this.joined = new Set(); // slugs whose phx_join OpenSea confirmed on the current connection
+        this.pendingReplies = new Map(); // ref -> { resolve, reject, timeout } of joins and leaves waiting for their phx_reply
+        this.pendingHeartbeat = null; // ref of the heartbeat waiting for its phx_reply
+        this.initialHeartbeatTimeout = null;
+        this.heartbeatInterval = null;
+        this.subscriptionTimeout = null;
+    }
+
+    onOpen() {
+        // Send initial heartbeat
+        this.initialHeartbeatTimeout = setTimeout(() => {
+            if (this.pendingHeartbeat !== null) return;
+            try {
+                this.sendHeartbeat();
+                log.debug('Sent initial heartbeat', { stream: this.name });
+            } catch (error) {
+                log.error('Error sending initial heartbeat', { stream: this.name, error });
+            }
+        }, 1000);
+
+        this.heartbeatInterval = setInterval(() => {
+            if (!this.isConnected()) return;
+            if (this.pendingHeartbeat !== null) {
+                log.warn('No answer to the last heartbeat, reconnecting', { stream: this.name });
+                this.ws.terminate(); // emits `close`, which reconnects
+                return;
+            }
+            try {
+                this.sendHeartbeat();
+            } catch (error) {
+                log.error('Error sending heartbeat', { stream: this.name, error });
+                this.ws.terminate();
+            }
+        }, this.heartbeatPeriod);
+
+        // Wait before subscribing to ensure connection is stable
+        this.subscriptionTimeout = setTimeout(() => {
+            log.debug('Starting subscription process', { stream: this.name });
+            this.resubscribe();
+        }, this.subscriptionDelay);
+    }
+
+    onClose() {
+        if (this.initialHeartbeatTimeout) clearTimeout(this.initialHeartbeatTimeout);
+        if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
+        if (this.subscriptionTimeout) clearTimeout(this.subscriptionTimeout);
+        for (const pending of this.pendingReplies.values()) {
+            clearTimeout(pending.timeout);
+            pending.resolve(false);
+        }
+        this.pendingReplies.clear();
+        this.joined.clear();
+        this.initialHeartbeatTimeout = null;
+        this.heartbeatInterval = null;
+        this.subscriptionTimeout = null;
+        this.pendingHeartbeat = null;
+    }
+
+    sendHeartbeat() {
+        const ref = ++this.currentRef;
+        this.send({ topic: 'phoenix', event: 'heartbeat', payload: {}, ref });
+        this.pendingHeartbeat = ref;
+    }
+
+    // Whether OpenSea confirmed the join of a collection on the current connection
+    isJoined(slug) {
+        return this.isConnected() && this.joined.has(slug);
+    }
+
+    // Join a collection topic and wait for OpenSea to confirm it.
+    // Resolves false when not connected, the collection is then joined on (re)connect.
+    subscribe(slug) {
+        this.collections.add(slug);
+
+        if (!this.isConnected()) {
+            log.info('Stream not connected, the collection is joined on connect', { stream: this.name, collection: slug });
+            return Promise.resolve(false);
+        }
+
+        return this.waitForReply(this.join(slug), 'Subscription').then(joined => {
+            if (joined) log.info('Subscribed to collection', { stream: this.name, collection: slug });
+            return joined;
+        });
+    }
+
+    // Leave a collection topic that nobody is subscribed to anymore and wait for OpenSea to confirm it.
+    // Resolves false when the topic isn't joined on the current connection, there is nothing to leave then.
+    unsubscribe(slug) {
+        this.collections.delete(slug);
+        const joined = this.refs.has(slug);
+        this.refs.delete(slug);
+        this.joined.delete(slug);
+        if (!joined || !this.isConnected()) {
+            return Promise.resolve(false);
+        }
+
+        const ref = ++this.currentRef;
+        this.send({ topic: `collection:${slug}`, event: 'phx_leave', payload: {}, ref });
+        return this.waitForReply(ref, 'Unsubscription').then(left => {
+            if (left) log.info('Unsubscribed from collection', { stream: this.name, collection: slug });
+            return left;
+        });
+    }
+
+    // Wait for the phx_reply to a message, `action` names it in the errors.
+    // Resolves true when it is ok and false when the connection closes first.
+    waitForReply(ref, action) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingReplies.delete(ref);
+                reject(new Error(`${action} timeout`));
+            }, this.joinTimeout);
+            this.pendingReplies.set(ref, {
+                resolve,
+                reject: response => reject(new Error(`${action} rejected: ${JSON.stringify(response)}`)),
+                timeout
+            });
+        });
+    }
+
+    join(slug) {
+        const ref = ++this.currentRef;
+        this.refs.set(slug, ref);
+        this.send({ topic: `collection:${slug}`, event: 'phx_join', payload: {}, ref });
+        return ref;
+    }
+
+    // Join every tracked collection with a delay between joins
+    resubscribe() {
+        if (!this.isConnected()) {
+            log.warn('Cannot resubscribe, stream not connected', { stream: this.name });
+            return;
+        }
+
+        const collections = Array.from(this.collections);
+        log.info('Resubscribing to the active collections', { stream: this.name, collections });
+        this.refs.clear();
+
+        let index = 0;
+        const subscribeNext = () => {
+            if (!this.isConnected()) return;
+            if (index < collections.length) {
+                const slug = collections[index++];
+                if (this.collections.has(slug)) {
+                    try {
+                        log.debug('Joining collection', { stream: this.name, collection: slug });
+                        this.join(slug);
+                    } catch (error) {
+                        log.error('Error joining collection', { stream: this.name, collection: slug, error });
+                    }
+                }
+                this.subscriptionTimeout = setTimeout(subscribeNext, this.joinStagger);
+            } else {
+                log.info('Finished resubscribing', { stream: this.name, collections: collections.length });
+            }
+        };
+
+        subscribeNext();
+    }
+
+    handleMessage(message) {
+        log.debug('Received message', { stream: this.name, event: message.event, topic: message.topic });
+
+        if (message.event === 'phx_reply') {
+            if (message.ref === this.pendingHeartbeat) {
+                this.pendingHeartbeat = null;
+                return;
+            }
+
+            const { status, response } = message.payload || {};
+            const pending = this.pendingReplies.get(message.ref);
+            if (pending) {
+                clearTimeout(pending.timeout);
+                this.pendingReplies.delete(message.ref);
+            }
+
+            // Replies to joins mark their collection as joined or not
+            const slug = Array.from(this.refs.keys()).find(key => this.refs.get(key) === message.ref);
+            if (slug) {
+                if (status === 'ok') this.joined.add(slug);
+                else this.joined.delete(slug);
+            }
+
+            if (status === 'ok') {
+                log.debug('Subscription change confirmed', { stream: this.name, ref: message.ref, collection: slug });
+                pending?.resolve(true);
+            } else {
+                log.error('Subscription change rejected', { stream: this.name, ref: message.ref, collection: slug, response });
+                pending?.reject(response);
+            }
+            return;
+        }
+
+        if (message.event === 'phx_close') {
+            log.info('Topic closed', { stream: this.name, topic: message.topic });
+            return;
+        }
+
+        const event = normalizeOpenSeaEvent(message);
+        if (!event) {
+            log.warn('Invalid event payload', { stream: this.name, message });
+            return;
+        }
+        this.emit('event', event);
+    }
+}
+
+// Convert an OpenSea Stream API message to the normalized event model, null when it has no collection
+function normalizeOpenSeaEvent(message) {
+    const payload = message.payload?.payload;
+    const slug = payload?.collection?.slug;
+    if (!slug) return null;
+
+    const item = payload.item;
+    const [chain, contract, tokenId] = (item?.nft_id || '').split('/'); // `chain/contract/tokenId`
+    const traits = (item?.metadata?.traits || item?.traits || payload.traits || [])
+        .map(trait => ({ type: trait.trait_type, value: trait.value }));
+    if (payload.trait_criteria) {
+        traits.push({ type: payload.trait_criteria.trait_type, value: payload.trait_criteria.trait_name });
+    }
+
+    return createEvent({
+        source: 'opensea',
+        type: message.event,
+        collection: {
+            slug,
+            name: payload.collection.name,
+            imageUrl: payload.collection.image_url,
+            url: `https://opensea.io/collection/${slug}`,
+            verified: Boolean(payload.collection.verified),
+            floorPrice: payload.collection.stats?.floor_price ?? null,
+            chain: payload.chain
+        },
+        item: item ? {
+            name: item.metadata?.name,
+            tokenId: item.token_id ?? tokenId,
+            contract: item.contract_address ?? contract,
+            chain: item.chain?.name ?? chain,
+            imageUrl: item.metadata?.image_url,
+            url: item.permalink,
+            rarityRank: item.rarity_data?.rank
+        } : null,
+        traits,
+        price: {
+            amount: payload.sale_price || payload.base_price,
+            decimals: payload.payment_token?.decimals,
+            symbol: payload.payment_token?.symbol,
+            usdPrice: Number(payload.payment_token?.usd_price) || null
+        },
+        // Transfers name their accounts from/to instead of maker/taker
+        maker: createAccount(payload.maker || payload.from_account, openSeaAccountUrl),
+        taker: createAccount(payload.taker || payload.to_account, openSeaAccountUrl),
+        orderHash: payload.order_hash || null,
+        transactionHash: payload.transaction?.hash || null,
+        timestamp: payload.transaction?.timestamp || payload.event_timestamp || null,
+        expiresAt: payload.expiration_date || null,
+        raw: message
+    });
+}
+
+module.exports = { OpenSeaStream, normalizeOpenSeaEvent };
@@ -0,0 +1,224 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { createLogger } = require('../logger');
+
+const log = createLogger('stream');
+
+const RECONNECT_DELAY = 5000; // 5 seconds
+const MAX_RECONNECT_ATTEMPTS = Infinity; // keep trying until the stream is back
+const MAX_BACKOFF = 30000; // 30 seconds
+const RECONNECT_JITTER = 0.5; // up to half of each backoff is randomized so restarts don't reconnect in lockstep
+const CIRCUIT_BREAKER_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+const HANDSHAKE_TIMEOUT = 10000; // 10 seconds
+
+// Base class for stream adapters that read a WebSocket.
+// It owns the connection and reconnects with jittered exponential backoff, subclasses implement
+// `subscribe(slug)`, `unsubscribe(slug)` and `handleMessage(message)` and may hook `onOpen`/`onClose`.
+// The timing options default to the production values, tests shorten them.
+//
+// Reconnecting never gives up unless `maxReconnectAttempts` is set. With `circuitBreakerThreshold` set,
+// that many failed attempts in a row open the circuit: the stream stops dialing for `circuitBreakerCooldown`,
+// then tries once more and opens it again if that attempt fails too.
+//
+// Emits `event` with a normalized event (see ./event.js) and `status` with one of
+// connecting, connected, error, closed, suspended (circuit open) or failed (out of attempts).
+class WebSocketStream extends EventEmitter {
+    constructor({
+        source,
+        name,
+        url,
+        headers = {},
+        reconnectDelay = RECONNECT_DELAY,
+        maxReconnectAttempts = MAX_RECONNECT_ATTEMPTS,
+        maxBackoff = MAX_BACKOFF,
+        jitter = RECONNECT_JITTER,
+        circuitBreakerThreshold = 0,
+        circuitBreakerCooldown = CIRCUIT_BREAKER_COOLDOWN,
+        handshakeTimeout = HANDSHAKE_TIMEOUT
+    }) {
+        super();
+        this.source = source;
+        this.name = name || source;
+        this.url = url;
+        this.headers = headers;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectAttempts = maxReconnectAttempts;
+        this.maxBackoff = maxBackoff;
+        this.jitter = jitter;
+        this.circuitBreakerThreshold = circuitBreakerThreshold;
+        this.circuitBreakerCooldown = circuitBreakerCooldown;
+        this.handshakeTimeout = handshakeTimeout;
+        this.ws = null;
+        this.connected = false;
+        this.connectionAttempts = 0;
+        this.reconnectTimeout = null;
+        this.collections = new Set(); // slugs to stay subscribed to across reconnects
+    }
+
+    isConnected() {
+        return this.connected && this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    // Whether a collection is subscribed on the current connection, adapters whose feed confirms subscriptions override it
+    isJoined(slug) {
+        return this.isConnected() && this.collections.has(slug);
+    }
+
+    connect() {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            log.debug('Stream already connected', { stream: this.name });
+            return;
+        }
+
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+        this.cleanup();
+
+        log.info('Connecting to stream', { stream: this.name });
+        this.emit('status', 'connecting');
+
+        try {
+            const ws = new WebSocket(this.url, {
+                handshakeTimeout: this.handshakeTimeout,
+                headers: this.headers
+            });
+            this.ws = ws;
+
+            // Set up connection timeout, terminating emits `close` which reconnects
+            const connectionTimeout = setTimeout(() => {
+                if (ws.readyState !== WebSocket.OPEN) {
+                    log.warn('Stream connection timed out, reconnecting', { stream: this.name });
+                    ws.terminate();
+                }
+            }, this.handshakeTimeout);
+
+            ws.on('open', () => {
+                clearTimeout(connectionTimeout);
+                log.info('Connected to stream', { stream: this.name });
+                this.connected = true;
+                this.connectionAttempts = 0;
+                this.emit('status', 'connected');
+                this.onOpen();
+            });
+
+            // `close` always follows `error` and does the reconnecting, so a failure counts as one attempt
+            ws.on('error', (error) => {
+                clearTimeout(connectionTimeout);
+                log.error('Stream error', { stream: this.name, error });
+                this.connected = false;
+                this.emit('status', 'error');
+            });
+
+            ws.on('close', (code, reason) => {
+                clearTimeout(connectionTimeout);
+                log.warn('Stream closed', { stream: this.name, code, reason: reason.toString() });
+                this.connected = false;
+                this.emit('status', 'closed');
+                this.onClose();
+                this.reconnect();
+            });
+
+            ws.on('message', (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (error) {
+                    log.error('Error parsing stream message', { stream: this.name, error });
+                    return;
+                }
+                this.handleMessage(message);
+            });
+        } catch (error) {
+            log.error('Error creating stream WebSocket', { stream: this.name, error });
+            this.reconnect();
+        }
+    }
+
+    // Handle reconnection with jittered exponential backoff
+    reconnect() {
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+
+        this.connectionAttempts++;
+        if (this.connectionAttempts > this.maxReconnectAttempts) {
+            log.error('Max reconnection attempts reached, restart the bot', { stream: this.name, attempts: this.maxReconnectAttempts });
+            this.emit('status', 'failed');
+            return;
+        }
+
+        if (this.circuitBreakerThreshold > 0 && this.connectionAttempts >= this.circuitBreakerThreshold) {
+            log.warn('Stream failed too often in a row, pausing reconnects', {
+                stream: this.name,
+                attempts: this.connectionAttempts,
+                cooldown: `${Math.round(this.circuitBreakerCooldown / 1000)}s`
+            });
+            this.emit('status', 'suspended');
+            this.reconnectTimeout = setTimeout(() => {
+                // Half-open: one more failure opens the circuit again
+                this.connectionAttempts = this.circuitBreakerThreshold - 1;
+                this.connect();
+            }, this.circuitBreakerCooldown);
+            return;
+        }
+
+        const delay = this.getReconnectDelay(this.connectionAttempts);
+        const limit = Number.isFinite(this.maxReconnectAttempts) ? `/${this.maxReconnectAttempts}` : '';
+        log.info('Reconnecting to stream', {
+            stream: this.name,
+            delay: `${(delay / 1000).toFixed(1)}s`,
+            attempt: `${this.connectionAttempts}${limit}`
+        });
+        this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+    }
+
+    // Backoff before the given attempt: doubles each time up to maxBackoff, minus a random share of up to `jitter`
+    getReconnectDelay(attempt) {
+        const backoff = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxBackoff);
+        return Math.round(backoff * (1 - Math.random() * this.jitter));
+    }
+
+    // Close the connection and let the backoff reconnect it
+    restart() {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.close();
+        }
+    }
+
+    // Drop the connection and connect again right away, also out of a backoff wait or an open circuit breaker
+    forceReconnect() {
+        this.connectionAttempts = 0;
+        this.cleanup();
+        this.connect();
+    }
+
+    // Close the connection for good
+    close() {
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+        this.cleanup();
+    }
+
+    cleanup() {
+        if (this.ws) {
+            try {
+                this.ws.removeAllListeners();
+                this.ws.on('error', () => {});
+                this.ws.terminate();
+            } catch (error) {
+                log.error('Error cleaning up the previous stream WebSocket', { stream: this.name, error });
+            }
+            this.ws = null;
+        }
+        this.connected = false;
+        this.onClose();
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    onOpen() {}
+
+    onClose() {}
+
+    handleMessage() {}
+}
+
+module.exports = { WebSocketStream };
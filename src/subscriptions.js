@@ -0,0 +1,560 @@
+const fs = require('fs');
+const { PersistentMap, JsonStore, migrateFromJson } = require('./storage');
+const { parseCollectionKey, isValidCollectionKey, normalizeAddress } = require('./streams');
+const { VALID_EVENTS, ALERT_RULE_TYPES, DELIVERY_MODES, SUBSCRIPTION_SINKS } = require('./constants');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+const DIGEST_SAVE_INTERVAL = 60 * 1000; // 1 minute, every event of a digest subscription changes its digest
+
+// Subscription state: the collections each user follows with their event filters, alert rules, delivery modes,
+// sinks and mutes, the wallets they watch, and the channel feeds.
+// `loadSubscriptions()` must run before anything else. Collections are reference counted across users and channels:
+// the first holder joins the collection's stream topic and the last one to let go leaves it.
+// When the store is empty and not a JSON store, `importJsonPath` (a legacy subscriptions.json) is imported once.
+function createSubscriptionManager({ store, streams, importJsonPath = 'subscriptions.json' }) {
+    // The persistent maps write every change through to the store, the digests once a minute
+    const userSubscriptions = new PersistentMap(store, 'subscriptions', {
+        deserialize: deserializeSubscriptions
+    }); // userId -> Array<collectionSlug>
+    const activeCollections = new Map(); // collectionKey -> Set<holder> (`user:<id>` or `channel:<id>`)
+    const joins = new Map(); // collectionKey -> Promise of its stream join
+    const eventFilters = new PersistentMap(store, 'eventFilters', {
+        serialize: serializeEventFilters,
+        deserialize: deserializeEventFilters
+    }); // userId -> Map<collectionSlug, Set<eventType>>
+    const alertRules = new PersistentMap(store, 'alertRules', {
+        serialize: serializeCollectionMap,
+        deserialize: deserializeAlertRules
+    }); // userId -> Map<collectionSlug, Array<rule>>
+    const deliveryModes = new PersistentMap(store, 'deliveryModes', {
+        serialize: serializeCollectionMap,
+        deserialize: deserializeDeliveryModes
+    }); // userId -> Map<collectionSlug, mode>, instant when not set
+    const subscriptionSinks = new PersistentMap(store, 'subscriptionSinks', {
+        serialize: serializeCollectionMap,
+        deserialize: deserializeSubscriptionSinks
+    }); // userId -> Map<collectionSlug, Array<sinkType>>, DMs only when not set (see ./sinks)
+    const mutedCollections = new PersistentMap(store, 'mutedCollections', {
+        deserialize: deserializeMutedCollections
+    }); // userId -> Array<collectionSlug>
+    const digests = new PersistentMap(store, 'digests', {
+        deserialize: deserializeDigest,
+        saveInterval: DIGEST_SAVE_INTERVAL
+    }); // `userId:collectionSlug` -> digest being collected (see ./digests.js), written once a minute
+    const channelFeeds = new PersistentMap(store, 'channelFeeds', {
+        serialize: serializeChannelFeed,
+        deserialize: deserializeChannelFeed
+    }); // channelId -> { guildId, addedBy, collections: Map<collectionSlug, Set<eventType>> }
+    const watchedWallets = new PersistentMap(store, 'watchedWallets', {
+        deserialize: deserializeWatchedWallets
+    }); // userId -> Array<address>, lowercase
+    const legacyFilterUsers = new Set(); // users whose stored filters are still in the user-level format
+
+    // Open the store and load all subscription state from it
+    async function loadSubscriptions() {
+        await store.open();
+
+        // One-shot migration of an existing subscriptions.json into a fresh store
+        if (!(store instanceof JsonStore) && importJsonPath && await store.isEmpty() && fs.existsSync(importJsonPath)) {
+            const count = await migrateFromJson(store, importJsonPath);
+            log.info('Migrated the JSON file to the store', { path: importJsonPath, entries: count });
+        }
+
+        // Subscriptions first, legacy event filters are expanded over them
+        await userSubscriptions.load();
+        await eventFilters.load();
+        await alertRules.load();
+        await deliveryModes.load();
+        await subscriptionSinks.load();
+        await mutedCollections.load();
+        await digests.load();
+        await channelFeeds.load();
+        await watchedWallets.load();
+
+        // Rewrite legacy user-level event filters in the per-collection format
+        for (const userId of legacyFilterUsers) {
+            if (eventFilters.has(userId)) {
+                eventFilters.set(userId, eventFilters.get(userId));
+            }
+        }
+        legacyFilterUsers.clear();
+
+        activeCollections.clear();
+        joins.clear();
+        for (const [userId, subscriptions] of userSubscriptions.entries()) {
+            subscriptions.forEach(slug => addHolder(slug, `user:${userId}`));
+        }
+        for (const [channelId, feed] of channelFeeds.entries()) {
+            feed.collections.forEach((events, slug) => addHolder(slug, `channel:${channelId}`));
+        }
+
+        log.info('Loaded subscriptions from the store', {
+            users: userSubscriptions.size,
+            collections: activeCollections.size,
+            channelFeeds: channelFeeds.size
+        });
+
+        // Hand the collections to their streams, they are joined once the streams connect
+        for (const collectionKey of activeCollections.keys()) {
+            if (!streams.has(parseCollectionKey(collectionKey).source)) continue;
+            joinTopic(collectionKey).catch(error => {
+                log.error('Error joining collection', { collection: collectionKey, error });
+            });
+        }
+    }
+
+    // Storage codecs, `deserialize*` return null for entries that should be skipped
+    function deserializeSubscriptions(subscriptions) {
+        if (!Array.isArray(subscriptions)) return null;
+        const validSubscriptions = subscriptions.filter(slug =>
+            slug && typeof slug === 'string' && isValidCollectionKey(slug)
+        );
+        return validSubscriptions.length > 0 ? validSubscriptions : null;
+    }
+
+    function serializeEventFilters(userFilters) {
+        const collectionFilters = {};
+        for (const [slug, filters] of userFilters.entries()) {
+            collectionFilters[slug] = Array.from(filters);
+        }
+        return collectionFilters;
+    }
+
+    function deserializeEventFilters(filters, userId) {
+        const userFilters = new Map();
+
+        if (Array.isArray(filters)) {
+            // Legacy format: one filter set per user, applied to every subscription
+            const validFilters = filters.filter(event => VALID_EVENTS.includes(event));
+            if (validFilters.length > 0) {
+                (userSubscriptions.get(userId) || []).forEach(slug => {
+                    userFilters.set(slug, new Set(validFilters));
+                });
+                legacyFilterUsers.add(userId);
+            }
+        } else if (filters && typeof filters === 'object') {
+            for (const [slug, events] of Object.entries(filters)) {
+                if (!isValidCollectionKey(slug) || !Array.isArray(events)) continue;
+                const validFilters = events.filter(event => VALID_EVENTS.includes(event));
+                if (validFilters.length > 0) {
+                    userFilters.set(slug, new Set(validFilters));
+                }
+            }
+        }
+
+        return userFilters.size > 0 ? userFilters : null;
+    }
+
+    function deserializeAlertRules(collections) {
+        if (!collections || typeof collections !== 'object') return null;
+        const userRules = new Map();
+        for (const [slug, rules] of Object.entries(collections)) {
+            if (!isValidCollectionKey(slug) || !Array.isArray(rules)) continue;
+            const validRules = rules.filter(rule => rule && ALERT_RULE_TYPES[rule.type]);
+            if (validRules.length > 0) {
+                userRules.set(slug, validRules);
+            }
+        }
+        return userRules.size > 0 ? userRules : null;
+    }
+
+    // A user's per-collection settings (alert rules, delivery modes, sinks) are stored as { collectionSlug: value }
+    function serializeCollectionMap(userSettings) {
+        return Object.fromEntries(userSettings);
+    }
+
+    function deserializeDeliveryModes(modes) {
+        if (!modes || typeof modes !== 'object') return null;
+        const userModes = new Map();
+        for (const [slug, mode] of Object.entries(modes)) {
+            if (isValidCollectionKey(slug) && DELIVERY_MODES[mode] && mode !== 'instant') {
+                userModes.set(slug, mode);
+            }
+        }
+        return userModes.size > 0 ? userModes : null;
+    }
+
+    function deserializeSubscriptionSinks(collections) {
+        if (!collections || typeof collections !== 'object') return null;
+        const userSinks = new Map();
+        for (const [slug, sinks] of Object.entries(collections)) {
+            if (!isValidCollectionKey(slug) || !Array.isArray(sinks)) continue;
+            const validSinks = SUBSCRIPTION_SINKS.filter(sink => sinks.includes(sink));
+            if (validSinks.length > 0 && validSinks.join() !== 'dm') {
+                userSinks.set(slug, validSinks);
+            }
+        }
+        return userSinks.size > 0 ? userSinks : null;
+    }
+
+    function deserializeMutedCollections(slugs) {
+        if (!Array.isArray(slugs)) return null;
+        const validSlugs = slugs.filter(isValidCollectionKey);
+        return validSlugs.length > 0 ? validSlugs : null;
+    }
+
+    function deserializeDigest(digest) {
+        if (!digest || !DELIVERY_MODES[digest.mode]?.interval || !Number.isFinite(digest.dueAt)) return null;
+        return digest;
+    }
+
+    function deserializeWatchedWallets(addresses) {
+        if (!Array.isArray(addresses)) return null;
+        const validAddresses = [...new Set(addresses.map(normalizeAddress).filter(Boolean))];
+        return validAddresses.length > 0 ? validAddresses : null;
+    }
+
+    function serializeChannelFeed(feed) {
+        const collections = {};
+        for (const [slug, events] of feed.collections.entries()) {
+            collections[slug] = Array.from(events);
+        }
+        return { guildId: feed.guildId, addedBy: feed.addedBy, collections };
+    }
+
+    function deserializeChannelFeed(feed) {
+        if (!feed || !feed.collections || typeof feed.collections !== 'object') return null;
+        const collections = new Map();
+        for (const [slug, events] of Object.entries(feed.collections)) {
+            if (!isValidCollectionKey(slug) || !Array.isArray(events)) continue;
+            const validEvents = events.filter(event => VALID_EVENTS.includes(event));
+            collections.set(slug, new Set(validEvents.length > 0 ? validEvents : VALID_EVENTS));
+        }
+        return collections.size > 0 ? { guildId: feed.guildId, addedBy: feed.addedBy, collections } : null;
+    }
+
+    // Get a user's event filters for one collection (all events if none are set)
+    function getEventFilters(userId, collectionSlug) {
+        const userFilters = eventFilters.get(userId);
+        return userFilters?.get(collectionSlug) || new Set(VALID_EVENTS);
+    }
+
+    // Set a user's event filters for one collection
+    function setEventFilters(userId, collectionSlug, events) {
+        const userFilters = eventFilters.get(userId) || new Map();
+        userFilters.set(collectionSlug, new Set(events));
+        eventFilters.set(userId, userFilters);
+    }
+
+    // Remove a user's event filters for one collection
+    function deleteEventFilters(userId, collectionSlug) {
+        const userFilters = eventFilters.get(userId);
+        if (!userFilters) return;
+        userFilters.delete(collectionSlug);
+        if (userFilters.size === 0) {
+            eventFilters.delete(userId);
+        } else {
+            eventFilters.set(userId, userFilters);
+        }
+    }
+
+    // Get a user's alert rules for one collection
+    function getAlertRules(userId, collectionSlug) {
+        return alertRules.get(userId)?.get(collectionSlug) || [];
+    }
+
+    // Replace a user's alert rules for one collection
+    function setAlertRules(userId, collectionSlug, rules) {
+        if (rules.length === 0) {
+            deleteAlertRules(userId, collectionSlug);
+            return;
+        }
+        const userRules = alertRules.get(userId) || new Map();
+        userRules.set(collectionSlug, rules);
+        alertRules.set(userId, userRules);
+    }
+
+    // Remove a user's alert rules for one collection
+    function deleteAlertRules(userId, collectionSlug) {
+        const userRules = alertRules.get(userId);
+        if (!userRules) return;
+        userRules.delete(collectionSlug);
+        if (userRules.size === 0) {
+            alertRules.delete(userId);
+        } else {
+            alertRules.set(userId, userRules);
+        }
+    }
+
+    // Add a holder, returns true when it is the first one
+    function addHolder(collectionKey, holder) {
+        const holders = activeCollections.get(collectionKey) || new Set();
+        holders.add(holder);
+        activeCollections.set(collectionKey, holders);
+        return holders.size === 1;
+    }
+
+    // Remove a holder, returns true when it was the last one
+    function removeHolder(collectionKey, holder) {
+        const holders = activeCollections.get(collectionKey);
+        if (!holders || !holders.delete(holder)) return false;
+        if (holders.size > 0) return false;
+        activeCollections.delete(collectionKey);
+        return true;
+    }
+
+    function joinTopic(collectionKey) {
+        const { source, slug } = parseCollectionKey(collectionKey);
+        const join = streams.get(source).subscribe(slug);
+        joins.set(collectionKey, join);
+        // A failed join is retried by the next holder
+        join.catch(() => {
+            if (joins.get(collectionKey) === join) joins.delete(collectionKey);
+        });
+        return join;
+    }
+
+    function leaveTopic(collectionKey) {
+        joins.delete(collectionKey);
+        const { source, slug } = parseCollectionKey(collectionKey);
+        return streams.get(source)?.unsubscribe(slug) ?? Promise.resolve(false);
+    }
+
+    // Get how a user's events of one collection are delivered, see DELIVERY_MODES
+    function getDeliveryMode(userId, collectionSlug) {
+        return deliveryModes.get(userId)?.get(collectionSlug) || 'instant';
+    }
+
+    // Set how a user's events of one collection are delivered
+    function setDeliveryMode(userId, collectionSlug, mode) {
+        const userModes = deliveryModes.get(userId) || new Map();
+        if (mode === 'instant') {
+            userModes.delete(collectionSlug);
+        } else {
+            userModes.set(collectionSlug, mode);
+        }
+
+        if (userModes.size === 0) {
+            deliveryModes.delete(userId);
+        } else {
+            deliveryModes.set(userId, userModes);
+        }
+    }
+
+    // Get the sinks a user's notifications of one collection go to, see SUBSCRIPTION_SINKS
+    function getSubscriptionSinks(userId, collectionSlug) {
+        return subscriptionSinks.get(userId)?.get(collectionSlug) || ['dm'];
+    }
+
+    // Set the sinks of a user's subscription, in SUBSCRIPTION_SINKS order
+    function setSubscriptionSinks(userId, collectionSlug, sinks) {
+        const validSinks = SUBSCRIPTION_SINKS.filter(sink => sinks.includes(sink));
+        const userSinks = subscriptionSinks.get(userId) || new Map();
+        if (validSinks.length === 0 || validSinks.join() === 'dm') {
+            userSinks.delete(collectionSlug);
+        } else {
+            userSinks.set(collectionSlug, validSinks);
+        }
+
+        if (userSinks.size === 0) {
+            subscriptionSinks.delete(userId);
+        } else {
+            subscriptionSinks.set(userId, userSinks);
+        }
+    }
+
+    // Get the collections a user muted, their events are dropped without unsubscribing
+    function getMutedCollections(userId) {
+        return mutedCollections.get(userId) || [];
+    }
+
+    function isCollectionMuted(userId, collectionSlug) {
+        return getMutedCollections(userId).includes(collectionSlug);
+    }
+
+    // Mute or unmute one of a user's collections, returns false when it already was
+    function setCollectionMuted(userId, collectionSlug, muted) {
+        const slugs = getMutedCollections(userId);
+        if (slugs.includes(collectionSlug) === muted) return false;
+
+        const remaining = muted ? [...slugs, collectionSlug] : slugs.filter(slug => slug !== collectionSlug);
+        if (remaining.length === 0) {
+            mutedCollections.delete(userId);
+        } else {
+            mutedCollections.set(userId, remaining);
+        }
+        return true;
+    }
+
+    // Get the wallets a user watches
+    function getWatchedWallets(userId) {
+        return watchedWallets.get(userId) || [];
+    }
+
+    // Watch a wallet for a user, returns false when it is already watched
+    function addWatchedWallet(userId, address) {
+        const addresses = getWatchedWallets(userId);
+        if (addresses.includes(address)) return false;
+        watchedWallets.set(userId, [...addresses, address]);
+        return true;
+    }
+
+    // Stop watching a wallet for a user, returns false when it wasn't watched
+    function removeWatchedWallet(userId, address) {
+        const addresses = getWatchedWallets(userId);
+        if (!addresses.includes(address)) return false;
+        const remaining = addresses.filter(watched => watched !== address);
+        if (remaining.length === 0) {
+            watchedWallets.delete(userId);
+        } else {
+            watchedWallets.set(userId, remaining);
+        }
+        return true;
+    }
+
+    // Take a reference on a collection for a holder (`user:<id>` or `channel:<id>`), the first one joins its stream topic.
+    // Resolves true once the stream confirmed the join and false when the stream is not connected, the collection is
+    // then joined on (re)connect. Rejects when the join fails, the reference is dropped again then.
+    async function acquireCollection(collectionKey, holder) {
+        const { source } = parseCollectionKey(collectionKey);
+        const stream = streams.get(source);
+        if (!stream) {
+            throw new Error(`Unknown stream source: ${source}`);
+        }
+
+        if (addHolder(collectionKey, holder) || !joins.has(collectionKey)) {
+            joinTopic(collectionKey);
+        }
+        try {
+            await joins.get(collectionKey);
+            return stream.isConnected();
+        } catch (error) {
+            if (removeHolder(collectionKey, holder)) {
+                leaveTopic(collectionKey).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    // Drop a holder's reference on a collection, the last one leaves its stream topic.
+    // Resolves true once the stream confirmed the leave, false while others still hold the collection.
+    // Never rejects, a failed leave is logged.
+    async function releaseCollection(collectionKey, holder) {
+        if (!removeHolder(collectionKey, holder)) return false;
+        try {
+            return await leaveTopic(collectionKey);
+        } catch (error) {
+            log.error('Error leaving collection', { collection: collectionKey, error });
+            return false;
+        }
+    }
+
+    // Leave and join a collection's stream topic again, e.g. when its events stopped coming in.
+    // Resolves like acquireCollection, null when nobody holds the collection.
+    async function rejoinCollection(collectionKey) {
+        if (!activeCollections.has(collectionKey) || !streams.has(parseCollectionKey(collectionKey).source)) return null;
+        try {
+            await leaveTopic(collectionKey);
+        } catch (error) {
+            log.error('Error leaving collection', { collection: collectionKey, error });
+        }
+        return joinTopic(collectionKey);
+    }
+
+    // Check if any user or channel feed is still subscribed to a collection
+    function isCollectionInUse(collectionKey) {
+        return activeCollections.has(collectionKey);
+    }
+
+    // Subscribe a user to a collection with the given event filters, see acquireCollection for the result.
+    // The subscription is stored before joining, so a limit checked right before calling this also holds for subscribes
+    // running in parallel, and removed again when the join fails.
+    async function addUserSubscription(userId, collectionKey, events = VALID_EVENTS) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        const added = !subscriptions.includes(collectionKey);
+        if (added) {
+            userSubscriptions.set(userId, [...subscriptions, collectionKey]);
+        }
+
+        let joined;
+        try {
+            joined = await acquireCollection(collectionKey, `user:${userId}`);
+        } catch (error) {
+            if (added) await removeUserSubscription(userId, collectionKey);
+            throw error;
+        }
+        setEventFilters(userId, collectionKey, events);
+        return joined;
+    }
+
+    // Unsubscribe a user from a collection along with its filters, alert rules, delivery mode, sinks and mute, see
+    // releaseCollection for the result. Users who leave their last collection are dropped, nothing changes for a
+    // collection they don't follow.
+    async function removeUserSubscription(userId, collectionKey) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        if (!subscriptions.includes(collectionKey)) return false;
+        const remaining = subscriptions.filter(slug => slug !== collectionKey);
+        if (remaining.length > 0) {
+            userSubscriptions.set(userId, remaining);
+        } else {
+            userSubscriptions.delete(userId);
+        }
+        deleteEventFilters(userId, collectionKey);
+        deleteAlertRules(userId, collectionKey);
+        setDeliveryMode(userId, collectionKey, 'instant');
+        setSubscriptionSinks(userId, collectionKey, ['dm']);
+        setCollectionMuted(userId, collectionKey, false);
+        digests.delete(`${userId}:${collectionKey}`);
+        return releaseCollection(collectionKey, `user:${userId}`);
+    }
+
+    // Unsubscribe a user from everything
+    async function clearUserSubscriptions(userId) {
+        const subscriptions = userSubscriptions.get(userId) || [];
+        userSubscriptions.delete(userId);
+        eventFilters.delete(userId);
+        alertRules.delete(userId);
+        deliveryModes.delete(userId);
+        subscriptionSinks.delete(userId);
+        mutedCollections.delete(userId);
+        subscriptions.forEach(slug => digests.delete(`${userId}:${slug}`));
+        await Promise.all(subscriptions.map(slug => releaseCollection(slug, `user:${userId}`)));
+    }
+
+    // Validate a collection key (`slug` or `source:slug`) against the configured stream sources
+    function isValidCollectionSlug(slug) {
+        return isValidCollectionKey(slug) && streams.has(parseCollectionKey(slug).source);
+    }
+
+    return {
+        userSubscriptions,
+        activeCollections,
+        eventFilters,
+        alertRules,
+        deliveryModes,
+        subscriptionSinks,
+        mutedCollections,
+        digests,
+        channelFeeds,
+        watchedWallets,
+        loadSubscriptions,
+        getEventFilters,
+        setEventFilters,
+        deleteEventFilters,
+        getAlertRules,
+        setAlertRules,
+        deleteAlertRules,
+        getDeliveryMode,
+        setDeliveryMode,
+        getSubscriptionSinks,
+        setSubscriptionSinks,
+        getMutedCollections,
+        isCollectionMuted,
+        setCollectionMuted,
+        getWatchedWallets,
+        addWatchedWallet,
+        removeWatchedWallet,
+        acquireCollection,
+        releaseCollection,
+        rejoinCollection,
+        isCollectionInUse,
+        addUserSubscription,
+        removeUserSubscription,
+        clearUserSubscriptions,
+        isValidCollectionSlug
+    };
+}
+
+module.exports = { createSubscriptionManager };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCustomization, parseBrandingField, parseTemplate, createSampleEvent } = require('../src/customization');
+const { createEmbed } = require('../src/render');
+const { createStore } = require('../src/storage');
+
+test('customization', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-customization-'));
+    const storePath = path.join(tmpDir, 'store.json');
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: storePath });
+    await store.open();
+    const customization = createCustomization({ store });
+    await customization.load();
+
+    await t.test('validates branding fields', () => {
+        assert.deepStrictEqual(parseBrandingField('color', 'E67E22'), { value: '#e67e22' });
+        assert.deepStrictEqual(parseBrandingField('name', ' Apes Bot '), { value: 'Apes Bot' });
+        assert.match(parseBrandingField('color', 'orange').error, /Invalid colour/);
+        assert.match(parseBrandingField('icon', 'http://example.com/icon.png').error, /https:\/\//);
+        assert.match(parseBrandingField('footer', 'x'.repeat(129)).error, /1 to 128 characters/);
+        assert.match(parseBrandingField('title', 'x').error, /Unknown branding field/);
+    });
+
+    await t.test('validates templates', () => {
+        assert.deepStrictEqual(parseTemplate('{token} sold for {price}'), { template: '{token} sold for {price}' });
+        assert.match(parseTemplate('{token} sold to {buyr}').error, /Unknown placeholder: \{buyr\}/);
+        assert.match(parseTemplate('{token sold').error, /doesn't belong to a placeholder/);
+        assert.match(parseTemplate('  ').error, /1 to 1000 characters/);
+    });
+
+    await t.test('renders the embed styles', () => {
+        const sale = createSampleEvent('item_sold');
+
+        const compact = createEmbed(sale, { style: 'compact' });
+        assert.strictEqual(compact.components.length, 0);
+        assert.strictEqual(compact.embed.toJSON().description, '💰 **[Azuki #1234](https://opensea.io/assets/ethereum/0xed5af388653567af2f388e6224dc7c4b3241c544/1234)** (Azuki) • Item Sold • 8.500 WETH ($21,506.02)');
+
+        const image = createEmbed(sale, { style: 'image' }).embed.toJSON();
+        assert.strictEqual(image.title, '💰 Azuki #1234');
+        assert.strictEqual(image.image.url, 'https://i.seadn.io/gcs/files/azuki-1234.png');
+        assert.strictEqual(image.fields, undefined);
+    });
+
+    await t.test('applies a server\'s branding and template', () => {
+        customization.setBranding('guild', { name: 'Apes Bot', color: '#e67e22' }, 'admin');
+        customization.setTemplate('guild', 'item_sold', '{token} sold for {price} ({usd}) to {buyer}, floor {floor}');
+
+        const embed = createEmbed(createSampleEvent('item_sold'), {
+            branding: customization.getBranding('guild'),
+            template: customization.getTemplate('guild', 'item_sold')
+        }).embed.toJSON();
+        assert.strictEqual(embed.color, 0xe67e22);
+        assert.strictEqual(embed.footer.text, 'Powered by TBD • Apes Bot');
+        assert.strictEqual(embed.description, 'Azuki #1234 sold for 8.500 WETH ($21,506.02) to [0x1b3d...7b9d](https://opensea.io/0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d), floor 8.200 ETH');
+        assert.strictEqual(customization.getTemplate('guild', 'item_listed'), null);
+    });
+
+    await t.test('survives a restart', async () => {
+        customization.setEmbedStyle('alice', 'compact');
+        customization.setTemplate('guild', 'item_listed', 'Listed: {token}');
+        customization.setTemplate('guild', 'item_sold', null);
+        await store.close();
+
+        const reopened = createStore({ backend: 'json', path: storePath });
+        await reopened.open();
+        const restarted = createCustomization({ store: reopened });
+        await restarted.load();
+        assert.deepStrictEqual(restarted.getBranding('guild'), { name: 'Apes Bot', color: '#e67e22' });
+        assert.deepStrictEqual(restarted.getTemplates('guild'), { item_listed: 'Listed: {token}' });
+        assert.strictEqual(restarted.getEmbedStyle('alice'), 'compact');
+        assert.strictEqual(restarted.getEmbedStyle('bob'), 'full');
+        await reopened.close();
+    });
+});
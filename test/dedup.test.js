@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDedupCache, getEventKey } = require('../src/dedup');
+const { createStore } = require('../src/storage');
+const { createEvent } = require('../src/streams');
+
+const MINUTE = 60 * 1000;
+
+function sale(tokenId, transactionHash) {
+    return createEvent({
+        source: 'opensea',
+        type: 'item_sold',
+        collection: { slug: 'azuki' },
+        item: { tokenId, contract: '0xed5a', chain: 'ethereum' },
+        orderHash: null,
+        transactionHash
+    });
+}
+
+test('event de-duplication', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-dedup-'));
+    const storePath = path.join(tmpDir, 'store.json');
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: storePath });
+    await store.open();
+    const dedup = createDedupCache({ store }, { window: 10 * MINUTE, maxEntries: 3 });
+    await dedup.load();
+
+    await t.test('keys events by type, chain, contract, token and hash', () => {
+        assert.strictEqual(getEventKey(sale('1', '0xABC')), 'item_sold:ethereum:0xed5a:1:0xabc');
+        assert.strictEqual(getEventKey(sale('1', null)), null);
+    });
+
+    await t.test('drops an event seen within the window', () => {
+        const now = Date.now();
+        assert.strictEqual(dedup.isDuplicate(sale('1', '0xa'), now), false);
+        assert.strictEqual(dedup.isDuplicate(sale('1', '0xa'), now + MINUTE), true);
+        assert.strictEqual(dedup.isDuplicate(sale('2', '0xa'), now + MINUTE), false);
+        assert.strictEqual(dedup.isDuplicate(sale('1', '0xa'), now + 11 * MINUTE), false);
+
+        // Events without a hash can't be told apart from a repeat
+        assert.strictEqual(dedup.isDuplicate(sale('3', null), now), false);
+        assert.strictEqual(dedup.isDuplicate(sale('3', null), now), false);
+        assert.strictEqual(dedup.getStats().suppressed, 1);
+    });
+
+    await t.test('remembers at most maxEntries events', () => {
+        const now = Date.now() + 12 * MINUTE;
+        ['0xb', '0xc', '0xd', '0xe'].forEach(hash => dedup.isDuplicate(sale('1', hash), now));
+        assert.strictEqual(dedup.getStats().tracked, 3);
+        assert.strictEqual(dedup.isDuplicate(sale('1', '0xe'), now), true);
+    });
+
+    await t.test('survives a restart', async () => {
+        const now = Date.now();
+        dedup.isDuplicate(sale('9', '0xf'), now);
+
+        // Seen events are written on a timer or when saved, not with every event
+        await store.flush();
+        const saved = () => (fs.existsSync(storePath) ? JSON.parse(fs.readFileSync(storePath, 'utf8')).seenEvents : {});
+        assert.strictEqual('item_sold:ethereum:0xed5a:9:0xf' in saved(), false);
+        await dedup.save();
+        await store.flush();
+        assert.strictEqual(saved()['item_sold:ethereum:0xed5a:9:0xf'], now);
+        await store.close();
+
+        const reopened = createStore({ backend: 'json', path: storePath });
+        await reopened.open();
+        const restarted = createDedupCache({ store: reopened }, { window: 10 * MINUTE, maxEntries: 3 });
+        await restarted.load();
+        assert.strictEqual(restarted.isDuplicate(sale('9', '0xf'), now + MINUTE), true);
+        await reopened.close();
+    });
+
+    await t.test('drops the oldest entries first after a restart, whatever the store order', async () => {
+        const now = Date.now();
+        const unorderedPath = path.join(tmpDir, 'unordered.json');
+        const key = hash => getEventKey(sale('1', hash));
+        fs.writeFileSync(unorderedPath, JSON.stringify({
+            seenEvents: { [key('0x3')]: now - 3 * MINUTE, [key('0x1')]: now - 5 * MINUTE, [key('0x2')]: now - 4 * MINUTE }
+        }));
+        const unordered = createStore({ backend: 'json', path: unorderedPath });
+        await unordered.open();
+        const restarted = createDedupCache({ store: unordered }, { window: 10 * MINUTE, maxEntries: 3 });
+        await restarted.load();
+        assert.deepStrictEqual(Array.from(restarted.seenEvents.keys()), [key('0x1'), key('0x2'), key('0x3')]);
+
+        restarted.isDuplicate(sale('1', '0x4'), now);
+        assert.deepStrictEqual(Array.from(restarted.seenEvents.keys()), [key('0x2'), key('0x3'), key('0x4')]);
+        await restarted.save();
+        await unordered.close();
+    });
+});
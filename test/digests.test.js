@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDigest, recordEvent } = require('../src/digests');
+const { createDigestEmbed } = require('../src/render');
+const { createEvent } = require('../src/streams');
+
+const ETH = 10n ** 18n;
+
+function event(type, price, floorPrice, name) {
+    return createEvent({
+        source: 'opensea',
+        type,
+        collection: { slug: 'azuki', name: 'Azuki', floorPrice },
+        item: { name, tokenId: name.split('#')[1] },
+        price: { amount: (BigInt(Math.round(price * 100)) * ETH / 100n).toString(), decimals: 18, symbol: 'ETH' }
+    });
+}
+
+test('digests', async (t) => {
+    await t.test('are due at the end of the current hour or day', () => {
+        const now = Date.UTC(2024, 0, 1, 10, 15);
+        assert.strictEqual(createDigest(event('item_sold', 1, 5, 'Azuki #1'), 'hourly', now).dueAt, Date.UTC(2024, 0, 1, 11));
+        assert.strictEqual(createDigest(event('item_sold', 1, 5, 'Azuki #1'), 'daily', now).dueAt, Date.UTC(2024, 0, 2));
+    });
+
+    await t.test('summarize sales, floor and listings under floor', () => {
+        const events = [
+            event('item_sold', 8.5, 8, 'Azuki #1'),
+            event('item_listed', 7.5, 8, 'Azuki #2'),
+            event('item_sold', 9, 7.9, 'Azuki #3'),
+            event('item_listed', 9.2, 7.9, 'Azuki #4'),
+            event('item_listed', 7, 7.9, 'Azuki #5')
+        ];
+        const digest = createDigest(events[0], 'hourly');
+        events.forEach(e => recordEvent(digest, e));
+
+        assert.strictEqual(digest.sales, 2);
+        assert.strictEqual(digest.volume.ETH, 17.5);
+        assert.strictEqual(digest.floorStart, 8);
+        assert.strictEqual(digest.floorEnd, 7.9);
+        assert.strictEqual(digest.topSale.name, 'Azuki #3');
+        assert.deepStrictEqual(digest.listingsUnderFloor.map(listing => listing.name), ['Azuki #5', 'Azuki #2']);
+        assert.deepStrictEqual(digest.counts, { item_sold: 2, item_listed: 3 });
+
+        const embed = createDigestEmbed(digest).toJSON();
+        const field = name => embed.fields.find(f => f.name === name).value;
+        assert.strictEqual(embed.title, '📊 Hourly Digest');
+        assert.strictEqual(field('Volume'), '17.500 ETH');
+        assert.match(field('Floor Price'), /^8\.000 ETH → 7\.900 ETH 📉 1\.25%$/);
+        assert.strictEqual(field('Top Sale'), 'Azuki #3 • 9.000 ETH');
+    });
+});
@@ -0,0 +1,587 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const EventEmitter = require('events');
+const { createNotifier, createStore, createStaticMetadataProvider } = require('../src');
+const { signWebhookPayload } = require('../src/sinks');
+const { MockOpenSeaServer } = require('../scripts/mock-opensea-server');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+// Stands in for the OpenSea API when looking collections up before subscribing
+const COLLECTIONS = [
+    { slug: 'azuki', name: 'Azuki', imageUrl: 'https://i.seadn.io/azuki.png', url: 'https://opensea.io/collection/azuki', verified: true },
+    { slug: 'doodles', name: 'Doodles', verified: true },
+    { slug: 'moonbirds', name: 'Moonbirds', verified: true },
+    { slug: 'cryptopunks', name: 'CryptoPunks', verified: true },
+    { slug: 'boredapeyachtclub', name: 'Bored Ape Yacht Club', verified: true },
+    { slug: 'pixel-penguins', name: 'Pixel Penguins', verified: false }
+];
+
+// Drives the whole notifier against the mock stream server with a fake Discord client:
+// commands are called with a fake context and deliveries are captured from the client's fetches.
+function createFakeDiscordClient(delivered) {
+    const client = new EventEmitter();
+    client.user = null;
+    client.isReady = () => true;
+    client.ws = { ping: 42 };
+    client.users = {
+        fetch: async (userId) => ({
+            id: userId,
+            send: async (message) => delivered.push({ to: userId, embed: message.embeds[0].toJSON() })
+        })
+    };
+    client.channels = {
+        fetch: async (channelId) => ({
+            id: channelId,
+            permissionsFor: () => ({ has: () => true }),
+            send: async (message) => delivered.push({ to: `#${channelId}`, embed: message.embeds[0].toJSON() })
+        })
+    };
+    return client;
+}
+
+test('end to end', async (t) => {
+    const server = new MockOpenSeaServer();
+    await server.start();
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-'));
+    const storePath = path.join(tmpDir, 'subscriptions.json');
+
+    const delivered = []; // { to, embed }
+    const webhookRequests = []; // { headers, body } received by the local webhook receiver
+    const receiver = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            webhookRequests.push({ headers: request.headers, body });
+            response.writeHead(204);
+            response.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    let reloadedConfig = {}; // what /admin reload loads
+    const bot = createNotifier({
+        discordClient: createFakeDiscordClient(delivered),
+        store: createStore({ backend: 'json', path: storePath }),
+        streamUrl: server.url,
+        openSeaApiKey: 'test',
+        admin: { ownerIds: ['owner'] },
+        loadConfig: () => reloadedConfig,
+        http: { port: 0, token: 'secret' },
+        webhooks: { enabled: true, allowHttp: true },
+        collectionMetadata: { providers: { opensea: createStaticMetadataProvider(COLLECTIONS, { name: 'OpenSea' }) } },
+        registerSlashCommands: false
+    });
+    const { subscribeCommand, unsubscribeCommand, alertCommand } = bot.commands;
+    const { userSubscriptions, channelFeeds } = bot.subscriptions;
+
+    const opensea = bot.streams.get('opensea');
+    t.after(async () => {
+        await bot.stop();
+        await server.close();
+        await new Promise(resolve => receiver.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const replies = [];
+    const ctx = userId => ({
+        userId,
+        member: null,
+        guild: null,
+        reply: async (reply) => replies.push({ userId, reply }),
+        send: async (reply) => replies.push({ userId, reply })
+    });
+
+    // Button, select menu or modal interaction of a user, replies are collected like the command ones
+    const interaction = (userId, type, customId, { values = [], fields = {} } = {}) => ({
+        customId,
+        user: { id: userId },
+        values,
+        fields: { getTextInputValue: name => fields[name] },
+        isAutocomplete: () => false,
+        isChatInputCommand: () => false,
+        isButton: () => type === 'button',
+        isStringSelectMenu: () => type === 'select',
+        isChannelSelectMenu: () => false,
+        isModalSubmit: () => type === 'modal',
+        deferReply: async () => {},
+        deferUpdate: async () => {},
+        editReply: async (reply) => replies.push({ userId, reply }),
+        update: async (reply) => replies.push({ userId, reply })
+    });
+
+    // Replay an event and collect what was delivered once every notification went out
+    async function replay(fixture, collectionSlug, overrides) {
+        delivered.length = 0;
+        const received = new Promise(resolve => opensea.once('event', resolve));
+        assert.strictEqual(server.replay(fixture, collectionSlug, overrides), 1);
+        await received;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return delivered.map(({ to, embed }) => `${to}: ${embed.title}`).sort();
+    }
+
+    const connected = new Promise(resolve => opensea.on('status', status => status === 'connected' && resolve()));
+    await bot.start();
+    await connected;
+
+    await t.test('subscribing joins the collection topic', async () => {
+        await subscribeCommand(ctx('alice'), { collectionSlug: 'azuki', events: [] });
+        await subscribeCommand(ctx('bob'), { collectionSlug: 'azuki', events: ['item_listed'] });
+        await subscribeCommand(ctx('carol'), { collectionSlug: 'doodles', events: [] });
+
+        assert.deepStrictEqual(Array.from(server.joinedTopics()).sort(), ['collection:azuki', 'collection:doodles']);
+        assert.deepStrictEqual(userSubscriptions.get('alice'), ['azuki']);
+        const embed = replies.find(r => r.userId === 'alice').reply.embeds[0].toJSON();
+        assert.strictEqual(embed.title, 'Subscription Successful');
+        assert.strictEqual(embed.description, 'You are now subscribed to **Azuki** (azuki)');
+        assert.strictEqual(embed.thumbnail.url, 'https://i.seadn.io/azuki.png');
+        assert.strictEqual(embed.fields.find(field => field.name === 'Verified').value, '✅ Verified collection');
+    });
+
+    await t.test('refuses unknown collections with suggestions', async () => {
+        const lastReply = () => replies[replies.length - 1].reply;
+        await subscribeCommand(ctx('dave'), { collectionSlug: 'boredapeyatchclub', events: [] });
+        assert.strictEqual(lastReply(), '❓ OpenSea has no collection named `boredapeyatchclub`. Did you mean `boredapeyachtclub`?');
+
+        await bot.handleInteraction(interaction('dave', 'modal', 'add_collection_modal', { fields: { collection_slug: 'Azuk' } }));
+        assert.strictEqual(lastReply().content, '❓ OpenSea has no collection named `azuk`. Did you mean `azuki`?');
+        assert.strictEqual(userSubscriptions.has('dave'), false);
+        assert.strictEqual(server.joinedTopics().has('collection:boredapeyatchclub'), false);
+    });
+
+    await t.test('delivers events only to users whose filters match', async () => {
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), ['alice: 💰 Item Sold']);
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing', 'bob: 🆕 New Listing']);
+        assert.deepStrictEqual(await replay('item_sold', 'doodles'), ['carol: 💰 Item Sold']);
+    });
+
+    await t.test('holds notifications of muted collections and snoozed users', async () => {
+        const { muteCommand, snoozeCommand } = bot.commands;
+        await muteCommand(ctx('alice'), { collectionSlug: 'azuki', muted: true });
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['bob: 🆕 New Listing']);
+        await muteCommand(ctx('alice'), { collectionSlug: 'azuki', muted: false });
+
+        await snoozeCommand(ctx('bob'), { duration: '2h' });
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing']);
+        await snoozeCommand(ctx('bob'), { duration: 'off' });
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing', 'bob: 🆕 New Listing']);
+    });
+
+    await t.test('drops an event sent twice', async () => {
+        const sameOrder = { order_hash: '0x1111', transaction: { hash: '0x2222', timestamp: '2024-01-15T10:30:00Z' } };
+        assert.deepStrictEqual(await replay('item_sold', 'azuki', sameOrder), ['alice: 💰 Item Sold']);
+        assert.deepStrictEqual(await replay('item_sold', 'azuki', sameOrder), []);
+        assert.strictEqual(bot.dedup.getStats().suppressed, 1);
+    });
+
+    await t.test('renders the replayed payload', async () => {
+        await replay('item_sold', 'azuki');
+        const { embed } = delivered[0];
+        assert.match(embed.description, /\*\*Azuki #1234\*\*/);
+        assert.match(embed.description, /Token ID: 1234/);
+        assert.strictEqual(embed.url, 'https://opensea.io/assets/ethereum/0xed5af388653567af2f388e6224dc7c4b3241c544/1234');
+        assert.deepStrictEqual(embed.fields.map(field => field.name), ['Sale Price', 'Sold', 'Seller', 'Buyer']);
+        assert.strictEqual(embed.fields[0].value, '8.500 ETH ($21,506.02)');
+        assert.match(embed.description, /Contract: \[`0xed5a.*`\]\(https:\/\/etherscan\.io\/token\/0xed5a/);
+    });
+
+    await t.test('renders a user\'s embed style and a server\'s branding and template', async () => {
+        const admin = { ...ctx('alice'), guild: { id: 'guild' }, member: { permissions: { has: () => true } } };
+        await bot.commands.styleCommand(ctx('carol'), { style: 'compact' });
+        await bot.commands.brandingCommand(admin, { subCommand: 'set', changes: { name: 'Doodles Bot', color: '#e67e22' } });
+        await bot.commands.templateCommand(admin, { subCommand: 'set', eventType: 'item_sold', template: '{token} sold for {price}' });
+        assert.strictEqual(replies[replies.length - 1].reply.embeds[0].toJSON().description, 'Azuki #1234 sold for 8.500 WETH');
+
+        channelFeeds.set('123', { guildId: 'guild', addedBy: 'alice', collections: new Map([['doodles', new Set(['item_sold'])]]) });
+        await replay('item_sold', 'doodles');
+        channelFeeds.delete('123');
+        await bot.commands.styleCommand(ctx('carol'), { style: 'full' });
+        await bot.commands.brandingCommand(admin, { subCommand: 'reset' });
+        await bot.commands.templateCommand(admin, { subCommand: 'reset' });
+
+        const feed = delivered.find(({ to }) => to === '#123').embed;
+        assert.strictEqual(feed.footer.text, 'Powered by TBD • Doodles Bot');
+        assert.match(feed.description, / sold for \d+\.\d{3} ETH$/);
+        assert.strictEqual(delivered.find(({ to }) => to === 'carol').embed.title, undefined);
+    });
+
+    await t.test('applies alert rules', async () => {
+        await alertCommand(ctx('bob'), { subCommand: 'add', collectionSlug: 'azuki', ruleType: 'price_below', value: '9' });
+
+        // The recorded listing is 9.2 ETH
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing']);
+        assert.deepStrictEqual(
+            await replay('item_listed', 'azuki', { base_price: '8000000000000000000' }),
+            ['alice: 🆕 New Listing', 'bob: 🆕 New Listing']
+        );
+    });
+
+    await t.test('posts to channel feeds', async () => {
+        channelFeeds.set('123', { guildId: 'guild', addedBy: 'alice', collections: new Map([['doodles', new Set(['item_sold'])]]) });
+
+        assert.deepStrictEqual(await replay('item_sold', 'doodles'), ['#123: 💰 Item Sold', 'carol: 💰 Item Sold']);
+        assert.deepStrictEqual(await replay('item_listed', 'doodles'), ['carol: 🆕 New Listing']);
+        channelFeeds.delete('123');
+    });
+
+    await t.test('unsubscribing the last user leaves the topic', async () => {
+        const left = server.waitFor('leave');
+        await unsubscribeCommand(ctx('carol'), { collectionSlug: 'doodles' });
+        assert.strictEqual(await left, 'collection:doodles');
+
+        // Alice still follows azuki, so the topic stays joined
+        await unsubscribeCommand(ctx('bob'), { collectionSlug: 'azuki' });
+        assert.ok(server.joinedTopics().has('collection:azuki'));
+    });
+
+    await t.test('buttons, select menus and modals join and leave topics too', async () => {
+        const joined = server.waitFor('join', topic => topic === 'collection:moonbirds');
+        await bot.handleInteraction(interaction('dave', 'modal', 'add_collection_modal', { fields: { collection_slug: 'moonbirds' } }));
+        await joined;
+        assert.deepStrictEqual(userSubscriptions.get('dave'), ['moonbirds']);
+
+        let left = server.waitFor('leave');
+        await bot.handleInteraction(interaction('dave', 'select', 'remove_collection', { values: ['moonbirds'] }));
+        assert.strictEqual(await left, 'collection:moonbirds');
+
+        // A menu used again after the collection was removed doesn't claim to unsubscribe
+        await bot.handleInteraction(interaction('dave', 'select', 'remove_collection', { values: ['moonbirds'] }));
+        assert.strictEqual(replies[replies.length - 1].reply.content, 'You are not subscribed to this collection.');
+
+        await bot.handleInteraction(interaction('dave', 'modal', 'add_collection_modal', { fields: { collection_slug: 'moonbirds' } }));
+        left = server.waitFor('leave');
+        await bot.handleInteraction(interaction('dave', 'button', 'clear_confirm'));
+        assert.strictEqual(await left, 'collection:moonbirds');
+        assert.strictEqual(userSubscriptions.has('dave'), false);
+    });
+
+    await t.test('asks to confirm unverified collections before subscribing', async () => {
+        const lastReply = () => replies[replies.length - 1].reply;
+        await subscribeCommand(ctx('gina'), { collectionSlug: 'pixel-penguins', events: ['item_sold'] });
+        assert.strictEqual(lastReply().embeds[0].toJSON().title, 'Confirm Subscription');
+        assert.deepStrictEqual(lastReply().components[0].toJSON().components.map(button => button.custom_id),
+            ['subscribe_confirm:pixel-penguins', 'subscribe_cancel:pixel-penguins']);
+        assert.strictEqual(userSubscriptions.has('gina'), false);
+
+        await bot.handleInteraction(interaction('gina', 'button', 'subscribe_cancel:pixel-penguins'));
+        assert.strictEqual(lastReply().content, 'Subscription cancelled.');
+        await bot.handleInteraction(interaction('gina', 'button', 'subscribe_confirm:pixel-penguins'));
+        assert.strictEqual(lastReply().content, 'This confirmation has expired, please subscribe again.');
+        assert.strictEqual(userSubscriptions.has('gina'), false);
+
+        // The events asked for are kept until the subscription is confirmed, from a command or the add collection modal
+        await subscribeCommand(ctx('gina'), { collectionSlug: 'pixel-penguins', events: ['item_sold'] });
+        await bot.handleInteraction(interaction('gina', 'button', 'subscribe_confirm:pixel-penguins'));
+        assert.strictEqual(lastReply().embeds[0].toJSON().title, 'Subscription Successful');
+        assert.deepStrictEqual(userSubscriptions.get('gina'), ['pixel-penguins']);
+        assert.deepStrictEqual(Array.from(bot.subscriptions.getEventFilters('gina', 'pixel-penguins')), ['item_sold']);
+
+        await bot.subscriptions.clearUserSubscriptions('gina');
+        await bot.handleInteraction(interaction('gina', 'modal', 'add_collection_modal', { fields: { collection_slug: 'pixel-penguins' } }));
+        assert.strictEqual(lastReply().embeds[0].toJSON().title, 'Confirm Subscription');
+        assert.strictEqual(userSubscriptions.has('gina'), false);
+        await bot.handleInteraction(interaction('gina', 'button', 'subscribe_confirm:pixel-penguins'));
+        assert.deepStrictEqual(userSubscriptions.get('gina'), ['pixel-penguins']);
+
+        await bot.subscriptions.clearUserSubscriptions('gina');
+    });
+
+    await t.test('collects events into a digest in digest mode', async () => {
+        // The settings panel shows the delivery mode menu of the collection picked first
+        await bot.handleInteraction(interaction('alice', 'select', 'delivery_collection', { values: ['azuki'] }));
+        const menus = replies[replies.length - 1].reply.components.map(row => row.toJSON().components[0]);
+        assert.deepStrictEqual(menus.find(menu => menu.custom_id === 'delivery_collection').options.map(option => option.value), userSubscriptions.get('alice'));
+        assert.strictEqual(menus.some(menu => menu.custom_id === 'delivery_mode:azuki'), true);
+
+        await bot.handleInteraction(interaction('alice', 'select', 'delivery_mode:azuki', { values: ['hourly'] }));
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), []);
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), []);
+
+        await bot.digests.save();
+        await bot.store.flush();
+        const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        assert.strictEqual(saved.digests['alice:azuki'].sales, 1);
+
+        // Snoozed users' events are left out and their due digests wait for the snooze to end
+        await bot.commands.snoozeCommand(ctx('alice'), { duration: '2h' });
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), []);
+        await bot.digests.sendDueDigests(Infinity);
+        await bot.queue.idle();
+        assert.deepStrictEqual(delivered, []);
+        await bot.commands.snoozeCommand(ctx('alice'), { duration: 'off' });
+
+        delivered.length = 0;
+        await bot.digests.sendDueDigests(Infinity);
+        assert.deepStrictEqual(delivered.map(({ to, embed }) => `${to}: ${embed.title}`), ['alice: 📊 Hourly Digest']);
+        assert.strictEqual(delivered[0].embed.fields.find(field => field.name === 'Sales').value, '1');
+
+        await bot.handleInteraction(interaction('alice', 'select', 'delivery_mode:azuki', { values: ['instant'] }));
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), ['alice: 💰 Item Sold']);
+    });
+
+    await t.test('tracks the floor and alerts when it moves', async () => {
+        await alertCommand(ctx('alice'), { subCommand: 'add', collectionSlug: 'azuki', ruleType: 'floor_change', value: '10/1h' });
+        const floor = price => ({ collection: { stats: { floor_price: price } } });
+
+        assert.deepStrictEqual(await replay('item_sold', 'azuki', floor(8)), ['alice: 💰 Item Sold']);
+        assert.strictEqual(delivered[0].embed.fields.find(field => field.name === 'Floor Price').value, '8.000 ETH');
+
+        // 5% is within the rule, the notification still shows the change
+        assert.deepStrictEqual(await replay('item_sold', 'azuki', floor(7.6)), ['alice: 💰 Item Sold']);
+        assert.strictEqual(delivered[0].embed.fields.find(field => field.name === 'Floor Price').value, '7.600 ETH 📉 5.00%');
+
+        assert.deepStrictEqual(await replay('item_sold', 'azuki', floor(7)), ['alice: 💰 Item Sold', 'alice: 📉 Floor Down 12.50%']);
+
+        await alertCommand(ctx('alice'), { subCommand: 'remove', collectionSlug: 'azuki', position: 1 });
+    });
+
+    await t.test('notifies wallet watchers once, flagging the watched wallet', async () => {
+        const { watchCommand } = bot.commands;
+        const seller = '0x8a9d3c6e3a5b7c1f2e4d6b8a0c2e4f6a8b0d2c4e';
+        const buyer = '0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d';
+        await watchCommand(ctx('erin'), { subCommand: 'add', address: seller.toUpperCase().replace('0X', '0x') });
+        await watchCommand(ctx('alice'), { subCommand: 'add', address: buyer });
+        await watchCommand(ctx('alice'), { subCommand: 'add', address: 'vitalik.eth' });
+        assert.match(replies[replies.length - 1].reply, /Invalid wallet address/);
+
+        // Erin follows no collection, Alice gets the sale once even though she also subscribed to azuki
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), ['alice: 💰 Item Sold', 'erin: 💰 Item Sold']);
+        const watchedField = userId => delivered.find(({ to }) => to === userId).embed.fields.find(field => field.name === '👀 Watched Wallet').value;
+        assert.strictEqual(watchedField('erin'), `[0x8a9d...2c4e](https://opensea.io/${seller}) (Seller)`);
+        assert.match(watchedField('alice'), /^\[0x1b3d\.\.\.7b9d\]\(.*\) \(Buyer\)$/);
+
+        await watchCommand(ctx('erin'), { subCommand: 'remove', address: seller });
+        assert.deepStrictEqual(await replay('item_sold', 'azuki'), ['alice: 💰 Item Sold']);
+    });
+
+    await t.test('enforces the collection limit on every entry point', async () => {
+        for (const collectionSlug of ['azuki', 'doodles', 'moonbirds']) {
+            await subscribeCommand(ctx('frank'), { collectionSlug, events: [] });
+        }
+        await subscribeCommand(ctx('frank'), { collectionSlug: 'cryptopunks', events: [] });
+        assert.strictEqual(replies[replies.length - 1].reply, 'You have reached the maximum limit of 3 subscriptions.');
+
+        let refused;
+        await bot.handleInteraction({
+            ...interaction('frank', 'modal', 'add_collection_modal', { fields: { collection_slug: 'cryptopunks' } }),
+            editReply: async (reply) => { refused = reply.content; }
+        });
+        assert.strictEqual(refused, 'You have reached the maximum limit of 3 subscriptions.');
+        assert.deepStrictEqual(userSubscriptions.get('frank'), ['azuki', 'doodles', 'moonbirds']);
+
+        // Subscribes running in parallel can't both take the last free slot
+        await bot.subscriptions.removeUserSubscription('frank', 'moonbirds');
+        await Promise.all([
+            subscribeCommand(ctx('frank'), { collectionSlug: 'moonbirds', events: [] }),
+            bot.handleInteraction(interaction('frank', 'modal', 'add_collection_modal', { fields: { collection_slug: 'cryptopunks' } }))
+        ]);
+        assert.strictEqual(userSubscriptions.get('frank').length, 3);
+
+        await bot.subscriptions.clearUserSubscriptions('frank');
+    });
+
+    await t.test('browses the history of a collection and exports received notifications', async () => {
+        const lastReply = () => replies[replies.length - 1].reply;
+        const navLabels = reply => reply.components[reply.components.length - 1].toJSON().components.map(button => button.label);
+
+        await bot.commands.historyCommand(ctx('dave'), { collectionSlug: 'azuki', eventType: 'item_sold', limit: 2 });
+        assert.strictEqual(lastReply().embeds[0].toJSON().title, '💰 Item Sold');
+        assert.deepStrictEqual(navLabels(lastReply()), ['Newer', '1 / 2', 'Older']);
+
+        const older = lastReply().components[lastReply().components.length - 1].toJSON().components[2].custom_id;
+        await bot.handleInteraction(interaction('dave', 'button', older));
+        assert.deepStrictEqual(navLabels(lastReply()), ['Newer', '2 / 2', 'Older']);
+
+        await bot.commands.exportCommand(ctx('alice'), { format: 'csv' });
+        const [header, ...rows] = lastReply().files[0].attachment.toString().split('\n');
+        assert.strictEqual(header, 'time,collection,event,item,tokenId,price,symbol,usd,wallet,url,transactionHash');
+        assert.match(rows[0], /,azuki,item_sold,Azuki #1234,1234,8.5,ETH,21506.02,,https:\/\/opensea.io\//);
+
+        await bot.commands.exportCommand(ctx('dave'), {});
+        assert.strictEqual(lastReply(), 'You have not received any notifications in the last 7d.');
+    });
+
+    await t.test('sends the subscriptions linked to a webhook as signed JSON', async () => {
+        const { webhookCommand, destinationCommand } = bot.commands;
+        const lastReply = () => replies[replies.length - 1].reply;
+
+        await destinationCommand(ctx('alice'), { collectionSlug: 'azuki', destination: 'webhook' });
+        assert.strictEqual(lastReply(), 'Set up a webhook with /webhook set <url> first.');
+
+        await webhookCommand(ctx('alice'), { subCommand: 'set', url: `http://127.0.0.1:${receiver.address().port}/hook` });
+        const secret = /Signing secret: `([0-9a-f]+)`/.exec(lastReply())[1];
+        await destinationCommand(ctx('alice'), { collectionSlug: 'azuki', destination: 'webhook' });
+        assert.strictEqual(lastReply(), '✅ azuki notifications now go to: 🪝 Webhook\nDigests, quiet hours catch-ups and floor alerts are still sent as DMs.');
+
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), []);
+        await bot.queue.idle();
+        assert.strictEqual(webhookRequests.length, 1);
+        const [{ headers, body }] = webhookRequests;
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${signWebhookPayload(secret, headers['x-webhook-timestamp'], body)}`);
+        const payload = JSON.parse(body);
+        assert.strictEqual(payload.type, 'notification');
+        assert.strictEqual(payload.collection, 'azuki');
+        assert.strictEqual(payload.event.type, 'item_listed');
+
+        // The destinations panel links both
+        await bot.handleInteraction(interaction('alice', 'select', 'sink_select:azuki', { values: ['dm', 'webhook'] }));
+        assert.strictEqual(lastReply().content, '✅ azuki notifications now go to: 💬 Discord DM + 🪝 Webhook');
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing']);
+        await bot.queue.idle();
+        assert.strictEqual(webhookRequests.length, 2);
+
+        // Subscriptions linked to a removed webhook get DMs again
+        await bot.handleInteraction(interaction('alice', 'select', 'sink_select:azuki', { values: ['webhook'] }));
+        await webhookCommand(ctx('alice'), { subCommand: 'remove' });
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing']);
+        assert.strictEqual(webhookRequests.length, 2);
+        await destinationCommand(ctx('alice'), { collectionSlug: 'azuki', destination: 'dm' });
+
+        // Sinks the bot doesn't have fall back to DMs too
+        bot.subscriptions.subscriptionSinks.set('alice', new Map([['azuki', ['pager']]]));
+        assert.deepStrictEqual(await replay('item_listed', 'azuki'), ['alice: 🆕 New Listing']);
+        bot.subscriptions.subscriptionSinks.delete('alice');
+
+        // `!webhook set` in a server channel deletes the message and keeps no endpoint whose secret couldn't be DMed
+        const channelReplies = [];
+        let deleted = false;
+        await bot.commands.handleMessage({
+            content: `!webhook set http://127.0.0.1:${receiver.address().port}/hook`,
+            author: { id: 'alice', bot: false, send: async () => { throw new Error('Cannot send messages to this user'); } },
+            guild: { id: 'guild' },
+            delete: async () => { deleted = true; },
+            reply: async (reply) => channelReplies.push(reply)
+        });
+        assert.strictEqual(deleted, true);
+        assert.deepStrictEqual(channelReplies, ['❌ I could not DM you, allow DMs from server members and try again. Your webhook was not changed.']);
+        assert.strictEqual(bot.sinks.get('webhook').getEndpoint('alice'), null);
+    });
+
+    await t.test('serves health, metrics and the subscriptions over HTTP', async () => {
+        const { port } = bot.http.address();
+        const get = (pathname, headers = {}) => fetch(`http://127.0.0.1:${port}${pathname}`, { headers });
+
+        const health = await get('/healthz');
+        assert.strictEqual(health.status, 200);
+        assert.deepStrictEqual(await health.json(), {
+            status: 'ok',
+            discord: { ready: true, ping: 42 },
+            streams: [{ source: 'opensea', name: 'OpenSea', connected: true, collections: opensea.collections.size }]
+        });
+
+        const metrics = await (await get('/metrics')).text();
+        assert.match(metrics, /^nft_notify_discord_ready 1$/m);
+        assert.match(metrics, /^nft_notify_stream_connected\{source="opensea"\} 1$/m);
+        assert.match(metrics, /^nft_notify_stream_reconnects_total\{source="opensea"\} 0$/m);
+        assert.match(metrics, /^nft_notify_collection_joined\{source="opensea",collection="azuki"\} 1$/m);
+        assert.match(metrics, /^nft_notify_events_received_total\{source="opensea",type="item_sold"\} [1-9]\d*$/m);
+        assert.match(metrics, /^nft_notify_events_filtered_total\{reason="duplicate"\} [1-9]\d*$/m);
+        assert.match(metrics, /^nft_notify_deliveries_total\{outcome="sent"\} [1-9]\d*$/m);
+
+        assert.strictEqual((await get('/subscriptions')).status, 401);
+        assert.strictEqual((await get('/subscriptions', { Authorization: 'Bearer wrong' })).status, 401);
+        const dump = await (await get('/subscriptions', { Authorization: 'Bearer secret' })).json();
+        assert.deepStrictEqual(dump.users.alice.map(({ collection, sinks }) => [collection, sinks]), [['azuki', ['dm']]]);
+        assert.deepStrictEqual(dump.watchedWallets, { alice: ['0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d'] });
+        assert.strictEqual((await get('/unknown')).status, 404);
+    });
+
+    await t.test('runs the admin commands for the bot owner only', async () => {
+        const { adminCommand } = bot.commands;
+        const lastReply = () => replies[replies.length - 1].reply;
+
+        await adminCommand(ctx('alice'), { subCommand: 'stats' });
+        assert.strictEqual(lastReply(), 'This command is only available to the bot owner.');
+
+        await adminCommand(ctx('owner'), { subCommand: 'stats' });
+        const fields = Object.fromEntries(lastReply().embeds[0].toJSON().fields.map(field => [field.name, field.value]));
+        assert.match(fields['⚡ Events'], /^\d+(\.\d)?\/min \(last 5 min\)\n[1-9]\d* in the last hour$/);
+        assert.match(fields['🌐 Streams'], /✅ Connected \(OpenSea, \d+ collections\)/);
+
+        await subscribeCommand(ctx('erin'), { collectionSlug: 'moonbirds', events: [] });
+        await adminCommand(ctx('owner'), { subCommand: 'remove', targetUserId: 'erin', collectionSlug: 'all' });
+        assert.strictEqual(lastReply(), '✅ Removed 1 subscriptions of <@erin>.');
+        assert.strictEqual(userSubscriptions.has('erin'), false);
+        assert.strictEqual(server.joinedTopics().has('collection:moonbirds'), false);
+
+        reloadedConfig = { limits: { collections: 4 } };
+        await adminCommand(ctx('owner'), { subCommand: 'reload' });
+        assert.strictEqual(bot.limits.globalLimits.collections, 4);
+        reloadedConfig = { limits: {} };
+        await adminCommand(ctx('owner'), { subCommand: 'reload' });
+        assert.strictEqual(bot.limits.globalLimits.collections, 3);
+
+        delivered.length = 0;
+        await adminCommand(ctx('owner'), { subCommand: 'broadcast', message: 'Maintenance at 10:00 UTC' });
+        await bot.queue.idle();
+        assert.ok(delivered.some(({ to }) => to === 'alice'));
+        assert.ok(delivered.every(({ embed }) => embed.title === '📢 Announcement' && embed.description === 'Maintenance at 10:00 UTC'));
+
+        const reconnected = new Promise(resolve => opensea.on('status', status => status === 'connected' && resolve()));
+        await adminCommand(ctx('owner'), { subCommand: 'reconnect', source: 'opensea' });
+        assert.strictEqual(lastReply(), '🔄 Reconnecting OpenSea.');
+        await reconnected;
+        assert.match(bot.metrics.render(), /^nft_notify_stream_reconnects_total\{source="opensea"\} 1$/m);
+    });
+
+    await t.test('shows the collection limit in the FAQ', async () => {
+        bot.limits.setGlobalLimits({ collections: 5 });
+        await bot.handleInteraction(interaction('alice', 'button', 'help_faq'));
+        bot.limits.setGlobalLimits({});
+        const embed = replies[replies.length - 1].reply.embeds[0].toJSON();
+        assert.strictEqual(embed.fields.find(field => field.name === '❓ Can I subscribe to multiple collections?').value, 'Yes, you can subscribe to up to 5 collections');
+    });
+
+    await t.test('drops users who leave their last collection', async () => {
+        const { subscribeCommand, unsubscribeCommand } = bot.commands;
+        const totalUsers = async () => {
+            await bot.handleInteraction({ ...interaction('alice', 'button', 'help_status'), reply: async (reply) => replies.push({ userId: 'alice', reply }) });
+            return replies[replies.length - 1].reply.embeds[0].toJSON().fields.find(field => field.name === 'Total Users').value;
+        };
+
+        await subscribeCommand(ctx('frank'), { collectionSlug: 'azuki', events: [] });
+        const before = Number(await totalUsers());
+        await unsubscribeCommand(ctx('frank'), { collectionSlug: 'azuki' });
+        assert.strictEqual(userSubscriptions.has('frank'), false);
+        assert.strictEqual(await totalUsers(), String(before - 1));
+    });
+
+    await t.test('answers failed interactions and messages with an error instead of rejecting', async () => {
+        replies.length = 0;
+        const failing = {
+            ...interaction('alice', 'button', 'subscribe_menu'),
+            isButton: () => { throw new Error('Unexpected interaction'); },
+            isRepliable: () => true,
+            reply: async (reply) => replies.push({ userId: 'alice', reply })
+        };
+        await bot.handleInteraction(failing);
+        assert.deepStrictEqual(replies.pop().reply, { content: '❌ Something went wrong, please try again later.', ephemeral: true });
+
+        // The first reply fails, the error one goes through
+        let failReply = true;
+        const message = {
+            content: '!subscriptions',
+            author: { id: 'alice', bot: false },
+            reply: async (reply) => {
+                if (failReply) {
+                    failReply = false;
+                    throw new Error('Missing Permissions');
+                }
+                replies.push({ userId: 'alice', reply });
+            }
+        };
+        await bot.commands.handleMessage(message);
+        assert.strictEqual(replies.pop().reply, '❌ Something went wrong, please try again later.');
+    });
+
+    await t.test('persists subscriptions to the store', async () => {
+        await bot.store.flush();
+        const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        assert.deepStrictEqual(saved.subscriptions, { alice: ['azuki'] });
+        assert.deepStrictEqual(saved.watchedWallets, { alice: ['0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d'] });
+    });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFloorTracker } = require('../src/floors');
+const { parseAlertRule, describeAlertRule, matchesAlertRules } = require('../src/alerts');
+const { createStore } = require('../src/storage');
+const { createDeliveryQueue } = require('../src/queue');
+const { createEvent } = require('../src/streams');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+const HOUR = 60 * 60 * 1000;
+
+function event(type, floorPrice, price) {
+    return createEvent({
+        source: 'opensea',
+        type,
+        collection: { slug: 'azuki', name: 'Azuki', floorPrice },
+        price: price === undefined ? null : { amount: String(price * 1e18), decimals: 18, symbol: 'ETH' }
+    });
+}
+
+test('floor tracking', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-floors-'));
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: path.join(tmpDir, 'store.json') });
+    await store.open();
+    const sent = [];
+    const rules = [parseAlertRule('floor_change', '10/1h').rule];
+    const muted = new Set(); // userIds that muted azuki
+    const held = new Map(); // userId -> hold reason
+    const notifier = {
+        store,
+        client: { users: { fetch: async userId => ({ send: async message => sent.push(`${userId}: ${message.embeds[0].toJSON().title}`) }) } },
+        subscriptions: {
+            userSubscriptions: new Map([['alice', ['azuki']], ['bob', ['doodles']]]),
+            getAlertRules: userId => (userId === 'alice' ? rules : []),
+            isCollectionMuted: userId => muted.has(userId)
+        },
+        quiet: { getHoldReason: userId => held.get(userId) || null }
+    };
+    notifier.queue = createDeliveryQueue(notifier);
+    const floors = createFloorTracker(notifier);
+    await floors.load();
+
+    await t.test('parses and describes floor change rules', () => {
+        assert.deepStrictEqual(rules[0], { type: 'floor_change', value: 10, window: HOUR });
+        assert.strictEqual(describeAlertRule(parseAlertRule('floor_change', '5%').rule), 'Floor moves 5% within 1d');
+        assert.match(parseAlertRule('floor_change', '10/8d').error, /up to 7d/);
+        assert.match(parseAlertRule('floor_change', '10', 'item_sold').error, /event/);
+        assert.strictEqual(matchesAlertRules(rules, event('item_sold', 1, 1)), true);
+    });
+
+    await t.test('records one sample per change and a listing under the floor', () => {
+        const start = Date.now();
+        assert.strictEqual(floors.recordFloor(event('item_sold', 8), start - 3 * HOUR), true);
+        assert.strictEqual(floors.recordFloor(event('item_sold', 8), start - 2 * HOUR), false);
+        assert.strictEqual(floors.recordFloor(event('item_listed', null, 7.8), start - 2 * HOUR), true);
+        assert.strictEqual(floors.getFloor('azuki'), 7.8);
+        assert.deepStrictEqual(floors.getFloorChange('azuki', HOUR, start), { price: 7.8, previous: 7.8 });
+        assert.deepStrictEqual(floors.getFloorChange('azuki', 3 * HOUR, start), { price: 7.8, previous: 8 });
+    });
+
+    await t.test('alerts once per window when the floor moves past the rule', async () => {
+        const now = Date.now();
+        floors.trackFloor(event('item_sold', 7.5), now);
+        floors.trackFloor(event('item_sold', 6.9), now + 1000);
+        floors.trackFloor(event('item_sold', 6), now + 2000);
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, ['alice: 📉 Floor Down 11.54%']);
+
+        floors.trackFloor(event('item_sold', 7.5), now + HOUR + 2000);
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, ['alice: 📉 Floor Down 11.54%', 'alice: 📈 Floor Up +25.00%']);
+    });
+
+    await t.test('keeps the history in the store', async () => {
+        await store.flush();
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'store.json'), 'utf8'));
+        assert.strictEqual(saved.floorHistory.azuki.at(-1).price, 7.5);
+    });
+
+    await t.test('leaves out muted collections and holds alerts of snoozed users until the floor moves again', async () => {
+        sent.length = 0;
+        const later = Date.now() + 3 * HOUR;
+        muted.add('alice');
+        floors.trackFloor(event('item_sold', 6), later);
+        muted.delete('alice');
+        held.set('alice', 'snoozed');
+        floors.trackFloor(event('item_sold', 6.5), later + 1000);
+        held.delete('alice');
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, []);
+
+        floors.trackFloor(event('item_sold', 6.4), later + 2000);
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, ['alice: 📉 Floor Down 14.67%']);
+    });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistory } = require('../src/history');
+const { createStore } = require('../src/storage');
+const { createEvent } = require('../src/streams');
+
+const HOUR = 60 * 60 * 1000;
+
+function event(type, tokenId, price) {
+    return createEvent({
+        source: 'opensea',
+        type,
+        collection: { slug: 'azuki' },
+        item: { name: `Azuki, "#${tokenId}"`, tokenId },
+        price: { amount: String(price * 1e18), usdPrice: 2000 },
+        raw: { event: type }
+    });
+}
+
+test('history', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-history-'));
+    const storePath = path.join(tmpDir, 'store.json');
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: storePath });
+    await store.open();
+    const history = createHistory({ store }, { retention: 24 * HOUR, maxEvents: 3 });
+    await history.load();
+    const start = Date.now();
+
+    await t.test('keeps the latest events of a collection within the retention period', () => {
+        history.recordEvent(event('item_listed', '1', 9), start - 30 * HOUR);
+        history.recordEvent(event('item_sold', '2', 8), start - 3 * HOUR);
+        history.recordEvent(event('item_listed', '3', 7), start - 2 * HOUR);
+        history.recordEvent(event('item_sold', '4', 6), start - HOUR);
+
+        assert.deepStrictEqual(history.getHistory('azuki', null, 10, start).map(entry => entry.event.item.tokenId), ['4', '3', '2']);
+        assert.deepStrictEqual(history.getHistory('azuki', 'item_sold', 1, start).map(entry => entry.event.item.tokenId), ['4']);
+        assert.strictEqual(history.getHistory('azuki', null, 10, start)[0].event.raw, undefined);
+        assert.deepStrictEqual(history.getHistory('doodles', null, 10, start), []);
+    });
+
+    await t.test('exports received notifications as CSV and JSON', () => {
+        assert.strictEqual(history.exportAlerts('alice', 'csv', start), null);
+
+        history.recordAlert('alice', event('item_sold', '2', 8), undefined, start - HOUR);
+        history.recordAlert('alice', event('item_sold', '4', 6), '0xabc', start);
+
+        const csv = history.exportAlerts('alice', 'csv', start).split('\n');
+        assert.strictEqual(csv.length, 3);
+        assert.strictEqual(csv[2], `${new Date(start).toISOString()},azuki,item_sold,"Azuki, ""#4""",4,6,ETH,12000,0xabc,,`);
+
+        const [first] = JSON.parse(history.exportAlerts('alice', 'json', start));
+        assert.deepStrictEqual({ price: first.price, usd: first.usd, wallet: first.wallet }, { price: 8, usd: 16000, wallet: null });
+    });
+
+    await t.test('keeps spreadsheet formulas in item names from running', () => {
+        const formula = event('item_sold', '5', 5);
+        formula.item.name = '=HYPERLINK("https://example.com","Azuki #5")';
+        history.recordAlert('bob', formula, null, start);
+        formula.item.name = '@SUM(1+1)';
+        history.recordAlert('bob', formula, null, start);
+
+        const csv = history.exportAlerts('bob', 'csv', start).split('\n');
+        assert.strictEqual(csv[1].split(',azuki,item_sold,')[1], `"'=HYPERLINK(""https://example.com"",""Azuki #5"")",5,5,ETH,10000,,,`);
+        assert.strictEqual(csv[2].split(',azuki,item_sold,')[1], "'@SUM(1+1),5,5,ETH,10000,,,");
+    });
+
+    await t.test('survives a restart', async () => {
+        await history.save();
+        await store.close();
+
+        const reopened = createStore({ backend: 'json', path: storePath });
+        await reopened.open();
+        const restarted = createHistory({ store: reopened }, { retention: 24 * HOUR, maxEvents: 3 });
+        await restarted.load();
+        assert.strictEqual(restarted.getHistory('azuki').length, 3);
+        assert.strictEqual(restarted.exportAlerts('alice', 'json').length > 0, true);
+        await reopened.close();
+    });
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLimits, parseLimit } = require('../src/limits');
+const { createStore } = require('../src/storage');
+
+// A fake client in two servers: alice has the supporter role in `guild`, bob is only in `other`. `fetches` counts
+// the member requests.
+function createFakeClient() {
+    const members = {
+        guild: { alice: ['supporter'] },
+        other: { bob: [] }
+    };
+    const guild = id => ({
+        id,
+        members: {
+            fetch: async userId => {
+                client.fetches++;
+                if (!members[id][userId]) throw new Error('Unknown Member');
+                return { roles: { cache: new Map(members[id][userId].map(roleId => [roleId, {}])) } };
+            }
+        }
+    });
+    const client = { fetches: 0, guilds: { cache: new Map([['guild', guild('guild')], ['other', guild('other')]]) } };
+    return client;
+}
+
+test('limits', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-limits-'));
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: path.join(tmpDir, 'store.json') });
+    await store.open();
+    const client = createFakeClient();
+    const limits = createLimits({ store, client }, {
+        collections: 4,
+        delivery_modes: ['instant', 'daily'],
+        max: { collections: 10, watched_wallets: 20, delivery_modes: ['instant', 'hourly', 'daily'] }
+    });
+    await limits.load();
+
+    await t.test('parses limit values', () => {
+        assert.deepStrictEqual(parseLimit('collections', '10'), { value: 10 });
+        assert.deepStrictEqual(parseLimit('delivery_modes', 'instant, hourly'), { value: ['instant', 'hourly'] });
+        assert.match(parseLimit('collections', '-1').error, /Invalid value/);
+        assert.match(parseLimit('delivery_modes', 'weekly').error, /Invalid delivery modes/);
+        assert.match(parseLimit('channels', '1').error, /Unknown limit/);
+    });
+
+    await t.test('starts from the global limits', async () => {
+        assert.deepStrictEqual(await limits.getLimits('alice'), {
+            collections: 4,
+            alert_rules: 5,
+            watched_wallets: 5,
+            delivery_modes: ['instant', 'daily']
+        });
+        assert.strictEqual(await limits.checkLimit('alice', 'collections', 3), null);
+        assert.strictEqual(await limits.checkLimit('alice', 'collections', 4), 'You have reached the maximum limit of 4 subscriptions.');
+        assert.strictEqual(await limits.checkDeliveryMode('alice', 'hourly'), 'Hourly Digest is not available to you.');
+    });
+
+    await t.test('raises the limits by server, role and member, keeping the most generous value', async () => {
+        limits.setLimitOverride({ guildId: 'guild', updatedBy: 'admin' }, 'collections', 6);
+        limits.setLimitOverride({ guildId: 'guild', roleId: 'supporter', updatedBy: 'admin' }, 'collections', 10);
+        limits.setLimitOverride({ guildId: 'guild', roleId: 'supporter', updatedBy: 'admin' }, 'delivery_modes', ['hourly']);
+        limits.setLimitOverride({ guildId: 'guild', userId: 'alice', updatedBy: 'admin' }, 'collections', 2);
+        limits.setLimitOverride({ guildId: 'other', userId: 'bob', updatedBy: 'admin' }, 'watched_wallets', 20);
+
+        const alice = await limits.getLimits('alice');
+        assert.strictEqual(alice.collections, 10);
+        assert.deepStrictEqual(alice.delivery_modes, ['instant', 'hourly', 'daily']);
+        assert.strictEqual(alice.watched_wallets, 5);
+
+        const bob = await limits.getLimits('bob');
+        assert.strictEqual(bob.collections, 4);
+        assert.strictEqual(bob.watched_wallets, 20);
+    });
+
+    await t.test('caches the resolved limits until a limit changes', async () => {
+        limits.setLimitOverride({ guildId: 'guild', updatedBy: 'admin' }, 'watched_wallets', 7);
+        const fetches = client.fetches;
+        await limits.getLimits('alice');
+        await limits.checkLimit('alice', 'collections', 0);
+        assert.strictEqual(client.fetches, fetches + 2); // one request per configured server, then cached
+
+        limits.setLimitOverride({ guildId: 'guild', updatedBy: 'admin' }, 'watched_wallets', undefined);
+        assert.strictEqual((await limits.getLimits('alice')).watched_wallets, 5);
+        assert.strictEqual(client.fetches, fetches + 4);
+    });
+
+    await t.test('caps server overrides at the maximum unless a bot owner set them', async () => {
+        limits.setLimitOverride({ guildId: 'other', updatedBy: 'bob' }, 'collections', 100000);
+        assert.strictEqual((await limits.getLimits('bob')).collections, 10);
+        assert.strictEqual(limits.checkOverride('collections', 100000, false), 'Collections can be raised to at most 10 on this bot, ask the bot owner for more.');
+        assert.strictEqual(limits.checkOverride('collections', 10, false), null);
+        assert.match(limits.checkOverride('alert_rules', 6, false), /at most 5/);
+
+        limits.setLimitOverride({ guildId: 'other', updatedBy: 'owner', byOwner: true }, 'collections', 50);
+        assert.strictEqual(limits.checkOverride('collections', 50, true), null);
+        assert.strictEqual((await limits.getLimits('bob')).collections, 50);
+        limits.clearLimitOverride({ guildId: 'other' });
+        assert.strictEqual((await limits.getLimits('bob')).collections, 4);
+    });
+
+    await t.test('resets overrides and keeps them in the store', async () => {
+        limits.setLimitOverride({ guildId: 'guild', roleId: 'supporter', updatedBy: 'admin' }, 'collections', undefined);
+        limits.clearLimitOverride({ guildId: 'other', userId: 'bob' });
+        assert.strictEqual((await limits.getLimits('alice')).collections, 6);
+        assert.strictEqual((await limits.getLimits('bob')).watched_wallets, 5);
+
+        await store.flush();
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'store.json'), 'utf8'));
+        assert.deepStrictEqual(saved.roleLimits, { supporter: { guildId: 'guild', updatedBy: 'admin', limits: { delivery_modes: ['hourly'] } } });
+        assert.deepStrictEqual(saved.userLimits, { 'guild:alice': { updatedBy: 'admin', limits: { collections: 2 } } });
+        assert.deepStrictEqual(saved.guildLimits, { guild: { updatedBy: 'admin', limits: { collections: 6 } } });
+    });
+});
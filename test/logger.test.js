@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, configureLogger } = require('../src/logger');
+
+// Capture what the loggers write to the console
+function captureConsole(t) {
+    const lines = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    for (const method of Object.keys(original)) {
+        console[method] = line => lines.push({ method, line });
+    }
+    t.after(() => {
+        Object.assign(console, original);
+        configureLogger({ level: 'info', format: 'pretty', redactUserIds: 'off' });
+    });
+    return lines;
+}
+
+test('logger', async (t) => {
+    const lines = captureConsole(t);
+    const log = createLogger('delivery');
+
+    await t.test('drops entries below the level', () => {
+        configureLogger({ level: 'warn' });
+        log.info('Sent notification');
+        log.warn('Retrying delivery');
+        log.error('Failed to deliver');
+        assert.deepStrictEqual(lines.map(({ method }) => method), ['warn', 'error']);
+        assert.match(lines[0].line, /^\d{4}-\d\d-\d\dT[\d:.]+Z WARN {2}\[delivery\] Retrying delivery$/);
+    });
+
+    await t.test('writes fields as key=value pairs', () => {
+        lines.length = 0;
+        configureLogger({ level: 'debug' });
+        log.debug('Sending notification', { userId: '123', event: 'item_sold', label: 'item_sold of azuki', missing: ['SendMessages'] });
+        assert.match(lines[0].line, /\[delivery\] Sending notification userId=123 event=item_sold label="item_sold of azuki" missing="\[\\"SendMessages\\"\]"$/);
+    });
+
+    await t.test('writes one JSON object per entry', () => {
+        lines.length = 0;
+        configureLogger({ format: 'json' });
+        const error = new Error('Unknown Channel');
+        error.code = 10003;
+        log.error('Failed to deliver', { target: 'channel:42', error });
+
+        const entry = JSON.parse(lines[0].line);
+        assert.strictEqual(entry.level, 'error');
+        assert.strictEqual(entry.tag, 'delivery');
+        assert.strictEqual(entry.message, 'Failed to deliver');
+        assert.strictEqual(entry.target, 'channel:42');
+        assert.strictEqual(entry.error.message, 'Unknown Channel');
+        assert.strictEqual(entry.error.code, 10003);
+        assert.match(entry.error.stack, /^Error: Unknown Channel/);
+    });
+
+    await t.test('redacts user IDs', () => {
+        lines.length = 0;
+        configureLogger({ redactUserIds: 'hash' });
+        log.info('Sent notification', { userId: '123' });
+        log.info('Retrying delivery', { target: 'user:123' });
+        log.info('Admin removed a subscription', { targetUserId: '456' });
+        const [first, second, third] = lines.map(({ line }) => JSON.parse(line));
+        assert.match(first.userId, /^user-[0-9a-f]{10}$/);
+        assert.strictEqual(second.target, `user:${first.userId}`);
+        assert.notStrictEqual(third.targetUserId, first.userId);
+
+        lines.length = 0;
+        configureLogger({ redactUserIds: 'full' });
+        log.info('Sent notification', { userId: '123', channelId: '42' });
+        assert.strictEqual(JSON.parse(lines[0].line).userId, '[redacted]');
+        assert.strictEqual(JSON.parse(lines[0].line).channelId, '42');
+    });
+
+    await t.test('rejects unknown settings', () => {
+        assert.throws(() => configureLogger({ level: 'verbose' }), /Unknown log level: verbose/);
+        assert.throws(() => configureLogger({ format: 'xml' }), /Unknown log format: xml/);
+        assert.throws(() => configureLogger({ redactUserIds: 'yes' }), /Unknown user ID redaction: yes/);
+    });
+});
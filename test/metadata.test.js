@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createCollectionMetadata, createOpenSeaMetadataProvider, createStaticMetadataProvider, findSimilarSlugs } = require('../src/metadata');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+const COLLECTIONS = [
+    { slug: 'boredapeyachtclub', name: 'Bored Ape Yacht Club', imageUrl: 'https://i.seadn.io/bayc.png', verified: true },
+    { slug: 'doodles-official', name: 'Doodles', verified: true },
+    { slug: 'azuki', name: 'Azuki', verified: true }
+];
+
+// Wrap a provider to count its lookups
+function countingProvider(provider) {
+    const counted = { ...provider, calls: 0 };
+    counted.getCollection = slug => {
+        counted.calls++;
+        return provider.getCollection(slug);
+    };
+    return counted;
+}
+
+test('collection metadata', async (t) => {
+    const activeCollections = new Map([['cryptopunks', new Set(['user:alice'])], ['feed:azuky', new Set(['user:bob'])]]);
+    const notifier = { subscriptions: { activeCollections } };
+
+    await t.test('suggests similar slugs', () => {
+        const candidates = COLLECTIONS.map(({ slug }) => slug);
+        assert.deepStrictEqual(findSimilarSlugs('boredapeyatchclub', candidates), ['boredapeyachtclub']);
+        assert.deepStrictEqual(findSimilarSlugs('doodles', candidates), ['doodles-official']);
+        assert.deepStrictEqual(findSimilarSlugs('azki', candidates), ['azuki']);
+        assert.deepStrictEqual(findSimilarSlugs('pudgypenguins', candidates), []);
+    });
+
+    await t.test('resolves known collections and caches the result', async () => {
+        const provider = countingProvider(createStaticMetadataProvider(COLLECTIONS));
+        const metadata = createCollectionMetadata(notifier, { providers: { opensea: provider } });
+
+        const [first, second] = await Promise.all([metadata.lookupCollection('azuki'), metadata.lookupCollection('azuki')]);
+        assert.deepStrictEqual(first.collection, { slug: 'azuki', name: 'Azuki', imageUrl: null, url: null, verified: true });
+        assert.strictEqual(second.collection, first.collection);
+        await metadata.lookupCollection('azuki');
+        assert.strictEqual(provider.calls, 1);
+    });
+
+    await t.test('refuses unknown slugs with suggestions of the same source', async () => {
+        const provider = countingProvider(createStaticMetadataProvider(COLLECTIONS, { name: 'OpenSea' }));
+        const metadata = createCollectionMetadata(notifier, { providers: { opensea: provider }, missTtl: 50 });
+
+        assert.deepStrictEqual(await metadata.lookupCollection('boredapeyatchclub'), {
+            missing: true,
+            provider: 'OpenSea',
+            suggestions: ['boredapeyachtclub']
+        });
+        // Followed collections are suggested too, other sources' are not
+        assert.deepStrictEqual((await metadata.lookupCollection('cryptopunk')).suggestions, ['cryptopunks']);
+        assert.deepStrictEqual((await metadata.lookupCollection('azukii')).suggestions, ['azuki']);
+
+        // Misses are cached for `missTtl`
+        await metadata.lookupCollection('boredapeyatchclub');
+        assert.strictEqual(provider.calls, 3);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await metadata.lookupCollection('boredapeyatchclub');
+        assert.strictEqual(provider.calls, 4);
+    });
+
+    await t.test('leaves collections unchecked without a provider or when it fails', async () => {
+        const failing = { name: 'OpenSea', getCollection: async () => { throw new Error('OpenSea answered 503'); } };
+        const metadata = createCollectionMetadata(notifier, { providers: { opensea: failing } });
+        assert.deepStrictEqual(await metadata.lookupCollection('azuki'), {});
+        assert.deepStrictEqual(await metadata.lookupCollection('feed:azuki'), {});
+        assert.strictEqual(metadata.cache.size, 0);
+    });
+});
+
+test('OpenSea metadata provider', async (t) => {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ url: request.url, apiKey: request.headers['x-api-key'] });
+        const routes = {
+            '/api/v2/collections/azuki': [200, { collection: 'azuki', name: 'Azuki', image_url: 'https://i.seadn.io/azuki.png', opensea_url: 'https://opensea.io/collection/azuki', safelist_status: 'verified' }],
+            '/api/v2/collections/azuki-copy': [200, { collection: 'azuki-copy', name: '', image_url: '', safelist_status: 'not_requested' }],
+            '/api/v2/collections/boredapeyatchclub': [400, { errors: ['Collection with slug boredapeyatchclub not found'] }],
+            '/api/v2/collections/down': [502, {}]
+        };
+        const [status, body] = routes[request.url] || [404, {}];
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    }));
+    const provider = createOpenSeaMetadataProvider({ apiKey: 'test-key', url: `http://127.0.0.1:${server.address().port}` });
+
+    assert.deepStrictEqual(await provider.getCollection('azuki'), {
+        slug: 'azuki',
+        name: 'Azuki',
+        imageUrl: 'https://i.seadn.io/azuki.png',
+        url: 'https://opensea.io/collection/azuki',
+        verified: true
+    });
+    assert.deepStrictEqual(requests[0], { url: '/api/v2/collections/azuki', apiKey: 'test-key' });
+    assert.deepStrictEqual(await provider.getCollection('azuki-copy'), {
+        slug: 'azuki-copy',
+        name: 'azuki-copy',
+        imageUrl: null,
+        url: 'https://opensea.io/collection/azuki-copy',
+        verified: false
+    });
+    assert.strictEqual(await provider.getCollection('boredapeyatchclub'), null);
+    await assert.rejects(provider.getCollection('down'), { status: 502 });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStreamMonitor } = require('../src/monitor');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+const stream = { source: 'opensea', name: 'OpenSea' };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createMonitor(options) {
+    const sent = [];
+    const client = {
+        users: { fetch: async id => ({ send: async message => sent.push(`@${id}: ${message}`) }) },
+        channels: { fetch: async id => ({ send: async message => sent.push(`#${id}: ${message}`) }) }
+    };
+    return { sent, monitor: createStreamMonitor({ client }, options) };
+}
+
+test('stream monitor', async (t) => {
+    await t.test('alerts admins once a stream has been down for too long and when it is back', async () => {
+        const { sent, monitor } = createMonitor({ userIds: ['admin'], channelIds: ['ops'], alertAfter: 50 });
+        try {
+            monitor.handleStatus(stream, 'closed');
+            monitor.handleStatus(stream, 'connecting');
+            await wait(100);
+            assert.strictEqual(sent.length, 2);
+            assert.match(sent[0], /^@admin: 🚨 The OpenSea stream has been down .*last status: connecting/);
+            assert.match(sent[1], /^#ops: 🚨/);
+
+            monitor.handleStatus(stream, 'connected');
+            await wait(10);
+            assert.strictEqual(sent.length, 4);
+            assert.match(sent[2], /^@admin: ✅ The OpenSea stream is back/);
+        } finally {
+            monitor.stop();
+        }
+    });
+
+    await t.test('stays quiet about short outages', async () => {
+        const { sent, monitor } = createMonitor({ userIds: ['admin'], alertAfter: 50 });
+        try {
+            monitor.handleStatus(stream, 'closed');
+            await wait(10);
+            monitor.handleStatus(stream, 'connected');
+            await wait(80);
+            assert.deepStrictEqual(sent, []);
+            assert.strictEqual(monitor.outages.size, 0);
+        } finally {
+            monitor.stop();
+        }
+    });
+});
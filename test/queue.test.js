@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDeliveryQueue, isTransientError } = require('../src/queue');
+const { createStore } = require('../src/storage');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shaped like discord.js' DiscordAPIError
+function discordError(code, status, message) {
+    return Object.assign(new Error(message), { code, status });
+}
+
+test('delivery queue', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-queue-'));
+    const storePath = path.join(tmpDir, 'store.json');
+    const store = createStore({ backend: 'json', path: storePath });
+    await store.open();
+    const queue = createDeliveryQueue({ store }, { concurrency: 2, maxAttempts: 3, retryDelay: 5, pauseAfter: 2 });
+    await queue.load();
+    t.after(() => {
+        queue.stop();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    await t.test('tells transient errors from permanent ones', () => {
+        assert.strictEqual(isTransientError(discordError(0, 500, 'Internal Server Error')), true);
+        assert.strictEqual(isTransientError(discordError(0, 429, 'Too Many Requests')), true);
+        assert.strictEqual(isTransientError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+        assert.strictEqual(isTransientError(discordError(50007, 403, 'Cannot send messages to this user')), false);
+        assert.strictEqual(isTransientError(new Error('Missing embed')), false);
+    });
+
+    await t.test('runs at most `concurrency` sends at once', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const send = async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await wait(5);
+            running--;
+        };
+
+        const results = await Promise.all(Array.from({ length: 6 }, (_, i) => queue.deliver(`user:u${i}`, 'test', send)));
+        assert.deepStrictEqual(results, [true, true, true, true, true, true]);
+        assert.strictEqual(maxRunning, 2);
+    });
+
+    await t.test('retries transient failures and dead-letters the rest', async () => {
+        let attempts = 0;
+        const flaky = async () => {
+            if (++attempts < 3) throw discordError(0, 502, 'Bad Gateway');
+        };
+        assert.strictEqual(await queue.deliver('user:flaky', 'item_sold of azuki', flaky), true);
+        assert.strictEqual(attempts, 3);
+
+        attempts = 0;
+        const down = async () => {
+            attempts++;
+            throw discordError(0, 503, 'Service Unavailable');
+        };
+        assert.strictEqual(await queue.deliver('channel:123', 'item_sold of azuki', down), false);
+        assert.strictEqual(attempts, 3);
+
+        attempts = 0;
+        const unknown = async () => {
+            attempts++;
+            throw discordError(10003, 404, 'Unknown Channel');
+        };
+        assert.strictEqual(await queue.deliver('channel:456', 'item_listed of azuki', unknown), false);
+        assert.strictEqual(attempts, 1);
+
+        const letters = Array.from(queue.deadLetters.values());
+        assert.deepStrictEqual(letters.map(({ target, code, attempts }) => ({ target, code, attempts })), [
+            { target: 'channel:123', code: 0, attempts: 3 },
+            { target: 'channel:456', code: 10003, attempts: 1 }
+        ]);
+    });
+
+    await t.test('pauses users whose DMs keep failing until they are resumed', async () => {
+        const closed = async () => {
+            throw discordError(50007, 403, 'Cannot send messages to this user');
+        };
+        await queue.deliver('user:closed', 'item_sold of azuki', closed);
+        assert.strictEqual(queue.isPaused('closed'), false);
+        await queue.deliver('user:closed', 'item_sold of azuki', closed);
+        assert.strictEqual(queue.isPaused('closed'), true);
+
+        let sent = false;
+        assert.strictEqual(await queue.deliver('user:closed', 'item_sold of azuki', async () => { sent = true; }), false);
+        assert.strictEqual(sent, false);
+
+        await store.flush();
+        const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        assert.strictEqual(saved.pausedUsers.closed.error, 'Cannot send messages to this user');
+
+        assert.strictEqual(queue.resumeUser('closed'), true);
+        assert.strictEqual(await queue.deliver('user:closed', 'item_sold of azuki', async () => {}), true);
+        assert.strictEqual(queue.getStats().pausedUsers, 0);
+    });
+});
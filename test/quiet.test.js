@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuietHours, parseTime, getQuietHoursEnd } = require('../src/quiet');
+const { createStore } = require('../src/storage');
+const { createDeliveryQueue } = require('../src/queue');
+const { createEvent } = require('../src/streams');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+const HOUR = 60 * 60 * 1000;
+
+function sale(collectionSlug, tokenId) {
+    return createEvent({
+        source: 'opensea',
+        type: 'item_sold',
+        collection: { slug: collectionSlug, floorPrice: 8 },
+        item: { name: `#${tokenId}`, tokenId },
+        price: { amount: '8500000000000000000' }
+    });
+}
+
+test('quiet hours', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-quiet-'));
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    const store = createStore({ backend: 'json', path: path.join(tmpDir, 'store.json') });
+    await store.open();
+    const sent = [];
+    const notifier = {
+        store,
+        client: { users: { fetch: async userId => ({ send: async message => sent.push(`${userId}: ${message.embeds[0].toJSON().title}`) }) } }
+    };
+    notifier.queue = createDeliveryQueue(notifier);
+    const quiet = createQuietHours(notifier);
+    await quiet.load();
+
+    // 23:30 in Berlin (UTC+1 in January)
+    const night = Date.UTC(2024, 0, 15, 22, 30);
+
+    await t.test('parses times of day', () => {
+        assert.strictEqual(parseTime('22:00'), 22 * 60);
+        assert.strictEqual(parseTime('7'), 7 * 60);
+        assert.strictEqual(parseTime('7:5'), null);
+        assert.strictEqual(parseTime('24:00'), null);
+    });
+
+    await t.test('span midnight in the user\'s time zone', () => {
+        const quietHours = { start: parseTime('22:00'), end: parseTime('07:00'), timeZone: 'Europe/Berlin', enabled: true };
+        assert.strictEqual(getQuietHoursEnd(quietHours, night), Date.UTC(2024, 0, 16, 6));
+        assert.strictEqual(getQuietHoursEnd(quietHours, Date.UTC(2024, 0, 16, 5, 59)), Date.UTC(2024, 0, 16, 6));
+        assert.strictEqual(getQuietHoursEnd(quietHours, Date.UTC(2024, 0, 16, 6)), null);
+        assert.strictEqual(getQuietHoursEnd({ ...quietHours, enabled: false }, night), null);
+    });
+
+    await t.test('snoozing holds every notification until it runs out', () => {
+        const now = Date.now();
+        quiet.snooze('alice', 2 * HOUR, now);
+        assert.strictEqual(quiet.holdNotification('alice', sale('azuki', '1'), now + HOUR), 'snoozed');
+        assert.strictEqual(quiet.holdNotification('alice', sale('azuki', '1'), now + 3 * HOUR), null);
+        assert.strictEqual(quiet.holdNotification('bob', sale('azuki', '1'), now), null);
+        assert.strictEqual(quiet.endSnooze('alice'), true);
+        assert.strictEqual(quiet.quietSettings.has('alice'), false);
+    });
+
+    await t.test('quiet hours catch up with what they held once they end', async () => {
+        quiet.setQuietHours('bob', { start: parseTime('22:00'), end: parseTime('07:00'), timeZone: 'Europe/Berlin', catchUp: true });
+        assert.strictEqual(quiet.holdNotification('bob', sale('azuki', '1'), night), 'quiet');
+        assert.strictEqual(quiet.holdNotification('bob', sale('azuki', '2'), night + HOUR), 'quiet');
+        assert.strictEqual(quiet.holdNotification('bob', sale('doodles', '3'), night + HOUR), 'quiet');
+        assert.strictEqual(quiet.catchUps.get('bob:azuki').sales, 2);
+
+        // Catch-ups are written once a minute and when stopping, not with every held event
+        const saved = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'store.json'), 'utf8')).catchUps || {};
+        await store.flush();
+        assert.deepStrictEqual(Object.keys(saved()), []);
+        await quiet.stop();
+        await store.flush();
+        assert.strictEqual(saved()['bob:azuki'].sales, 2);
+
+        await quiet.sendCatchUps(null, Date.UTC(2024, 0, 16, 5));
+        assert.deepStrictEqual(sent, []);
+
+        await quiet.sendCatchUps(null, Date.UTC(2024, 0, 16, 6));
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, ['bob: 🌙 Quiet Hours Catch-up', 'bob: 🌙 Quiet Hours Catch-up']);
+        assert.strictEqual(quiet.catchUps.size, 0);
+    });
+
+    await t.test('switching quiet hours off sends the catch-up right away', async () => {
+        sent.length = 0;
+        quiet.holdNotification('bob', sale('azuki', '4'), night);
+        assert.strictEqual(quiet.toggleQuietHours('bob'), false);
+        await notifier.queue.idle();
+        assert.deepStrictEqual(sent, ['bob: 🌙 Quiet Hours Catch-up']);
+        assert.strictEqual(quiet.holdNotification('bob', sale('azuki', '5'), night), null);
+
+        await store.flush();
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'store.json'), 'utf8'));
+        assert.deepStrictEqual(saved.quietSettings.bob.quietHours, { start: 1320, end: 420, timeZone: 'Europe/Berlin', enabled: false, catchUp: true });
+    });
+});
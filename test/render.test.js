@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEmbed, formatPrice } = require('../src/render');
+const { createEvent } = require('../src/streams');
+
+// The link buttons of a notification, by label
+function linkButtons(components) {
+    return Object.fromEntries(components.flatMap(row => row.toJSON().components)
+        .filter(button => button.url)
+        .map(button => [button.label, button.url]));
+}
+
+test('render', async (t) => {
+    await t.test('formats prices in their payment token with the USD value', () => {
+        const offer = createEvent({
+            source: 'opensea',
+            type: 'item_received_offer',
+            collection: { slug: 'y00ts', chain: 'matic', floorPrice: 410 },
+            item: { tokenId: '7', contract: '0x670fd103b1a08628e9557cd66b87ded841115190' },
+            price: { amount: '1250000000000000000', decimals: 18, symbol: 'WETH', usdPrice: 2500 },
+            maker: { address: '0x8a9d3c6e3a5b7c1f2e4d6b8a0c2e4f6a8b0d2c4e', url: null }
+        });
+        const embed = createEmbed(offer).embed.toJSON();
+        const field = name => embed.fields.find(f => f.name === name).value;
+
+        assert.strictEqual(field('Offer Price'), '1.250 WETH ($3,125.00)');
+        assert.strictEqual(field('Floor Price'), '410.000 POL');
+        assert.match(embed.description, /https:\/\/polygonscan\.com\/token\/0x670f/);
+    });
+
+    await t.test('defaults to the native currency of the chain', () => {
+        const sale = createEvent({
+            source: 'opensea',
+            type: 'item_sold',
+            collection: { slug: 'mad-lads' },
+            item: { tokenId: '1', chain: 'solana' },
+            price: { amount: '95000000000' },
+            transactionHash: '5h6xBEauJ3PK6SWC'
+        });
+        assert.deepStrictEqual(sale.price, { amount: '95000000000', decimals: 9, symbol: 'SOL', usdPrice: null });
+
+        const { embed, components } = createEmbed(sale);
+        assert.strictEqual(embed.toJSON().fields.find(f => f.name === 'Sale Price').value, '95.000 SOL');
+        assert.strictEqual(linkButtons(components)['View Transaction'], 'https://solscan.io/tx/5h6xBEauJ3PK6SWC');
+    });
+
+    await t.test('keeps small amounts readable', () => {
+        assert.strictEqual(formatPrice(0.00042, 'ETH'), '0.00042 ETH');
+        assert.strictEqual(formatPrice(1234.5, 'USDC'), '1,234.500 USDC');
+    });
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createWebhookSink, parseWebhookUrl, isPrivateAddress, signWebhookPayload } = require('../src/sinks');
+const { createSampleEvent } = require('../src/customization');
+const { createStore } = require('../src/storage');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+// Local webhook receiver: records every request and answers with the status `respond` returns, or never for null
+async function startReceiver() {
+    const received = [];
+    const receiver = { received, respond: () => 204 };
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            received.push({ method: request.method, url: request.url, headers: request.headers, body });
+            const status = receiver.respond(request);
+            if (status === null) return;
+            if (status === 302) response.setHeader('Location', '/elsewhere');
+            response.writeHead(status);
+            response.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+    receiver.close = () => new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+    });
+    return receiver;
+}
+
+test('webhook sink', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-sinks-'));
+    const store = createStore({ backend: 'json', path: path.join(tmpDir, 'store.json') });
+    await store.open();
+    const receiver = await startReceiver();
+    const webhook = createWebhookSink({ store }, { enabled: true, allowHttp: true, timeout: 200 });
+    await webhook.load();
+    t.after(async () => {
+        await receiver.close();
+        await store.flush();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    await t.test('accepts https URLs and http ones only when allowed', () => {
+        assert.deepStrictEqual(parseWebhookUrl(' https://example.com/hook '), { url: 'https://example.com/hook' });
+        assert.match(parseWebhookUrl('http://example.com/hook').error, /must start with https:\/\/\.$/);
+        assert.deepStrictEqual(parseWebhookUrl('http://example.com/hook', { allowHttp: true }), { url: 'http://example.com/hook' });
+        assert.match(parseWebhookUrl('ftp://example.com/hook', { allowHttp: true }).error, /or http:\/\//);
+        assert.match(parseWebhookUrl('not a url').error, /^Invalid URL/);
+        assert.match(parseWebhookUrl(`https://example.com/${'a'.repeat(520)}`).error, /at most 512 characters/);
+    });
+
+    await t.test('refuses endpoints when webhooks are disabled', async () => {
+        const disabled = createWebhookSink({ store }, {});
+        assert.deepStrictEqual(await disabled.setEndpoint('alice', 'https://example.com/hook'), { error: 'Webhooks are not enabled on this bot.' });
+        assert.strictEqual(disabled.isAvailable('alice'), false);
+    });
+
+    await t.test('refuses endpoints on private addresses unless http is allowed', async () => {
+        assert.strictEqual(isPrivateAddress('127.0.0.1'), true);
+        assert.strictEqual(isPrivateAddress('10.1.2.3'), true);
+        assert.strictEqual(isPrivateAddress('172.20.0.1'), true);
+        assert.strictEqual(isPrivateAddress('192.168.1.1'), true);
+        assert.strictEqual(isPrivateAddress('169.254.169.254'), true);
+        assert.strictEqual(isPrivateAddress('::1'), true);
+        assert.strictEqual(isPrivateAddress('fd00::1'), true);
+        assert.strictEqual(isPrivateAddress('fe80::1'), true);
+        assert.strictEqual(isPrivateAddress('::ffff:127.0.0.1'), true);
+        assert.strictEqual(isPrivateAddress('93.184.216.34'), false);
+        assert.strictEqual(isPrivateAddress('2606:2800:220:1::'), false);
+
+        const strict = createWebhookSink({ store }, { enabled: true });
+        const notPublic = { error: 'Webhook URLs must point to a public address.' };
+        assert.deepStrictEqual(await strict.setEndpoint('mallory', 'https://127.0.0.1/hook'), notPublic);
+        assert.deepStrictEqual(await strict.setEndpoint('mallory', 'https://[::1]/hook'), notPublic);
+        assert.deepStrictEqual(await strict.setEndpoint('mallory', 'https://169.254.169.254/latest/meta-data'), notPublic);
+        assert.deepStrictEqual(await strict.setEndpoint('mallory', 'https://localhost/hook'), notPublic);
+        assert.strictEqual(strict.isAvailable('mallory'), false);
+
+        // Saved endpoints are checked again before every request
+        strict.endpoints.set('mallory', { url: 'https://127.0.0.1/hook', secret: 'secret', createdAt: Date.now() });
+        await assert.rejects(strict.send('mallory', { event: createSampleEvent('item_sold') }), { code: 'ENOTPUBLIC' });
+        assert.deepStrictEqual(await strict.sendTest('mallory'), notPublic);
+
+        // Host names are checked on the addresses the request connects to
+        strict.endpoints.set('mallory', { url: 'https://localhost/hook', secret: 'secret', createdAt: Date.now() });
+        await assert.rejects(strict.send('mallory', { event: createSampleEvent('item_sold') }), { code: 'ENOTPUBLIC' });
+        assert.deepStrictEqual(await strict.sendTest('mallory'), notPublic);
+        strict.removeEndpoint('mallory');
+    });
+
+    await t.test('posts signed JSON of the normalized event', async () => {
+        const { url, secret } = await webhook.setEndpoint('alice', receiver.url);
+        assert.strictEqual(url, receiver.url);
+        assert.match(secret, /^[0-9a-f]{64}$/);
+        assert.strictEqual(webhook.isAvailable('alice'), true);
+        assert.strictEqual(webhook.getTarget('alice'), 'webhook:alice');
+
+        const event = { ...createSampleEvent('item_sold'), raw: { payload: 'not sent' } };
+        assert.notStrictEqual(await webhook.send('alice', { event, wallet: null, floor: null }), false);
+
+        const [request] = receiver.received;
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/hook');
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        const expected = signWebhookPayload(secret, request.headers['x-webhook-timestamp'], request.body);
+        assert.strictEqual(request.headers['x-webhook-signature'], `sha256=${expected}`);
+
+        const payload = JSON.parse(request.body);
+        assert.strictEqual(request.headers['x-webhook-id'], payload.id);
+        assert.strictEqual(payload.type, 'notification');
+        assert.strictEqual(payload.collection, 'azuki');
+        assert.strictEqual(payload.event.type, 'item_sold');
+        assert.strictEqual(payload.event.price.amount, '8500000000000000000');
+        assert.strictEqual('raw' in payload.event, false);
+        assert.strictEqual(payload.wallet, null);
+    });
+
+    await t.test('rejects failed requests with the status or error code', async () => {
+        receiver.respond = () => 500;
+        await assert.rejects(webhook.send('alice', { event: createSampleEvent('item_sold') }), { status: 500 });
+
+        // Redirects are not followed
+        receiver.respond = () => 302;
+        await assert.rejects(webhook.send('alice', { event: createSampleEvent('item_sold') }), { status: 302 });
+        assert.strictEqual(receiver.received.filter(request => request.url === '/elsewhere').length, 0);
+
+        receiver.respond = () => null;
+        await assert.rejects(webhook.send('alice', { event: createSampleEvent('item_sold') }), { code: 'ETIMEDOUT' });
+        receiver.respond = () => 204;
+    });
+
+    await t.test('sends test events and skips removed endpoints', async () => {
+        receiver.received.length = 0;
+        assert.deepStrictEqual(await webhook.sendTest('alice'), { status: 204 });
+        assert.strictEqual(JSON.parse(receiver.received[0].body).type, 'test');
+
+        receiver.respond = () => 410;
+        assert.deepStrictEqual(await webhook.sendTest('alice'), { error: 'Webhook answered 410' });
+        receiver.respond = () => null;
+        assert.deepStrictEqual(await webhook.sendTest('alice'), { error: 'Webhook did not answer in time' });
+        receiver.respond = () => 204;
+
+        // Connection errors are not shown to the user
+        const { port } = new URL(receiver.url);
+        await webhook.setEndpoint('bob', `http://127.0.0.1:${Number(port) === 1 ? 2 : 1}/hook`);
+        assert.deepStrictEqual(await webhook.sendTest('bob'), { error: 'Could not reach your webhook' });
+        webhook.removeEndpoint('bob');
+
+        assert.strictEqual(webhook.removeEndpoint('alice'), true);
+        assert.strictEqual(webhook.removeEndpoint('alice'), false);
+        assert.strictEqual(webhook.isAvailable('alice'), false);
+        assert.strictEqual(await webhook.send('alice', { event: createSampleEvent('item_sold') }), false);
+        assert.deepStrictEqual(await webhook.sendTest('alice'), { error: 'You have not set up a webhook.' });
+    });
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, migrateFromJson, PersistentMap } = require('../src/storage');
+const { createSubscriptionManager } = require('../src/subscriptions');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch {
+    hasSqlite = false;
+}
+
+// A subscriptions.json as written before the storage backends, with user-level event filters
+const LEGACY_SUBSCRIPTIONS = {
+    subscriptions: {
+        '753591274338123866': ['minotaurs', 'gobsonape', 'goodvibesclub'],
+        '845390906085081099': ['veefriends-series-2']
+    },
+    eventFilters: {
+        '292315753158410240': ['item_sold', 'item_listed'],
+        '753591274338123866': ['item_sold'],
+        '845390906085081099': ['item_listed', 'item_sold', 'not_an_event']
+    }
+};
+
+// Round trip entries through a store and a reopened one
+async function roundTrip(backend, filePath) {
+    const store = createStore({ backend, path: filePath });
+    await store.open();
+    assert.strictEqual(await store.isEmpty(), true);
+
+    await store.set('subscriptions', 'alice', ['azuki', 'doodles-official']);
+    await store.set('subscriptions', 'bob', ['azuki']);
+    await store.set('alertRules', 'alice', { azuki: [{ type: 'price_below', value: 5 }] });
+    await store.delete('subscriptions', 'bob');
+    await store.delete('subscriptions', 'nobody');
+    await store.close();
+
+    const reopened = createStore({ backend, path: filePath });
+    await reopened.open();
+    assert.strictEqual(await reopened.isEmpty(), false);
+    assert.deepStrictEqual(await reopened.getAll('subscriptions'), { alice: ['azuki', 'doodles-official'] });
+    assert.deepStrictEqual(await reopened.getAll('alertRules'), { alice: { azuki: [{ type: 'price_below', value: 5 }] } });
+    assert.deepStrictEqual(await reopened.getAll('missing'), {});
+    await reopened.close();
+}
+
+test('storage', async (t) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-notify-storage-'));
+    t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    await t.test('JSON store keeps entries across a restart', () => roundTrip('json', path.join(tmpDir, 'round-trip.json')));
+
+    await t.test('JSON store writes atomically and coalesces writes', async () => {
+        const filePath = path.join(tmpDir, 'atomic.json');
+        const store = createStore({ backend: 'json', path: filePath });
+        await store.open();
+        await Promise.all(Array.from({ length: 20 }, (_, i) => store.set('seenEvents', `event-${i}`, i)));
+        await store.flush();
+
+        assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).seenEvents).length, 20);
+        assert.deepStrictEqual(fs.readdirSync(tmpDir).filter(name => name.endsWith('.tmp')), []);
+
+        // A file that can't be read is an error, not an empty store
+        fs.writeFileSync(filePath, '{"subscriptions": {');
+        await assert.rejects(createStore({ backend: 'json', path: filePath }).open(), SyntaxError);
+    });
+
+    await t.test('SQLite store keeps entries across a restart', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () =>
+        roundTrip('sqlite', path.join(tmpDir, 'round-trip.db')));
+
+    await t.test('persistent maps convert values and skip invalid entries', async () => {
+        const store = createStore({ backend: 'json', path: path.join(tmpDir, 'map.json') });
+        await store.open();
+        const options = {
+            serialize: set => Array.from(set),
+            deserialize: values => (Array.isArray(values) && values.length > 0 ? new Set(values) : null)
+        };
+        const filters = new PersistentMap(store, 'eventFilters', options);
+        filters.set('alice', new Set(['item_sold']));
+        await store.set('eventFilters', 'bob', []);
+        await store.flush();
+
+        const reloaded = new PersistentMap(store, 'eventFilters', options);
+        await reloaded.load();
+        assert.deepStrictEqual(Array.from(reloaded.entries()), [['alice', new Set(['item_sold'])]]);
+        reloaded.clear();
+        await store.flush();
+        assert.deepStrictEqual(await store.getAll('eventFilters'), { bob: [] });
+        await store.close();
+    });
+
+    await t.test('migrates a legacy subscriptions.json', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async () => {
+        const jsonPath = path.join(tmpDir, 'subscriptions.json');
+        fs.writeFileSync(jsonPath, JSON.stringify(LEGACY_SUBSCRIPTIONS, null, 2));
+
+        // By hand, like `npm run migrate:storage`
+        const store = createStore({ backend: 'sqlite', path: path.join(tmpDir, 'migrated.db') });
+        await store.open();
+        assert.strictEqual(await migrateFromJson(store, jsonPath), 5);
+        assert.deepStrictEqual(await store.getAll('subscriptions'), LEGACY_SUBSCRIPTIONS.subscriptions);
+        await store.close();
+
+        // On the first start on an empty database, rewriting the user-level event filters per collection
+        const fresh = createStore({ backend: 'sqlite', path: path.join(tmpDir, 'fresh.db') });
+        const subscriptions = createSubscriptionManager({ store: fresh, streams: new Map(), importJsonPath: jsonPath });
+        await subscriptions.loadSubscriptions();
+
+        assert.deepStrictEqual(subscriptions.userSubscriptions.get('753591274338123866'), ['minotaurs', 'gobsonape', 'goodvibesclub']);
+        assert.deepStrictEqual(Array.from(subscriptions.getEventFilters('753591274338123866', 'gobsonape')), ['item_sold']);
+        assert.deepStrictEqual(Array.from(subscriptions.getEventFilters('845390906085081099', 'veefriends-series-2')), ['item_listed', 'item_sold']);
+        // Filters of a user without subscriptions apply to nothing
+        assert.strictEqual(subscriptions.eventFilters.has('292315753158410240'), false);
+
+        const saved = await fresh.getAll('eventFilters');
+        assert.deepStrictEqual(saved['753591274338123866'], {
+            minotaurs: ['item_sold'],
+            gobsonape: ['item_sold'],
+            goodvibesclub: ['item_sold']
+        });
+        assert.deepStrictEqual(saved['845390906085081099'], { 'veefriends-series-2': ['item_listed', 'item_sold'] });
+        await fresh.close();
+    });
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { OpenSeaStream } = require('../src/streams');
+const { normalizeOpenSeaEvent } = require('../src/streams/opensea');
+const { MockOpenSeaServer } = require('../scripts/mock-opensea-server');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ level: 'silent' });
+
+// Production timings shortened so reconnects happen within the test
+const FAST = {
+    apiKey: 'test',
+    reconnectDelay: 20,
+    maxBackoff: 1000,
+    handshakeTimeout: 1000,
+    heartbeatInterval: 50,
+    subscriptionDelay: 10,
+    joinTimeout: 500,
+    joinStagger: 5
+};
+
+async function connectStream(server, options = {}) {
+    const stream = new OpenSeaStream({ ...FAST, url: server.url, ...options });
+    const connected = waitForStatus(stream, 'connected');
+    stream.connect();
+    await connected;
+    return stream;
+}
+
+function waitForStatus(stream, status) {
+    return new Promise(resolve => {
+        const handler = value => {
+            if (value !== status) return;
+            stream.removeListener('status', handler);
+            resolve();
+        };
+        stream.on('status', handler);
+    });
+}
+
+test('OpenSea stream', async (t) => {
+    const server = new MockOpenSeaServer();
+    await server.start();
+    t.after(() => server.close());
+
+    await t.test('sends the API key and confirms joins and leaves', async () => {
+        const connection = server.waitFor('connection');
+        const stream = await connectStream(server);
+        try {
+            assert.match((await connection).url, /token=test/);
+
+            assert.strictEqual(await stream.subscribe('azuki'), true);
+            assert.ok(server.joinedTopics().has('collection:azuki'));
+
+            const left = server.waitFor('leave');
+            assert.strictEqual(await stream.unsubscribe('azuki'), true);
+            assert.strictEqual(await left, 'collection:azuki');
+            assert.strictEqual(stream.collections.has('azuki'), false);
+        } finally {
+            stream.close();
+        }
+    });
+
+    await t.test('rejects a join the server refuses', async () => {
+        server.rejectedTopics.add('collection:private');
+        const stream = await connectStream(server);
+        try {
+            await assert.rejects(stream.subscribe('private'), /Subscription rejected/);
+        } finally {
+            stream.close();
+            server.rejectedTopics.clear();
+        }
+    });
+
+    await t.test('resolves false while disconnected and joins on connect', async () => {
+        const stream = new OpenSeaStream({ ...FAST, url: server.url });
+        try {
+            assert.strictEqual(await stream.subscribe('doodles'), false);
+            const joined = server.waitFor('join', topic => topic === 'collection:doodles');
+            stream.connect();
+            await joined;
+        } finally {
+            stream.close();
+        }
+    });
+
+    await t.test('sends heartbeats', async () => {
+        const stream = await connectStream(server);
+        try {
+            const before = server.heartbeats;
+            await server.waitFor('heartbeat');
+            await server.waitFor('heartbeat');
+            assert.ok(server.heartbeats >= before + 2);
+        } finally {
+            stream.close();
+        }
+    });
+
+    await t.test('emits normalized events for replayed payloads', async () => {
+        const stream = await connectStream(server);
+        try {
+            await stream.subscribe('azuki');
+            const received = once(stream, 'event');
+            assert.strictEqual(server.replay('item_sold', 'azuki'), 1);
+            const [event] = await received;
+
+            assert.strictEqual(event.source, 'opensea');
+            assert.strictEqual(event.type, 'item_sold');
+            assert.strictEqual(event.collection.key, 'azuki');
+            assert.strictEqual(event.item.name, 'Azuki #1234');
+            assert.strictEqual(event.item.tokenId, '1234');
+            assert.strictEqual(event.item.contract, '0xed5af388653567af2f388e6224dc7c4b3241c544');
+            assert.deepStrictEqual(event.price, { amount: '8500000000000000000', decimals: 18, symbol: 'ETH', usdPrice: 2530.12 });
+            assert.strictEqual(event.maker.address, '0x8a9d3c6e3a5b7c1f2e4d6b8a0c2e4f6a8b0d2c4e');
+            assert.strictEqual(event.taker.url, 'https://opensea.io/0x1b3d5f7a9c1e3b5d7f9a1c3e5b7d9f1a3c5e7b9d');
+            assert.match(event.orderHash, /^0x5f1c9b2d/);
+            assert.match(event.transactionHash, /^0x9c2e4a6b/);
+        } finally {
+            stream.close();
+        }
+    });
+
+    await t.test('maps the accounts of a transfer to maker and taker', () => {
+        const event = normalizeOpenSeaEvent({
+            event: 'item_transferred',
+            payload: { payload: { collection: { slug: 'azuki' }, from_account: { address: '0xaaa' }, to_account: { address: '0xbbb' } } }
+        });
+        assert.deepStrictEqual(event.maker, { address: '0xaaa', url: 'https://opensea.io/0xaaa' });
+        assert.strictEqual(event.taker.address, '0xbbb');
+    });
+
+    await t.test('reconnects after the connection drops and rejoins every collection', async () => {
+        const stream = await connectStream(server);
+        try {
+            await stream.subscribe('azuki');
+            await stream.subscribe('doodles');
+
+            const rejoined = new Set();
+            const bothRejoined = server.waitFor('join', topic => {
+                rejoined.add(topic);
+                return rejoined.has('collection:azuki') && rejoined.has('collection:doodles');
+            });
+            const reconnected = waitForStatus(stream, 'connected');
+            server.dropConnections();
+
+            await reconnected;
+            await bothRejoined;
+            assert.strictEqual(stream.connectionAttempts, 0);
+        } finally {
+            stream.close();
+        }
+    });
+
+    await t.test('reconnects when heartbeats go unanswered', async () => {
+        const stream = await connectStream(server);
+        try {
+            await stream.subscribe('azuki');
+            const closed = waitForStatus(stream, 'closed');
+            server.answerHeartbeats = false;
+            await closed;
+
+            server.answerHeartbeats = true;
+            const rejoined = server.waitFor('join', topic => topic === 'collection:azuki');
+            await waitForStatus(stream, 'connected');
+            await rejoined;
+        } finally {
+            server.answerHeartbeats = true;
+            stream.close();
+        }
+    });
+
+    await t.test('jitters the backoff without exceeding it', () => {
+        const stream = new OpenSeaStream({ ...FAST, url: server.url, reconnectDelay: 1000, maxBackoff: 30000 });
+        for (let i = 0; i < 20; i++) {
+            const first = stream.getReconnectDelay(1);
+            assert.ok(first >= 500 && first <= 1000, `${first}ms`);
+            const capped = stream.getReconnectDelay(10);
+            assert.ok(capped >= 15000 && capped <= 30000, `${capped}ms`);
+        }
+    });
+
+    await t.test('backs off exponentially and gives up after the maximum attempts', async () => {
+        // Nothing listens on a closed server's port
+        const closed = new MockOpenSeaServer();
+        await closed.start();
+        const url = closed.url;
+        await closed.close();
+
+        const stream = new OpenSeaStream({ ...FAST, url, reconnectDelay: 50, jitter: 0, maxReconnectAttempts: 4 });
+        const attempts = [];
+        stream.on('status', status => {
+            if (status === 'connecting') attempts.push(Date.now());
+        });
+        const failed = waitForStatus(stream, 'failed');
+        stream.connect();
+        await failed;
+        stream.close();
+
+        // The first connect plus one per reconnect attempt, each wait about twice the previous one
+        assert.strictEqual(attempts.length, 5);
+        const waits = attempts.slice(1).map((time, index) => time - attempts[index]);
+        for (let i = 1; i < waits.length; i++) {
+            assert.ok(waits[i] > waits[i - 1], `wait ${i} (${waits[i]}ms) should be longer than ${waits[i - 1]}ms`);
+        }
+    });
+
+    await t.test('opens the circuit after repeated failures and retries after the cooldown', async () => {
+        const closed = new MockOpenSeaServer();
+        await closed.start();
+        const url = closed.url;
+        await closed.close();
+
+        const stream = new OpenSeaStream({ ...FAST, url, circuitBreakerThreshold: 3, circuitBreakerCooldown: 200 });
+        const statuses = [];
+        stream.on('status', status => statuses.push(status));
+        try {
+            stream.connect();
+            await waitForStatus(stream, 'suspended');
+            const connecting = statuses.filter(status => status === 'connecting').length;
+            assert.strictEqual(connecting, 3);
+
+            // Half-open: one attempt after the cooldown, then the circuit opens again
+            await waitForStatus(stream, 'suspended');
+            assert.strictEqual(statuses.filter(status => status === 'connecting').length, connecting + 1);
+            assert.ok(!statuses.includes('failed'));
+        } finally {
+            stream.close();
+        }
+    });
+});